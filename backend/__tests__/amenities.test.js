@@ -0,0 +1,224 @@
+const Amenity = require('../src/models/amenity.model');
+const Parking = require('../src/models/parking.model');
+const { createTestUser, createTestParking, login, slots, api } = require('../src/test/testHelper');
+
+describe('Amenities', () => {
+  let owner;
+  let adminToken;
+  let coveredLot;
+  let evHub;
+
+  // The text index has to exist before $text queries run
+  beforeAll(() => Parking.init());
+
+  beforeEach(async () => {
+    await createTestUser({ role: 'admin', email: 'admin@example.com', phone: '1111111111' });
+    owner = await createTestUser({ role: 'owner', email: 'owner@example.com', phone: '0987654321' });
+    adminToken = await login('admin@example.com');
+
+    coveredLot = await createTestParking(owner._id, {
+      name: 'Covered Lot',
+      features: ['Camera', 'covered', 'cctv'],
+      slots: slots('car', 50, 2),
+      totalSlots: 2,
+      rating: 4.8,
+    });
+    evHub = await createTestParking(owner._id, {
+      name: 'EV Hub',
+      features: ['security'],
+      slots: [...slots('ev', 120, 1, { features: ['EV charger'] }), ...slots('car', 150, 1)],
+      totalSlots: 2,
+      rating: 3.8,
+      is24x7: false,
+    });
+    await createTestParking(owner._id, {
+      name: 'Bike Stand',
+      slots: slots('bike', 20, 4),
+      totalSlots: 4,
+      rating: 4.2,
+    });
+  });
+
+  const names = (res) => res.body.data.parkings.map((parking) => parking.name).sort();
+
+  describe('Parking features', () => {
+    it('should store amenity keys for names and synonyms', async () => {
+      expect(coveredLot.features).toEqual(['cctv', 'covered']);
+      expect(evHub.slots[0].features).toEqual(['ev-charging']);
+    });
+
+    it('should reject features missing from the catalogue', async () => {
+      await expect(createTestParking(owner._id, { features: ['helipad'] })).rejects.toThrow(
+        /Unknown parking amenities: helipad/
+      );
+
+      const ownerToken = await login('owner@example.com');
+      const res = await api.patch(
+        `/api/v1/parkings/${coveredLot._id}`,
+        { features: ['valet', 'helipad'] },
+        ownerToken
+      );
+      expect(res.statusCode).toEqual(400);
+    });
+
+    it('should reject amenities on the wrong kind of listing', async () => {
+      await expect(
+        createTestParking(owner._id, { slots: slots('car', 50, 1, { features: ['valet'] }) })
+      ).rejects.toThrow(/Unknown slot amenities: valet/);
+    });
+
+    it('should migrate free-text features stored before the catalogue', async () => {
+      // Written straight to the collection, as older versions stored them
+      await Parking.collection.updateOne(
+        { _id: coveredLot._id },
+        { $set: { features: ['CCTV', 'Helipad', 'covered'], isActive: false } }
+      );
+      await Parking.collection.updateOne(
+        { _id: evHub._id },
+        { $set: { 'slots.0.features': ['EV charger', 'Wide'] } }
+      );
+
+      const result = await Parking.canonicalizeStoredFeatures();
+
+      expect(result).toEqual({ updated: 2, unknown: ['Helipad'] });
+      const lot = await Parking.collection.findOne({ _id: coveredLot._id });
+      expect(lot.features).toEqual(['cctv', 'covered', 'Helipad']);
+      expect(lot.searchTerms).toContain('cctv');
+      const hub = await Parking.findById(evHub._id);
+      expect(hub.slots[0].features).toEqual(['ev-charging', 'wide-bay']);
+      expect(hub.slots[1].features).toEqual([]);
+
+      // Nothing left to change on a second run
+      expect((await Parking.canonicalizeStoredFeatures()).updated).toEqual(0);
+    });
+  });
+
+  describe('Catalogue', () => {
+    it('should list active amenities with their icons', async () => {
+      await Amenity.updateOne({ key: 'valet' }, { isActive: false });
+
+      const res = await api.get('/api/v1/amenities?appliesTo=slot');
+
+      expect(res.statusCode).toEqual(200);
+      const keys = res.body.data.amenities.map((amenity) => amenity.key);
+      expect(keys).toContain('wide-bay');
+      expect(keys).not.toContain('restroom');
+      expect(res.body.data.amenities.find((amenity) => amenity.key === 'cctv').icon).toEqual(
+        'videocam'
+      );
+
+      const all = await api.get('/api/v1/amenities');
+      expect(all.body.data.amenities.map((amenity) => amenity.key)).not.toContain('valet');
+    });
+
+    it('should let admins add amenities owners can then use', async () => {
+      const res = await api.post(
+        '/api/v1/admin/amenities',
+        { key: 'rooftop', name: 'Rooftop', icon: 'deck', synonyms: ['Roof-top', 'roof top'] },
+        adminToken
+      );
+
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.data.amenity.synonyms).toEqual(['roof top']);
+
+      const parking = await createTestParking(owner._id, { features: ['Roof top'] });
+      expect(parking.features).toEqual(['rooftop']);
+    });
+
+    it('should refuse names another amenity already answers to', async () => {
+      const res = await api.post(
+        '/api/v1/admin/amenities',
+        { key: 'camera-plus', name: 'Cameras' },
+        adminToken
+      );
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toMatch(/already cctv/);
+    });
+
+    it('should keep keys fixed and only delete unused amenities', async () => {
+      const cctv = await Amenity.findOne({ key: 'cctv' });
+      const renamed = await api.patch(
+        `/api/v1/admin/amenities/${cctv._id}`,
+        { key: 'camera' },
+        adminToken
+      );
+      expect(renamed.statusCode).toEqual(400);
+
+      const inUse = await api.delete(`/api/v1/admin/amenities/${cctv._id}`, adminToken);
+      expect(inUse.statusCode).toEqual(400);
+
+      const carWash = await Amenity.findOne({ key: 'car-wash' });
+      const unused = await api.delete(`/api/v1/admin/amenities/${carWash._id}`, adminToken);
+      expect(unused.statusCode).toEqual(204);
+    });
+
+    it('should keep amenities in use on slots applying to slots', async () => {
+      const evCharging = await Amenity.findOne({ key: 'ev-charging' });
+      const res = await api.patch(
+        `/api/v1/admin/amenities/${evCharging._id}`,
+        { appliesTo: ['parking'] },
+        adminToken
+      );
+
+      expect(res.statusCode).toEqual(400);
+    });
+  });
+
+  describe('Search facets', () => {
+    it('should count amenities, slot types, prices, ratings and 24x7 parkings', async () => {
+      const res = await api.get('/api/v1/parkings');
+
+      expect(res.statusCode).toEqual(200);
+      const { facets } = res.body.data;
+      expect(facets.amenities).toEqual(
+        expect.arrayContaining([
+          { key: 'cctv', name: 'CCTV', icon: 'videocam', count: 1 },
+          { key: 'ev-charging', name: 'EV charging', icon: 'ev_station', count: 1 },
+        ])
+      );
+      expect(facets.slotTypes).toEqual(
+        expect.arrayContaining([
+          { type: 'car', count: 2 },
+          { type: 'ev', count: 1 },
+          { type: 'bike', count: 1 },
+        ])
+      );
+      expect(facets.price.map((bucket) => bucket.count)).toEqual([1, 1, 1, 0, 0]);
+      expect(facets.price[4]).toEqual({ min: 500, max: null, count: 0 });
+      expect(facets.rating).toEqual([
+        { min: 4.5, count: 1 },
+        { min: 4, count: 2 },
+        { min: 3.5, count: 3 },
+        { min: 3, count: 3 },
+      ]);
+      expect(facets.is24x7).toEqual(2);
+    });
+
+    it('should filter by amenities and slot types and count what is left', async () => {
+      const camera = await api.get('/api/v1/parkings?amenities=camera');
+      expect(names(camera)).toEqual(['Covered Lot']);
+      expect(camera.body.data.facets.slotTypes).toEqual([{ type: 'car', count: 1 }]);
+
+      // An amenity on a slot counts for the parking
+      const charging = await api.get('/api/v1/parkings?amenities=ev-charging,security');
+      expect(names(charging)).toEqual(['EV Hub']);
+
+      const slotTypes = await api.get('/api/v1/parkings?slotTypes=bike,ev');
+      expect(names(slotTypes)).toEqual(['Bike Stand', 'EV Hub']);
+      expect(slotTypes.body.data.facets.is24x7).toEqual(1);
+    });
+
+    it('should count facets for text searches', async () => {
+      const res = await api.get('/api/v1/parkings?q=hub');
+
+      expect(names(res)).toEqual(['EV Hub']);
+      expect(res.body.data.facets.is24x7).toEqual(0);
+    });
+
+    it('should reject unknown amenities and slot types', async () => {
+      expect((await api.get('/api/v1/parkings?amenities=helipad')).statusCode).toEqual(400);
+      expect((await api.get('/api/v1/parkings?slotTypes=boat')).statusCode).toEqual(400);
+    });
+  });
+});
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const request = require('supertest');
 const app = require('../app');
@@ -6,6 +7,8 @@ const Parking = require('../src/models/parking.model');
 const User = require('../src/models/user.model');
 const { createTestUser, createTestParking, api } = require('../src/test/testHelper');
 
+process.env.RAZORPAY_KEY_SECRET = process.env.RAZORPAY_KEY_SECRET || 'test_key_secret';
+
 describe('Booking API', () => {
   let testUser;
   let testToken;
@@ -122,6 +125,114 @@ describe('Booking API', () => {
       expect(res.body.status).toEqual('fail');
       expect(res.body.message).toMatch(/slot is already booked/i);
     });
+
+    it('should return 400 if the vehicle does not fit the slot type', async () => {
+      const startTime = new Date(Date.now() + 60 * 60 * 1000);
+      const endTime = new Date(startTime.getTime() + 60 * 60 * 1000);
+
+      const res = await api.post(
+        '/api/v1/bookings',
+        {
+          parking: testParking._id,
+          slot: testParking.slots[2]._id, // bike slot
+          startTime: startTime.toISOString(),
+          endTime: endTime.toISOString(),
+          vehicle: { type: 'car', number: 'KA01AB1234' }
+        },
+        testToken
+      );
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toMatch(/cannot be parked/i);
+    });
+
+    it('should return 400 for windows in the past or longer than the maximum', async () => {
+      const book = (startTime, endTime) =>
+        api.post(
+          '/api/v1/bookings',
+          {
+            parking: testParking._id,
+            slot: testSlotId,
+            startTime: startTime.toISOString(),
+            endTime: endTime.toISOString(),
+            vehicle: { type: 'car', number: 'KA01AB1234' }
+          },
+          testToken
+        );
+      const day = 24 * 60 * 60 * 1000;
+
+      const past = await book(new Date(Date.now() - day), new Date(Date.now() + day));
+      expect(past.statusCode).toEqual(400);
+      expect(past.body.message).toMatch(/in the past/);
+
+      const tooLong = await book(new Date(Date.now() + day), new Date(Date.now() + 40 * day));
+      expect(tooLong.statusCode).toEqual(400);
+      expect(tooLong.body.message).toMatch(/at most 31 days/);
+    });
+  });
+
+  describe('Slot allocation', () => {
+    const startTime = new Date(Date.now() + 3 * 60 * 60 * 1000);
+    const endTime = new Date(startTime.getTime() + 60 * 60 * 1000);
+
+    it('should pick a compatible slot when none is given', async () => {
+      const res = await api.post(
+        '/api/v1/bookings',
+        {
+          parking: testParking._id,
+          startTime: startTime.toISOString(),
+          endTime: endTime.toISOString(),
+          vehicle: { type: 'bike', number: 'KA01AB1234' }
+        },
+        testToken
+      );
+
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.data.booking.slot).toEqual(testParking.slots[2]._id.toString());
+    });
+
+    it('should prefer slots that keep the lot unfragmented', async () => {
+      const { rankSlots } = require('../src/services/slotAllocation.service');
+      // slot-2 already has a booking ending exactly when the new one starts
+      await Booking.create({
+        user: testUser._id,
+        parking: testParking._id,
+        slot: testParking.slots[1]._id,
+        slotNumber: 'slot-2',
+        startTime: new Date(startTime.getTime() - 60 * 60 * 1000),
+        endTime: startTime,
+        status: 'confirmed',
+        amount: 50,
+        payment: { method: 'card', status: 'completed' },
+        vehicle: { type: 'car', number: 'KA01AB5678' }
+      });
+
+      const ranked = await rankSlots({
+        parking: testParking,
+        startTime,
+        endTime,
+        vehicle: { type: 'car' },
+      });
+
+      expect(ranked.map(({ slot }) => slot.slotId)).toEqual(['slot-2', 'slot-1']);
+    });
+
+    it('should return 400 if no slot fits the preferences', async () => {
+      const res = await api.post(
+        '/api/v1/bookings',
+        {
+          parking: testParking._id,
+          startTime: startTime.toISOString(),
+          endTime: endTime.toISOString(),
+          vehicle: { type: 'car', number: 'KA01AB1234' },
+          preferences: ['ev']
+        },
+        testToken
+      );
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toMatch(/no free slot/i);
+    });
   });
 
   describe('GET /api/v1/bookings', () => {
@@ -251,6 +362,325 @@ describe('Booking API', () => {
     });
   });
 
+  describe('GET /api/v1/bookings/:id/cancel', () => {
+    it('should preview the refund under the parking policy', async () => {
+      await Parking.findByIdAndUpdate(testParking._id, {
+        cancellationPolicy: {
+          type: 'custom',
+          tiers: [
+            { hoursBeforeStart: 24, refundPercent: 100 },
+            { hoursBeforeStart: 2, refundPercent: 50 }
+          ]
+        }
+      });
+      const booking = await Booking.create({
+        user: testUser._id,
+        parking: testParking._id,
+        slot: testSlotId,
+        slotNumber: 'A1',
+        startTime: new Date(Date.now() + 3 * 60 * 60 * 1000),
+        endTime: new Date(Date.now() + 4 * 60 * 60 * 1000),
+        status: 'confirmed',
+        amount: 80,
+        payment: { method: 'card', status: 'completed', paymentId: 'pay_test_123' },
+        vehicle: { type: 'car', number: 'KA01AB1234' }
+      });
+
+      const res = await api.get(`/api/v1/bookings/${booking._id}/cancel`, testToken);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.cancellable).toBe(true);
+      expect(res.body.data.refundPercent).toEqual(50);
+      expect(res.body.data.refundAmount).toEqual(40);
+    });
+
+    it('should base the refund on what was captured and not refunded yet', async () => {
+      const booking = await Booking.create({
+        user: testUser._id,
+        parking: testParking._id,
+        slot: testSlotId,
+        slotNumber: 'A1',
+        startTime: new Date(Date.now() + 48 * 60 * 60 * 1000),
+        endTime: new Date(Date.now() + 49 * 60 * 60 * 1000),
+        status: 'confirmed',
+        amount: 100,
+        payment: {
+          method: 'card',
+          status: 'partially_refunded',
+          paymentId: 'pay_test_123',
+          capturedAmount: 130, // Paid 100, then a 30 top-up for a modification
+          refundedAmount: 10,
+        },
+        vehicle: { type: 'car', number: 'KA01AB1234' }
+      });
+
+      const res = await api.get(`/api/v1/bookings/${booking._id}/cancel`, testToken);
+
+      expect(res.body.data.amountPaid).toEqual(120);
+      expect(res.body.data.refundAmount).toEqual(120);
+    });
+  });
+
+  describe('Slot holds', () => {
+    const createPendingBooking = (holdExpiresAt) =>
+      Booking.create({
+        user: testUser._id,
+        parking: testParking._id,
+        slot: testSlotId,
+        slotNumber: 'A1',
+        startTime: new Date(Date.now() + 60 * 60 * 1000),
+        endTime: new Date(Date.now() + 2 * 60 * 60 * 1000),
+        status: 'pending',
+        holdExpiresAt,
+        amount: 50,
+        payment: { method: 'card', status: 'pending' },
+        vehicle: { type: 'car', number: 'KA01AB1234' }
+      });
+
+    it('should expose holdExpiresAt on a new booking', async () => {
+      const startTime = new Date(Date.now() + 60 * 60 * 1000);
+      const endTime = new Date(startTime.getTime() + 60 * 60 * 1000);
+
+      const res = await api.post(
+        '/api/v1/bookings',
+        {
+          parking: testParking._id,
+          slot: testParking.slots[1]._id,
+          startTime: startTime.toISOString(),
+          endTime: endTime.toISOString(),
+          vehicle: { type: 'car', number: 'KA01AB1234' }
+        },
+        testToken
+      );
+
+      expect(res.statusCode).toEqual(201);
+      expect(new Date(res.body.data.holdExpiresAt).getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should not block the slot once the hold has expired', async () => {
+      const booking = await createPendingBooking(new Date(Date.now() - 1000));
+
+      const isAvailable = await Booking.isSlotAvailable(
+        testSlotId,
+        booking.startTime,
+        booking.endTime
+      );
+
+      expect(isAvailable).toBe(true);
+    });
+
+    it('should cancel expired holds and release the slot', async () => {
+      const { expireStaleHolds } = require('../src/services/slotHold.service');
+      await Parking.updateOne(
+        { 'slots._id': testSlotId },
+        { $set: { 'slots.$.status': 'reserved' } }
+      );
+      const booking = await createPendingBooking(new Date(Date.now() - 1000));
+
+      const expired = await expireStaleHolds();
+
+      expect(expired).toBe(1);
+      const updatedBooking = await Booking.findById(booking._id);
+      expect(updatedBooking.status).toEqual('cancelled');
+      expect(updatedBooking.cancellation.cancelledBy).toEqual('system');
+      const updatedParking = await Parking.findById(testParking._id);
+      expect(updatedParking.slots.id(testSlotId).status).toEqual('available');
+    });
+  });
+
+  describe('PATCH /api/v1/bookings/:id/extend', () => {
+    const createUpcomingBooking = (slot, startOffsetHours) =>
+      Booking.create({
+        user: testUser._id,
+        parking: testParking._id,
+        slot,
+        slotNumber: 'A1',
+        startTime: new Date(Date.now() + startOffsetHours * 60 * 60 * 1000),
+        endTime: new Date(Date.now() + (startOffsetHours + 1) * 60 * 60 * 1000),
+        status: 'pending',
+        holdExpiresAt: new Date(Date.now() + 15 * 60 * 1000),
+        amount: 50,
+        payment: { method: 'card', status: 'pending' },
+        vehicle: { type: 'car', number: 'KA01AB1234' }
+      });
+
+    it('should extend a booking and re-price it', async () => {
+      const booking = await createUpcomingBooking(testSlotId, 1);
+
+      const res = await api.patch(
+        `/api/v1/bookings/${booking._id}/extend`,
+        { minutes: 60 },
+        testToken
+      );
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.booking.amount).toEqual(100);
+      expect(res.body.data.booking.modifications).toHaveLength(1);
+      expect(res.body.data.settlement.type).toEqual('none');
+    });
+
+    it('should not change a hold whose payment order was created', async () => {
+      const booking = await createUpcomingBooking(testSlotId, 1);
+      booking.payment.orderId = 'order_test_hold';
+      await booking.save();
+
+      const res = await api.patch(
+        `/api/v1/bookings/${booking._id}/extend`,
+        { minutes: 60 },
+        testToken
+      );
+
+      expect(res.statusCode).toEqual(400);
+      expect((await Booking.findById(booking._id)).amount).toEqual(50);
+    });
+
+    it('should return 400 if the extension overlaps another booking', async () => {
+      const booking = await createUpcomingBooking(testSlotId, 1);
+      await createUpcomingBooking(testSlotId, 2);
+
+      const res = await api.patch(
+        `/api/v1/bookings/${booking._id}/extend`,
+        { minutes: 30 },
+        testToken
+      );
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toMatch(/slot is already booked/i);
+    });
+
+    describe('when the booking is paid', () => {
+      // The payment provider client the payment controller created when the app loaded
+      const razorpay = require('razorpay').mock.results[0].value;
+
+      const createPaidBooking = (slot) =>
+        Booking.create({
+          user: testUser._id,
+          parking: testParking._id,
+          slot,
+          slotNumber: 'A1',
+          startTime: new Date(Date.now() + 60 * 60 * 1000),
+          endTime: new Date(Date.now() + 3 * 60 * 60 * 1000),
+          status: 'confirmed',
+          amount: 100,
+          payment: {
+            method: 'card',
+            status: 'completed',
+            paymentId: 'pay_test_123',
+            capturedAmount: 100,
+          },
+          vehicle: { type: 'car', number: 'KA01AB1234' }
+        });
+
+      it('should refund the difference when the booking gets shorter', async () => {
+        const booking = await createPaidBooking(testSlotId);
+
+        const res = await api.patch(
+          `/api/v1/bookings/${booking._id}/extend`,
+          { minutes: -60 },
+          testToken
+        );
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.settlement.type).toEqual('refund');
+        expect(razorpay.payments.refund).toHaveBeenCalledWith(
+          'pay_test_123',
+          expect.objectContaining({ amount: 5000 })
+        );
+        const updated = await Booking.findById(booking._id);
+        expect(updated.amount).toEqual(50);
+        expect(updated.payment.refundedAmount).toEqual(50);
+        expect(updated.payment.refunds).toHaveLength(1);
+      });
+
+      const payTopUp = (booking, orderId) => {
+        const paymentId = 'pay_top_up';
+        const signature = crypto
+          .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+          .update(`${orderId}|${paymentId}`)
+          .digest('hex');
+        return api.post(
+          '/api/v1/payments/verify',
+          { orderId, paymentId, signature, bookingId: booking._id },
+          testToken
+        );
+      };
+
+      it('should only extend the booking once the top-up is paid', async () => {
+        const booking = await createPaidBooking(testSlotId);
+        razorpay.orders.create.mockResolvedValueOnce({ id: 'order_top_up' });
+
+        const res = await api.patch(
+          `/api/v1/bookings/${booking._id}/extend`,
+          { minutes: 60 },
+          testToken
+        );
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.settlement).toMatchObject({ type: 'top-up', amount: 50 });
+        const unpaid = await Booking.findById(booking._id);
+        expect(unpaid.endTime).toEqual(booking.endTime);
+        expect(unpaid.amount).toEqual(100);
+        expect(unpaid.modifications[0].status).toEqual('awaiting-payment');
+
+        const paid = await payTopUp(booking, 'order_top_up');
+
+        expect(paid.statusCode).toEqual(200);
+        const updated = await Booking.findById(booking._id);
+        expect(updated.endTime).toEqual(new Date(booking.endTime.getTime() + 60 * 60 * 1000));
+        expect(updated.amount).toEqual(150);
+        expect(updated.payment.capturedAmount).toEqual(150);
+        expect(updated.modifications[0].status).toEqual('applied');
+      });
+
+      it('should refund a top-up once the extension is no longer free', async () => {
+        const booking = await createPaidBooking(testSlotId);
+        razorpay.orders.create.mockResolvedValueOnce({ id: 'order_top_up' });
+        await api.patch(`/api/v1/bookings/${booking._id}/extend`, { minutes: 60 }, testToken);
+        // Someone books the extra hour before the top-up is paid
+        await Booking.create({
+          user: testUser._id,
+          parking: testParking._id,
+          slot: testSlotId,
+          slotNumber: 'A1',
+          startTime: booking.endTime,
+          endTime: new Date(booking.endTime.getTime() + 60 * 60 * 1000),
+          status: 'confirmed',
+          amount: 50,
+          payment: { method: 'card', status: 'completed' },
+          vehicle: { type: 'car', number: 'KA01AB5678' }
+        });
+
+        const res = await payTopUp(booking, 'order_top_up');
+
+        expect(res.statusCode).toEqual(409);
+        const updated = await Booking.findById(booking._id);
+        expect(updated.endTime).toEqual(booking.endTime);
+        expect(updated.amount).toEqual(100);
+        expect(updated.payment.capturedAmount).toEqual(150);
+        expect(updated.payment.refundedAmount).toEqual(50);
+        expect(updated.modifications[0].status).toEqual('cancelled');
+      });
+
+      it('should keep the booking unchanged when the refund fails', async () => {
+        const booking = await createPaidBooking(testSlotId);
+        razorpay.payments.refund.mockRejectedValueOnce(new Error('Gateway timeout'));
+
+        const res = await api.patch(
+          `/api/v1/bookings/${booking._id}/extend`,
+          { minutes: -60 },
+          testToken
+        );
+
+        expect(res.statusCode).toEqual(500);
+        const updated = await Booking.findById(booking._id);
+        expect(updated.endTime).toEqual(booking.endTime);
+        expect(updated.amount).toEqual(100);
+        expect(updated.modifications).toHaveLength(0);
+        expect(updated.payment.refundedAmount).toEqual(0);
+      });
+    });
+  });
+
   describe('Admin Endpoints', () => {
     it('should get all bookings (admin only)', async () => {
       const res = await api.get(
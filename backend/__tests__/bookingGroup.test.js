@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../src/app');
+const Booking = require('../src/models/booking.model');
+const BookingGroup = require('../src/models/bookingGroup.model');
+const { expireStaleHolds } = require('../src/services/slotHold.service');
+const { createTestUser, createTestParking, createTestBooking, api } = require('../src/test/testHelper');
+
+process.env.RAZORPAY_KEY_SECRET = process.env.RAZORPAY_KEY_SECRET || 'test_key_secret';
+
+describe('Group bookings', () => {
+  let driverToken;
+  let owner;
+  let parking;
+  const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  const endTime = new Date(startTime.getTime() + 2 * 60 * 60 * 1000);
+
+  beforeEach(async () => {
+    await createTestUser({ role: 'user' });
+    const loginRes = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'test@example.com', password: 'test1234' });
+    driverToken = loginRes.body.token;
+
+    owner = await createTestUser({ role: 'owner', email: 'owner@example.com', phone: '0987654321' });
+    parking = await createTestParking(owner._id, {
+      totalSlots: 4,
+      slots: [
+        { slotId: 'C1', number: 1, type: 'car', status: 'available', pricePerHour: 50 },
+        { slotId: 'C2', number: 2, type: 'car', status: 'available', pricePerHour: 50 },
+        { slotId: 'C3', number: 3, type: 'car', status: 'available', pricePerHour: 50 },
+        { slotId: 'B1', number: 4, type: 'bike', status: 'available', pricePerHour: 20 },
+      ],
+    });
+  });
+
+  it('should hold every requested slot under one group', async () => {
+    const res = await api.post(
+      '/api/v1/bookings/groups',
+      {
+        parking: parking._id,
+        name: 'Team offsite',
+        startTime,
+        endTime,
+        request: [
+          { type: 'car', count: 2 },
+          { type: 'bike', count: 1 },
+        ],
+      },
+      driverToken
+    );
+
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.data.bookings).toHaveLength(3);
+    expect(res.body.data.group.slotCount).toEqual(3);
+    expect(res.body.data.group.amount).toEqual(2 * 100 + 40);
+    expect(res.body.data.bookings.every((booking) => booking.status === 'pending')).toBe(true);
+  });
+
+  it('should book nothing if one of the slots is taken', async () => {
+    await createTestBooking(owner._id, parking._id, parking.slots[1]._id, { startTime, endTime });
+
+    const res = await api.post(
+      '/api/v1/bookings/groups',
+      {
+        parking: parking._id,
+        startTime,
+        endTime,
+        slots: [parking.slots[0]._id.toString(), parking.slots[1]._id.toString()],
+      },
+      driverToken
+    );
+
+    expect(res.statusCode).toEqual(400);
+    expect(await BookingGroup.countDocuments()).toEqual(0);
+    expect(await Booking.countDocuments({ slot: parking.slots[0]._id })).toEqual(0);
+  });
+
+  it('should reject requests for more slots of a type than are free', async () => {
+    const res = await api.post(
+      '/api/v1/bookings/groups',
+      { parking: parking._id, startTime, endTime, request: [{ type: 'bike', count: 2 }] },
+      driverToken
+    );
+
+    expect(res.statusCode).toEqual(400);
+    expect(await Booking.countDocuments()).toEqual(0);
+  });
+
+  it('should cancel a group slot by slot and then as a whole', async () => {
+    const createRes = await api.post(
+      '/api/v1/bookings/groups',
+      { parking: parking._id, startTime, endTime, request: [{ type: 'car', count: 3 }] },
+      driverToken
+    );
+    const { group, bookings } = createRes.body.data;
+
+    const partialRes = await api.patch(
+      `/api/v1/bookings/groups/${group._id}/cancel`,
+      { bookings: [bookings[0]._id] },
+      driverToken
+    );
+    expect(partialRes.statusCode).toEqual(200);
+    expect(partialRes.body.data.group.status).toEqual('active');
+    expect(partialRes.body.data.cancelled).toHaveLength(1);
+
+    const fullRes = await api.patch(`/api/v1/bookings/groups/${group._id}/cancel`, {}, driverToken);
+    expect(fullRes.statusCode).toEqual(200);
+    expect(fullRes.body.data.group.status).toEqual('cancelled');
+    expect(fullRes.body.data.cancelled).toHaveLength(2);
+    expect(await Booking.countDocuments({ group: group._id, status: 'cancelled' })).toEqual(3);
+  });
+
+  it('should refund the share of a member whose hold expired before payment', async () => {
+    // The payment provider client the payment controller created when the app loaded
+    const razorpay = require('razorpay').mock.results[0].value;
+    const createRes = await api.post(
+      '/api/v1/bookings/groups',
+      { parking: parking._id, startTime, endTime, request: [{ type: 'car', count: 2 }] },
+      driverToken
+    );
+    const { group, bookings } = createRes.body.data;
+    const orderRes = await api.post(
+      '/api/v1/payments/create-group-order',
+      { groupId: group._id },
+      driverToken
+    );
+    const orderId = orderRes.body.data.order.id;
+
+    // One hold runs out and the sweeper cancels it before the payment arrives
+    await Booking.updateOne(
+      { _id: bookings[0]._id },
+      { holdExpiresAt: new Date(Date.now() - 1000) }
+    );
+    await expireStaleHolds();
+
+    const paymentId = 'pay_group_123';
+    const res = await api.post(
+      '/api/v1/payments/verify-group',
+      {
+        orderId,
+        paymentId,
+        groupId: group._id,
+        signature: crypto
+          .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+          .update(`${orderId}|${paymentId}`)
+          .digest('hex'),
+      },
+      driverToken
+    );
+
+    expect(res.statusCode).toEqual(200);
+    const expired = await Booking.findById(bookings[0]._id);
+    expect(expired.status).toEqual('cancelled');
+    expect(expired.payment.status).toEqual('refunded');
+    expect(expired.payment.refundedAmount).toEqual(100);
+    expect(razorpay.payments.refund).toHaveBeenCalledWith(
+      paymentId,
+      expect.objectContaining({ amount: 10000 })
+    );
+    const paid = await Booking.findById(bookings[1]._id);
+    expect(paid.status).toEqual('confirmed');
+    expect(paid.payment.capturedAmount).toEqual(100);
+    expect(paid.payment.refundedAmount || 0).toEqual(0);
+  });
+});
@@ -0,0 +1,88 @@
+const Booking = require('../src/models/booking.model');
+const { requestOccurrencePayments } = require('../src/controllers/payment.controller');
+const { OCCURRENCE_PAYMENT_DEADLINE_HOURS } = require('../src/services/slotHold.service');
+const { createTestUser, createTestParking, login, api } = require('../src/test/testHelper');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Booking series', () => {
+  let driverToken;
+  let parking;
+  // A few days out, so every occurrence is well before its payment deadline
+  const startDate = new Date(Date.now() + 3 * 24 * HOUR).toISOString().slice(0, 10);
+
+  beforeEach(async () => {
+    await createTestUser({ role: 'user' });
+    driverToken = await login('test@example.com');
+    const owner = await createTestUser({ role: 'owner', email: 'owner@example.com', phone: '0987654321' });
+    parking = await createTestParking(owner._id);
+  });
+
+  const createSeries = (billing) =>
+    api.post(
+      '/api/v1/bookings/series',
+      {
+        parking: parking._id,
+        slot: parking.slots[0]._id,
+        recurrence: { frequency: 'daily', count: 3 },
+        startDate,
+        startTime: '10:00',
+        durationMinutes: 60,
+        billing,
+        vehicle: { type: 'car', number: 'KA01AB1234' },
+      },
+      driverToken
+    );
+
+  it('should hold occurrences billed one by one until their own payment deadline', async () => {
+    const res = await createSeries('per-occurrence');
+
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.data.bookings).toHaveLength(3);
+    for (const booking of res.body.data.bookings) {
+      expect(new Date(booking.holdExpiresAt).getTime()).toEqual(
+        new Date(booking.startTime).getTime() - OCCURRENCE_PAYMENT_DEADLINE_HOURS * HOUR
+      );
+    }
+  });
+
+  it('should hold occurrences of a series paid as a whole for the payment window', async () => {
+    const res = await createSeries('series');
+
+    expect(res.statusCode).toEqual(201);
+    for (const booking of res.body.data.bookings) {
+      expect(new Date(booking.holdExpiresAt).getTime()).toBeLessThanOrEqual(
+        Date.now() + 15 * 60 * 1000
+      );
+    }
+  });
+
+  it('should charge each occurrence once its payment deadline is near', async () => {
+    // The payment provider client the payment controller created when the app loaded
+    const razorpay = require('razorpay').mock.results[0].value;
+    const res = await createSeries('per-occurrence');
+    const [first, second] = res.body.data.bookings;
+    razorpay.orders.create.mockClear();
+
+    const now = new Date(new Date(first.holdExpiresAt).getTime() - HOUR);
+    expect(await requestOccurrencePayments(now)).toEqual(1);
+    // Charging again does not raise a second order
+    expect(await requestOccurrencePayments(now)).toEqual(0);
+
+    expect(razorpay.orders.create).toHaveBeenCalledTimes(1);
+    expect(razorpay.orders.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        amount: Math.round(first.amount * 100),
+        receipt: `booking_${first._id}`,
+      })
+    );
+    expect((await Booking.findById(first._id)).payment.orderId).toEqual('order_test_123');
+    expect((await Booking.findById(second._id)).payment.orderId).toBeUndefined();
+  });
+
+  it('should not charge occurrences of a series paid as a whole', async () => {
+    await createSeries('series');
+
+    expect(await requestOccurrencePayments()).toEqual(0);
+  });
+});
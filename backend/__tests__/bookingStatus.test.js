@@ -0,0 +1,103 @@
+const request = require('supertest');
+const app = require('../src/app');
+const Booking = require('../src/models/booking.model');
+const {
+  SYSTEM_ACTOR,
+  allowedTransitions,
+  canTransition,
+} = require('../src/utils/bookingStatus');
+const { createTestUser, createTestParking, createTestBooking, api } = require('../src/test/testHelper');
+
+describe('Booking lifecycle', () => {
+  describe('transition table', () => {
+    it('should only let staff check drivers in', () => {
+      expect(canTransition('confirmed', 'checked-in', { role: 'attendant' })).toBe(true);
+      expect(canTransition('confirmed', 'checked-in', { role: 'user' })).toBe(false);
+    });
+
+    it('should leave payment confirmation to the system and admins', () => {
+      expect(canTransition('pending', 'confirmed', SYSTEM_ACTOR)).toBe(true);
+      expect(canTransition('pending', 'confirmed', { role: 'user' })).toBe(false);
+    });
+
+    it('should treat refunded as final', () => {
+      expect(allowedTransitions('refunded', { role: 'admin' })).toEqual([]);
+      expect(canTransition('completed', 'pending', { role: 'admin' })).toBe(false);
+    });
+  });
+
+  describe('PATCH /api/v1/admin/bookings/:id', () => {
+    let adminToken;
+    let admin;
+    let parking;
+
+    beforeEach(async () => {
+      admin = await createTestUser({ role: 'admin', email: 'admin@example.com' });
+      const loginRes = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'admin@example.com', password: 'test1234' });
+      adminToken = loginRes.body.token;
+
+      parking = await createTestParking(admin._id, {
+        slots: [{ slotId: 'S1', number: 1, type: 'car', status: 'occupied', pricePerHour: 50 }],
+      });
+    });
+
+    it('should reject transitions the lifecycle does not allow', async () => {
+      const booking = await createTestBooking(admin._id, parking._id, parking.slots[0]._id, {
+        status: 'completed',
+      });
+
+      const res = await api.patch(
+        `/api/v1/admin/bookings/${booking._id}`,
+        { status: 'pending' },
+        adminToken
+      );
+
+      expect(res.statusCode).toEqual(400);
+      expect((await Booking.findById(booking._id)).status).toEqual('completed');
+    });
+
+    it('should reject unknown statuses', async () => {
+      const booking = await createTestBooking(admin._id, parking._id, parking.slots[0]._id);
+
+      const res = await api.patch(
+        `/api/v1/admin/bookings/${booking._id}`,
+        { status: 'teleported' },
+        adminToken
+      );
+
+      expect(res.statusCode).toEqual(400);
+    });
+
+    it('should record who made each change and apply its side effects', async () => {
+      const booking = await createTestBooking(admin._id, parking._id, parking.slots[0]._id, {
+        status: 'checked-in',
+        checkInTime: new Date(),
+      });
+
+      const res = await api.patch(
+        `/api/v1/admin/bookings/${booking._id}`,
+        { status: 'completed', reason: 'Driver left without scanning' },
+        adminToken
+      );
+
+      expect(res.statusCode).toEqual(200);
+      const updated = await Booking.findById(booking._id);
+      expect(updated.checkOutTime).toBeDefined();
+      const last = updated.statusHistory[updated.statusHistory.length - 1];
+      expect(last).toMatchObject({ from: 'checked-in', to: 'completed', role: 'admin' });
+      expect(last.by.toString()).toEqual(admin._id.toString());
+    });
+  });
+
+  it('should refuse status changes that bypass the history', async () => {
+    const user = await createTestUser();
+    const parking = await createTestParking(user._id);
+    const booking = await createTestBooking(user._id, parking._id, parking.slots[0]._id);
+
+    booking.status = 'completed';
+
+    await expect(booking.save()).rejects.toThrow(/not recorded in statusHistory/);
+  });
+});
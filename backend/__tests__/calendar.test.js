@@ -0,0 +1,80 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { escapeText, foldLine } = require('../src/utils/icalendar');
+const { createTestUser, createTestParking, createTestBooking, api } = require('../src/test/testHelper');
+
+describe('Booking calendars', () => {
+  let driver;
+  let driverToken;
+  let parking;
+  let booking;
+
+  beforeEach(async () => {
+    driver = await createTestUser({ role: 'user' });
+    const loginRes = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'test@example.com', password: 'test1234' });
+    driverToken = loginRes.body.token;
+
+    const owner = await createTestUser({ role: 'owner', email: 'owner@example.com', phone: '0987654321' });
+    parking = await createTestParking(owner._id, {
+      name: 'Central, Plaza',
+      location: { type: 'Point', coordinates: [77.5946, 12.9716], address: 'MG Road, Bengaluru' },
+    });
+    booking = await createTestBooking(driver._id, parking._id, parking.slots[0]._id, {
+      startTime: new Date(Date.now() + 24 * 60 * 60 * 1000),
+      endTime: new Date(Date.now() + 26 * 60 * 60 * 1000),
+    });
+  });
+
+  const feedPath = (url) => new URL(url).pathname;
+
+  it('should escape and fold iCalendar text', () => {
+    expect(escapeText('a,b;c\nd')).toEqual('a\\,b\\;c\\nd');
+    const folded = foldLine(`DESCRIPTION:${'x'.repeat(100)}`);
+    expect(folded.split('\r\n ').every((line) => line.length <= 75)).toBe(true);
+  });
+
+  it('should serve upcoming bookings on the secret feed URL', async () => {
+    const createRes = await api.post('/api/v1/bookings/calendar', {}, driverToken);
+    expect(createRes.statusCode).toEqual(201);
+
+    const res = await request(app).get(feedPath(createRes.body.data.url));
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers['content-type']).toMatch(/text\/calendar/);
+    expect(res.text).toContain(`UID:booking-${booking._id}@parkease`);
+    expect(res.text).toContain('SUMMARY:Parking at Central\\, Plaza');
+    expect(res.text).toContain('GEO:12.9716;77.5946');
+    expect(res.text).toContain('STATUS:CONFIRMED');
+  });
+
+  it('should mark a cancelled booking as cancelled with a higher sequence', async () => {
+    const createRes = await api.post('/api/v1/bookings/calendar', {}, driverToken);
+    const before = await request(app).get(feedPath(createRes.body.data.url));
+
+    await api.patch(`/api/v1/bookings/${booking._id}/cancel`, {}, driverToken);
+    const after = await request(app).get(feedPath(createRes.body.data.url));
+
+    const sequenceOf = (text) => Number(/SEQUENCE:(\d+)/.exec(text)[1]);
+    expect(after.text).toContain('STATUS:CANCELLED');
+    expect(sequenceOf(after.text)).toBeGreaterThan(sequenceOf(before.text));
+  });
+
+  it('should stop serving a feed once it is rotated', async () => {
+    const first = await api.post('/api/v1/bookings/calendar', {}, driverToken);
+    await api.post('/api/v1/bookings/calendar', {}, driverToken);
+
+    const res = await request(app).get(feedPath(first.body.data.url));
+
+    expect(res.statusCode).toEqual(404);
+  });
+
+  it('should download a single booking as an .ics file', async () => {
+    const res = await api.get(`/api/v1/bookings/${booking._id}/calendar.ics`, driverToken);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers['content-disposition']).toMatch(/booking-.*\.ics/);
+    expect(res.text).toMatch(/^BEGIN:VCALENDAR\r\n/);
+  });
+});
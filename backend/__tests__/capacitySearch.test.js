@@ -0,0 +1,113 @@
+const {
+  createTestUser,
+  createTestParking,
+  createTestBooking,
+  slots,
+  api,
+} = require('../src/test/testHelper');
+
+// Friday 2024-05-10, 10:00-12:00 in India
+const START = '2024-05-10T10:00:00+05:30';
+const END = '2024-05-10T12:00:00+05:30';
+const window = (extra = '') =>
+  `/api/v1/parkings?start=${encodeURIComponent(START)}&end=${encodeURIComponent(END)}${extra}`;
+
+describe('Capacity search', () => {
+  let driver;
+  let busy;
+
+  beforeEach(async () => {
+    driver = await createTestUser();
+    const owner = await createTestUser({ role: 'owner', email: 'owner@example.com', phone: '0987654321' });
+
+    busy = await createTestParking(owner._id, {
+      name: 'Busy Lot',
+      slots: [...slots('car', 50, 2), ...slots('bike', 50, 1)],
+      totalSlots: 3,
+    });
+    await createTestParking(owner._id, {
+      name: 'Quiet Lot',
+      slots: [...slots('car', 50, 2), ...slots('ev', 50, 1)],
+      totalSlots: 3,
+    });
+    await createTestParking(owner._id, {
+      name: 'Morning Lot',
+      is24x7: false,
+      timezone: 'Asia/Kolkata',
+      openingHours: { friday: [{ open: '06:00', close: '11:00' }] },
+      slots: slots('car', 50, 3),
+      totalSlots: 3,
+    });
+  });
+
+  const names = (res) => res.body.data.parkings.map((parking) => parking.name).sort();
+
+  const book = (slot, startTime, endTime, data = {}) =>
+    createTestBooking(driver._id, busy._id, slot._id, {
+      startTime: new Date(startTime),
+      endTime: new Date(endTime),
+      ...data,
+    });
+
+  it('should only list parkings open for the whole window', async () => {
+    const res = await api.get(window());
+
+    expect(res.statusCode).toEqual(200);
+    expect(names(res)).toEqual(['Busy Lot', 'Quiet Lot']);
+    expect(res.body.data.parkings.find((p) => p.name === 'Quiet Lot').freeSlots).toEqual(3);
+  });
+
+  it('should leave out parkings without enough slots free for the window', async () => {
+    await book(busy.slots[0], '2024-05-10T11:00:00+05:30', '2024-05-10T13:00:00+05:30');
+    // Ends as the window starts, and a cancelled booking: neither holds a slot
+    await book(busy.slots[1], '2024-05-10T08:00:00+05:30', START);
+    await book(busy.slots[1], START, END, { status: 'cancelled' });
+
+    const twoCars = await api.get(window('&vehicleType=car&minFreeSlots=2'));
+    expect(names(twoCars)).toEqual(['Quiet Lot']);
+
+    const oneCar = await api.get(window('&vehicleType=car'));
+    expect(names(oneCar)).toEqual(['Busy Lot', 'Quiet Lot']);
+    expect(oneCar.body.data.parkings.find((p) => p.name === 'Busy Lot').freeSlots).toEqual(1);
+  });
+
+  it('should only count slots the vehicle fits', async () => {
+    const res = await api.get(window('&vehicleType=bike'));
+
+    expect(names(res)).toEqual(['Busy Lot']);
+    expect(res.body.data.parkings[0].freeSlots).toEqual(1);
+  });
+
+  it('should only count special slots for drivers who ask for them', async () => {
+    const cars = await api.get(window('&vehicleType=car&minFreeSlots=3'));
+    expect(names(cars)).toEqual([]);
+
+    const charging = await api.get(window('&vehicleType=car&preferences=ev,covered'));
+    expect(names(charging)).toEqual(['Quiet Lot']);
+    expect(charging.body.data.parkings[0].freeSlots).toEqual(1);
+  });
+
+  it('should leave out slots under maintenance', async () => {
+    busy.slots[0].status = 'maintenance';
+    busy.slots[1].status = 'maintenance';
+    await busy.save();
+
+    const res = await api.get(window('&vehicleType=car'));
+
+    expect(names(res)).toEqual(['Quiet Lot']);
+  });
+
+  it('should reject an incomplete or invalid window', async () => {
+    expect((await api.get('/api/v1/parkings?minFreeSlots=2')).statusCode).toEqual(400);
+    expect((await api.get(window('&minFreeSlots=0'))).statusCode).toEqual(400);
+    expect((await api.get(window('&vehicleType=boat'))).statusCode).toEqual(400);
+  });
+
+  it('should reject windows longer than the longest booking', async () => {
+    const end = encodeURIComponent('2024-06-11T10:00:00+05:30');
+    const res = await api.get(`/api/v1/parkings?start=${encodeURIComponent(START)}&end=${end}`);
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.message).toMatch(/at most 31 days/);
+  });
+});
@@ -0,0 +1,88 @@
+const request = require('supertest');
+const app = require('../src/app');
+const Booking = require('../src/models/booking.model');
+const Parking = require('../src/models/parking.model');
+const { createTestUser, createTestParking, createTestBooking, api } = require('../src/test/testHelper');
+const { verifyQrToken } = require('../src/utils/qrToken');
+
+describe('Check-in / check-out', () => {
+  let driver;
+  let ownerToken;
+  let parking;
+  let slotId;
+
+  beforeAll(async () => {
+    driver = await createTestUser({ role: 'user' });
+    const owner = await createTestUser({
+      role: 'owner',
+      email: 'owner@example.com',
+      phone: '0987654321',
+    });
+    const loginRes = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'owner@example.com', password: 'test1234' });
+    ownerToken = loginRes.body.token;
+
+    parking = await createTestParking(owner._id);
+    slotId = parking.slots[0]._id;
+  });
+
+  it('should issue signed QR codes that detect tampering', async () => {
+    const booking = await createTestBooking(driver._id, parking._id, slotId);
+
+    expect(verifyQrToken(booking.qrCode).bookingId).toEqual(booking._id.toString());
+    expect(verifyQrToken(booking.qrCode.slice(0, -2) + 'xx')).toBeNull();
+    expect(verifyQrToken(`PARK-EASE-${booking._id.toString().slice(-8)}`)).toBeNull();
+  });
+
+  it('should check a driver in and mark the slot occupied', async () => {
+    const booking = await createTestBooking(driver._id, parking._id, slotId);
+
+    const res = await api.post(
+      `/api/v1/bookings/${booking._id}/check-in`,
+      { qrCode: booking.qrCode },
+      ownerToken
+    );
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data.booking.status).toEqual('checked-in');
+    expect(res.body.data.booking.checkInTime).toBeDefined();
+    const updatedParking = await Parking.findById(parking._id);
+    expect(updatedParking.slots.id(slotId).status).toEqual('occupied');
+  });
+
+  it('should reject a QR code issued for another booking', async () => {
+    const booking = await createTestBooking(driver._id, parking._id, slotId);
+    const other = await createTestBooking(driver._id, parking._id, parking.slots[1]._id);
+
+    const res = await api.post(
+      `/api/v1/bookings/${booking._id}/check-in`,
+      { qrCode: other.qrCode },
+      ownerToken
+    );
+
+    expect(res.statusCode).toEqual(400);
+  });
+
+  it('should bill an overstay on check-out', async () => {
+    const booking = await createTestBooking(driver._id, parking._id, slotId, {
+      startTime: new Date(Date.now() - 3 * 60 * 60 * 1000),
+      endTime: new Date(Date.now() - 90 * 60 * 1000),
+      status: 'checked-in',
+      checkInTime: new Date(Date.now() - 3 * 60 * 60 * 1000),
+    });
+
+    const res = await api.post(
+      `/api/v1/bookings/${booking._id}/check-out`,
+      { qrCode: booking.qrCode },
+      ownerToken
+    );
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data.booking.status).toEqual('completed');
+    // 90 minutes over -> 2 started hours x 50 x 1.5
+    expect(res.body.data.overstay.amount).toEqual(150);
+    const updated = await Booking.findById(booking._id);
+    expect(updated.payment.topUps).toHaveLength(1);
+  });
+});
@@ -0,0 +1,109 @@
+const Parking = require('../src/models/parking.model');
+const { createTestUser, createTestParking, api } = require('../src/test/testHelper');
+
+// A driver on Anna Salai in Chennai, and parkings around them
+const DRIVER = '13.0600,80.2500';
+
+const priced = (pricePerHour) =>
+  Array(3)
+    .fill(0)
+    .map((_, i) => ({ slotId: `slot-${i + 1}`, number: i + 1, type: 'car', pricePerHour }));
+
+describe('Geo search', () => {
+  beforeEach(async () => {
+    const owner = await createTestUser({ role: 'owner', email: 'owner@example.com', phone: '0987654321' });
+    const parkings = [
+      // About 1.1 km north of the driver
+      { name: 'North Lot', coordinates: [80.25, 13.07], price: 40, rating: 4.2 },
+      // About 2.2 km east
+      { name: 'East Lot', coordinates: [80.27, 13.06], price: 20, rating: 4.8 },
+      // About 5.4 km south-west
+      { name: 'South West Lot', coordinates: [80.215, 13.025], price: 60, rating: 3.9 },
+      // Bengaluru, far away
+      { name: 'Far Lot', coordinates: [77.5946, 12.9716], price: 10, rating: 5 },
+    ];
+    for (const { name, coordinates, price, rating } of parkings) {
+      await createTestParking(owner._id, {
+        name,
+        rating,
+        location: { type: 'Point', coordinates, address: `${name}, Chennai` },
+        slots: priced(price),
+        totalSlots: 3,
+      });
+    }
+  });
+
+  const names = (res) => res.body.data.parkings.map((parking) => parking.name);
+
+  it('should find parkings in a radius, nearest first, with distance and bearing', async () => {
+    const res = await api.get(`/api/v1/parkings?near=${DRIVER},4&sort=distance`);
+
+    expect(res.statusCode).toEqual(200);
+    expect(names(res)).toEqual(['North Lot', 'East Lot']);
+    expect(res.body.total).toEqual(2);
+    expect(res.body.data.parkings[0]).toMatchObject({ bearing: 0, direction: 'N' });
+    expect(res.body.data.parkings[0].distanceKm).toBeCloseTo(1.11, 1);
+    expect(res.body.data.parkings[1]).toMatchObject({ bearing: 90, direction: 'E' });
+  });
+
+  it('should find parkings in a map viewport', async () => {
+    const res = await api.get(`/api/v1/parkings?bbox=80.2,13.0,80.26,13.1&from=${DRIVER}`);
+
+    expect(names(res).sort()).toEqual(['North Lot', 'South West Lot']);
+    const southWest = res.body.data.parkings.find((parking) => parking.name === 'South West Lot');
+    expect(southWest.direction).toEqual('SW');
+  });
+
+  it('should find parkings in a polygon', async () => {
+    const res = await api.get(
+      '/api/v1/parkings?polygon=13.05,80.24;13.05,80.3;13.08,80.3;13.08,80.24'
+    );
+
+    expect(names(res).sort()).toEqual(['East Lot', 'North Lot']);
+  });
+
+  it('should find parkings along a route', async () => {
+    // Heading north along longitude 80.25, past North Lot but 2 km from East Lot
+    const route = '13.00,80.25;13.05,80.25;13.10,80.25';
+
+    const narrow = await api.get(`/api/v1/parkings?route=${route}&corridor=1`);
+    expect(names(narrow)).toEqual(['North Lot']);
+
+    const wide = await api.get(`/api/v1/parkings?route=${route}&corridor=3&sort=price`);
+    expect(names(wide)).toEqual(['East Lot', 'North Lot']);
+  });
+
+  it('should accept a route as an encoded polyline', async () => {
+    // 13.00,80.25 -> 13.10,80.25
+    const route = encodeURIComponent('_ajnAoyxhN_pR?');
+    const res = await api.get(`/api/v1/parkings?route=${route}&corridor=0.5`);
+
+    expect(res.statusCode).toEqual(200);
+    expect(names(res)).toEqual(['North Lot']);
+  });
+
+  it('should sort by price and rating', async () => {
+    const byPrice = await api.get(`/api/v1/parkings?near=${DRIVER},10&sort=-price`);
+    expect(names(byPrice)).toEqual(['South West Lot', 'North Lot', 'East Lot']);
+
+    const byRating = await api.get(`/api/v1/parkings?near=${DRIVER},10&sort=-rating`);
+    expect(names(byRating)).toEqual(['East Lot', 'North Lot', 'South West Lot']);
+  });
+
+  it('should keep the cheapest price up to date when slots change', async () => {
+    const parking = await Parking.findOne({ name: 'North Lot' });
+    parking.slots.push({ slotId: 'slot-4', number: 4, type: 'car', pricePerHour: 5 });
+    await parking.save();
+
+    const res = await api.get(`/api/v1/parkings?near=${DRIVER},10&sort=price`);
+    expect(res.body.data.parkings[0]).toMatchObject({ name: 'North Lot', minPricePerHour: 5 });
+  });
+
+  it('should reject distance sorting without a location and mixed search areas', async () => {
+    const noOrigin = await api.get('/api/v1/parkings?sort=distance');
+    expect(noOrigin.statusCode).toEqual(400);
+
+    const mixed = await api.get(`/api/v1/parkings?near=${DRIVER}&bbox=80.2,13.0,80.26,13.1`);
+    expect(mixed.statusCode).toEqual(400);
+  });
+});
@@ -0,0 +1,187 @@
+const request = require('supertest');
+const app = require('../src/app');
+const Booking = require('../src/models/booking.model');
+const Invoice = require('../src/models/invoice.model');
+const { splitInclusive, financialYearOf } = require('../src/utils/gst');
+const { issueCreditNote } = require('../src/services/invoice.service');
+const {
+  createTestUser,
+  createTestParking,
+  createTestBooking,
+  api,
+} = require('../src/test/testHelper');
+
+// Collect a binary response body (PDF or ZIP) into a buffer
+const binary = (res, callback) => {
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('Invoices', () => {
+  describe('GST', () => {
+    it('should carve GST out of inclusive amounts', () => {
+      expect(splitInclusive(118)).toMatchObject({ taxableValue: 100, cgst: 9, sgst: 9, igst: 0 });
+      expect(splitInclusive(118, { interState: true })).toMatchObject({
+        taxableValue: 100,
+        cgst: 0,
+        igst: 18,
+      });
+    });
+
+    it('should number invoices by Indian financial year', () => {
+      expect(financialYearOf(new Date(2025, 0, 15))).toEqual('2425');
+      expect(financialYearOf(new Date(2025, 3, 1))).toEqual('2526');
+    });
+  });
+
+  describe('booking invoices', () => {
+    let driver;
+    let driverToken;
+    let parking;
+    let booking;
+
+    beforeEach(async () => {
+      driver = await createTestUser();
+      driverToken = (
+        await request(app)
+          .post('/api/v1/auth/login')
+          .send({ email: 'test@example.com', password: 'test1234' })
+      ).body.token;
+
+      const owner = await createTestUser({ role: 'owner', email: 'owner@example.com', phone: '0987654321' });
+      parking = await createTestParking(owner._id, {
+        gst: { gstin: '29ABCDE1234F1Z5', legalName: 'Test Parking Pvt Ltd' },
+      });
+      booking = await createTestBooking(driver._id, parking._id, parking.slots[0]._id, {
+        amount: 118,
+        payment: {
+          method: 'card',
+          status: 'completed',
+          paymentId: 'pay_test_1',
+          paidAt: new Date(),
+          capturedAmount: 118,
+        },
+      });
+    });
+
+    it('should issue numbered tax invoices from the owner and for the platform fee', async () => {
+      const res = await api
+        .get(`/api/v1/bookings/${booking._id}/invoice`, driverToken)
+        .buffer(true)
+        .parse(binary);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.headers['content-type']).toMatch(/application\/pdf/);
+      expect(res.body.subarray(0, 5).toString()).toEqual('%PDF-');
+
+      const invoice = await Invoice.findOne({ booking: booking._id, issuer: 'owner' });
+      expect(invoice.type).toEqual('invoice');
+      expect(invoice.number).toMatch(/^INV\/\d{4}\/000001$/);
+      expect(invoice.lines.map((line) => line.sac)).toEqual(['996743']);
+      expect(invoice.totals.total).toEqual(112.1);
+
+      const fee = await Invoice.findOne({ booking: booking._id, issuer: 'platform' });
+      expect(fee.number).toMatch(/^PINV\/\d{4}\/000001$/);
+      expect(fee.lines.map((line) => line.sac)).toEqual(['998599']);
+      expect(fee.totals.total).toEqual(5.9);
+      const tax = [invoice, fee].reduce((sum, doc) => sum + doc.totals.cgst + doc.totals.sgst, 0);
+      expect(tax).toBeCloseTo(18, 1);
+
+      const updated = await Booking.findById(booking._id);
+      expect(updated.payment.receiptUrl).toEqual(`/api/v1/bookings/${booking._id}/invoice`);
+    });
+
+    it('should issue plain receipts for parkings without a GSTIN', async () => {
+      await parking.updateOne({ $unset: { gst: 1 } });
+
+      const res = await api.get(`/api/v1/bookings/${booking._id}/invoices`, driverToken);
+
+      expect(res.statusCode).toEqual(200);
+      const [receipt, fee] = res.body.data.invoices;
+      expect(receipt.type).toEqual('receipt');
+      expect(receipt.totals.cgst).toEqual(0);
+      // The platform fee is taxed whatever the owner's registration
+      expect(fee.type).toEqual('invoice');
+      expect(fee.totals.cgst + fee.totals.sgst).toBeCloseTo(0.9, 2);
+    });
+
+    it('should credit refunds against the owner and platform invoices', async () => {
+      const notes = await issueCreditNote(booking, {
+        amount: 59,
+        refundId: 'rfnd_test_1',
+        reason: 'Booking cancelled',
+      });
+
+      expect(notes.map((note) => note.type)).toEqual(['credit-note', 'credit-note']);
+      expect(notes.map((note) => note.number.split('/')[0])).toEqual(['CN', 'PCN']);
+      expect(notes.map((note) => note.totals.total)).toEqual([56.05, 2.95]);
+
+      const res = await api.get(`/api/v1/bookings/${booking._id}/invoices`, driverToken);
+      expect(res.body.results).toEqual(4);
+      expect(notes[0].originalInvoice.toString()).toEqual(res.body.data.invoices[0]._id);
+
+      // Issuing the same refund again changes nothing
+      const again = await issueCreditNote(booking, { amount: 59, refundId: 'rfnd_test_1' });
+      expect(again.map((note) => note.number)).toEqual(notes.map((note) => note.number));
+    });
+
+    it('should credit refunds against the latest top-up first', async () => {
+      booking.payment.topUps.push({
+        orderId: 'order_top_up',
+        paymentId: 'pay_top_up',
+        amount: 20,
+        status: 'completed',
+        reason: 'Extension',
+        paidAt: new Date(),
+      });
+      booking.payment.capturedAmount = 138;
+      booking.amount = 138;
+      await booking.save();
+
+      const notes = await issueCreditNote(booking, { amount: 30, refundId: 'rfnd_test_2' });
+
+      const originals = await Invoice.find({ _id: notes.map((note) => note.originalInvoice) });
+      const references = new Map(originals.map((doc) => [String(doc._id), doc.reference]));
+      const credited = notes.map((note) => [
+        references.get(String(note.originalInvoice)),
+        note.totals.total,
+      ]);
+      expect(credited).toEqual([
+        ['payment:pay_top_up', 19],
+        ['platform:payment:pay_top_up', 1],
+        ['payment:pay_test_1', 9.5],
+        ['platform:payment:pay_test_1', 0.5],
+      ]);
+    });
+
+    it('should bundle invoices for a date range into a zip', async () => {
+      const today = new Date();
+      const day = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(
+        today.getDate()
+      ).padStart(2, '0')}`;
+
+      const res = await api
+        .get(`/api/v1/bookings/invoices/archive?from=${day}&to=${day}`, driverToken)
+        .buffer(true)
+        .parse(binary);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.headers['content-type']).toMatch(/application\/zip/);
+      expect(res.body.subarray(0, 2).toString()).toEqual('PK');
+    });
+
+    it('should not show invoices to other users', async () => {
+      await createTestUser({ email: 'other@example.com', phone: '5556667777' });
+      const otherToken = (
+        await request(app)
+          .post('/api/v1/auth/login')
+          .send({ email: 'other@example.com', password: 'test1234' })
+      ).body.token;
+
+      const res = await api.get(`/api/v1/bookings/${booking._id}/invoice`, otherToken);
+
+      expect(res.statusCode).toEqual(403);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const {
+  createTestUser,
+  createTestParking,
+  createTestBooking,
+  login,
+  api,
+} = require('../src/test/testHelper');
+
+describe('Parking layout', () => {
+  let ownerToken;
+  let driver;
+  let driverToken;
+  let parking;
+
+  const levels = [
+    {
+      code: 'G',
+      name: 'Ground',
+      width: 50,
+      height: 30,
+      zones: [{ code: 'A', name: 'Zone A', color: '#1e88e5' }],
+      accessPoints: [
+        { name: 'Main gate', type: 'entry', x: 0, y: 15 },
+        { name: 'Lift', type: 'lift', x: 48, y: 2 },
+      ],
+    },
+  ];
+
+  beforeEach(async () => {
+    const owner = await createTestUser({ role: 'owner', email: 'owner@example.com', phone: '0987654321' });
+    driver = await createTestUser();
+    ownerToken = await login('owner@example.com');
+    driverToken = await login('test@example.com');
+    parking = await createTestParking(owner._id);
+  });
+
+  const placeSlots = () =>
+    api.patch(
+      `/api/v1/parkings/${parking._id}/layout`,
+      {
+        levels,
+        slots: [
+          { slot: 'slot-1', position: { level: 'G', zone: 'A', row: '1', x: 5, y: 5 } },
+          { slot: 'slot-2', position: { level: 'G', zone: 'A', row: '1', x: 8, y: 5 } },
+        ],
+      },
+      ownerToken
+    );
+
+  it('should save levels and slot positions', async () => {
+    const res = await placeSlots();
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data.levels[0].code).toEqual('G');
+    expect(res.body.data.slots[0].position).toMatchObject({ level: 'G', x: 5, y: 5 });
+  });
+
+  it('should reject slots outside the floor plan or on unknown levels', async () => {
+    const res = await api.patch(
+      `/api/v1/parkings/${parking._id}/layout`,
+      {
+        levels,
+        slots: [
+          { slot: 'slot-1', position: { level: 'G', x: 500, y: 5 } },
+          { slot: 'slot-2', position: { level: 'B1', x: 5, y: 5 } },
+        ],
+      },
+      ownerToken
+    );
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.message).toMatch(/outside level G/);
+    expect(res.body.message).toMatch(/unknown level B1/);
+  });
+
+  it('should not let drivers change the layout', async () => {
+    const res = await api.patch(`/api/v1/parkings/${parking._id}/layout`, { levels }, driverToken);
+
+    expect(res.statusCode).toEqual(403);
+  });
+
+  it('should show live slot statuses on the map', async () => {
+    await placeSlots();
+    await createTestBooking(driver._id, parking._id, parking.slots[0]._id, {
+      status: 'checked-in',
+      startTime: new Date(Date.now() - 30 * 60 * 1000),
+      checkInTime: new Date(Date.now() - 30 * 60 * 1000),
+    });
+
+    const res = await api.get(`/api/v1/parkings/${parking._id}/layout/live?level=G`);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data.slots).toHaveLength(2);
+    expect(res.body.data.slots[0].status).toEqual('occupied');
+    expect(res.body.data.summary).toEqual({ occupied: 1, available: 1 });
+  });
+
+  it('should guide drivers to their slot', async () => {
+    await placeSlots();
+    const booking = await createTestBooking(driver._id, parking._id, parking.slots[1]._id);
+
+    const res = await api.get(`/api/v1/bookings/${booking._id}/directions`, driverToken);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data.directions.level.code).toEqual('G');
+    expect(res.body.data.directions.zone.name).toEqual('Zone A');
+    expect(res.body.data.directions.driveInVia.name).toEqual('Main gate');
+    expect(res.body.data.directions.walkOutVia.name).toEqual('Lift');
+  });
+});
@@ -0,0 +1,135 @@
+const Parking = require('../src/models/parking.model');
+const { createTestUser, createTestParking, login, api } = require('../src/test/testHelper');
+
+describe('Listing moderation', () => {
+  let ownerToken;
+  let adminToken;
+  let driverToken;
+  let parking;
+
+  beforeEach(async () => {
+    const owner = await createTestUser({ role: 'owner', email: 'owner@example.com', phone: '0987654321' });
+    await createTestUser({ role: 'admin', email: 'admin@example.com', phone: '1122334455' });
+    await createTestUser();
+    ownerToken = await login('owner@example.com');
+    adminToken = await login('admin@example.com');
+    driverToken = await login('test@example.com');
+
+    // A listing as an owner submits it, before review
+    parking = await createTestParking(owner._id, { name: 'Fresh Parking', moderation: {} });
+  });
+
+  const decide = (status, reason) =>
+    api.patch(`/api/v1/admin/parkings/${parking._id}/status`, { status, reason }, adminToken);
+
+  const book = () =>
+    api.post(
+      '/api/v1/bookings',
+      {
+        parking: parking._id,
+        slot: parking.slots[0]._id,
+        startTime: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        endTime: new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString(),
+        vehicle: { type: 'car', number: 'KA01AB1234' },
+      },
+      driverToken
+    );
+
+  const listedNames = async () =>
+    (await api.get('/api/v1/parkings')).body.data.parkings.map((item) => item.name);
+
+  it('should keep new listings pending and out of search', async () => {
+    expect(parking.moderation.status).toEqual('pending');
+    expect(parking.moderation.history[0].action).toEqual('submitted');
+    expect(await listedNames()).not.toContain('Fresh Parking');
+
+    const res = await book();
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.message).toMatch(/not taking bookings/);
+  });
+
+  it('should list a listing once an admin approves it', async () => {
+    const res = await decide('approved');
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data.parking.moderation.status).toEqual('approved');
+    expect(await listedNames()).toContain('Fresh Parking');
+  });
+
+  it('should not let owners approve their own listing', async () => {
+    await api.patch(
+      `/api/v1/parkings/${parking._id}`,
+      { moderation: { status: 'approved' } },
+      ownerToken
+    );
+
+    const stored = await Parking.findById(parking._id);
+    expect(stored.moderation.status).toEqual('pending');
+  });
+
+  it('should need a reason to reject a listing', async () => {
+    const res = await decide('rejected');
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.message).toMatch(/reason/);
+  });
+
+  it('should show the changes in a resubmitted listing', async () => {
+    await decide('rejected', 'The description does not say where the entrance is');
+
+    const res = await api.post(
+      `/api/v1/parkings/${parking._id}/resubmit`,
+      { features: ['cctv'], description: 'Entrance on MG Road', note: 'Added the entrance' },
+      ownerToken
+    );
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data.parking.moderation.status).toEqual('pending');
+    const fields = res.body.data.changes.map((change) => change.field);
+    expect(fields).toEqual(['description', 'features']);
+
+    const history = await api.get(`/api/v1/parkings/${parking._id}/moderation`, ownerToken);
+    expect(history.body.data.history.map((entry) => entry.action)).toEqual([
+      'submitted',
+      'rejected',
+      'resubmitted',
+    ]);
+    expect(history.body.data.history[1].reason).toMatch(/entrance/);
+  });
+
+  it('should not resubmit a listing that was not rejected', async () => {
+    const res = await api.post(
+      `/api/v1/parkings/${parking._id}/resubmit`,
+      { description: 'Changed' },
+      ownerToken
+    );
+
+    expect(res.statusCode).toEqual(400);
+  });
+
+  it('should block bookings while a listing is suspended', async () => {
+    await decide('approved');
+    await decide('suspended', 'Repeated complaints about blocked exits');
+
+    const res = await book();
+    expect(res.statusCode).toEqual(400);
+    expect(await listedNames()).not.toContain('Fresh Parking');
+
+    await decide('approved');
+    const stored = await Parking.findById(parking._id);
+    expect(stored.moderation.history.map((entry) => entry.action)).toEqual([
+      'submitted',
+      'approved',
+      'suspended',
+      'reinstated',
+    ]);
+  });
+
+  it('should list pending listings in the review queue', async () => {
+    const res = await api.get('/api/v1/admin/parkings/moderation', adminToken);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data.parkings.map((item) => item.name)).toEqual(['Fresh Parking']);
+    expect(res.body.data.parkings[0].moderation).not.toHaveProperty('submission');
+  });
+});
@@ -0,0 +1,67 @@
+const Booking = require('../src/models/booking.model');
+const Parking = require('../src/models/parking.model');
+const ParkingEvent = require('../src/models/parkingEvent.model');
+const { createTestUser, createTestParking, createTestBooking } = require('../src/test/testHelper');
+const { noShowFee, detectNoShows } = require('../src/services/noShow.service');
+
+describe('No-show detection', () => {
+  describe('noShowFee', () => {
+    it('should apply each fee policy', () => {
+      expect(noShowFee({ feeType: 'full' }, 200)).toBe(200);
+      expect(noShowFee({ feeType: 'none' }, 200)).toBe(0);
+      expect(noShowFee({ feeType: 'fixed', feeValue: 50 }, 200)).toBe(50);
+      expect(noShowFee({ feeType: 'fixed', feeValue: 500 }, 200)).toBe(200);
+      expect(noShowFee({ feeType: 'percentage', feeValue: 25 }, 200)).toBe(50);
+    });
+  });
+
+  describe('detectNoShows', () => {
+    let user;
+    let parking;
+
+    beforeEach(async () => {
+      user = await createTestUser();
+      const owner = await createTestUser({
+        role: 'owner',
+        email: 'owner@example.com',
+        phone: '0987654321',
+      });
+      parking = await createTestParking(owner._id, {
+        noShowPolicy: { graceMinutes: 15, feeType: 'full' },
+      });
+      await Parking.updateOne(
+        { 'slots._id': parking.slots[0]._id },
+        { $set: { 'slots.$.status': 'reserved' } }
+      );
+    });
+
+    it('should mark bookings past the grace period and release the slot', async () => {
+      const booking = await createTestBooking(user._id, parking._id, parking.slots[0]._id, {
+        startTime: new Date(Date.now() - 20 * 60 * 1000),
+        endTime: new Date(Date.now() + 40 * 60 * 1000),
+      });
+
+      const marked = await detectNoShows();
+
+      expect(marked).toBe(1);
+      const updated = await Booking.findById(booking._id);
+      expect(updated.status).toEqual('no-show');
+      expect(updated.noShow.fee).toEqual(100);
+      const updatedParking = await Parking.findById(parking._id);
+      expect(updatedParking.slots[0].status).toEqual('available');
+      expect(await ParkingEvent.countDocuments({ parking: parking._id, type: 'no-show' })).toBe(1);
+    });
+
+    it('should leave bookings inside the grace period or checked in alone', async () => {
+      await createTestBooking(user._id, parking._id, parking.slots[0]._id, {
+        startTime: new Date(Date.now() - 5 * 60 * 1000),
+      });
+      await createTestBooking(user._id, parking._id, parking.slots[1]._id, {
+        startTime: new Date(Date.now() - 60 * 60 * 1000),
+        checkInTime: new Date(Date.now() - 55 * 60 * 1000),
+      });
+
+      expect(await detectNoShows()).toBe(0);
+    });
+  });
+});
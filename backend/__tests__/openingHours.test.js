@@ -0,0 +1,120 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { isOpenFor, isOpenAt, hoursOn } = require('../src/services/openingHours.service');
+const { createTestUser, createTestParking, api } = require('../src/test/testHelper');
+
+const at = (iso) => new Date(iso);
+const openBetween = (parking, from, to) => isOpenFor(parking, at(from), at(to));
+
+describe('Opening hours', () => {
+  // 2024-05-10 is a Friday; India is UTC+05:30 all year
+  const nightOwl = {
+    timezone: 'Asia/Kolkata',
+    openingHours: {
+      friday: [{ open: '22:00', close: '06:00' }],
+      saturday: [
+        { open: '08:00', close: '12:00' },
+        { open: '14:00', close: '18:00' },
+      ],
+    },
+    specialHours: [{ date: '2024-05-18', intervals: [{ open: '10:00', close: '11:00' }] }],
+  };
+
+  it('should keep overnight spans open past midnight', () => {
+    expect(openBetween(nightOwl, '2024-05-10T23:00+05:30', '2024-05-11T05:00+05:30')).toBe(true);
+    expect(openBetween(nightOwl, '2024-05-10T23:00+05:30', '2024-05-11T07:00+05:30')).toBe(false);
+  });
+
+  it('should support several intervals a day', () => {
+    expect(isOpenAt(nightOwl, at('2024-05-11T09:00+05:30'))).toBe(true);
+    expect(isOpenAt(nightOwl, at('2024-05-11T13:00+05:30'))).toBe(false);
+    expect(openBetween(nightOwl, '2024-05-11T11:00+05:30', '2024-05-11T15:00+05:30')).toBe(false);
+  });
+
+  it('should let dated special hours replace the weekly hours', () => {
+    expect(isOpenAt(nightOwl, at('2024-05-18T09:00+05:30'))).toBe(false);
+    expect(isOpenAt(nightOwl, at('2024-05-18T10:30+05:30'))).toBe(true);
+    expect(hoursOn(nightOwl, at('2024-05-18T10:30+05:30')).intervals).toEqual([
+      { open: '10:00', close: '11:00' },
+    ]);
+  });
+
+  it('should close 24x7 parkings on holidays', () => {
+    const allDay = { is24x7: true, specialHours: [{ date: '2024-12-25', closed: true }] };
+    expect(openBetween(allDay, '2024-12-23T10:00+05:30', '2024-12-24T20:00+05:30')).toBe(true);
+    expect(isOpenAt(allDay, at('2024-12-25T10:00+05:30'))).toBe(false);
+  });
+
+  it("should read hours in the parking's own time zone", () => {
+    const newYork = {
+      timezone: 'America/New_York',
+      openingHours: { monday: [{ open: '09:00', close: '17:00' }] },
+    };
+    // 09:30 in New York on 2024-05-06 is 13:30 UTC
+    expect(isOpenAt(newYork, at('2024-05-06T13:30Z'))).toBe(true);
+    expect(isOpenAt(newYork, at('2024-05-06T09:30Z'))).toBe(false);
+  });
+
+  describe('booking', () => {
+    let token;
+    let parking;
+
+    beforeEach(async () => {
+      await createTestUser();
+      token = (
+        await request(app)
+          .post('/api/v1/auth/login')
+          .send({ email: 'test@example.com', password: 'test1234' })
+      ).body.token;
+
+      const owner = await createTestUser({ role: 'owner', email: 'owner@example.com', phone: '0987654321' });
+      const everyDay = [{ open: '08:00', close: '20:00' }];
+      parking = await createTestParking(owner._id, {
+        is24x7: false,
+        timezone: 'UTC',
+        openingHours: {
+          monday: everyDay,
+          tuesday: everyDay,
+          wednesday: everyDay,
+          thursday: everyDay,
+          friday: everyDay,
+          saturday: everyDay,
+          sunday: everyDay,
+        },
+      });
+    });
+
+    const tomorrowAt = (hour) => {
+      const date = new Date(Date.now() + 24 * 60 * 60 * 1000);
+      date.setUTCHours(hour, 0, 0, 0);
+      return date;
+    };
+
+    it('should refuse bookings outside opening hours', async () => {
+      const res = await api.post(
+        '/api/v1/bookings',
+        {
+          parking: parking._id,
+          slot: parking.slots[0]._id,
+          startTime: tomorrowAt(19).toISOString(),
+          endTime: tomorrowAt(21).toISOString(),
+          vehicle: { type: 'car', number: 'KA01AB1234' },
+        },
+        token
+      );
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toMatch(/closed/);
+    });
+
+    it("should report the day's hours when closed", async () => {
+      const res = await api.get(
+        `/api/v1/parkings/${parking._id}/availability?date=${tomorrowAt(21).toISOString()}`
+      );
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.isOpen).toBe(false);
+      expect(res.body.data.openingHours.intervals).toEqual([{ open: '08:00', close: '20:00' }]);
+    });
+  });
+});
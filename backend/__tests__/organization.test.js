@@ -0,0 +1,183 @@
+const Organization = require('../src/models/organization.model');
+const OrganizationMember = require('../src/models/organizationMember.model');
+const Booking = require('../src/models/booking.model');
+const Parking = require('../src/models/parking.model');
+const User = require('../src/models/user.model');
+const {
+  billableAmount,
+  billableAmountExpression,
+} = require('../src/services/organization.service');
+const {
+  createTestUser,
+  createTestParking,
+  createTestBooking,
+  login,
+  api,
+} = require('../src/test/testHelper');
+
+describe('Organisations', () => {
+  let orgAdmin;
+  let adminToken;
+  let employee;
+  let employeeToken;
+  let parking;
+  let organization;
+
+  const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  const endTime = new Date(startTime.getTime() + 2 * 60 * 60 * 1000);
+  const month = `${startTime.getFullYear()}-${String(startTime.getMonth() + 1).padStart(2, '0')}`;
+  const bookingFor = (extra = {}) => ({
+    parking: parking._id,
+    slot: parking.slots[0]._id,
+    startTime: startTime.toISOString(),
+    endTime: endTime.toISOString(),
+    vehicle: { type: 'car', number: 'KA01AB1234' },
+    organization: organization._id,
+    ...extra,
+  });
+
+  beforeEach(async () => {
+    orgAdmin = await createTestUser({ email: 'boss@example.com', phone: '1112223333' });
+    employee = await createTestUser({ email: 'staff@example.com', phone: '4445556666' });
+    adminToken = await login('boss@example.com');
+    employeeToken = await login('staff@example.com');
+
+    const owner = await createTestUser({ role: 'owner', email: 'owner@example.com', phone: '0987654321' });
+    parking = await createTestParking(owner._id);
+
+    const res = await api.post('/api/v1/organizations', { name: 'Acme Corp' }, adminToken);
+    organization = res.body.data.organization;
+  });
+
+  it('should let an invited user join with the invitation link', async () => {
+    const invite = await api.post(
+      `/api/v1/organizations/${organization._id}/members`,
+      { email: 'staff@example.com' },
+      adminToken
+    );
+    expect(invite.statusCode).toEqual(201);
+
+    const { pathname } = new URL(invite.body.data.inviteUrl);
+    const res = await api.post(pathname, {}, employeeToken);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data.member.status).toEqual('active');
+  });
+
+  it('should not let plain members manage the organisation', async () => {
+    await OrganizationMember.create({
+      organization: organization._id,
+      user: employee._id,
+      email: employee.email,
+      status: 'active',
+    });
+
+    const res = await api.get(`/api/v1/organizations/${organization._id}/members`, employeeToken);
+
+    expect(res.statusCode).toEqual(403);
+  });
+
+  describe('booking under the organisation', () => {
+    beforeEach(async () => {
+      await OrganizationMember.create({
+        organization: organization._id,
+        user: employee._id,
+        email: employee.email,
+        status: 'active',
+      });
+    });
+
+    it('should confirm bookings within policy and bill them to the organisation', async () => {
+      const res = await api.post('/api/v1/bookings', bookingFor(), employeeToken);
+
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.data.booking.status).toEqual('confirmed');
+      expect(res.body.data.booking.payment.method).toEqual('invoice');
+    });
+
+    it('should refuse parkings the policy does not allow', async () => {
+      const other = await createTestParking(orgAdmin._id, { name: 'Other Parking' });
+      await Organization.updateOne(
+        { _id: organization._id },
+        { 'policy.allowedParkings': [other._id] }
+      );
+
+      const res = await api.post('/api/v1/bookings', bookingFor(), employeeToken);
+
+      expect(res.statusCode).toEqual(403);
+    });
+
+    it('should hold bookings over the limit until an org admin approves them', async () => {
+      await Organization.updateOne({ _id: organization._id }, { 'policy.perBookingLimit': 10 });
+
+      const createRes = await api.post('/api/v1/bookings', bookingFor(), employeeToken);
+      expect(createRes.statusCode).toEqual(201);
+      expect(createRes.body.data.booking.status).toEqual('pending');
+      expect(createRes.body.data.booking.approval.status).toEqual('pending');
+
+      const pending = await api.get(
+        `/api/v1/organizations/${organization._id}/approvals`,
+        adminToken
+      );
+      expect(pending.body.results).toEqual(1);
+
+      const res = await api.patch(
+        `/api/v1/organizations/${organization._id}/approvals/${createRes.body.data.booking._id}`,
+        { decision: 'approve' },
+        adminToken
+      );
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.booking.status).toEqual('confirmed');
+    });
+
+    it('should list billed bookings on the monthly statement', async () => {
+      const booking = (await api.post('/api/v1/bookings', bookingFor(), employeeToken)).body.data
+        .booking;
+
+      const res = await api.get(
+        `/api/v1/organizations/${organization._id}/statements/${month}`,
+        adminToken
+      );
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.statement.lines).toHaveLength(1);
+      expect(res.body.data.statement.total).toEqual(booking.amount);
+      expect(res.body.data.statement.members[0].email).toEqual('staff@example.com');
+    });
+
+    it('should still build the statement once a member or parking is deactivated', async () => {
+      await api.post('/api/v1/bookings', bookingFor(), employeeToken);
+      await User.updateOne({ _id: employee._id }, { active: false });
+      await Parking.updateOne({ _id: parking._id }, { isActive: false });
+
+      const res = await api.get(
+        `/api/v1/organizations/${organization._id}/statements/${month}`,
+        adminToken
+      );
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.statement.lines).toHaveLength(1);
+      expect(res.body.data.statement.lines[0].parking).toBeNull();
+      expect(res.body.data.statement.members[0].user).toEqual(employee._id.toString());
+    });
+
+    it('should settle each booking at the amount billed for it', async () => {
+      const booking = await createTestBooking(employee._id, parking._id, parking.slots[0]._id, {
+        organization: organization._id,
+        status: 'no-show',
+        amount: 100,
+        noShow: { fee: 30 },
+        overstay: { amount: 15 },
+        payment: { method: 'invoice', status: 'pending' },
+      });
+
+      await Booking.updateMany({ _id: booking._id }, [
+        { $set: { 'payment.capturedAmount': billableAmountExpression } },
+      ]);
+
+      const settled = await Booking.findById(booking._id);
+      expect(settled.payment.capturedAmount).toEqual(45);
+      expect(settled.payment.capturedAmount).toEqual(billableAmount(settled));
+    });
+  });
+});
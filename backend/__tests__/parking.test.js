@@ -51,6 +51,50 @@ describe('Parking API', () => {
       expect(res.body.data.parkings.length).toBe(1);
       expect(res.body.data.parkings[0].location.address).toMatch(/chennai/i);
     });
+
+    it('should only list parkings open for the requested time', async () => {
+      // 20:00 tomorrow in Kolkata
+      const from = new Date();
+      from.setUTCDate(from.getUTCDate() + 1);
+      from.setUTCHours(14, 30, 0, 0);
+      const date = from.toISOString().slice(0, 10);
+      await createTestParking(testUser._id, { name: 'Round The Clock' });
+      await createTestParking(testUser._id, {
+        name: 'Day Time Only',
+        is24x7: false,
+        timezone: 'Asia/Kolkata',
+        openingHours: Object.fromEntries(
+          ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'].map(
+            (day) => [day, [{ open: '09:00', close: '18:00' }]]
+          )
+        )
+      });
+      await createTestParking(testUser._id, {
+        name: 'Closed Tomorrow',
+        timezone: 'Asia/Kolkata',
+        specialHours: [{ date, closed: true }]
+      });
+
+      const res = await api.get(`/api/v1/parkings?openFrom=${from.toISOString()}`);
+
+      expect(res.statusCode).toEqual(200);
+      const names = res.body.data.parkings.map((parking) => parking.name);
+      expect(names).toContain('Round The Clock');
+      expect(names).not.toContain('Day Time Only');
+      expect(names).not.toContain('Closed Tomorrow');
+    });
+
+    it('should reject openFrom windows longer than the longest booking', async () => {
+      const from = new Date(Date.now() + 24 * 60 * 60 * 1000);
+      const to = new Date(from.getTime() + 32 * 24 * 60 * 60 * 1000);
+
+      const res = await api.get(
+        `/api/v1/parkings?openFrom=${from.toISOString()}&openTo=${to.toISOString()}`
+      );
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toMatch(/at most 31 days/);
+    });
   });
 
   describe('GET /api/v1/parkings/:id', () => {
@@ -214,4 +258,91 @@ describe('Parking API', () => {
       expect(res.body.data).toHaveProperty('totalSlots');
     });
   });
+
+  describe('GET /api/v1/parkings/:id/quote', () => {
+    it('should price a slot with matching dynamic pricing rules', async () => {
+      const parking = await createTestParking(testUser._id, {
+        name: 'Quoted Parking',
+        dynamicPricing: {
+          isEnabled: true,
+          rules: [
+            { name: 'Car surcharge', condition: "slotType == 'car'", multiplier: 1.5 },
+            { name: 'Truck surcharge', condition: "slotType == 'truck'", multiplier: 2 }
+          ]
+        }
+      });
+      const start = new Date(Date.now() + 60 * 60 * 1000);
+      const end = new Date(start.getTime() + 2 * 60 * 60 * 1000);
+
+      const res = await api.get(
+        `/api/v1/parkings/${parking._id}/quote?slot=${parking.slots[0]._id}` +
+          `&start=${start.toISOString()}&end=${end.toISOString()}`
+      );
+
+      expect(res.statusCode).toEqual(200);
+      const { quote } = res.body.data;
+      expect(quote.lineItems).toHaveLength(2);
+      expect(quote.lineItems[0]).toMatchObject({ type: 'base', hours: 2, amount: 100 });
+      expect(quote.lineItems[1]).toMatchObject({ type: 'dynamic', label: 'Car surcharge', amount: 50 });
+      expect(quote.total).toEqual(150);
+    });
+
+    it('should match time rules on the parking clock', async () => {
+      const parking = await createTestParking(testUser._id, {
+        name: 'Late Night Parking',
+        timezone: 'Asia/Kolkata',
+        dynamicPricing: {
+          isEnabled: true,
+          rules: [{ name: 'Late night', condition: "time == '23:00'", multiplier: 2 }]
+        }
+      });
+      // 17:30 UTC is 23:00 in Kolkata
+      const start = new Date();
+      start.setUTCDate(start.getUTCDate() + 1);
+      start.setUTCHours(17, 30, 0, 0);
+      const end = new Date(start.getTime() + 2 * 60 * 60 * 1000);
+
+      const res = await api.get(
+        `/api/v1/parkings/${parking._id}/quote?slot=${parking.slots[0]._id}` +
+          `&start=${start.toISOString()}&end=${end.toISOString()}`
+      );
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.quote.lineItems[1]).toMatchObject({ label: 'Late night', hours: 1 });
+    });
+
+    it('should return 400 without a valid time window', async () => {
+      const res = await api.get(
+        `/api/v1/parkings/${testParking._id}/quote?slot=${testParking.slots[0]._id}`
+      );
+
+      expect(res.statusCode).toEqual(400);
+    });
+
+    it('should refuse windows that are too long or already started', async () => {
+      const quote = (start, end) =>
+        api.get(
+          `/api/v1/parkings/${testParking._id}/quote?slot=${testParking.slots[0]._id}` +
+            `&start=${start}&end=${end}`
+        );
+
+      const decades = await quote('1970-01-01', '2100-01-01');
+      expect(decades.statusCode).toEqual(400);
+
+      const start = new Date(Date.now() + 60 * 60 * 1000);
+      const tooLong = await quote(
+        start.toISOString(),
+        new Date(start.getTime() + 32 * 24 * 60 * 60 * 1000).toISOString()
+      );
+      expect(tooLong.statusCode).toEqual(400);
+      expect(tooLong.body.message).toMatch(/at most 31 days/);
+
+      const past = await quote(
+        new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
+        new Date(Date.now() + 60 * 60 * 1000).toISOString()
+      );
+      expect(past.statusCode).toEqual(400);
+      expect(past.body.message).toMatch(/in the past/);
+    });
+  });
 });
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const sharp = require('sharp');
+const app = require('../src/app');
+const Parking = require('../src/models/parking.model');
+const { createTestUser, createTestParking, login, api } = require('../src/test/testHelper');
+
+// Where the local storage backend keeps a stored file
+const storedFile = (file) => path.join(process.env.MEDIA_STORAGE_DIR, file.key);
+
+// A landscape camera photo with EXIF data, taken with the camera on its side
+const cameraPhoto = () =>
+  sharp({ create: { width: 1600, height: 1200, channels: 3, background: '#3366aa' } })
+    .withMetadata({ orientation: 6, exif: { IFD0: { Make: 'PhoneCam', Copyright: 'Owner' } } })
+    .jpeg()
+    .toBuffer();
+
+describe('Parking images', () => {
+  let ownerToken;
+  let parking;
+
+  beforeEach(async () => {
+    const owner = await createTestUser({ role: 'owner', email: 'owner@example.com', phone: '0987654321' });
+    ownerToken = await login('owner@example.com');
+    parking = await createTestParking(owner._id);
+  });
+
+  const upload = async (...files) => {
+    const req = request(app)
+      .post(`/api/v1/parkings/${parking._id}/images`)
+      .set('Authorization', `Bearer ${ownerToken}`);
+    files.forEach(([buffer, name]) => req.attach('images', buffer, name));
+    return req;
+  };
+
+  it('should store thumbnail, medium and full renditions without metadata', async () => {
+    const res = await upload([await cameraPhoto(), 'entrance.jpg']);
+
+    expect(res.statusCode).toEqual(201);
+    const [image] = res.body.data.images;
+    expect(image.isCover).toBe(true);
+    expect(image.files.map((file) => file.rendition)).toEqual(['thumbnail', 'medium', 'full']);
+
+    const full = image.files.find((file) => file.rendition === 'full');
+    const meta = await sharp(storedFile(full)).metadata();
+    expect(meta.exif).toBeUndefined();
+    // Turned upright from the EXIF orientation before it was dropped
+    expect([meta.width, meta.height]).toEqual([1200, 1600]);
+
+    const served = await request(app).get(full.url);
+    expect(served.statusCode).toEqual(200);
+    expect(served.headers['content-type']).toEqual('image/jpeg');
+  });
+
+  it('should reject files that are not images whatever they are called', async () => {
+    const res = await upload([Buffer.from('#!/bin/sh\necho not a photo\n'), 'photo.jpg']);
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.message).toMatch(/not a JPEG, PNG or WebP image/);
+    const unchanged = await Parking.findById(parking._id);
+    expect(unchanged.images).toHaveLength(0);
+  });
+
+  it('should reorder images and pick the cover', async () => {
+    const photo = await cameraPhoto();
+    const { images } = (await upload([photo, 'a.jpg'], [photo, 'b.jpg'])).body.data;
+
+    const res = await api.patch(
+      `/api/v1/parkings/${parking._id}/images`,
+      {
+        images: [images[1]._id, images[0]._id],
+        cover: images[1]._id,
+        captions: { [images[1]._id]: 'Entrance ramp' },
+      },
+      ownerToken
+    );
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data.images.map((image) => image._id)).toEqual([images[1]._id, images[0]._id]);
+    expect(res.body.data.coverImage).toMatchObject({
+      _id: images[1]._id,
+      caption: 'Entrance ramp',
+    });
+  });
+
+  it('should delete the files of removed images', async () => {
+    const photo = await cameraPhoto();
+    const { images } = (await upload([photo, 'a.jpg'], [photo, 'b.jpg'])).body.data;
+
+    const res = await api.patch(
+      `/api/v1/parkings/${parking._id}`,
+      { images: [images[1]._id] },
+      ownerToken
+    );
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data.parking.images).toHaveLength(1);
+    images[0].files.forEach((file) => expect(fs.existsSync(storedFile(file))).toBe(false));
+    images[1].files.forEach((file) => expect(fs.existsSync(storedFile(file))).toBe(true));
+  });
+
+  it('should keep the IDs of photos stored as bare URLs between reads', async () => {
+    const url = 'https://cdn.example.com/old-entrance.jpg';
+    await Parking.collection.updateOne(
+      { _id: parking._id },
+      { $set: { images: [url, 'https://cdn.example.com/old-ramp.jpg', url] } }
+    );
+
+    const first = await Parking.findById(parking._id);
+    const again = await Parking.findById(parking._id);
+    const ids = first.images.map((image) => image._id.toString());
+    expect(again.images.map((image) => image._id.toString())).toEqual(ids);
+    expect(new Set(ids).size).toEqual(3);
+
+    const res = await api.delete(`/api/v1/parkings/${parking._id}/images/${ids[1]}`, ownerToken);
+
+    expect(res.statusCode).toEqual(204);
+    const updated = await Parking.findById(parking._id);
+    expect(updated.images.map((image) => image._id.toString())).toEqual([ids[0], ids[2]]);
+  });
+
+  it('should delete every image file when the parking is deleted', async () => {
+    const { images } = (await upload([await cameraPhoto(), 'a.jpg'])).body.data;
+
+    await request(app)
+      .delete(`/api/v1/parkings/${parking._id}`)
+      .set('Authorization', `Bearer ${ownerToken}`);
+
+    images[0].files.forEach((file) => expect(fs.existsSync(storedFile(file))).toBe(false));
+  });
+});
@@ -0,0 +1,329 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../src/app');
+const Pass = require('../src/models/pass.model');
+const PassProduct = require('../src/models/passProduct.model');
+const Parking = require('../src/models/parking.model');
+const { scheduleCovers, scheduleOverlaps } = require('../src/utils/weeklySchedule');
+const { applyPassPayment, expirePasses } = require('../src/services/pass.service');
+const { createTestUser, createTestParking, api } = require('../src/test/testHelper');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+process.env.RAZORPAY_KEY_SECRET = process.env.RAZORPAY_KEY_SECRET || 'test_key_secret';
+
+describe('Parking passes', () => {
+  describe('schedules', () => {
+    const ZONE = 'Asia/Kolkata';
+    // 2024-05-06 is a Monday; times are on the Kolkata clock
+    const at = (day, time) => new Date(`2024-05-${day}T${time}:00+05:30`);
+    const weekdayDaytime = {
+      days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
+      startTime: '08:00',
+      endTime: '20:00',
+    };
+
+    it('should only cover the scheduled days and hours', () => {
+      expect(scheduleCovers(weekdayDaytime, at('06', '09:00'), ZONE)).toBe(true);
+      expect(scheduleCovers(weekdayDaytime, at('06', '21:00'), ZONE)).toBe(false);
+      expect(scheduleCovers(weekdayDaytime, at('05', '09:00'), ZONE)).toBe(false);
+    });
+
+    it('should read days and hours on the given zone clock', () => {
+      // 08:30 on Monday in Kolkata is still 04:00 in London
+      expect(scheduleCovers(weekdayDaytime, at('06', '08:30'), ZONE)).toBe(true);
+      expect(scheduleCovers(weekdayDaytime, at('06', '08:30'), 'Europe/London')).toBe(false);
+      // 02:00 on Monday in Kolkata is still Sunday in New York
+      expect(scheduleCovers({ days: ['monday'] }, at('06', '02:00'), ZONE)).toBe(true);
+      expect(scheduleCovers({ days: ['monday'] }, at('06', '02:00'), 'America/New_York')).toBe(
+        false
+      );
+    });
+
+    it('should handle windows running past midnight', () => {
+      const nights = { startTime: '20:00', endTime: '06:00' };
+      expect(scheduleCovers(nights, at('07', '02:00'), ZONE)).toBe(true);
+      expect(scheduleCovers(nights, at('07', '12:00'), ZONE)).toBe(false);
+      expect(scheduleOverlaps(nights, at('07', '05:00'), at('07', '07:00'), ZONE)).toBe(true);
+    });
+
+    it('should treat an empty schedule as 24x7', () => {
+      expect(scheduleCovers({}, at('05', '03:00'), ZONE)).toBe(true);
+    });
+  });
+
+  describe('buying and using passes', () => {
+    let owner;
+    let ownerToken;
+    let driver;
+    let driverToken;
+    let parking;
+
+    beforeEach(async () => {
+      owner = await createTestUser({ role: 'owner', email: 'owner@example.com', phone: '0987654321' });
+      driver = await createTestUser({ role: 'user' });
+      ownerToken = (
+        await request(app)
+          .post('/api/v1/auth/login')
+          .send({ email: 'owner@example.com', password: 'test1234' })
+      ).body.token;
+      driverToken = (
+        await request(app)
+          .post('/api/v1/auth/login')
+          .send({ email: 'test@example.com', password: 'test1234' })
+      ).body.token;
+
+      parking = await createTestParking(owner._id);
+    });
+
+    it('should let owners create pass products for their parking', async () => {
+      const res = await api.post(
+        `/api/v1/parkings/${parking._id}/pass-products`,
+        { name: 'Monthly 24x7', price: 3000, capacity: 2, slotMode: 'reserved' },
+        ownerToken
+      );
+
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.data.product.durationDays).toEqual(30);
+    });
+
+    it('should give a reserved pass its own slot and stop selling at capacity', async () => {
+      const product = await PassProduct.create({
+        parking: parking._id,
+        name: 'Reserved monthly',
+        price: 4000,
+        capacity: 1,
+        slotMode: 'reserved',
+      });
+
+      const res = await api.post('/api/v1/passes', { product: product._id }, driverToken);
+
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.data.pass.status).toEqual('pending');
+      const updated = await Parking.findById(parking._id);
+      const slot = updated.slots.id(res.body.data.pass.slot);
+      expect(slot.status).toEqual('reserved');
+      expect(slot.pass.toString()).toEqual(res.body.data.pass._id);
+
+      const other = await createTestUser({ email: 'other@example.com', phone: '1112223333' });
+      const otherToken = (
+        await request(app)
+          .post('/api/v1/auth/login')
+          .send({ email: other.email, password: 'test1234' })
+      ).body.token;
+      const soldOut = await api.post('/api/v1/passes', { product: product._id }, otherToken);
+      expect(soldOut.statusCode).toEqual(400);
+    });
+
+    it('should not activate a pending pass paid after its hold ran out', async () => {
+      const product = await PassProduct.create({
+        parking: parking._id,
+        name: 'Floating monthly',
+        price: 2500,
+        capacity: 1,
+      });
+      const pass = await Pass.create({
+        user: driver._id,
+        parking: parking._id,
+        product: product._id,
+        price: product.price,
+        durationDays: product.durationDays,
+        status: 'pending',
+        holdExpiresAt: new Date(Date.now() - 60 * 1000),
+      });
+
+      const paid = await applyPassPayment(pass._id, {
+        paymentId: 'pay_late_1',
+        orderId: 'order_late_1',
+        amount: product.price,
+        paidAt: new Date(),
+      });
+
+      expect(paid).toBeNull();
+      expect((await Pass.findById(pass._id)).status).toEqual('pending');
+    });
+
+    it('should refund a pass payment verified after the hold ran out, once', async () => {
+      // The payment provider client the payment controller created when the app loaded
+      const razorpay = require('razorpay').mock.results[0].value;
+      const product = await PassProduct.create({
+        parking: parking._id,
+        name: 'Floating monthly',
+        price: 2500,
+        capacity: 1,
+      });
+      const pass = await Pass.create({
+        user: driver._id,
+        parking: parking._id,
+        product: product._id,
+        price: product.price,
+        durationDays: product.durationDays,
+        status: 'pending',
+        holdExpiresAt: new Date(Date.now() - 60 * 1000),
+        payment: { orderId: 'order_pass_1' },
+      });
+      const verify = () =>
+        api.post(
+          '/api/v1/payments/verify-pass',
+          {
+            passId: pass._id,
+            paymentId: 'pay_late_1',
+            signature: crypto
+              .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+              .update('order_pass_1|pay_late_1')
+              .digest('hex'),
+          },
+          driverToken
+        );
+      razorpay.payments.refund.mockClear();
+
+      expect((await verify()).statusCode).toEqual(409);
+      expect((await verify()).statusCode).toEqual(409);
+
+      expect(razorpay.payments.refund).toHaveBeenCalledTimes(1);
+      expect(razorpay.payments.refund).toHaveBeenCalledWith(
+        'pay_late_1',
+        expect.objectContaining({ amount: 250000 })
+      );
+      const refunded = await Pass.findById(pass._id);
+      expect(refunded.status).toEqual('pending');
+      expect(refunded.refunds).toHaveLength(1);
+      expect(refunded.refunds[0]).toMatchObject({
+        paymentId: 'pay_late_1',
+        refundId: 'rfnd_test_123',
+      });
+    });
+
+    it('should stop the renewals of auto-renewing passes that end', async () => {
+      const razorpay = require('razorpay').mock.results[0].value;
+      const product = await PassProduct.create({
+        parking: parking._id,
+        name: 'Floating monthly',
+        price: 2500,
+        capacity: 5,
+      });
+      const createPass = (subscriptionId, data) =>
+        Pass.create({
+          user: driver._id,
+          parking: parking._id,
+          product: product._id,
+          price: product.price,
+          durationDays: product.durationDays,
+          autoRenew: true,
+          payment: { subscriptionId },
+          ...data,
+        });
+      const unpaid = await createPass('sub_unpaid', {
+        status: 'pending',
+        holdExpiresAt: new Date(Date.now() - 60 * 1000),
+      });
+      const lapsed = await createPass('sub_lapsed', {
+        status: 'active',
+        currentPeriod: {
+          start: new Date(Date.now() - 40 * DAY_MS),
+          end: new Date(Date.now() - 10 * DAY_MS),
+        },
+      });
+      const cancelled = await createPass('sub_cancelled', {
+        status: 'pending',
+        holdExpiresAt: new Date(Date.now() + 60 * 1000),
+      });
+      razorpay.subscriptions.cancel.mockClear();
+
+      expect(await expirePasses()).toEqual(2);
+      const res = await api.patch(`/api/v1/passes/${cancelled._id}/cancel`, {}, driverToken);
+
+      expect(res.statusCode).toEqual(200);
+      expect((await Pass.findById(unpaid._id)).status).toEqual('cancelled');
+      expect((await Pass.findById(lapsed._id)).status).toEqual('expired');
+      expect(razorpay.subscriptions.cancel.mock.calls.map(([id]) => id).sort()).toEqual([
+        'sub_cancelled',
+        'sub_lapsed',
+        'sub_unpaid',
+      ]);
+    });
+
+    it('should hold back room for active floating passes in availability', async () => {
+      const product = await PassProduct.create({
+        parking: parking._id,
+        name: 'Floating monthly',
+        price: 2500,
+        capacity: 5,
+      });
+      await Pass.create({
+        user: driver._id,
+        parking: parking._id,
+        product: product._id,
+        price: product.price,
+        durationDays: product.durationDays,
+        status: 'active',
+        currentPeriod: { start: new Date(Date.now() - DAY_MS), end: new Date(Date.now() + DAY_MS) },
+      });
+
+      const res = await request(app).get(`/api/v1/parkings/${parking._id}/availability`);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.reservedForPasses).toEqual(1);
+      expect(res.body.data.availableSlots).toEqual(parking.slots.length - 1);
+    });
+
+    it('should check a floating pass holder in and out without a booking', async () => {
+      const product = await PassProduct.create({
+        parking: parking._id,
+        name: 'Floating monthly',
+        price: 2500,
+        capacity: 5,
+      });
+      const pass = await Pass.create({
+        user: driver._id,
+        parking: parking._id,
+        product: product._id,
+        price: product.price,
+        durationDays: product.durationDays,
+        status: 'active',
+        currentPeriod: { start: new Date(Date.now() - DAY_MS), end: new Date(Date.now() + DAY_MS) },
+      });
+
+      const checkIn = await api.post(
+        `/api/v1/passes/${pass._id}/check-in`,
+        { qrCode: pass.qrCode },
+        ownerToken
+      );
+      expect(checkIn.statusCode).toEqual(200);
+      const slotId = checkIn.body.data.pass.currentVisit.slot;
+      expect((await Parking.findById(parking._id)).slots.id(slotId).status).toEqual('occupied');
+
+      const checkOut = await api.post(
+        `/api/v1/passes/${pass._id}/check-out`,
+        { qrCode: pass.qrCode },
+        ownerToken
+      );
+      expect(checkOut.statusCode).toEqual(200);
+      expect((await Parking.findById(parking._id)).slots.id(slotId).status).toEqual('available');
+    });
+
+    it('should reject a pass QR code at check-in for bookings', async () => {
+      const product = await PassProduct.create({
+        parking: parking._id,
+        name: 'Floating monthly',
+        price: 2500,
+        capacity: 5,
+      });
+      const pass = await Pass.create({
+        user: driver._id,
+        parking: parking._id,
+        product: product._id,
+        price: product.price,
+        durationDays: product.durationDays,
+      });
+
+      const res = await api.post(
+        `/api/v1/bookings/${pass._id}/check-in`,
+        { qrCode: pass.qrCode },
+        ownerToken
+      );
+
+      expect(res.statusCode).toEqual(400);
+    });
+  });
+});
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../src/app');
+const Booking = require('../src/models/booking.model');
+const { expireStaleHolds } = require('../src/services/slotHold.service');
+const {
+  createTestUser,
+  createTestParking,
+  createTestBooking,
+  login,
+  api,
+} = require('../src/test/testHelper');
+
+process.env.RAZORPAY_KEY_SECRET = process.env.RAZORPAY_KEY_SECRET || 'test_key_secret';
+process.env.RAZORPAY_WEBHOOK_SECRET =
+  process.env.RAZORPAY_WEBHOOK_SECRET || 'test_webhook_secret';
+
+const sign = (orderId, paymentId) =>
+  crypto
+    .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+    .update(`${orderId}|${paymentId}`)
+    .digest('hex');
+
+// Razorpay's notification of a captured payment, signed like the real one
+const paymentCaptured = (orderId, paymentId, amount) => {
+  const body = {
+    event: 'payment.captured',
+    payload: {
+      payment: {
+        entity: {
+          id: paymentId,
+          order_id: orderId,
+          amount: amount * 100,
+          created_at: Math.floor(Date.now() / 1000),
+        },
+      },
+    },
+  };
+  const signature = crypto
+    .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET)
+    .update(JSON.stringify(body))
+    .digest('hex');
+  return request(app)
+    .post('/api/v1/payments/webhook')
+    .set('x-razorpay-signature', signature)
+    .send(body);
+};
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Payment verification', () => {
+  let driver;
+  let token;
+  let parking;
+  let startTime;
+  let endTime;
+
+  beforeEach(async () => {
+    driver = await createTestUser();
+    token = await login('test@example.com');
+    const owner = await createTestUser({ role: 'owner', email: 'owner@example.com', phone: '0987654321' });
+    parking = await createTestParking(owner._id);
+    startTime = new Date(Date.now() + 2 * HOUR);
+    endTime = new Date(Date.now() + 3 * HOUR);
+  });
+
+  const holdBooking = (orderId, data = {}) =>
+    createTestBooking(driver._id, parking._id, parking.slots[0]._id, {
+      startTime,
+      endTime,
+      status: 'pending',
+      holdExpiresAt: new Date(Date.now() + 10 * 60 * 1000),
+      payment: { method: 'card', status: 'pending', orderId },
+      ...data,
+    });
+
+  const verify = (booking, orderId, paymentId = 'pay_test_1') =>
+    api.post(
+      '/api/v1/payments/verify',
+      { orderId, paymentId, signature: sign(orderId, paymentId), bookingId: booking._id },
+      token
+    );
+
+  it('should confirm a held booking paid with its own order', async () => {
+    const booking = await holdBooking('order_own');
+
+    const res = await verify(booking, 'order_own');
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data.booking.status).toEqual('confirmed');
+  });
+
+  it("should not confirm a booking with another order's payment", async () => {
+    const booking = await holdBooking('order_expensive');
+    // A real, correctly signed payment, but for a different order of the same user
+    await holdBooking('order_cheap', { amount: 1 });
+
+    const res = await verify(booking, 'order_cheap');
+
+    expect(res.statusCode).toEqual(400);
+    const saved = await Booking.findById(booking._id);
+    expect(saved.status).toEqual('pending');
+    expect(saved.payment.capturedAmount).toEqual(0);
+  });
+
+  it('should refund instead of confirming once a lapsed hold was rebooked', async () => {
+    const booking = await holdBooking('order_late', {
+      holdExpiresAt: new Date(Date.now() - 60 * 1000),
+    });
+    const other = await createTestUser({ email: 'other@example.com', phone: '1111111111' });
+    await createTestBooking(other._id, parking._id, parking.slots[0]._id, { startTime, endTime });
+
+    const res = await verify(booking, 'order_late');
+
+    expect(res.statusCode).toEqual(409);
+    const saved = await Booking.findById(booking._id);
+    expect(saved.status).toEqual('cancelled');
+    expect(saved.payment.refundedAmount).toEqual(saved.amount);
+  });
+
+  it('should still confirm a lapsed hold nobody else took', async () => {
+    const booking = await holdBooking('order_lapsed', {
+      holdExpiresAt: new Date(Date.now() - 60 * 1000),
+    });
+
+    const res = await verify(booking, 'order_lapsed');
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data.booking.status).toEqual('confirmed');
+  });
+
+  it('should refund a payment verified after the sweeper dropped the hold', async () => {
+    const booking = await holdBooking('order_swept', {
+      holdExpiresAt: new Date(Date.now() - 60 * 1000),
+    });
+    await expireStaleHolds();
+
+    const res = await verify(booking, 'order_swept');
+
+    expect(res.statusCode).toEqual(409);
+    const saved = await Booking.findById(booking._id);
+    expect(saved.status).toEqual('cancelled');
+    expect(saved.payment.capturedAmount).toEqual(saved.amount);
+    expect(saved.payment.refundedAmount).toEqual(saved.amount);
+
+    // Verifying the same payment again refunds nothing more
+    expect((await verify(booking, 'order_swept')).statusCode).toEqual(400);
+    expect((await Booking.findById(booking._id)).payment.refunds).toHaveLength(1);
+  });
+
+  it('should refund a payment captured after the sweeper dropped the hold', async () => {
+    const booking = await holdBooking('order_swept', {
+      holdExpiresAt: new Date(Date.now() - 60 * 1000),
+    });
+    await expireStaleHolds();
+
+    const res = await paymentCaptured('order_swept', 'pay_swept', booking.amount);
+
+    expect(res.statusCode).toEqual(200);
+    const saved = await Booking.findById(booking._id);
+    expect(saved.status).toEqual('cancelled');
+    expect(saved.payment.paymentId).toEqual('pay_swept');
+    expect(saved.payment.status).toEqual('refunded');
+    expect(saved.payment.refundedAmount).toEqual(saved.amount);
+  });
+});
@@ -0,0 +1,105 @@
+const BookingSeries = require('../src/models/bookingSeries.model');
+const { expandOccurrences, MAX_OCCURRENCES } = require('../src/utils/recurrence');
+const { localDateOf, timeOfDay, weekdayOf } = require('../src/utils/timezone');
+
+describe('Recurring booking patterns', () => {
+  const ZONE = 'Asia/Kolkata';
+  // Midnight of a day on the Kolkata clock
+  const day = (date) => new Date(`${date}T00:00:00+05:30`);
+  const base = {
+    startDate: day('2026-10-19'), // Monday 19 Oct 2026
+    startTime: '09:00',
+    durationMinutes: 480,
+  };
+  const expand = (recurrence, data = {}, timeZone = ZONE) =>
+    expandOccurrences({ ...base, ...data, recurrence }, timeZone);
+  const daysOf = (occurrences, timeZone = ZONE) =>
+    occurrences.map((item) => localDateOf(item.startTime, timeZone).day);
+
+  it('should expand weekday patterns with a count', () => {
+    const occurrences = expand({
+      frequency: 'weekly',
+      byDay: ['MO', 'TU', 'WE', 'TH', 'FR'],
+      count: 7,
+    });
+
+    expect(occurrences).toHaveLength(7);
+    expect(occurrences.map((item) => weekdayOf(localDateOf(item.startTime, ZONE)))).toEqual([
+      'monday',
+      'tuesday',
+      'wednesday',
+      'thursday',
+      'friday',
+      'monday',
+      'tuesday',
+    ]);
+    expect(timeOfDay(occurrences[0].startTime, ZONE)).toBe('09:00');
+    expect(occurrences[0].endTime - occurrences[0].startTime).toBe(8 * 60 * 60 * 1000);
+  });
+
+  it('should respect the interval and end date of daily patterns', () => {
+    const occurrences = expand({ frequency: 'daily', interval: 2, until: day('2026-10-26') });
+
+    expect(daysOf(occurrences)).toEqual([19, 21, 23, 25]);
+  });
+
+  it('should use explicit dates for custom patterns', () => {
+    const occurrences = expand({
+      frequency: 'custom',
+      dates: [day('2026-11-02'), day('2026-10-30')],
+    });
+
+    expect(daysOf(occurrences)).toEqual([30, 2]);
+  });
+
+  it('should keep to the wall clock of the zone across daylight saving changes', () => {
+    // New York leaves daylight saving time on Sunday 1 Nov 2026
+    const timeZone = 'America/New_York';
+    const occurrences = expand(
+      { frequency: 'daily', count: 3 },
+      { startDate: new Date('2026-10-31T00:00:00-04:00') },
+      timeZone
+    );
+
+    expect(daysOf(occurrences, timeZone)).toEqual([31, 1, 2]);
+    expect(occurrences.map((item) => timeOfDay(item.startTime, timeZone))).toEqual([
+      '09:00',
+      '09:00',
+      '09:00',
+    ]);
+    expect(occurrences.map((item) => item.startTime.getUTCHours())).toEqual([13, 14, 14]);
+  });
+
+  it('should never produce more than the maximum number of occurrences', () => {
+    const occurrences = expand({ frequency: 'daily', until: day('2030-01-01') });
+
+    expect(occurrences).toHaveLength(MAX_OCCURRENCES);
+  });
+
+  it('should expand nothing for intervals above the maximum', () => {
+    const occurrences = expand({ frequency: 'weekly', interval: 1e9 });
+
+    expect(occurrences).toEqual([]);
+  });
+
+  it('should not expand further than the horizon', () => {
+    const occurrences = expand({ frequency: 'daily', interval: 52, until: day('2040-01-01') });
+
+    expect(occurrences).toHaveLength(15);
+    expect(occurrences[14].startTime < day('2028-10-20')).toBe(true);
+  });
+
+  it('should expand nothing from an invalid start date', () => {
+    const occurrences = expand({ frequency: 'daily' }, { startDate: new Date('not a date') });
+
+    expect(occurrences).toEqual([]);
+  });
+
+  it('should reject intervals above the maximum', async () => {
+    const series = new BookingSeries({
+      recurrence: { frequency: 'daily', interval: 1e9 },
+    });
+
+    await expect(series.validate()).rejects.toThrow(/Interval must be at most/);
+  });
+});
@@ -0,0 +1,78 @@
+const { validateCondition, evaluateCondition } = require('../src/utils/ruleCondition');
+
+describe('Pricing rule conditions', () => {
+  const context = {
+    time: '19:30',
+    dayOfWeek: 'friday',
+    occupancyRatio: 0.85,
+    leadTimeMinutes: 45,
+    vehicleType: 'car',
+    slotType: 'ev',
+    durationHours: 3,
+  };
+
+  describe('evaluateCondition', () => {
+    it('should evaluate time ranges', () => {
+      expect(evaluateCondition("time > '18:00' && time < '23:59'", context)).toBe(true);
+      expect(evaluateCondition("time < '09:00' || time > '22:00'", context)).toBe(false);
+    });
+
+    it('should support lists, negation and grouping', () => {
+      expect(
+        evaluateCondition(
+          "dayOfWeek in ['friday', 'saturday'] && !(occupancyRatio < 0.8 || slotType == 'bike')",
+          context
+        )
+      ).toBe(true);
+    });
+
+    it('should treat an empty condition as always matching', () => {
+      expect(evaluateCondition('', context)).toBe(true);
+    });
+  });
+
+  describe('validateCondition', () => {
+    it('should accept well-formed conditions', () => {
+      expect(validateCondition("leadTimeMinutes <= 60 && vehicleType != 'truck'")).toBeNull();
+    });
+
+    it('should report unknown variables with their position', () => {
+      expect(validateCondition("time > '18:00' && tme < '23:00'")).toEqual({
+        message: "Unknown variable 'tme' at position 19",
+        position: 19,
+      });
+    });
+
+    it('should not take built-in object properties for variables', () => {
+      expect(validateCondition("constructor == 'x'")).toEqual({
+        message: "Unknown variable 'constructor' at position 1",
+        position: 1,
+      });
+      expect(validateCondition("__proto__ == 'a'").message).toMatch(/Unknown variable/);
+      expect(validateCondition('toString > 1').message).toMatch(/Unknown variable/);
+    });
+
+    it('should report incomplete expressions', () => {
+      expect(validateCondition("(time > '18:00'").position).toBe(16);
+    });
+
+    it('should reject values of the wrong type', () => {
+      expect(validateCondition("time > '25:00'").message).toMatch(/not a valid HH:MM time/);
+      expect(validateCondition("occupancyRatio > 'high'").message).toMatch(/compared with a number/);
+      expect(validateCondition("slotType > 'ev'").message).toMatch(/cannot be used with text values/);
+    });
+
+    it('should reject anything that is not part of the language', () => {
+      expect(validateCondition('process.exit(1)').position).toBe(8);
+      expect(validateCondition("time > '18:00'; drop").position).toBe(15);
+    });
+
+    it('should reject conditions that are not text', () => {
+      expect(validateCondition(42)).toEqual({
+        message: 'Condition must be text at position 1',
+        position: 1,
+      });
+      expect(validateCondition({ $gt: 1 }).message).toMatch(/must be text/);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const Parking = require('../src/models/parking.model');
+const { getRedisClient } = require('../src/config/redis');
+const { createTestUser, createTestParking, login, api } = require('../src/test/testHelper');
+
+const CHENNAI = [80.2319, 13.0827];
+const BANGALORE = [77.5946, 12.9716];
+
+describe('Parking search', () => {
+  let owner;
+
+  // The text index has to exist before $text queries run
+  beforeAll(() => Parking.init());
+
+  beforeEach(async () => {
+    owner = await createTestUser({ role: 'owner', email: 'owner@example.com', phone: '0987654321' });
+    await createTestParking(owner._id, {
+      name: 'Marina Beach Parking',
+      description: 'Open lot near the lighthouse',
+      location: { type: 'Point', coordinates: CHENNAI, address: 'Kamarajar Salai, Chennai' },
+    });
+    await createTestParking(owner._id, {
+      name: 'Central Station Garage',
+      description: 'Covered parking, a short walk from Marina beach',
+      location: { type: 'Point', coordinates: CHENNAI, address: 'Park Town, Chennai' },
+    });
+    await createTestParking(owner._id, {
+      name: 'Marina Mall Parking',
+      location: { type: 'Point', coordinates: BANGALORE, address: 'MG Road, Bengaluru' },
+    });
+  });
+
+  describe('GET /api/v1/parkings?q=', () => {
+    it('should rank name matches above description matches', async () => {
+      const res = await api.get('/api/v1/parkings?q=marina%20beach');
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.parkings[0].name).toEqual('Marina Beach Parking');
+      expect(res.body.data.parkings.map((parking) => parking.name)).toContain(
+        'Central Station Garage'
+      );
+    });
+
+    it('should combine text search with the near filter', async () => {
+      const res = await api.get('/api/v1/parkings?q=marina&near=13.0827,80.2319,10');
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.total).toEqual(2);
+      expect(res.body.data.parkings[0]).toMatchObject({
+        name: 'Marina Beach Parking',
+        distanceKm: 0,
+      });
+      expect(res.body.data.parkings.map((parking) => parking.name)).not.toContain(
+        'Marina Mall Parking'
+      );
+    });
+
+    it('should leave out listings that are not approved', async () => {
+      await createTestParking(owner._id, {
+        name: 'Marina Pending Lot',
+        moderation: { status: 'pending' },
+      });
+
+      const res = await api.get('/api/v1/parkings?q=marina');
+
+      expect(res.body.data.parkings.map((parking) => parking.name)).not.toContain(
+        'Marina Pending Lot'
+      );
+    });
+
+    it('should reject a malformed near filter', async () => {
+      const res = await api.get('/api/v1/parkings?near=north,80.2319');
+
+      expect(res.statusCode).toEqual(400);
+    });
+  });
+
+  describe('GET /api/v1/parkings/suggest', () => {
+    it('should suggest parkings by the start of any word, name matches first', async () => {
+      const res = await api.get('/api/v1/parkings/suggest?q=Mari');
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.suggestions.map((suggestion) => suggestion.name).sort()).toEqual([
+        'Marina Beach Parking',
+        'Marina Mall Parking',
+      ]);
+
+      const byAddress = await api.get('/api/v1/parkings/suggest?q=mg%20ro');
+      expect(byAddress.body.data.suggestions).toEqual([
+        expect.objectContaining({ name: 'Marina Mall Parking', address: 'MG Road, Bengaluru' }),
+      ]);
+    });
+
+    it('should pick up renamed parkings', async () => {
+      const parking = await createTestParking(owner._id, { name: 'Old Name' });
+      const ownerToken = await login('owner@example.com');
+      await api.patch(`/api/v1/parkings/${parking._id}`, { name: 'Zephyr Tower' }, ownerToken);
+
+      const res = await api.get('/api/v1/parkings/suggest?q=zeph');
+
+      expect(res.body.data.suggestions.map((suggestion) => suggestion.name)).toEqual([
+        'Zephyr Tower',
+      ]);
+    });
+
+    it('should answer from the cache and cache fresh answers', async () => {
+      const redisClient = getRedisClient();
+      const cached = [{ name: 'Cached Parking' }];
+      redisClient.get.mockImplementationOnce(() => Promise.resolve(JSON.stringify(cached)));
+
+      const fromCache = await api.get('/api/v1/parkings/suggest?q=Marina%20%20Be');
+      expect(fromCache.body.data.suggestions).toEqual(cached);
+      expect(redisClient.get).toHaveBeenCalledWith('parkings:suggest:5:marina be');
+
+      await api.get('/api/v1/parkings/suggest?q=marina%20be');
+      expect(redisClient.set).toHaveBeenCalledWith(
+        'parkings:suggest:5:marina be',
+        expect.stringContaining('Marina Beach Parking'),
+        { EX: 60 }
+      );
+    });
+
+    it('should ask for at least two characters', async () => {
+      const res = await api.get('/api/v1/parkings/suggest?q=m');
+
+      expect(res.statusCode).toEqual(400);
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const request = require('supertest');
+const app = require('../src/app');
+const Parking = require('../src/models/parking.model');
+const {
+  createTestUser,
+  createTestParking,
+  createTestBooking,
+  login,
+  api,
+} = require('../src/test/testHelper');
+
+describe('Bulk slot management', () => {
+  let ownerToken;
+  let driver;
+  let parking;
+
+  beforeEach(async () => {
+    const owner = await createTestUser({ role: 'owner', email: 'owner@example.com', phone: '0987654321' });
+    driver = await createTestUser();
+    ownerToken = await login('owner@example.com');
+    parking = await createTestParking(owner._id);
+  });
+
+  it('should generate slots from a naming pattern', async () => {
+    const res = await api.post(
+      `/api/v1/parkings/${parking._id}/slots/generate`,
+      { count: 40, pattern: 'EV-{n:3}', start: 1, type: 'ev', pricePerHour: 80 },
+      ownerToken
+    );
+
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.data.totalSlots).toEqual(50);
+    expect(res.body.data.slots[0]).toMatchObject({ slotId: 'EV-001', number: 11, type: 'ev' });
+    expect(res.body.data.slots[39].slotId).toEqual('EV-040');
+  });
+
+  it('should refuse generated slot IDs that already exist', async () => {
+    const res = await api.post(
+      `/api/v1/parkings/${parking._id}/slots/generate`,
+      { count: 2, pattern: 'slot-{n}', start: 10, pricePerHour: 50 },
+      ownerToken
+    );
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.message).toMatch(/slot-10/);
+  });
+
+  it('should export slots as CSV', async () => {
+    const res = await request(app)
+      .get(`/api/v1/parkings/${parking._id}/slots/export`)
+      .set('Authorization', `Bearer ${ownerToken}`);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+    const lines = res.text.trim().split('\r\n');
+    expect(lines[0]).toMatch(/^slotId,number,type,status,pricePerHour/);
+    expect(lines).toHaveLength(11);
+  });
+
+  it('should import slots from CSV', async () => {
+    const csv = 'slotId,type,pricePerHour,features\nslot-1,,75,\nbike-1,bike,20,covered;cctv\n';
+    const res = await request(app)
+      .post(`/api/v1/parkings/${parking._id}/slots/import`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .set('Content-Type', 'text/csv')
+      .send(csv);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data).toMatchObject({ created: ['bike-1'], updated: ['slot-1'] });
+
+    const updated = await Parking.findById(parking._id);
+    expect(updated.slots.find((slot) => slot.slotId === 'slot-1').pricePerHour).toEqual(75);
+    expect(updated.slots.find((slot) => slot.slotId === 'bike-1').features).toEqual([
+      'covered',
+      'cctv',
+    ]);
+    expect(updated.totalSlots).toEqual(11);
+  });
+
+  it('should report row-level errors and change nothing', async () => {
+    const res = await api.post(
+      `/api/v1/parkings/${parking._id}/slots/import`,
+      { csv: 'slotId,type,pricePerHour\nnew-1,boat,20\nnew-2,car,\nslot-1,car,-5\n' },
+      ownerToken
+    );
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.errors).toEqual([
+      expect.objectContaining({ row: 2, column: 'type' }),
+      expect.objectContaining({ row: 3, column: 'pricePerHour' }),
+      expect.objectContaining({ row: 4, column: 'pricePerHour' }),
+    ]);
+    const unchanged = await Parking.findById(parking._id);
+    expect(unchanged.slots).toHaveLength(10);
+  });
+
+  it('should refuse imports that disrupt slots in use', async () => {
+    await Parking.updateOne({ _id: parking._id }, { $set: { 'slots.0.status': 'occupied' } });
+    await createTestBooking(driver._id, parking._id, parking.slots[2]._id, {
+      startTime: new Date(Date.now() + 2 * 60 * 60 * 1000),
+      endTime: new Date(Date.now() + 3 * 60 * 60 * 1000),
+    });
+
+    const res = await api.post(
+      `/api/v1/parkings/${parking._id}/slots/import`,
+      { csv: 'slotId,type,status\nslot-1,car,maintenance\nslot-2,car,available\nslot-3,ev,\n' },
+      ownerToken
+    );
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.errors).toEqual([
+      expect.objectContaining({ row: 2, column: 'status' }),
+      expect.objectContaining({ row: 4, column: 'type' }),
+    ]);
+    const unchanged = await Parking.findById(parking._id);
+    expect(unchanged.slots[0].status).toEqual('occupied');
+    expect(unchanged.slots[2].type).toEqual('car');
+  });
+
+  it('should list the bookings on slots an import puts into maintenance', async () => {
+    await createTestBooking(driver._id, parking._id, parking.slots[0]._id, {
+      startTime: new Date(Date.now() + 2 * 60 * 60 * 1000),
+      endTime: new Date(Date.now() + 3 * 60 * 60 * 1000),
+    });
+
+    const res = await api.post(
+      `/api/v1/parkings/${parking._id}/slots/import?dryRun=true`,
+      { csv: 'slotId,type,status\nslot-1,car,maintenance\n' },
+      ownerToken
+    );
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data.affectedBookings).toEqual([
+      expect.objectContaining({ slotId: 'slot-1', impact: 'slot-under-maintenance' }),
+    ]);
+  });
+
+  it('should preview a bulk status change with the bookings it affects', async () => {
+    await Parking.updateOne(
+      { _id: parking._id },
+      { $set: { 'slots.0.type': 'ev', 'slots.1.type': 'ev' } }
+    );
+    await createTestBooking(driver._id, parking._id, parking.slots[0]._id, {
+      startTime: new Date(Date.now() + 2 * 60 * 60 * 1000),
+      endTime: new Date(Date.now() + 3 * 60 * 60 * 1000),
+    });
+
+    const res = await api.patch(
+      `/api/v1/parkings/${parking._id}/slots?dryRun=true`,
+      { filter: { type: 'ev' }, set: { status: 'maintenance' } },
+      ownerToken
+    );
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data.changed).toEqual(2);
+    expect(res.body.data.affectedBookings).toHaveLength(1);
+    expect(res.body.data.affectedBookings[0]).toMatchObject({
+      slotId: 'slot-1',
+      impact: 'slot-under-maintenance',
+    });
+
+    const unchanged = await Parking.findById(parking._id);
+    expect(unchanged.slots[0].status).toEqual('available');
+  });
+
+  it('should change the price of every matching slot', async () => {
+    const res = await api.patch(
+      `/api/v1/parkings/${parking._id}/slots`,
+      { filter: { slotIds: ['slot-1', 'slot-2'] }, set: { pricePerHour: 65 } },
+      ownerToken
+    );
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data.changed).toEqual(2);
+
+    const updated = await Parking.findById(parking._id);
+    expect(updated.slots.map((slot) => slot.pricePerHour).slice(0, 3)).toEqual([65, 65, 50]);
+  });
+});
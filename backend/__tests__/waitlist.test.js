@@ -0,0 +1,79 @@
+const request = require('supertest');
+const app = require('../src/app');
+const Booking = require('../src/models/booking.model');
+const WaitlistEntry = require('../src/models/waitlistEntry.model');
+const { createTestUser, createTestParking, createTestBooking, api } = require('../src/test/testHelper');
+const { expireStaleHolds } = require('../src/services/slotHold.service');
+const { offerFreedSlot } = require('../src/services/waitlist.service');
+
+describe('Waitlist', () => {
+  let driver;
+  let driverToken;
+  let parking;
+  let blockingBooking;
+  const startTime = new Date(Date.now() + 2 * 60 * 60 * 1000);
+  const endTime = new Date(Date.now() + 3 * 60 * 60 * 1000);
+
+  const createEntry = (userId, createdAt) =>
+    WaitlistEntry.create({ user: userId, parking: parking._id, startTime, endTime, createdAt });
+
+  beforeEach(async () => {
+    driver = await createTestUser({ role: 'user' });
+    const loginRes = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'test@example.com', password: 'test1234' });
+    driverToken = loginRes.body.token;
+
+    const owner = await createTestUser({ role: 'owner', email: 'owner@example.com', phone: '0987654321' });
+    parking = await createTestParking(owner._id, {
+      totalSlots: 1,
+      slots: [{ slotId: 'W1', number: 1, type: 'car', status: 'reserved', pricePerHour: 50 }],
+    });
+    blockingBooking = await createTestBooking(owner._id, parking._id, parking.slots[0]._id, {
+      startTime,
+      endTime,
+    });
+  });
+
+  it('should let users join the waitlist of a full parking', async () => {
+    const res = await api.post(
+      `/api/v1/parkings/${parking._id}/waitlist`,
+      { startTime, endTime, slotType: 'car', maxPrice: 100 },
+      driverToken
+    );
+
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.data.entry.status).toEqual('waiting');
+    expect(res.body.data.position).toEqual(1);
+  });
+
+  it('should offer a freed slot to the first waiting user', async () => {
+    const other = await createTestUser({ email: 'other@example.com', phone: '1112223333' });
+    const first = await createEntry(driver._id, new Date(Date.now() - 60000));
+    const second = await createEntry(other._id, new Date());
+
+    await blockingBooking.updateOne({ status: 'cancelled' });
+    await offerFreedSlot(blockingBooking);
+
+    const offered = await WaitlistEntry.findById(first._id);
+    expect(offered.status).toEqual('offered');
+    expect(offered.offer.price).toEqual(50);
+    expect((await WaitlistEntry.findById(second._id)).status).toEqual('waiting');
+  });
+
+  it('should roll an expired offer to the next person', async () => {
+    const other = await createTestUser({ email: 'other@example.com', phone: '1112223333' });
+    const first = await createEntry(driver._id, new Date(Date.now() - 60000));
+    const second = await createEntry(other._id, new Date());
+    await blockingBooking.updateOne({ status: 'cancelled' });
+    await offerFreedSlot(blockingBooking);
+
+    // Let the first offer lapse
+    const { offer } = await WaitlistEntry.findById(first._id);
+    await Booking.updateOne({ _id: offer.booking }, { holdExpiresAt: new Date(Date.now() - 1000) });
+    await expireStaleHolds();
+
+    expect((await WaitlistEntry.findById(first._id)).status).toEqual('expired');
+    expect((await WaitlistEntry.findById(second._id)).status).toEqual('offered');
+  });
+});
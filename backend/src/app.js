@@ -11,6 +11,7 @@ const path = require('path');
 const logger = require('./utils/logger');
 const errorHandler = require('./middleware/errorHandler');
 const { rateLimiter } = require('./middleware/rateLimiter');
+const { LOCAL_MEDIA_PATH, localDir } = require('./services/mediaStorage.service');
 
 // Import routes
 const authRoutes = require('./routes/auth.routes');
@@ -18,6 +19,10 @@ const parkingRoutes = require('./routes/parking.routes');
 const bookingRoutes = require('./routes/booking.routes');
 const adminRoutes = require('./routes/admin.routes');
 const paymentRoutes = require('./routes/payment.routes');
+const waitlistRoutes = require('./routes/waitlist.routes');
+const passRoutes = require('./routes/pass.routes');
+const organizationRoutes = require('./routes/organization.routes');
+const amenityRoutes = require('./routes/amenity.routes');
 
 // Initialize express app
 const app = express();
@@ -64,12 +69,25 @@ const limiter = rateLimit({
 });
 app.use('/api', limiter);
 
+// Serve uploaded photos kept on local disk (the frontend loads them from another origin)
+app.use(
+  LOCAL_MEDIA_PATH,
+  express.static(localDir(), {
+    maxAge: '7d',
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin'),
+  })
+);
+
 // Routes
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/parkings', parkingRoutes);
 app.use('/api/v1/bookings', bookingRoutes);
 app.use('/api/v1/admin', adminRoutes);
 app.use('/api/v1/payments', paymentRoutes);
+app.use('/api/v1/waitlist', waitlistRoutes);
+app.use('/api/v1/passes', passRoutes);
+app.use('/api/v1/organizations', organizationRoutes);
+app.use('/api/v1/amenities', amenityRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
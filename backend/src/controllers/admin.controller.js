@@ -4,6 +4,11 @@ const Booking = require('../models/booking.model');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 const logger = require('../utils/logger');
+const { BOOKING_STATUSES, allowedTransitions } = require('../utils/bookingStatus');
+const { transitionBooking } = require('../services/bookingLifecycle.service');
+const { cancelWithRefund, refundInFull } = require('../services/cancellation.service');
+const { markNoShow } = require('../services/noShow.service');
+const { decideListing, unsubmittedChanges } = require('../services/moderation.service');
 
 // @desc    Get all users (admin only)
 // @route   GET /api/v1/admin/users
@@ -115,31 +120,54 @@ exports.getAllParkings = catchAsync(async (req, res, next) => {
   });
 });
 
-// @desc    Update parking status (admin only)
+// @desc    Listings waiting for review (or in another ?status=), oldest submission first,
+//          with what changed since each was submitted
+// @route   GET /api/v1/admin/parkings/moderation
+// @access  Private/Admin
+exports.getModerationQueue = catchAsync(async (req, res, next) => {
+  const status = req.query.status || 'pending';
+  if (!['pending', 'approved', 'rejected', 'suspended'].includes(status)) {
+    return next(new AppError('Invalid status value', 400));
+  }
+
+  const parkings = await Parking.find({ 'moderation.status': status })
+    .select('+moderation.submission')
+    .populate('owner', 'name email phone')
+    .sort('moderation.submittedAt')
+    .limit(req.query.limit * 1 || 100);
+
+  res.status(200).json({
+    status: 'success',
+    results: parkings.length,
+    data: {
+      parkings: parkings.map((parking) => {
+        const listing = parking.toObject();
+        delete listing.moderation.submission;
+        listing.moderation.pendingChanges = unsubmittedChanges(parking);
+        return listing;
+      }),
+    },
+  });
+});
+
+// @desc    Approve, reject, suspend or reinstate a listing (admin only). Rejections and
+//          suspensions need a `reason`, which is passed on to the owner.
 // @route   PATCH /api/v1/admin/parkings/:id/status
 // @access  Private/Admin
 exports.updateParkingStatus = catchAsync(async (req, res, next) => {
-  const { status } = req.body;
+  const { status, reason } = req.body;
   
-  if (!['pending', 'approved', 'rejected', 'suspended'].includes(status)) {
+  if (!['approved', 'rejected', 'suspended'].includes(status)) {
     return next(new AppError('Invalid status value', 400));
   }
   
-  const parking = await Parking.findByIdAndUpdate(
-    req.params.id,
-    { status },
-    {
-      new: true,
-      runValidators: true,
-    }
-  );
-  
+  const parking = await Parking.findById(req.params.id);
   if (!parking) {
     return next(new AppError('No parking found with that ID', 404));
   }
   
-  // Notify parking owner about status change
-  // await new Email(parking.owner).sendParkingStatusUpdate(status);
+  // Records the decision and notifies the parking owner
+  await decideListing(parking, { status, reason, actor: req.user });
   
   res.status(200).json({
     status: 'success',
@@ -172,37 +200,55 @@ exports.getAllBookings = catchAsync(async (req, res, next) => {
   });
 });
 
-// @desc    Update booking (admin only)
+// @desc    Move a booking to another status (admin only). Only transitions allowed by
+//          the booking lifecycle are accepted; each runs its slot and refund side effects.
 // @route   PATCH /api/v1/admin/bookings/:id
 // @access  Private/Admin
 exports.updateBooking = catchAsync(async (req, res, next) => {
-  const { status } = req.body;
-  
-  const booking = await Booking.findById(req.params.id);
+  const { status, reason } = req.body;
+
+  if (!BOOKING_STATUSES.includes(status)) {
+    return next(new AppError('Invalid status value', 400));
+  }
+
+  let booking = await Booking.findById(req.params.id);
   if (!booking) {
     return next(new AppError('No booking found with that ID', 404));
   }
-  
-  // Update booking status
-  booking.status = status;
-  booking.updatedAt = Date.now();
-  
-  // Handle refund if cancelling a paid booking
-  if (status === 'cancelled' && booking.payment.status === 'completed') {
-    // Implement refund logic here (e.g., call payment provider's refund API)
-    // This is a simplified example
-    booking.payment.refundStatus = 'pending';
-    booking.payment.refundRequestedAt = Date.now();
-    
-    // In a real app, you would call the payment provider's API here
-    // await processRefund(booking.payment.paymentId, booking.amount);
+
+  const allowed = allowedTransitions(booking.status, req.user);
+  if (!allowed.includes(status)) {
+    return next(
+      new AppError(
+        `A ${booking.status} booking cannot be changed to ${status}. ` +
+          `Allowed: ${allowed.join(', ') || 'none'}`,
+        400
+      )
+    );
   }
-  
-  await booking.save();
-  
-  // Notify user about booking update
-  // await new Email(booking.user).sendBookingUpdate(booking);
-  
+
+  // Money-moving transitions settle the payment before the status changes
+  const parking = await Parking.findById(booking.parking._id);
+  try {
+    switch (status) {
+      case 'cancelled':
+        await cancelWithRefund(booking, parking || {}, { reason, actor: req.user });
+        break;
+      case 'refunded':
+        await refundInFull(booking, { reason, actor: req.user });
+        break;
+      case 'no-show':
+        booking = (await markNoShow(booking._id, parking, new Date(), req.user)) || booking;
+        break;
+      default:
+        await transitionBooking(booking, status, { actor: req.user, reason });
+    }
+  } catch (err) {
+    if (err instanceof AppError) return next(err);
+    logger.error(`Error updating booking ${booking._id}: ${err.message}`);
+    return next(new AppError('Error updating the booking. Please try again.', 500));
+  }
+
   res.status(200).json({
     status: 'success',
     data: {
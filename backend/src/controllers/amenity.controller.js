@@ -0,0 +1,157 @@
+const Amenity = require('../models/amenity.model');
+const Parking = require('../models/parking.model');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const { loadCatalogue, clashingTerms } = require('../services/amenity.service');
+
+const EDITABLE_FIELDS = ['name', 'icon', 'synonyms', 'appliesTo', 'isActive'];
+
+const pick = (body, fields) =>
+  fields.reduce((picked, field) => {
+    if (body[field] !== undefined) picked[field] = body[field];
+    return picked;
+  }, {});
+
+// How many parkings list an amenity themselves, and how many have slots listing it
+const usageOf = async (key) => {
+  const [parkings, slots] = await Promise.all([
+    Parking.countDocuments({ features: key }),
+    Parking.countDocuments({ 'slots.features': key }),
+  ]);
+  return { parkings, slots };
+};
+
+const assertNoClashes = async (amenity) => {
+  const clashes = await clashingTerms(amenity);
+  if (clashes.length > 0) {
+    throw new AppError(`These names are already taken: ${clashes.join(', ')}`, 400);
+  }
+};
+
+// @desc    Get the amenities parkings and slots can offer
+// @route   GET /api/v1/amenities?appliesTo=parking|slot
+// @access  Public
+exports.getAmenities = catchAsync(async (req, res, next) => {
+  const { appliesTo } = req.query;
+  const amenities = (await loadCatalogue())
+    .filter((amenity) => amenity.isActive !== false)
+    .filter((amenity) => !appliesTo || amenity.appliesTo.includes(appliesTo))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(({ key, name, icon, synonyms, appliesTo: scopes }) => ({
+      key,
+      name,
+      icon,
+      synonyms,
+      appliesTo: scopes,
+    }));
+
+  res.status(200).json({
+    status: 'success',
+    results: amenities.length,
+    data: {
+      amenities,
+    },
+  });
+});
+
+// @desc    Get the whole amenity catalogue, retired amenities included (admin only)
+// @route   GET /api/v1/admin/amenities
+// @access  Private/Admin
+exports.getAllAmenities = catchAsync(async (req, res, next) => {
+  const amenities = (await loadCatalogue()).sort((a, b) => a.key.localeCompare(b.key));
+
+  res.status(200).json({
+    status: 'success',
+    results: amenities.length,
+    data: {
+      amenities,
+    },
+  });
+});
+
+// @desc    Add an amenity to the catalogue (admin only)
+// @route   POST /api/v1/admin/amenities
+// @access  Private/Admin
+exports.createAmenity = catchAsync(async (req, res, next) => {
+  // 1) Build it first, so the key and synonyms are normalised before checking them
+  const amenity = new Amenity(pick(req.body, ['key', ...EDITABLE_FIELDS]));
+  await amenity.validate();
+
+  // 2) Every name must point at one amenity only
+  await assertNoClashes(amenity);
+
+  await amenity.save();
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      amenity,
+    },
+  });
+});
+
+// @desc    Rename, re-icon, retire or change the synonyms of an amenity (admin only)
+// @route   PATCH /api/v1/admin/amenities/:id
+// @access  Private/Admin
+exports.updateAmenity = catchAsync(async (req, res, next) => {
+  const amenity = await Amenity.findById(req.params.id);
+  if (!amenity) {
+    return next(new AppError('No amenity found with that ID', 404));
+  }
+  if (req.body.key !== undefined && req.body.key !== amenity.key) {
+    return next(new AppError('An amenity key cannot change; add a synonym instead', 400));
+  }
+
+  // 1) Apply and check the changes
+  amenity.set(pick(req.body, EDITABLE_FIELDS));
+  await amenity.validate();
+  await assertNoClashes(amenity);
+
+  // 2) It can't stop applying to parkings or slots that use it
+  const usage = await usageOf(amenity.key);
+  const dropped = ['parking', 'slot'].filter((scope) => !amenity.appliesTo.includes(scope));
+  if (dropped.includes('parking') && usage.parkings > 0) {
+    return next(new AppError(`${usage.parkings} parkings still list ${amenity.key}`, 400));
+  }
+  if (dropped.includes('slot') && usage.slots > 0) {
+    return next(new AppError(`${usage.slots} parkings have slots listing ${amenity.key}`, 400));
+  }
+
+  await amenity.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      amenity,
+    },
+  });
+});
+
+// @desc    Delete an amenity nothing uses (admin only); retire used ones instead
+// @route   DELETE /api/v1/admin/amenities/:id
+// @access  Private/Admin
+exports.deleteAmenity = catchAsync(async (req, res, next) => {
+  const amenity = await Amenity.findById(req.params.id);
+  if (!amenity) {
+    return next(new AppError('No amenity found with that ID', 404));
+  }
+
+  const inUse = await Parking.countDocuments({
+    $or: [{ features: amenity.key }, { 'slots.features': amenity.key }],
+  });
+  if (inUse > 0) {
+    return next(
+      new AppError(
+        `${inUse} parkings still use ${amenity.key}; retire it with isActive: false instead`,
+        400
+      )
+    );
+  }
+
+  await amenity.deleteOne();
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
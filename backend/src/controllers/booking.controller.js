@@ -0,0 +1,885 @@
+const crypto = require('crypto');
+const Booking = require('../models/booking.model');
+const Parking = require('../models/parking.model');
+const User = require('../models/user.model');
+const Invoice = require('../models/invoice.model');
+const Organization = require('../models/organization.model');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const { reserveSlot, releaseSlot } = require('../services/slot.service');
+const { holdExpiryFor } = require('../services/slotHold.service');
+const {
+  assertBookingWindow,
+  quoteBooking,
+  quoteOverstay,
+} = require('../services/pricing.service');
+const { assertCompatibleSlot, allocateSlot } = require('../services/slotAllocation.service');
+const {
+  cancelledByFor,
+  previewCancellation,
+  cancelWithRefund,
+} = require('../services/cancellation.service');
+const { transitionBooking } = require('../services/bookingLifecycle.service');
+const { isOpenFor, assertOpenFor } = require('../services/openingHours.service');
+const { directionsTo } = require('../services/layout.service');
+const {
+  findMembership,
+  checkBookingPolicy,
+  approvalHoldExpiry,
+} = require('../services/organization.service');
+const {
+  dateRange,
+  ensureInvoices,
+  invoicePdf,
+  invoiceArchive,
+} = require('../services/invoice.service');
+const { verifyQrToken } = require('../utils/qrToken');
+const { buildCalendar } = require('../utils/icalendar');
+const { createTopUpOrder, refundPayment } = require('./payment.controller');
+const { updateParkingAvailability, notifyBookingUpdate } = require('../utils/socket');
+const logger = require('../utils/logger');
+
+// Helper to check whether the current user may see or manage a booking
+const canAccessBooking = async (booking, user) => {
+  if (user.role === 'admin') return true;
+  if (booking.user._id.toString() === user.id) return true;
+
+  if (user.role === 'owner') {
+    const parking = await Parking.findById(booking.parking._id).select('owner');
+    return !!parking && parking.owner.toString() === user.id;
+  }
+  return false;
+};
+
+// How early before its start a booking may be checked in
+const EARLY_CHECK_IN_MINUTES = 15;
+
+// Helper to check whether the current user may operate the gate at a parking
+const canOperateParking = (parking, user) =>
+  user.role === 'admin' ||
+  parking.owner.toString() === user.id ||
+  (user.role === 'attendant' &&
+    parking.attendants.some((attendant) => attendant.toString() === user.id));
+
+// Helper to load a booking for check-in/out after validating the scanned QR code
+const findScannedBooking = async (req) => {
+  const scanned = verifyQrToken(req.body.qrCode);
+  if (!scanned || scanned.bookingId !== req.params.id) {
+    throw new AppError('Invalid or tampered QR code', 400);
+  }
+
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    throw new AppError('No booking found with that ID', 404);
+  }
+  if (booking.parking._id.toString() !== scanned.parkingId) {
+    throw new AppError('This QR code belongs to a different parking', 400);
+  }
+
+  const parking = await Parking.findById(booking.parking._id);
+  if (!parking || !canOperateParking(parking, req.user)) {
+    throw new AppError('You do not have permission to check in at this parking', 403);
+  }
+
+  return { booking, parking };
+};
+
+// Helper to move a booking to a new window (and optionally another slot of the same
+// parking), re-price it and settle the difference through the payment layer. A change
+// that costs more than was paid waits for its top-up payment before it takes effect.
+const changeBookingWindow = async (booking, { startTime, endTime, slotId }, user) => {
+  const now = new Date();
+
+  // 1) Only live bookings can change, and a hold only until its payment order is created,
+  // as the order fixes the amount to pay
+  if (!['confirmed', 'checked-in'].includes(booking.status) && !booking.isHoldActive(now)) {
+    throw new AppError('Only pending, confirmed or checked-in bookings can be modified', 400);
+  }
+  if (booking.status === 'pending' && booking.payment.orderId) {
+    throw new AppError(
+      'Payment for this booking has already started. Pay for it or cancel it first.',
+      400
+    );
+  }
+  if (isNaN(startTime) || isNaN(endTime) || endTime <= startTime) {
+    throw new AppError('Please provide a valid start and end time', 400);
+  }
+  if (endTime <= now) {
+    throw new AppError('The new end time must be in the future', 400);
+  }
+  const startChanged = startTime.getTime() !== booking.startTime.getTime();
+  if (startChanged && (booking.checkInTime || booking.startTime <= now)) {
+    throw new AppError('The start time of a booking that has begun cannot be changed', 400);
+  }
+
+  // 2) Check the parking is open and the (new) slot is free, ignoring this booking itself
+  const parking = await Parking.findById(booking.parking._id);
+  if (!parking) {
+    throw new AppError('No parking found for this booking', 404);
+  }
+  assertOpenFor(parking, startTime, endTime);
+  const slot = parking.slots.id(slotId || booking.slot);
+  if (!slot) {
+    throw new AppError('No slot found with that ID in this parking', 404);
+  }
+  if (slot.status === 'maintenance') {
+    throw new AppError('This slot is under maintenance', 400);
+  }
+  if (slot.pass) {
+    throw new AppError('This slot is reserved for a pass holder', 400);
+  }
+  assertCompatibleSlot(slot, booking.vehicle);
+
+  const isAvailable = await Booking.isSlotAvailable(slot._id, startTime, endTime, booking._id);
+  if (!isAvailable) {
+    throw new AppError('This slot is already booked for the selected time', 400);
+  }
+
+  // 3) Re-price the new window
+  const quote = await quoteBooking({
+    parking,
+    slot,
+    startTime,
+    endTime,
+    vehicleType: booking.vehicle && booking.vehicle.type,
+  });
+  const difference = Math.round((quote.total - booking.amount) * 100) / 100;
+
+  // 4) Record the change. A top-up waits for its payment with the booking unchanged;
+  // other changes are applied and saved before any money moves, so a refund never goes
+  // out for a change that was not stored.
+  const isPaid = ['completed', 'partially_refunded'].includes(booking.payment.status);
+  let settlementType = 'none';
+  if (isPaid && difference > 0) settlementType = 'top-up';
+  if (isPaid && difference < 0) settlementType = 'refund';
+
+  const previous = {
+    startTime: booking.startTime,
+    endTime: booking.endTime,
+    slot: booking.slot,
+    slotNumber: booking.slotNumber,
+    amount: booking.amount,
+    pricing: booking.toObject().pricing,
+  };
+  const previousSlot = booking.slot;
+  const settlement = { type: settlementType, amount: Math.abs(difference) };
+  if (settlementType === 'top-up') {
+    try {
+      settlement.order = await createTopUpOrder(booking, difference, 'Booking modification');
+    } catch (err) {
+      logger.error(`Error creating top-up order: ${err.message}`);
+      throw new AppError('Error creating the top-up payment. Please try again.', 500);
+    }
+  }
+
+  // Only the latest change can still be paid for
+  const superseded = booking.modifications.filter(
+    (change) => change.status === 'awaiting-payment'
+  );
+  superseded.forEach((change) => {
+    change.status = 'cancelled';
+  });
+  booking.modifications.push({
+    previousStartTime: booking.startTime,
+    previousEndTime: booking.endTime,
+    previousSlot,
+    previousAmount: booking.amount,
+    startTime,
+    endTime,
+    slot: slot._id,
+    slotNumber: slot.slotId,
+    amount: quote.total,
+    pricing: {
+      lineItems: quote.lineItems,
+      currency: quote.currency,
+      quotedAt: quote.quotedAt,
+    },
+    settlement: settlementType,
+    status: settlementType === 'top-up' ? 'awaiting-payment' : 'applied',
+    topUpOrderId: settlement.order && settlement.order.id,
+    modifiedBy: user.id,
+  });
+  const modification = booking.modifications[booking.modifications.length - 1];
+  if (settlementType !== 'top-up') booking.applyModification(modification);
+  await booking.save();
+  if (settlementType === 'top-up') {
+    return { booking, quote, settlement };
+  }
+
+  // 5) Refund the difference if the booking has already been paid for. If that fails the
+  // change is undone, so the booking keeps the window it was paid for.
+  if (settlementType === 'refund') {
+    try {
+      settlement.refund = await refundPayment(booking, -difference, 'Booking modification');
+    } catch (err) {
+      booking.modifications.pop();
+      superseded.forEach((change) => {
+        change.status = 'awaiting-payment';
+      });
+      booking.set(previous);
+      await booking.save();
+
+      if (err instanceof AppError) throw err;
+      logger.error(`Error settling booking modification: ${err.message}`);
+      throw new AppError('Error settling the price difference. Please try again.', 500);
+    }
+    await booking.save();
+  }
+
+  // 6) Move the slot reservation if the booking changed slots
+  if (previousSlot.toString() !== slot._id.toString()) {
+    await reserveSlot(parking._id, slot._id);
+    await releaseSlot({ _id: booking._id, parking: parking._id, slot: previousSlot });
+  }
+
+  notifyBookingUpdate(booking);
+
+  return { booking, quote, settlement };
+};
+
+// How many bookings a calendar feed lists at most
+const CALENDAR_FEED_LIMIT = 500;
+
+// How many documents an invoice archive holds at most
+const INVOICE_ARCHIVE_LIMIT = 500;
+
+// Helper to send a PDF or ZIP download
+const sendFile = (res, buffer, { type, filename }) => {
+  res.set('Content-Type', type);
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.status(200).send(buffer);
+};
+
+// Helper to send an iCalendar document
+const sendCalendar = (res, bookings, { name, filename }) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  if (filename) {
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  }
+  res.status(200).send(buildCalendar(bookings, { name }));
+};
+
+// @desc    Create a booking (starts a slot hold until payment). Leave out `slot`
+//          to have the best free slot for the vehicle and `preferences` picked.
+// @route   POST /api/v1/bookings
+// @route   POST /api/v1/parkings/:parkingId/bookings
+// @access  Private (User)
+exports.createBooking = catchAsync(async (req, res, next) => {
+  const parkingId = req.params.parkingId || req.body.parking;
+  const {
+    slot: slotId,
+    vehicle,
+    notes,
+    paymentMethod = 'card',
+    preferences = [],
+    organization: organizationId,
+  } = req.body;
+  const startTime = new Date(req.body.startTime);
+  const endTime = new Date(req.body.endTime);
+
+  // 1) Validate the requested window
+  assertBookingWindow(startTime, endTime);
+  if (!Array.isArray(preferences) || preferences.some((pref) => typeof pref !== 'string')) {
+    return next(new AppError('Preferences must be a list of slot features', 400));
+  }
+
+  // 2) Check parking exists and is open for the whole window
+  const parking = await Parking.findById(parkingId);
+  if (!parking) {
+    return next(new AppError('No parking found with that ID', 404));
+  }
+  if (!parking.isTakingBookings()) {
+    return next(new AppError('This parking is not taking bookings right now', 400));
+  }
+  if (!isOpenFor(parking, startTime, endTime)) {
+    return next(new AppError('The parking is closed during the requested time', 400));
+  }
+
+  // 3) Use the chosen slot if it is free and fits the vehicle, otherwise allocate one
+  let slot;
+  let allocation;
+  if (slotId) {
+    slot = parking.slots.id(slotId);
+    if (!slot) {
+      return next(new AppError('No slot found with that ID in this parking', 404));
+    }
+    if (slot.status === 'maintenance') {
+      return next(new AppError('This slot is under maintenance', 400));
+    }
+    if (slot.pass) {
+      return next(new AppError('This slot is reserved for a pass holder', 400));
+    }
+    assertCompatibleSlot(slot, vehicle);
+
+    const isAvailable = await Booking.isSlotAvailable(slot._id, startTime, endTime);
+    if (!isAvailable) {
+      return next(new AppError('This slot is already booked for the selected time', 400));
+    }
+  } else {
+    allocation = await allocateSlot({ parking, startTime, endTime, vehicle, preferences });
+    if (!allocation) {
+      return next(
+        new AppError('No free slot fits this vehicle and preferences for the selected time', 400)
+      );
+    }
+    slot = allocation.slot;
+  }
+
+  // 4) Price the booking on the server
+  const quote = await quoteBooking({
+    parking,
+    slot,
+    startTime,
+    endTime,
+    vehicleType: vehicle && vehicle.type,
+  });
+
+  // 5) Bookings billed to an organisation must fit its policy, and some need an
+  //    org admin's approval before they are confirmed
+  let organization;
+  let approvalReasons = [];
+  if (organizationId) {
+    organization = await Organization.findById(organizationId);
+    if (!organization || !organization.isActive) {
+      return next(new AppError('No organisation found with that ID', 404));
+    }
+    const member = await findMembership(organization._id, req.user);
+    approvalReasons = await checkBookingPolicy({
+      organization,
+      member,
+      parking,
+      startTime,
+      endTime,
+      amount: quote.total,
+    });
+  }
+
+  // 6) Create the pending booking with a hold on the slot
+  const booking = await Booking.create({
+    user: req.user.id,
+    parking: parking._id,
+    slot: slot._id,
+    slotNumber: slot.slotId,
+    startTime,
+    endTime,
+    amount: quote.total,
+    pricing: {
+      lineItems: quote.lineItems,
+      currency: quote.currency,
+      quotedAt: quote.quotedAt,
+    },
+    status: 'pending',
+    holdExpiresAt: approvalReasons.length
+      ? approvalHoldExpiry(startTime)
+      : holdExpiryFor(parking),
+    payment: { method: organization ? 'invoice' : paymentMethod },
+    ...(organization && { organization: organization._id }),
+    ...(approvalReasons.length && {
+      approval: { status: 'pending', reasons: approvalReasons },
+    }),
+    vehicle,
+    notes,
+  });
+
+  // 7) Reserve the slot and push the change to clients. Organisation bookings that
+  //    need no approval are confirmed straight away and invoiced later.
+  await reserveSlot(parking._id, slot._id);
+  if (organization && approvalReasons.length === 0) {
+    await transitionBooking(booking, 'confirmed', { reason: 'Billed to organisation' });
+  }
+  await updateParkingAvailability(parking._id);
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      booking,
+      holdExpiresAt: booking.holdExpiresAt,
+      ...(allocation && {
+        allocation: { matched: allocation.matched, missed: allocation.missed },
+      }),
+    },
+  });
+});
+
+// @desc    Get bookings (own bookings, or a parking's bookings for its owner)
+// @route   GET /api/v1/bookings
+// @route   GET /api/v1/parkings/:parkingId/bookings
+// @access  Private
+exports.getAllBookings = catchAsync(async (req, res, next) => {
+  const filter = {};
+
+  if (req.params.parkingId) {
+    const parking = await Parking.findById(req.params.parkingId).select('owner');
+    if (!parking) {
+      return next(new AppError('No parking found with that ID', 404));
+    }
+    if (req.user.role !== 'admin' && parking.owner.toString() !== req.user.id) {
+      return next(
+        new AppError('You do not have permission to view bookings for this parking', 403)
+      );
+    }
+    filter.parking = parking._id;
+  } else {
+    filter.user = req.user.id;
+  }
+
+  if (req.query.status) filter.status = req.query.status;
+
+  const bookings = await Booking.find(filter).sort('-startTime');
+
+  res.status(200).json({
+    status: 'success',
+    results: bookings.length,
+    data: {
+      bookings,
+    },
+  });
+});
+
+// @desc    Get a single booking
+// @route   GET /api/v1/bookings/:id
+// @access  Private
+exports.getBooking = catchAsync(async (req, res, next) => {
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    return next(new AppError('No booking found with that ID', 404));
+  }
+
+  if (!(await canAccessBooking(booking, req.user))) {
+    return next(new AppError('You do not have permission to view this booking', 403));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      booking,
+    },
+  });
+});
+
+// @desc    Preview what cancelling a booking would refund
+// @route   GET /api/v1/bookings/:id/cancel
+// @access  Private
+exports.getCancellationPreview = catchAsync(async (req, res, next) => {
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    return next(new AppError('No booking found with that ID', 404));
+  }
+
+  if (!(await canAccessBooking(booking, req.user))) {
+    return next(new AppError('You do not have permission to cancel this booking', 403));
+  }
+
+  const parking = await Parking.findById(booking.parking._id).select('cancellationPolicy');
+  const preview = previewCancellation(booking, parking || {}, cancelledByFor(req.user));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      bookingId: booking._id,
+      ...preview,
+    },
+  });
+});
+
+// @desc    Cancel a booking, refunding it under the parking's policy
+// @route   PATCH /api/v1/bookings/:id/cancel
+// @access  Private
+exports.cancelBooking = catchAsync(async (req, res, next) => {
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    return next(new AppError('No booking found with that ID', 404));
+  }
+
+  if (!(await canAccessBooking(booking, req.user))) {
+    return next(new AppError('You do not have permission to cancel this booking', 403));
+  }
+
+  // Unpaid holds can always be dropped; confirmed bookings until they start
+  if (!booking.isHoldActive() && !booking.canBeCancelled()) {
+    return next(new AppError('This booking can no longer be cancelled', 400));
+  }
+
+  const parking = await Parking.findById(booking.parking._id).select('cancellationPolicy');
+  const preview = await cancelWithRefund(booking, parking || {}, {
+    reason: req.body.reason,
+    actor: req.user,
+  });
+  await updateParkingAvailability(booking.parking._id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      booking,
+      refundAmount: booking.cancellation.refundAmount,
+      refundPercent: preview.refundPercent,
+    },
+  });
+});
+
+// @desc    Extend (or shorten) the end of a booking
+// @route   PATCH /api/v1/bookings/:id/extend
+// @access  Private
+exports.extendBooking = catchAsync(async (req, res, next) => {
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    return next(new AppError('No booking found with that ID', 404));
+  }
+
+  if (!(await canAccessBooking(booking, req.user))) {
+    return next(new AppError('You do not have permission to modify this booking', 403));
+  }
+
+  // Accept either an explicit end time or a number of extra minutes
+  const endTime = req.body.endTime
+    ? new Date(req.body.endTime)
+    : new Date(booking.endTime.getTime() + (req.body.minutes * 1 || 0) * 60 * 1000);
+  if (endTime.getTime() === booking.endTime.getTime()) {
+    return next(new AppError('Please provide a new end time or extra minutes', 400));
+  }
+
+  const result = await changeBookingWindow(
+    booking,
+    { startTime: booking.startTime, endTime },
+    req.user
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: result,
+  });
+});
+
+// @desc    Move a booking to a new window and/or slot
+// @route   PATCH /api/v1/bookings/:id/reschedule
+// @access  Private
+exports.rescheduleBooking = catchAsync(async (req, res, next) => {
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    return next(new AppError('No booking found with that ID', 404));
+  }
+
+  if (!(await canAccessBooking(booking, req.user))) {
+    return next(new AppError('You do not have permission to modify this booking', 403));
+  }
+
+  const result = await changeBookingWindow(
+    booking,
+    {
+      startTime: req.body.startTime ? new Date(req.body.startTime) : booking.startTime,
+      endTime: req.body.endTime ? new Date(req.body.endTime) : booking.endTime,
+      slotId: req.body.slot,
+    },
+    req.user
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: result,
+  });
+});
+
+// @desc    Check a driver in by scanning their booking QR code
+// @route   POST /api/v1/bookings/:id/check-in
+// @access  Private (Attendant/Owner/Admin)
+exports.checkIn = catchAsync(async (req, res, next) => {
+  const { booking } = await findScannedBooking(req);
+  const now = new Date();
+
+  // 1) Only paid bookings inside their window can check in
+  if (booking.status === 'checked-in') {
+    return next(new AppError('This booking has already been checked in', 400));
+  }
+  if (booking.status !== 'confirmed') {
+    return next(new AppError('Only confirmed bookings can be checked in', 400));
+  }
+  if (now < booking.startTime.getTime() - EARLY_CHECK_IN_MINUTES * 60 * 1000) {
+    return next(
+      new AppError(
+        `Check-in opens ${EARLY_CHECK_IN_MINUTES} minutes before the booking starts`,
+        400
+      )
+    );
+  }
+  if (now >= booking.endTime) {
+    return next(new AppError('This booking has already ended', 400));
+  }
+
+  // 2) Record the check-in and mark the slot occupied
+  await transitionBooking(booking, 'checked-in', { actor: req.user, now });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      booking,
+    },
+  });
+});
+
+// @desc    Check a driver out, billing any overstay
+// @route   POST /api/v1/bookings/:id/check-out
+// @access  Private (Attendant/Owner/Admin)
+exports.checkOut = catchAsync(async (req, res, next) => {
+  const { booking, parking } = await findScannedBooking(req);
+  const now = new Date();
+
+  if (booking.status !== 'checked-in') {
+    return next(new AppError('This booking is not checked in', 400));
+  }
+
+  // 1) Work out the overstay, if any (falling back to the booked hourly price
+  //    if the slot has since been removed)
+  const slot = parking.slots.id(booking.slot) || {
+    pricePerHour: booking.pricing.lineItems.length ? booking.pricing.lineItems[0].unitPrice : 0,
+  };
+  const overstay = quoteOverstay({
+    parking,
+    slot,
+    endTime: booking.endTime,
+    checkOutTime: now,
+  });
+
+  // 2) Raise a charge for the overstay (organisation bookings get it on their statement)
+  let overstayOrder = null;
+  if (overstay.amount > 0 && booking.payment.method === 'invoice') {
+    booking.overstay = {
+      minutes: overstay.minutes,
+      amount: overstay.amount,
+      chargedAt: now,
+    };
+  } else if (overstay.amount > 0) {
+    try {
+      overstayOrder = await createTopUpOrder(
+        booking,
+        overstay.amount,
+        `Overstay of ${overstay.minutes} minutes`
+      );
+    } catch (err) {
+      logger.error(`Error creating overstay charge for ${booking._id}: ${err.message}`);
+      return next(new AppError('Error creating the overstay charge. Please try again.', 500));
+    }
+    booking.overstay = {
+      minutes: overstay.minutes,
+      amount: overstay.amount,
+      orderId: overstayOrder.id,
+      chargedAt: now,
+    };
+  }
+
+  // 3) Complete the booking and free the slot
+  await transitionBooking(booking, 'completed', { actor: req.user, now });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      booking,
+      overstay,
+      overstayOrder,
+    },
+  });
+});
+
+// @desc    Create (or rotate) the secret URL of the current user's calendar feed.
+//          The URL is only shown once; rotating it invalidates the old one.
+// @route   POST /api/v1/bookings/calendar
+// @access  Private
+exports.createCalendarFeed = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  const token = user.createCalendarToken();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      url: `${req.protocol}://${req.get('host')}/api/v1/bookings/calendar/${token}.ics`,
+    },
+  });
+});
+
+// @desc    Turn off the current user's calendar feed
+// @route   DELETE /api/v1/bookings/calendar
+// @access  Private
+exports.deleteCalendarFeed = catchAsync(async (req, res, next) => {
+  await User.updateOne({ _id: req.user.id }, { $unset: { calendarToken: 1 } });
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
+
+// @desc    iCalendar feed of a user's upcoming bookings. Bookings that were cancelled
+//          after being confirmed stay in the feed as cancelled events so calendar
+//          apps remove them.
+// @route   GET /api/v1/bookings/calendar/:token.ics
+// @access  Public (secret token)
+exports.getCalendarFeed = catchAsync(async (req, res, next) => {
+  const hashedToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+  const user = await User.findOne({ calendarToken: hashedToken });
+  if (!user) {
+    return next(new AppError('This calendar link is invalid or has been turned off', 404));
+  }
+
+  const bookings = await Booking.find({
+    user: user._id,
+    endTime: { $gt: new Date() },
+    $or: [
+      { status: { $in: ['confirmed', 'checked-in'] } },
+      { status: { $in: ['cancelled', 'no-show', 'refunded'] }, 'statusHistory.to': 'confirmed' },
+    ],
+  })
+    .sort('startTime')
+    .limit(CALENDAR_FEED_LIMIT);
+
+  sendCalendar(res, bookings, { name: 'ParkEase bookings' });
+});
+
+// @desc    Download a single booking as an .ics file
+// @route   GET /api/v1/bookings/:id/calendar.ics
+// @access  Private
+exports.getBookingCalendar = catchAsync(async (req, res, next) => {
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    return next(new AppError('No booking found with that ID', 404));
+  }
+
+  if (!(await canAccessBooking(booking, req.user))) {
+    return next(new AppError('You do not have permission to view this booking', 403));
+  }
+
+  sendCalendar(res, [booking], { filename: `booking-${booking._id}.ics` });
+});
+
+// @desc    Download the owner's tax invoice (or receipt) for a paid booking as a PDF
+// @route   GET /api/v1/bookings/:id/invoice
+// @access  Private
+exports.getBookingInvoice = catchAsync(async (req, res, next) => {
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    return next(new AppError('No booking found with that ID', 404));
+  }
+
+  if (!(await canAccessBooking(booking, req.user))) {
+    return next(new AppError('You do not have permission to view this booking', 403));
+  }
+
+  const documents = await ensureInvoices(booking);
+  const invoice = documents.find(
+    (doc) => doc.type !== 'credit-note' && doc.issuer !== 'platform'
+  );
+  if (!invoice) {
+    return next(new AppError('This booking has not been paid for yet', 404));
+  }
+
+  sendFile(res, await invoicePdf(invoice), { type: 'application/pdf', filename: invoice.file });
+});
+
+// @desc    List a booking's invoices, top-up and platform fee invoices and credit notes
+// @route   GET /api/v1/bookings/:id/invoices
+// @access  Private
+exports.getBookingInvoices = catchAsync(async (req, res, next) => {
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    return next(new AppError('No booking found with that ID', 404));
+  }
+
+  if (!(await canAccessBooking(booking, req.user))) {
+    return next(new AppError('You do not have permission to view this booking', 403));
+  }
+
+  const invoices = await ensureInvoices(booking);
+
+  res.status(200).json({
+    status: 'success',
+    results: invoices.length,
+    data: {
+      invoices,
+    },
+  });
+});
+
+// @desc    Download one of a booking's invoices or credit notes as a PDF
+// @route   GET /api/v1/bookings/:id/invoices/:invoiceId
+// @access  Private
+exports.getBookingInvoiceDocument = catchAsync(async (req, res, next) => {
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    return next(new AppError('No booking found with that ID', 404));
+  }
+
+  if (!(await canAccessBooking(booking, req.user))) {
+    return next(new AppError('You do not have permission to view this booking', 403));
+  }
+
+  const invoice = await Invoice.findOne({ _id: req.params.invoiceId, booking: booking._id });
+  if (!invoice) {
+    return next(new AppError('No invoice found with that ID', 404));
+  }
+
+  sendFile(res, await invoicePdf(invoice), { type: 'application/pdf', filename: invoice.file });
+});
+
+// @desc    Download all of the current user's invoices and credit notes dated between
+//          two days (YYYY-MM-DD, both included) as a ZIP archive
+// @route   GET /api/v1/bookings/invoices/archive?from=&to=
+// @access  Private
+exports.getInvoiceArchive = catchAsync(async (req, res, next) => {
+  const { from, to } = req.query;
+  const { start, end } = dateRange(from, to);
+
+  // 1) Issue any invoices still missing for payments made in the range
+  const paidBookings = await Booking.find({
+    user: req.user.id,
+    $or: [
+      { 'payment.paidAt': { $gte: start, $lt: end } },
+      { 'payment.topUps.paidAt': { $gte: start, $lt: end } },
+    ],
+  }).limit(INVOICE_ARCHIVE_LIMIT);
+  for (const booking of paidBookings) {
+    await ensureInvoices(booking);
+  }
+
+  // 2) Bundle every document dated in the range
+  const invoices = await Invoice.find({
+    user: req.user.id,
+    supplyDate: { $gte: start, $lt: end },
+  })
+    .sort('supplyDate')
+    .limit(INVOICE_ARCHIVE_LIMIT);
+  if (invoices.length === 0) {
+    return next(new AppError('You have no invoices between these dates', 404));
+  }
+
+  sendFile(res, await invoiceArchive(invoices), {
+    type: 'application/zip',
+    filename: `invoices-${from}-to-${to}.zip`,
+  });
+});
+
+// @desc    Directions to a booking's slot on the parking's floor plan
+// @route   GET /api/v1/bookings/:id/directions
+// @access  Private
+exports.getBookingDirections = catchAsync(async (req, res, next) => {
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    return next(new AppError('No booking found with that ID', 404));
+  }
+
+  if (!(await canAccessBooking(booking, req.user))) {
+    return next(new AppError('You do not have permission to view this booking', 403));
+  }
+
+  const parking = await Parking.findById(booking.parking._id).select('layout slots');
+  const slot = parking && parking.slots.id(booking.slot);
+  const directions = slot && directionsTo(parking, slot);
+  if (!directions) {
+    return next(new AppError('This slot has not been placed on a floor plan yet', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      directions,
+    },
+  });
+});
@@ -0,0 +1,321 @@
+const mongoose = require('mongoose');
+const BookingGroup = require('../models/bookingGroup.model');
+const Booking = require('../models/booking.model');
+const Parking = require('../models/parking.model');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const { invalidateAvailabilityCache } = require('../services/slot.service');
+const { holdExpiryFor } = require('../services/slotHold.service');
+const { quoteBooking } = require('../services/pricing.service');
+const { assertCompatibleSlot } = require('../services/slotAllocation.service');
+const { isOpenFor } = require('../services/openingHours.service');
+const { cancelWithRefund } = require('../services/cancellation.service');
+const { LIVE_STATUSES } = require('../utils/bookingStatus');
+const { updateParkingAvailability } = require('../utils/socket');
+
+// Vehicle type assumed for a slot when no vehicle is given for it
+const VEHICLE_TYPE_FOR_SLOT = { car: 'car', bike: 'bike', truck: 'truck' };
+
+// Helper to load a group the current user may manage
+const findOwnGroup = async (id, user) => {
+  const group = await BookingGroup.findById(id);
+  if (!group) {
+    throw new AppError('No booking group found with that ID', 404);
+  }
+  if (user.role !== 'admin' && group.user.toString() !== user.id) {
+    throw new AppError('You do not have permission to manage this booking group', 403);
+  }
+  return group;
+};
+
+// Helper to turn the request body into a list of { slot, vehicle } picks. Explicit
+// slots come from `slots`; `request` asks for a number of free slots of each type.
+const pickSlots = async (parking, { slots = [], request = [] }, startTime, endTime, session) => {
+  const picks = [];
+  const taken = new Set();
+
+  for (const item of slots) {
+    const slotId = typeof item === 'string' ? item : item.slot;
+    const slot = parking.slots.id(slotId);
+    if (!slot) {
+      throw new AppError(`No slot found with ID ${slotId} in this parking`, 404);
+    }
+    if (taken.has(slot._id.toString())) {
+      throw new AppError(`Slot ${slot.slotId} was requested more than once`, 400);
+    }
+    if (slot.status === 'maintenance') {
+      throw new AppError(`Slot ${slot.slotId} is under maintenance`, 400);
+    }
+    if (slot.pass) {
+      throw new AppError(`Slot ${slot.slotId} is reserved for a pass holder`, 400);
+    }
+    const vehicle = item.vehicle || { type: VEHICLE_TYPE_FOR_SLOT[slot.type] || 'car' };
+    assertCompatibleSlot(slot, vehicle);
+    if (!(await Booking.isSlotAvailable(slot._id, startTime, endTime, null, session))) {
+      throw new AppError(`Slot ${slot.slotId} is already booked for the selected time`, 400);
+    }
+    taken.add(slot._id.toString());
+    picks.push({ slot, vehicle });
+  }
+
+  for (const { type, count, vehicles = [] } of request) {
+    const wanted = parseInt(count, 10);
+    if (!type || !(wanted > 0)) {
+      throw new AppError('Each slot request needs a type and a positive count', 400);
+    }
+
+    const found = [];
+    for (const slot of parking.slots) {
+      if (found.length === wanted) break;
+      if (slot.type !== type || slot.status === 'maintenance' || slot.pass) continue;
+      if (taken.has(slot._id.toString())) continue;
+      if (await Booking.isSlotAvailable(slot._id, startTime, endTime, null, session)) {
+        found.push(slot);
+      }
+    }
+    if (found.length < wanted) {
+      throw new AppError(
+        `Only ${found.length} ${type} slot(s) are free for the selected time, ${wanted} requested`,
+        400
+      );
+    }
+
+    found.forEach((slot, index) => {
+      const vehicle = vehicles[index] || { type: VEHICLE_TYPE_FOR_SLOT[type] || 'car' };
+      assertCompatibleSlot(slot, vehicle);
+      taken.add(slot._id.toString());
+      picks.push({ slot, vehicle });
+    });
+  }
+
+  return picks;
+};
+
+// @desc    Book several slots of one parking at once (all or nothing)
+// @route   POST /api/v1/bookings/groups
+// @access  Private (User)
+exports.createGroup = catchAsync(async (req, res, next) => {
+  const { parking: parkingId, name, paymentMethod = 'card' } = req.body;
+  const startTime = new Date(req.body.startTime);
+  const endTime = new Date(req.body.endTime);
+
+  // 1) Validate the requested window and size
+  if (isNaN(startTime) || isNaN(endTime) || endTime <= startTime) {
+    return next(new AppError('Please provide a valid start and end time', 400));
+  }
+  if (startTime <= new Date()) {
+    return next(new AppError('Group bookings must start in the future', 400));
+  }
+
+  const { slots = [], request = [] } = req.body;
+  if (!Array.isArray(slots) || !Array.isArray(request)) {
+    return next(new AppError('Slots and request must be lists', 400));
+  }
+  const requested =
+    slots.length + request.reduce((sum, item) => sum + (parseInt(item.count, 10) || 0), 0);
+  if (requested === 0) {
+    return next(new AppError('Please choose at least one slot', 400));
+  }
+  if (requested > BookingGroup.MAX_GROUP_SLOTS) {
+    return next(
+      new AppError(`A group can book at most ${BookingGroup.MAX_GROUP_SLOTS} slots`, 400)
+    );
+  }
+
+  const parking = await Parking.findById(parkingId);
+  if (!parking) {
+    return next(new AppError('No parking found with that ID', 404));
+  }
+  if (!parking.isTakingBookings()) {
+    return next(new AppError('This parking is not taking bookings right now', 400));
+  }
+  if (!isOpenFor(parking, startTime, endTime)) {
+    return next(new AppError('The parking is closed during the requested time', 400));
+  }
+
+  // 2) Check every slot and create the group and its bookings in one transaction,
+  //    so either all slots are held or none are
+  let group;
+  let bookings;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      const picks = await pickSlots(parking, { slots, request }, startTime, endTime, session);
+
+      const quoted = [];
+      for (const pick of picks) {
+        const quote = await quoteBooking({
+          parking,
+          slot: pick.slot,
+          startTime,
+          endTime,
+          vehicleType: pick.vehicle && pick.vehicle.type,
+        });
+        quoted.push({ ...pick, quote });
+      }
+
+      [group] = await BookingGroup.create(
+        [
+          {
+            user: req.user.id,
+            parking: parking._id,
+            name,
+            startTime,
+            endTime,
+            slotCount: quoted.length,
+            amount: quoted.reduce((sum, item) => sum + item.quote.total, 0),
+            payment: { method: paymentMethod },
+          },
+        ],
+        { session }
+      );
+
+      const holdExpiresAt = holdExpiryFor(parking);
+      bookings = await Booking.create(
+        quoted.map(({ slot, vehicle, quote }) => ({
+          user: req.user.id,
+          parking: parking._id,
+          slot: slot._id,
+          slotNumber: slot.slotId,
+          group: group._id,
+          startTime,
+          endTime,
+          amount: quote.total,
+          pricing: {
+            lineItems: quote.lineItems,
+            currency: quote.currency,
+            quotedAt: quote.quotedAt,
+          },
+          status: 'pending',
+          holdExpiresAt,
+          payment: { method: paymentMethod },
+          vehicle,
+        })),
+        { session }
+      );
+
+      // Reserving the slots writes the parking document (and its updatedAt), so two
+      // group bookings racing for the same parking conflict and one of them retries
+      await Parking.updateOne(
+        { _id: parking._id },
+        { $set: { 'slots.$[slot].status': 'reserved' } },
+        {
+          session,
+          arrayFilters: [
+            {
+              'slot._id': { $in: quoted.map(({ slot }) => slot._id) },
+              'slot.status': 'available',
+            },
+          ],
+        }
+      );
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  // 3) Push the change to clients
+  await invalidateAvailabilityCache(parking._id);
+  await updateParkingAvailability(parking._id);
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      group,
+      bookings,
+      holdExpiresAt: bookings[0].holdExpiresAt,
+    },
+  });
+});
+
+// @desc    Get the current user's booking groups
+// @route   GET /api/v1/bookings/groups
+// @access  Private
+exports.getMyGroups = catchAsync(async (req, res, next) => {
+  const groups = await BookingGroup.find({ user: req.user.id }).sort('-createdAt');
+
+  res.status(200).json({
+    status: 'success',
+    results: groups.length,
+    data: {
+      groups,
+    },
+  });
+});
+
+// @desc    Get a booking group with its bookings
+// @route   GET /api/v1/bookings/groups/:id
+// @access  Private
+exports.getGroup = catchAsync(async (req, res, next) => {
+  const group = await findOwnGroup(req.params.id, req.user);
+  const bookings = await Booking.find({ group: group._id }).sort('slotNumber');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      group,
+      bookings,
+    },
+  });
+});
+
+// @desc    Cancel a whole group, or only the bookings listed in `bookings`
+// @route   PATCH /api/v1/bookings/groups/:id/cancel
+// @access  Private
+exports.cancelGroup = catchAsync(async (req, res, next) => {
+  const group = await findOwnGroup(req.params.id, req.user);
+  if (group.status !== 'active') {
+    return next(new AppError('This booking group is no longer active', 400));
+  }
+
+  const filter = { group: group._id, status: { $in: ['pending', 'confirmed'] } };
+  const selected = Array.isArray(req.body.bookings) && req.body.bookings.length > 0;
+  if (selected) {
+    filter._id = { $in: req.body.bookings };
+  }
+
+  const now = new Date();
+  const cancellable = (await Booking.find(filter)).filter(
+    (booking) => booking.isHoldActive(now) || booking.canBeCancelled(now)
+  );
+  if (selected && cancellable.length !== req.body.bookings.length) {
+    return next(
+      new AppError('Some of the selected bookings are not part of this group or cannot be cancelled', 400)
+    );
+  }
+  if (cancellable.length === 0) {
+    return next(new AppError('There are no bookings left to cancel in this group', 400));
+  }
+
+  const parking = await Parking.findById(group.parking).select('cancellationPolicy');
+  for (const booking of cancellable) {
+    await cancelWithRefund(booking, parking || {}, {
+      reason: req.body.reason || 'Group booking cancelled',
+      actor: req.user,
+    });
+  }
+
+  // Close the group once nothing in it is live any more
+  const remaining = await Booking.countDocuments({
+    group: group._id,
+    status: { $in: LIVE_STATUSES },
+  });
+  if (remaining === 0) {
+    group.status = 'cancelled';
+  }
+  group.amount = Math.max(
+    0,
+    group.amount - cancellable.reduce((sum, booking) => sum + booking.amount, 0)
+  );
+  await group.save();
+  await updateParkingAvailability(group.parking);
+
+  res.status(200).json({
+    status: 'success',
+    results: cancellable.length,
+    data: {
+      group,
+      cancelled: cancellable.map((booking) => booking._id),
+    },
+  });
+});
@@ -0,0 +1,270 @@
+const BookingSeries = require('../models/bookingSeries.model');
+const Booking = require('../models/booking.model');
+const Parking = require('../models/parking.model');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const { expandOccurrences } = require('../utils/recurrence');
+const { reserveSlot } = require('../services/slot.service');
+const { holdExpiryFor, occurrenceHoldExpiry } = require('../services/slotHold.service');
+const { quoteBooking } = require('../services/pricing.service');
+const { assertCompatibleSlot } = require('../services/slotAllocation.service');
+const { isOpenFor, timeZoneOf } = require('../services/openingHours.service');
+const { cancelWithRefund } = require('../services/cancellation.service');
+const { localDateOf, dateKey } = require('../utils/timezone');
+const { updateParkingAvailability } = require('../utils/socket');
+
+// Whether two instants fall on the same day in a zone
+const sameDay = (a, b, timeZone) =>
+  dateKey(localDateOf(a, timeZone)) === dateKey(localDateOf(b, timeZone));
+
+// Helper to load a series the current user may manage
+const findOwnSeries = async (id, user) => {
+  const series = await BookingSeries.findById(id);
+  if (!series) {
+    throw new AppError('No booking series found with that ID', 404);
+  }
+  if (user.role !== 'admin' && series.user.toString() !== user.id) {
+    throw new AppError('You do not have permission to manage this booking series', 403);
+  }
+  return series;
+};
+
+// @desc    Create a recurring booking series (add ?dryRun=true to preview it)
+// @route   POST /api/v1/bookings/series
+// @access  Private (User)
+exports.createSeries = catchAsync(async (req, res, next) => {
+  const { parking: parkingId, slot: slotId, vehicle, billing, paymentMethod = 'card' } = req.body;
+
+  // 1) Check parking and slot exist
+  const parking = await Parking.findById(parkingId);
+  if (!parking) {
+    return next(new AppError('No parking found with that ID', 404));
+  }
+  if (!parking.isTakingBookings()) {
+    return next(new AppError('This parking is not taking bookings right now', 400));
+  }
+  const slot = parking.slots.id(slotId);
+  if (!slot) {
+    return next(new AppError('No slot found with that ID in this parking', 404));
+  }
+  if (slot.pass) {
+    return next(new AppError('This slot is reserved for a pass holder', 400));
+  }
+  assertCompatibleSlot(slot, vehicle);
+
+  // 2) Validate the pattern itself
+  const series = new BookingSeries({
+    user: req.user.id,
+    parking: parking._id,
+    slot: slot._id,
+    recurrence: req.body.recurrence,
+    startDate: req.body.startDate,
+    startTime: req.body.startTime,
+    durationMinutes: req.body.durationMinutes,
+    billing,
+    vehicle,
+    payment: { method: paymentMethod },
+  });
+  await series.validate();
+
+  // 3) Expand occurrences on the parking's clock, check each one (the parking must be
+  //    open and the slot free) and price it
+  const now = new Date();
+  const occurrences = expandOccurrences(series, timeZoneOf(parking)).filter(
+    (item) => item.startTime > now
+  );
+  if (occurrences.length === 0) {
+    return next(new AppError('This pattern has no upcoming occurrences', 400));
+  }
+
+  const checked = [];
+  for (const occurrence of occurrences) {
+    const isAvailable =
+      isOpenFor(parking, occurrence.startTime, occurrence.endTime) &&
+      (await Booking.isSlotAvailable(slot._id, occurrence.startTime, occurrence.endTime));
+    const quote = isAvailable
+      ? await quoteBooking({
+          parking,
+          slot,
+          startTime: occurrence.startTime,
+          endTime: occurrence.endTime,
+          vehicleType: vehicle && vehicle.type,
+        })
+      : null;
+    checked.push({ ...occurrence, isAvailable, quote });
+  }
+
+  const bookable = checked.filter((item) => item.isAvailable);
+  const conflicts = checked
+    .filter((item) => !item.isAvailable)
+    .map(({ startTime, endTime }) => ({ startTime, endTime }));
+
+  if (req.query.dryRun === 'true') {
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        occurrences: checked.map(({ startTime, endTime, isAvailable, quote }) => ({
+          startTime,
+          endTime,
+          isAvailable,
+          amount: quote ? quote.total : null,
+        })),
+        conflicts,
+        amount: bookable.reduce((sum, item) => sum + item.quote.total, 0),
+      },
+    });
+  }
+
+  if (bookable.length === 0) {
+    return next(new AppError('The slot is closed or already booked for every occurrence', 400));
+  }
+
+  // 4) Materialise the bookable occurrences. Series billing holds every occurrence for the
+  //    usual payment window; per-occurrence billing holds each one until its own payment
+  //    deadline, and the payment job charges it before then.
+  series.conflicts = conflicts;
+  series.amount = bookable.reduce((sum, item) => sum + item.quote.total, 0);
+  await series.save();
+
+  const seriesHoldExpiry = holdExpiryFor(parking, now);
+  const bookings = await Booking.create(
+    bookable.map(({ startTime, endTime, quote }) => ({
+      user: req.user.id,
+      parking: parking._id,
+      slot: slot._id,
+      slotNumber: slot.slotId,
+      series: series._id,
+      startTime,
+      endTime,
+      amount: quote.total,
+      pricing: {
+        lineItems: quote.lineItems,
+        currency: quote.currency,
+        quotedAt: quote.quotedAt,
+      },
+      status: 'pending',
+      holdExpiresAt:
+        series.billing === 'series'
+          ? seriesHoldExpiry
+          : occurrenceHoldExpiry(parking, startTime, now),
+      payment: { method: paymentMethod },
+      vehicle,
+    }))
+  );
+
+  await reserveSlot(parking._id, slot._id);
+  await updateParkingAvailability(parking._id);
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      series,
+      bookings,
+      conflicts,
+    },
+  });
+});
+
+// @desc    Get the current user's booking series
+// @route   GET /api/v1/bookings/series
+// @access  Private
+exports.getMySeries = catchAsync(async (req, res, next) => {
+  const series = await BookingSeries.find({ user: req.user.id }).sort('-createdAt');
+
+  res.status(200).json({
+    status: 'success',
+    results: series.length,
+    data: {
+      series,
+    },
+  });
+});
+
+// @desc    Get a booking series with its occurrences
+// @route   GET /api/v1/bookings/series/:id
+// @access  Private
+exports.getSeries = catchAsync(async (req, res, next) => {
+  const series = await findOwnSeries(req.params.id, req.user);
+  const bookings = await Booking.find({ series: series._id }).sort('startTime');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      series,
+      bookings,
+    },
+  });
+});
+
+// @desc    Skip a single occurrence of a series
+// @route   PATCH /api/v1/bookings/series/:id/occurrences/:bookingId/skip
+// @access  Private
+exports.skipOccurrence = catchAsync(async (req, res, next) => {
+  const series = await findOwnSeries(req.params.id, req.user);
+
+  const booking = await Booking.findOne({ _id: req.params.bookingId, series: series._id });
+  if (!booking) {
+    return next(new AppError('No occurrence found with that ID in this series', 404));
+  }
+  if (!['pending', 'confirmed'].includes(booking.status) || booking.startTime <= new Date()) {
+    return next(new AppError('Only upcoming occurrences can be skipped', 400));
+  }
+
+  const parking = await Parking.findById(series.parking).select('cancellationPolicy timezone');
+  await cancelWithRefund(booking, parking || {}, {
+    reason: req.body.reason || 'Occurrence skipped',
+    actor: req.user,
+  });
+
+  const timeZone = timeZoneOf(parking || {});
+  if (!series.skippedDates.some((date) => sameDay(date, booking.startTime, timeZone))) {
+    series.skippedDates.push(booking.startTime);
+  }
+  series.amount = Math.max(0, series.amount - booking.amount);
+  await series.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      series,
+      booking,
+    },
+  });
+});
+
+// @desc    Cancel every upcoming occurrence of a series
+// @route   PATCH /api/v1/bookings/series/:id/cancel
+// @access  Private
+exports.cancelSeries = catchAsync(async (req, res, next) => {
+  const series = await findOwnSeries(req.params.id, req.user);
+  if (series.status !== 'active') {
+    return next(new AppError('This booking series is no longer active', 400));
+  }
+
+  const upcoming = await Booking.find({
+    series: series._id,
+    status: { $in: ['pending', 'confirmed'] },
+    startTime: { $gt: new Date() },
+  });
+
+  const parking = await Parking.findById(series.parking).select('cancellationPolicy');
+  for (const booking of upcoming) {
+    await cancelWithRefund(booking, parking || {}, {
+      reason: req.body.reason || 'Series cancelled',
+      actor: req.user,
+    });
+  }
+
+  series.status = 'cancelled';
+  await series.save();
+  await updateParkingAvailability(series.parking);
+
+  res.status(200).json({
+    status: 'success',
+    results: upcoming.length,
+    data: {
+      series,
+      cancelled: upcoming.map((booking) => booking._id),
+    },
+  });
+});
@@ -0,0 +1,366 @@
+const crypto = require('crypto');
+const Organization = require('../models/organization.model');
+const OrganizationMember = require('../models/organizationMember.model');
+const Booking = require('../models/booking.model');
+const Parking = require('../models/parking.model');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const { findMembership, buildStatement } = require('../services/organization.service');
+const { transitionBooking } = require('../services/bookingLifecycle.service');
+const { cancelWithRefund } = require('../services/cancellation.service');
+
+// Helper to load an organisation, 404 if it does not exist
+const findOrganization = async (id) => {
+  const organization = await Organization.findById(id);
+  if (!organization) {
+    throw new AppError('No organisation found with that ID', 404);
+  }
+  return organization;
+};
+
+// Helper to stop an organisation from losing its last admin
+const assertAnotherAdmin = async (member) => {
+  if (member.role !== 'admin' || member.status !== 'active') return;
+
+  const admins = await OrganizationMember.countDocuments({
+    organization: member.organization,
+    role: 'admin',
+    status: 'active',
+  });
+  if (admins <= 1) {
+    throw new AppError('An organisation needs at least one admin', 400);
+  }
+};
+
+// @desc    Create an organisation; the creator becomes its first admin
+// @route   POST /api/v1/organizations
+// @access  Private
+exports.createOrganization = catchAsync(async (req, res, next) => {
+  const organization = await Organization.create({
+    name: req.body.name,
+    billingEmail: req.body.billingEmail || req.user.email,
+    gstin: req.body.gstin,
+    policy: req.body.policy,
+    createdBy: req.user.id,
+  });
+
+  const member = await OrganizationMember.create({
+    organization: organization._id,
+    user: req.user.id,
+    email: req.user.email,
+    role: 'admin',
+    status: 'active',
+    joinedAt: new Date(),
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      organization,
+      member,
+    },
+  });
+});
+
+// @desc    Get the organisations the current user belongs to
+// @route   GET /api/v1/organizations
+// @access  Private
+exports.getMyOrganizations = catchAsync(async (req, res, next) => {
+  const memberships = await OrganizationMember.find({ user: req.user.id, status: 'active' })
+    .populate('organization', 'name billingEmail isActive')
+    .sort('-joinedAt');
+
+  res.status(200).json({
+    status: 'success',
+    results: memberships.length,
+    data: {
+      memberships,
+    },
+  });
+});
+
+// @desc    Get an organisation and its booking policy
+// @route   GET /api/v1/organizations/:id
+// @access  Private (Members)
+exports.getOrganization = catchAsync(async (req, res, next) => {
+  const organization = await findOrganization(req.params.id);
+  const member = await findMembership(organization._id, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      organization,
+      member,
+    },
+  });
+});
+
+// @desc    Update an organisation's details and booking policy
+// @route   PATCH /api/v1/organizations/:id
+// @access  Private (Org admins)
+exports.updateOrganization = catchAsync(async (req, res, next) => {
+  const organization = await findOrganization(req.params.id);
+  await findMembership(organization._id, req.user, { adminOnly: true });
+
+  ['name', 'billingEmail', 'gstin', 'policy'].forEach((field) => {
+    if (req.body[field] !== undefined) organization[field] = req.body[field];
+  });
+  await organization.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      organization,
+    },
+  });
+});
+
+// @desc    List an organisation's members and open invitations
+// @route   GET /api/v1/organizations/:id/members
+// @access  Private (Org admins)
+exports.getMembers = catchAsync(async (req, res, next) => {
+  await findMembership(req.params.id, req.user, { adminOnly: true });
+
+  const members = await OrganizationMember.find({
+    organization: req.params.id,
+    status: { $ne: 'removed' },
+  })
+    .populate('user', 'name email phone')
+    .sort('email');
+
+  res.status(200).json({
+    status: 'success',
+    results: members.length,
+    data: {
+      members,
+    },
+  });
+});
+
+// @desc    Invite someone to an organisation by email. The invitation link is only
+//          shown once; inviting the same address again replaces it.
+// @route   POST /api/v1/organizations/:id/members
+// @access  Private (Org admins)
+exports.inviteMember = catchAsync(async (req, res, next) => {
+  const organization = await findOrganization(req.params.id);
+  await findMembership(organization._id, req.user, { adminOnly: true });
+
+  const email = (req.body.email || '').toLowerCase().trim();
+  if (!email) {
+    return next(new AppError('Please provide the email address to invite', 400));
+  }
+
+  let member = await OrganizationMember.findOne({ organization: organization._id, email });
+  if (member && member.status === 'active') {
+    return next(new AppError('This person is already a member', 400));
+  }
+  if (!member) {
+    member = new OrganizationMember({ organization: organization._id, email });
+  }
+  member.set({
+    role: req.body.role || 'member',
+    monthlyLimit: req.body.monthlyLimit,
+    status: 'invited',
+    invitedBy: req.user.id,
+    user: undefined,
+  });
+  const token = member.createInviteToken();
+  await member.save();
+
+  const inviteUrl = `${req.protocol}://${req.get(
+    'host'
+  )}/api/v1/organizations/invites/${token}/accept`;
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      member,
+      inviteUrl,
+    },
+  });
+});
+
+// @desc    Accept an invitation sent to the current user's email address
+// @route   POST /api/v1/organizations/invites/:token/accept
+// @access  Private
+exports.acceptInvite = catchAsync(async (req, res, next) => {
+  const hashedToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+
+  const member = await OrganizationMember.findOne({
+    inviteToken: hashedToken,
+    inviteExpires: { $gt: Date.now() },
+    status: 'invited',
+  });
+  if (!member) {
+    return next(new AppError('This invitation is invalid or has expired', 400));
+  }
+  if (member.email !== req.user.email) {
+    return next(new AppError('This invitation was sent to a different email address', 403));
+  }
+
+  member.user = req.user.id;
+  member.status = 'active';
+  member.joinedAt = new Date();
+  member.inviteToken = undefined;
+  member.inviteExpires = undefined;
+  await member.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      member,
+    },
+  });
+});
+
+// @desc    Change a member's role or personal monthly limit
+// @route   PATCH /api/v1/organizations/:id/members/:memberId
+// @access  Private (Org admins)
+exports.updateMember = catchAsync(async (req, res, next) => {
+  await findMembership(req.params.id, req.user, { adminOnly: true });
+
+  const member = await OrganizationMember.findOne({
+    _id: req.params.memberId,
+    organization: req.params.id,
+    status: { $ne: 'removed' },
+  });
+  if (!member) {
+    return next(new AppError('No member found with that ID', 404));
+  }
+
+  if (req.body.role !== undefined && req.body.role !== member.role) {
+    await assertAnotherAdmin(member);
+    member.role = req.body.role;
+  }
+  if (req.body.monthlyLimit !== undefined) {
+    member.monthlyLimit = req.body.monthlyLimit;
+  }
+  await member.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      member,
+    },
+  });
+});
+
+// @desc    Remove a member (or withdraw an invitation). Members may also remove themselves.
+// @route   DELETE /api/v1/organizations/:id/members/:memberId
+// @access  Private (Org admins, or the member)
+exports.removeMember = catchAsync(async (req, res, next) => {
+  const member = await OrganizationMember.findOne({
+    _id: req.params.memberId,
+    organization: req.params.id,
+    status: { $ne: 'removed' },
+  });
+  if (!member) {
+    return next(new AppError('No member found with that ID', 404));
+  }
+
+  const isSelf = member.user && member.user.toString() === req.user.id;
+  if (!isSelf) {
+    await findMembership(req.params.id, req.user, { adminOnly: true });
+  }
+  await assertAnotherAdmin(member);
+
+  member.status = 'removed';
+  member.inviteToken = undefined;
+  member.inviteExpires = undefined;
+  await member.save();
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
+
+// @desc    List organisation bookings waiting for approval
+// @route   GET /api/v1/organizations/:id/approvals
+// @access  Private (Org admins)
+exports.getPendingApprovals = catchAsync(async (req, res, next) => {
+  await findMembership(req.params.id, req.user, { adminOnly: true });
+
+  const bookings = await Booking.find({
+    organization: req.params.id,
+    'approval.status': 'pending',
+    status: 'pending',
+    holdExpiresAt: { $gt: new Date() },
+  }).sort('holdExpiresAt');
+
+  res.status(200).json({
+    status: 'success',
+    results: bookings.length,
+    data: {
+      bookings,
+    },
+  });
+});
+
+// @desc    Approve or reject an organisation booking
+// @route   PATCH /api/v1/organizations/:id/approvals/:bookingId
+// @access  Private (Org admins)
+exports.decideApproval = catchAsync(async (req, res, next) => {
+  await findMembership(req.params.id, req.user, { adminOnly: true });
+
+  const { decision, note } = req.body;
+  if (!['approve', 'reject'].includes(decision)) {
+    return next(new AppError('Decision must be approve or reject', 400));
+  }
+
+  // 1) Only bookings still holding their slot can be decided
+  const booking = await Booking.findOne({
+    _id: req.params.bookingId,
+    organization: req.params.id,
+    'approval.status': 'pending',
+  });
+  if (!booking) {
+    return next(new AppError('No booking is waiting for approval with that ID', 404));
+  }
+  if (!booking.isHoldActive()) {
+    return next(new AppError('This booking is no longer waiting for approval', 400));
+  }
+
+  booking.approval.status = decision === 'approve' ? 'approved' : 'rejected';
+  booking.approval.decidedBy = req.user.id;
+  booking.approval.decidedAt = new Date();
+  booking.approval.note = note;
+
+  // 2) Approved bookings are confirmed and billed to the organisation; rejected ones are
+  //    cancelled and free their slot
+  if (decision === 'approve') {
+    await transitionBooking(booking, 'confirmed', {
+      reason: 'Approved by organisation admin',
+    });
+  } else {
+    const parking = await Parking.findById(booking.parking._id).select('cancellationPolicy');
+    await cancelWithRefund(booking, parking || {}, {
+      reason: note || 'Rejected by organisation admin',
+      actor: req.user,
+    });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      booking,
+    },
+  });
+});
+
+// @desc    Get an organisation's statement for a month (YYYY-MM)
+// @route   GET /api/v1/organizations/:id/statements/:month
+// @access  Private (Org admins)
+exports.getStatement = catchAsync(async (req, res, next) => {
+  const organization = await findOrganization(req.params.id);
+  await findMembership(organization._id, req.user, { adminOnly: true });
+
+  const statement = await buildStatement(organization, req.params.month);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      statement,
+    },
+  });
+});
@@ -1,103 +1,230 @@
+const mongoose = require('mongoose');
 const Parking = require('../models/parking.model');
 const Booking = require('../models/booking.model');
+const ParkingEvent = require('../models/parkingEvent.model');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 const APIFeatures = require('../utils/apiFeatures');
 const { getRedisClient } = require('../config/redis');
 const logger = require('../utils/logger');
+const {
+  MAX_BOOKING_DAYS,
+  assertBookingWindow,
+  quoteBooking,
+  validatePricingRules,
+  dryRunRules,
+} = require('../services/pricing.service');
+const { reservedFloatingCapacity } = require('../services/pass.service');
+const { isOpenFor, hoursOn, openParkingsFilter } = require('../services/openingHours.service');
+const { validateLayout, liveSlotStatuses } = require('../services/layout.service');
+const { invalidateAvailabilityCache } = require('../services/slot.service');
+const {
+  generateSlots,
+  exportSlots,
+  importSlots,
+  planBulkUpdate,
+  applyBulkUpdate,
+} = require('../services/slotBulk.service');
+const { resubmitListing, unsubmittedChanges } = require('../services/moderation.service');
+const { mergeImages, removeImageFiles } = require('../services/image.service');
+const {
+  GEO_PARAMS,
+  buildGeoSearch,
+  parseSort,
+  toSortString,
+  pageByDistance,
+  withDistance,
+} = require('../services/geoSearch.service');
+const {
+  CAPACITY_PARAMS,
+  parseCapacityQuery,
+  parkingsWithFreeSlots,
+} = require('../services/capacitySearch.service');
+const { canonicalizeFeatures } = require('../services/amenity.service');
+const {
+  FACET_PARAMS,
+  buildFacetFilters,
+  searchFacets,
+} = require('../services/searchFacets.service');
+const { normalizeText, prefixPattern } = require('../utils/searchText');
 
-// Helper function to get distance from lat/lon using Haversine formula
-const getDistanceFromLatLonInKm = (lat1, lon1, lat2, lon2) => {
-  const R = 6371; // Radius of the earth in km
-  const dLat = deg2rad(lat2 - lat1);
-  const dLon = deg2rad(lon2 - lon1);
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(deg2rad(lat1)) *
-      Math.cos(deg2rad(lat2)) *
-      Math.sin(dLon / 2) *
-      Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  const distance = R * c; // Distance in km
-  return distance;
+const MAX_SEARCH_LENGTH = 100;
+const MIN_SUGGEST_LENGTH = 2;
+const DEFAULT_SUGGESTIONS = 5;
+const MAX_SUGGESTIONS = 10;
+const SUGGEST_CACHE_SECONDS = 60;
+
+// Helper to reject malformed dynamic pricing conditions before they are saved
+const checkPricingRules = (body) => {
+  const rules = body.dynamicPricing && body.dynamicPricing.rules;
+  if (!Array.isArray(rules)) return null;
+
+  const errors = validatePricingRules(rules);
+  if (errors.length === 0) return null;
+
+  const details = errors
+    .map((error) => `rule ${error.index + 1}${error.name ? ` ("${error.name}")` : ''}: ${error.message}`)
+    .join('; ');
+  return new AppError(`Invalid pricing condition in ${details}`, 400);
+};
+
+// Helper to describe the slots drawn on a floor plan
+const layoutSlots = (parking, statuses) =>
+  parking.slots.map((slot) => ({
+    _id: slot._id,
+    slotId: slot.slotId,
+    number: slot.number,
+    type: slot.type,
+    features: slot.features,
+    position: slot.position,
+    ...(statuses && { status: statuses.get(slot._id.toString()) }),
+  }));
+
+// Helper to load a parking the current user may manage
+const findManagedParking = async (req) => {
+  const parking = await Parking.findById(req.params.id);
+  if (!parking) {
+    throw new AppError('No parking found with that ID', 404);
+  }
+  if (req.user.role !== 'admin' && parking.owner.toString() !== req.user.id) {
+    throw new AppError('You do not have permission to update this parking', 403);
+  }
+  return parking;
 };
 
-const deg2rad = (deg) => {
-  return deg * (Math.PI / 180);
+// Helper to read a list of image IDs sent as JSON or as a multipart text field
+const imageIdList = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return value.split(',').map((id) => id.trim()).filter(Boolean);
+  }
+};
+
+// Helper to save a parking after its slots were added to or changed in bulk
+const saveSlots = async (parking) => {
+  parking.totalSlots = parking.slots.length;
+  await parking.save();
+  await invalidateAvailabilityCache(parking._id);
 };
 
 // @desc    Get all parkings with filtering, sorting, and pagination
 // @route   GET /api/v1/parkings
 // @access  Public
 exports.getAllParkings = catchAsync(async (req, res, next) => {
-  // 1) Filtering
-  const queryObj = { ...req.query };
-  const excludedFields = ['page', 'sort', 'limit', 'fields', 'near'];
-  excludedFields.forEach((el) => delete queryObj[el]);
-
-  // 2) Advanced filtering
-  let queryStr = JSON.stringify(queryObj);
-  queryStr = queryStr.replace(/\b(gte|gt|lte|lt)\b/g, (match) => `$${match}`);
-
-  let query = Parking.find(JSON.parse(queryStr));
+  // 1) Search area (near, bbox, polygon or route) and where distances are measured from
+  const { openFrom, openTo, q, sort, ...featureQuery } = req.query;
+  [...GEO_PARAMS, ...CAPACITY_PARAMS, ...FACET_PARAMS].forEach(
+    (param) => delete featureQuery[param]
+  );
+  let baseQuery = Parking.find(Parking.listedFilter());
+  const { filter: areaFilter, origin } = await buildGeoSearch(req.query);
+  if (Object.keys(areaFilter).length) baseQuery = baseQuery.and([areaFilter]);
 
-  // 3) Sorting
-  if (req.query.sort) {
-    const sortBy = req.query.sort.split(',').join(' ');
-    query = query.sort(sortBy);
-  } else {
-    query = query.sort('-createdAt');
+  // 2) Only parkings open for the whole of [openFrom, openTo) (an hour if openTo is left
+  //    out); only those in the search area have their hours checked
+  if (openFrom) {
+    const from = new Date(openFrom);
+    const to = openTo ? new Date(openTo) : new Date(from.getTime() + 60 * 60 * 1000);
+    if (isNaN(from) || isNaN(to) || to <= from) {
+      return next(new AppError('Please provide a valid openFrom and openTo time', 400));
+    }
+    // Opening hours are expanded day by day, so the window is no longer than a booking
+    if (to - from > MAX_BOOKING_DAYS * 24 * 60 * 60 * 1000) {
+      return next(
+        new AppError(`Please search a window of at most ${MAX_BOOKING_DAYS} days`, 400)
+      );
+    }
+    baseQuery = baseQuery.and([await openParkingsFilter(from, to, baseQuery.getFilter())]);
   }
 
-  // 4) Field limiting
-  if (req.query.fields) {
-    const fields = req.query.fields.split(',').join(' ');
-    query = query.select(fields);
-  } else {
-    query = query.select('-__v');
+  // 3) Only parkings open with enough free slots for the whole of [start, end)
+  const capacity = parseCapacityQuery(req.query);
+  let freeSlots = null;
+  if (capacity) {
+    freeSlots = await parkingsWithFreeSlots(capacity, areaFilter);
+    baseQuery = baseQuery.and([{ _id: { $in: [...freeSlots.keys()] } }]);
   }
 
-  // 5) Pagination
-  const page = req.query.page * 1 || 1;
-  const limit = req.query.limit * 1 || 100;
-  const skip = (page - 1) * limit;
+  // 4) Amenities (all of them) and slot types (any of them) picked from the filter chips
+  const facetFilters = await buildFacetFilters(req.query);
+  if (facetFilters.length) baseQuery = baseQuery.and(facetFilters);
 
-  // 6) Geo-spatial queries (if near parameter is provided)
-  if (req.query.near) {
-    const [lat, lng, radius = 10] = req.query.near.split(',');
-    if (!lat || !lng) {
-      return next(
-        new AppError(
-          'Please provide latitude and longitude in the format lat,lng,radius(km)',
-          400
-        )
-      );
+  // 5) Full-text search
+  if (q !== undefined) {
+    const search = String(q).trim().slice(0, MAX_SEARCH_LENGTH);
+    if (!search) {
+      return next(new AppError('Please provide something to search for', 400));
     }
+    baseQuery = baseQuery.find({ $text: { $search: search } });
+  }
 
-    const radiusInMeters = radius * 1000; // Convert km to meters
+  // 6) Listings under review never show up, whatever the query asks for
+  Object.keys(featureQuery)
+    .filter((key) => key.startsWith('moderation'))
+    .forEach((key) => delete featureQuery[key]);
 
-    query = query.find({
-      location: {
-        $near: {
-          $geometry: {
-            type: 'Point',
-            coordinates: [parseFloat(lng), parseFloat(lat)],
-          },
-          $maxDistance: radiusInMeters,
-        },
-      },
-    });
+  // 7) Sort by what was asked for (distance, price, rating or any field), else text
+  // matches best first. The default sort added by APIFeatures then only breaks ties.
+  const sortKeys = sort ? parseSort(sort) : [];
+  const byDistance = sortKeys.some(({ field }) => field === 'distance');
+  if (byDistance && !origin) {
+    return next(new AppError('Sorting by distance needs near or from', 400));
+  }
+  if (sortKeys.length && !byDistance) {
+    baseQuery = baseQuery.sort(toSortString(sortKeys));
+  } else if (!sortKeys.length && q !== undefined) {
+    baseQuery = baseQuery.sort({ score: { $meta: 'textScore' } });
   }
 
   // Execute query
-  const features = new APIFeatures(Parking.find(), req.query)
-    .filter()
-    .sort()
-    .limitFields()
-    .paginate();
-  
-  const parkings = await features.query;
-  const total = await Parking.countDocuments(features.query.getFilter());
+  let parkings;
+  let total;
+  let facetFilter;
+  if (byDistance) {
+    const filter = new APIFeatures(baseQuery, featureQuery).filter().query.cast();
+    facetFilter = filter;
+    const page = req.query.page * 1 || 1;
+    const limit = req.query.limit * 1 || 100;
+    const { ids, total: matched } = await pageByDistance(filter, {
+      origin,
+      sortKeys,
+      page,
+      limit,
+    });
+
+    const pageQuery = new APIFeatures(Parking.find({ _id: { $in: ids } }), featureQuery);
+    const found = await pageQuery.limitFields().query;
+    const byId = new Map(found.map((parking) => [String(parking._id), parking]));
+    parkings = ids.map((id) => byId.get(String(id))).filter(Boolean);
+    total = matched;
+  } else {
+    const features = new APIFeatures(baseQuery, featureQuery)
+      .filter()
+      .sort()
+      .limitFields()
+      .paginate();
+    facetFilter = features.query.cast();
+    parkings = await features.query;
+    total = await Parking.countDocuments(features.query.getFilter());
+  }
+
+  // 8) How far each parking is from the driver, and in which direction
+  if (origin) {
+    parkings = parkings.map((parking) => withDistance(parking, origin));
+  }
+
+  // 9) How many slots are free for the requested window
+  if (freeSlots) {
+    parkings = parkings.map((parking) => ({
+      ...(typeof parking.toJSON === 'function' ? parking.toJSON() : parking),
+      freeSlots: freeSlots.get(String(parking._id)),
+    }));
+  }
+
+  // 10) Counts for the filter chips, over everything the query matched
+  const facets = await searchFacets(facetFilter);
 
   res.status(200).json({
     status: 'success',
@@ -105,10 +232,84 @@ exports.getAllParkings = catchAsync(async (req, res, next) => {
     total,
     data: {
       parkings,
+      facets,
     },
   });
 });
 
+// @desc    Autocomplete parkings by the start of a word in their name, address or features
+// @route   GET /api/v1/parkings/suggest?q=...
+// @access  Public
+exports.suggestParkings = catchAsync(async (req, res, next) => {
+  // 1) Normalise the prefix, so 'MG Rd' and 'mg  rd.' share a cache entry
+  const prefix = normalizeText(req.query.q).slice(0, MAX_SEARCH_LENGTH);
+  if (prefix.length < MIN_SUGGEST_LENGTH) {
+    return next(new AppError(`Please type at least ${MIN_SUGGEST_LENGTH} characters`, 400));
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_SUGGESTIONS, MAX_SUGGESTIONS);
+  if (limit < 1) {
+    return next(new AppError('Please provide a positive limit', 400));
+  }
+
+  const sendSuggestions = (suggestions) =>
+    res.status(200).json({
+      status: 'success',
+      results: suggestions.length,
+      data: {
+        suggestions,
+      },
+    });
+
+  // 2) Recent answers come from the cache; they may lag listing changes by up to a minute
+  const redisClient = getRedisClient();
+  const cacheKey = `parkings:suggest:${limit}:${prefix}`;
+  if (redisClient) {
+    try {
+      const cachedData = await redisClient.get(cacheKey);
+      if (cachedData) return sendSuggestions(JSON.parse(cachedData));
+    } catch (error) {
+      logger.error(`Redis error: ${error.message}`);
+    }
+  }
+
+  // 3) Anchored prefix match on the indexed search terms, best rated first
+  const matches = await Parking.find({
+    ...Parking.listedFilter(),
+    searchTerms: { $regex: prefixPattern(prefix) },
+  })
+    .select('name slug location.address rating')
+    .sort('-rating name')
+    .limit(limit * 3);
+
+  // 4) Names starting with the prefix, then names with a word starting with it, then the rest
+  const rankOf = (parking) => {
+    const name = normalizeText(parking.name);
+    if (name.startsWith(prefix)) return 0;
+    return ` ${name}`.includes(` ${prefix}`) ? 1 : 2;
+  };
+  const suggestions = matches
+    .map((parking, index) => ({ parking, index, rank: rankOf(parking) }))
+    .sort((a, b) => a.rank - b.rank || a.index - b.index)
+    .slice(0, limit)
+    .map(({ parking }) => ({
+      _id: parking._id,
+      name: parking.name,
+      slug: parking.slug,
+      address: parking.location && parking.location.address,
+      rating: parking.rating,
+    }));
+
+  if (redisClient) {
+    try {
+      await redisClient.set(cacheKey, JSON.stringify(suggestions), { EX: SUGGEST_CACHE_SECONDS });
+    } catch (error) {
+      logger.error(`Redis error: ${error.message}`);
+    }
+  }
+
+  sendSuggestions(suggestions);
+});
+
 // @desc    Get a single parking
 // @route   GET /api/v1/parkings/:id
 // @access  Public
@@ -202,6 +403,16 @@ exports.createParking = catchAsync(async (req, res, next) => {
     }
   }
 
+  // Validate dynamic pricing conditions
+  const pricingError = checkPricingRules(req.body);
+  if (pricingError) return next(pricingError);
+
+  // New listings always start out waiting for review
+  delete req.body.moderation;
+
+  // Photos come only from the upload, never from URLs in the body
+  req.body.images = mergeImages([], undefined, req.uploadedImages).images;
+
   // Create parking
   const newParking = await Parking.create(req.body);
 
@@ -233,7 +444,30 @@ exports.updateParking = catchAsync(async (req, res, next) => {
     );
   }
 
-  // 3) Update parking
+  // 3) Validate dynamic pricing conditions
+  const pricingError = checkPricingRules(req.body);
+  if (pricingError) return next(pricingError);
+
+  // 4) Features must be catalogue amenities (the save hook that checks this is skipped here)
+  await canonicalizeFeatures(req.body);
+
+  // 5) Work out the photos: `images` lists the IDs of the current ones to keep, in order,
+  //    and new uploads are added after them
+  let removedImages = [];
+  if (req.body.images !== undefined || req.uploadedImages) {
+    const { images, removed } = mergeImages(
+      parking.images,
+      imageIdList(req.body.images),
+      req.uploadedImages,
+      req.body.coverImage
+    );
+    req.body.images = images.map((image) => (image.toObject ? image.toObject() : image));
+    removedImages = removed;
+  }
+  delete req.body.coverImage;
+
+  // 6) Update parking (review decisions go through the moderation routes)
+  delete req.body.moderation;
   const updatedParking = await Parking.findByIdAndUpdate(
     req.params.id,
     req.body,
@@ -242,8 +476,9 @@ exports.updateParking = catchAsync(async (req, res, next) => {
       runValidators: true,
     }
   );
+  await removeImageFiles(removedImages);
 
-  // 4) Invalidate cache if needed
+  // 7) Invalidate cache if needed
   const redisClient = getRedisClient();
   if (redisClient) {
     try {
@@ -281,9 +516,12 @@ exports.deleteParking = catchAsync(async (req, res, next) => {
     );
   }
 
-  // 3) Soft delete (set isActive to false)
+  // 3) Soft delete (set isActive to false) and delete its photos
+  const { images } = parking;
   parking.isActive = false;
+  parking.images = [];
   await parking.save({ validateBeforeSave: false });
+  await removeImageFiles(images);
 
   // 4) Invalidate cache
   const redisClient = getRedisClient();
@@ -365,9 +603,9 @@ exports.getParkingSlots = catchAsync(async (req, res, next) => {
     return next(new AppError('No parking found with that ID', 404));
   }
 
-  // Get available slots
+  // Get available slots (slots dedicated to a reserved pass are never bookable)
   const availableSlots = parking.slots.filter(
-    (slot) => slot.status === 'available' || slot.status === 'reserved'
+    (slot) => (slot.status === 'available' || slot.status === 'reserved') && !slot.pass
   );
 
   res.status(200).json({
@@ -391,70 +629,58 @@ exports.getParkingAvailability = catchAsync(async (req, res, next) => {
     return next(new AppError('No parking found with that ID', 404));
   }
 
-  // Check if parking is open at the requested time
+  // Check if parking is open for the whole requested window, in its own time zone
   const requestedDate = date ? new Date(date) : new Date();
-  const dayOfWeek = requestedDate.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
-  
-  if (!parking.is24x7) {
-    const openingHours = parking.openingHours[dayOfWeek];
-    if (!openingHours || !openingHours.open || !openingHours.close) {
-      return res.status(200).json({
-        status: 'success',
-        data: {
-          isOpen: false,
-          message: 'Parking is closed on this day',
-        },
-      });
-    }
+  const endTime = new Date(requestedDate.getTime() + duration * 60000);
+  if (isNaN(requestedDate) || isNaN(endTime) || endTime <= requestedDate) {
+    return next(new AppError('Please provide a valid date and duration', 400));
+  }
 
-    const [openHour, openMinute] = openingHours.open.split(':').map(Number);
-    const [closeHour, closeMinute] = openingHours.close.split(':').map(Number);
-    
-    const openTime = new Date(requestedDate);
-    openTime.setHours(openHour, openMinute, 0, 0);
-    
-    const closeTime = new Date(requestedDate);
-    closeTime.setHours(closeHour, closeMinute, 0, 0);
-    
-    const endTime = new Date(requestedDate.getTime() + duration * 60000);
-    
-    if (requestedDate < openTime || endTime > closeTime) {
-      return res.status(200).json({
-        status: 'success',
-        data: {
-          isOpen: false,
-          message: 'Parking is closed at the requested time',
-          openingHours: {
-            [dayOfWeek]: openingHours
-          }
-        },
-      });
-    }
+  if (!isOpenFor(parking, requestedDate, endTime)) {
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        isOpen: false,
+        message: 'Parking is closed at the requested time',
+        openingHours: hoursOn(parking, requestedDate),
+      },
+    });
   }
 
-  // Get available slots
+  // Get available slots (slots dedicated to a reserved pass are never bookable)
   const availableSlots = parking.slots.filter(
-    (slot) => slot.status === 'available' || slot.status === 'reserved'
+    (slot) => (slot.status === 'available' || slot.status === 'reserved') && !slot.pass
   );
 
-  // Check for overlapping bookings
+  // Check for overlapping bookings (pending bookings only count while their hold is active)
   const overlappingBookings = await Booking.find({
     parking: req.params.id,
-    status: { $in: ['confirmed', 'pending'] },
-    $or: [
-      { startTime: { $lt: new Date(requestedDate.getTime() + duration * 60000) },
-        endTime: { $gt: requestedDate } }
-    ]
+    startTime: { $lt: endTime },
+    endTime: { $gt: requestedDate },
+    ...Booking.blockingFilter(),
   });
 
   // Get booked slot IDs
   const bookedSlotIds = overlappingBookings.map(booking => booking.slot.toString());
   
   // Filter out booked slots
-  const trulyAvailableSlots = availableSlots.filter(
+  const freeSlots = availableSlots.filter(
     slot => !bookedSlotIds.includes(slot._id.toString())
   );
 
+  // Keep room for floating pass holders who may turn up during the window,
+  // holding back the highest-numbered free slots of each type
+  const reservedForPasses = await reservedFloatingCapacity(parking._id, requestedDate, endTime);
+  const heldBack = new Set();
+  Object.entries(reservedForPasses).forEach(([type, count]) => {
+    freeSlots
+      .filter(slot => slot.type === type)
+      .sort((a, b) => b.number - a.number)
+      .slice(0, count)
+      .forEach(slot => heldBack.add(slot._id.toString()));
+  });
+  const trulyAvailableSlots = freeSlots.filter(slot => !heldBack.has(slot._id.toString()));
+
   res.status(200).json({
     status: 'success',
     data: {
@@ -462,7 +688,509 @@ exports.getParkingAvailability = catchAsync(async (req, res, next) => {
       availableSlots: trulyAvailableSlots.length,
       slots: trulyAvailableSlots,
       totalSlots: parking.slots.length,
+      reservedForPasses: heldBack.size,
       lastUpdated: new Date()
     },
   });
 });
+
+// @desc    Get a server-side price quote for a slot
+// @route   GET /api/v1/parkings/:id/quote?slot=&start=&end=&vehicleType=
+// @access  Public
+exports.getQuote = catchAsync(async (req, res, next) => {
+  const { slot: slotId, vehicleType } = req.query;
+  const startTime = new Date(req.query.start);
+  const endTime = new Date(req.query.end);
+
+  if (!slotId) {
+    return next(new AppError('Please provide the slot to quote for', 400));
+  }
+  assertBookingWindow(startTime, endTime);
+
+  const parking = await Parking.findById(req.params.id);
+  if (!parking) {
+    return next(new AppError('No parking found with that ID', 404));
+  }
+
+  const slot = parking.slots.id(slotId);
+  if (!slot) {
+    return next(new AppError('No slot found with that ID in this parking', 404));
+  }
+
+  const quote = await quoteBooking({ parking, slot, startTime, endTime, vehicleType });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      quote,
+    },
+  });
+});
+
+// @desc    Show which dynamic pricing rules would fire at a given time
+// @route   GET /api/v1/parkings/:id/pricing/dry-run?at=&slot=&vehicleType=&durationHours=
+// @access  Private (Owner/Admin)
+exports.dryRunPricingRules = catchAsync(async (req, res, next) => {
+  const parking = await Parking.findById(req.params.id);
+  if (!parking) {
+    return next(new AppError('No parking found with that ID', 404));
+  }
+
+  if (req.user.role !== 'admin' && parking.owner.toString() !== req.user.id) {
+    return next(
+      new AppError('You do not have permission to view pricing for this parking', 403)
+    );
+  }
+
+  const at = req.query.at ? new Date(req.query.at) : new Date();
+  if (isNaN(at)) {
+    return next(new AppError('Please provide a valid timestamp in "at"', 400));
+  }
+
+  const slot = req.query.slot ? parking.slots.id(req.query.slot) : parking.slots[0];
+  if (!slot) {
+    return next(new AppError('No slot found with that ID in this parking', 404));
+  }
+
+  const result = await dryRunRules({
+    parking,
+    slot,
+    at,
+    vehicleType: req.query.vehicleType,
+    durationHours: req.query.durationHours * 1 || 1,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      at,
+      ...result,
+    },
+  });
+});
+
+// @desc    Get recorded events (e.g. no-shows) for a parking
+// @route   GET /api/v1/parkings/:id/events?type=&from=&to=
+// @access  Private (Owner/Admin)
+exports.getParkingEvents = catchAsync(async (req, res, next) => {
+  const parking = await Parking.findById(req.params.id).select('owner');
+  if (!parking) {
+    return next(new AppError('No parking found with that ID', 404));
+  }
+
+  if (req.user.role !== 'admin' && parking.owner.toString() !== req.user.id) {
+    return next(
+      new AppError('You do not have permission to view events for this parking', 403)
+    );
+  }
+
+  const filter = { parking: parking._id };
+  if (req.query.type) filter.type = req.query.type;
+  if (req.query.from || req.query.to) {
+    filter.createdAt = {};
+    if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+    if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+  }
+
+  const [events, countsByType] = await Promise.all([
+    ParkingEvent.find(filter).sort('-createdAt').limit(req.query.limit * 1 || 100),
+    ParkingEvent.aggregate([
+      { $match: filter },
+      { $group: { _id: '$type', count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: events.length,
+    data: {
+      counts: countsByType.reduce((acc, curr) => {
+        acc[curr._id] = curr.count;
+        return acc;
+      }, {}),
+      events,
+    },
+  });
+});
+
+// @desc    Get a parking's floor plans and where each slot is on them
+// @route   GET /api/v1/parkings/:id/layout
+// @access  Public
+exports.getParkingLayout = catchAsync(async (req, res, next) => {
+  const parking = await Parking.findById(req.params.id).select('name layout slots');
+  if (!parking) {
+    return next(new AppError('No parking found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      levels: parking.layout.levels,
+      slots: layoutSlots(parking),
+    },
+  });
+});
+
+// @desc    Update a parking's floor plans and slot positions. `levels` replaces every
+//          level; `slots` is a list of { slot, position } (slot by _id or slotId, a null
+//          position takes the slot off the plan) and leaves other slots where they are.
+// @route   PATCH /api/v1/parkings/:id/layout
+// @access  Private (Owner/Admin)
+exports.updateParkingLayout = catchAsync(async (req, res, next) => {
+  const { levels, slots = [] } = req.body;
+
+  // 1) Check parking exists and user has permission
+  const parking = await Parking.findById(req.params.id);
+  if (!parking) {
+    return next(new AppError('No parking found with that ID', 404));
+  }
+  if (req.user.role !== 'admin' && parking.owner.toString() !== req.user.id) {
+    return next(new AppError('You do not have permission to update this parking', 403));
+  }
+  if ((levels !== undefined && !Array.isArray(levels)) || !Array.isArray(slots)) {
+    return next(new AppError('Levels and slots must be lists', 400));
+  }
+
+  // 2) Apply the changes
+  if (levels !== undefined) {
+    parking.layout.levels = levels;
+  }
+  for (const item of slots) {
+    const slot =
+      parking.slots.find((candidate) => candidate.slotId === item.slot) ||
+      (mongoose.isValidObjectId(item.slot) && parking.slots.id(item.slot));
+    if (!slot) {
+      return next(new AppError(`No slot ${item.slot} found in this parking`, 404));
+    }
+    slot.position = item.position || undefined;
+  }
+
+  // 3) Check the plan holds together before saving it
+  const errors = validateLayout(parking);
+  if (errors.length > 0) {
+    return next(new AppError(`Invalid layout: ${errors.join('; ')}`, 400));
+  }
+  await parking.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      levels: parking.layout.levels,
+      slots: layoutSlots(parking),
+    },
+  });
+});
+
+// @desc    Get a parking's floor plans with the live status of every slot, for drawing
+//          a slot map (add ?level= for one level)
+// @route   GET /api/v1/parkings/:id/layout/live
+// @access  Public
+exports.getLiveParkingLayout = catchAsync(async (req, res, next) => {
+  const parking = await Parking.findById(req.params.id).select('name layout slots');
+  if (!parking) {
+    return next(new AppError('No parking found with that ID', 404));
+  }
+
+  const statuses = await liveSlotStatuses(parking);
+  let slots = layoutSlots(parking, statuses);
+  let { levels } = parking.layout;
+  if (req.query.level) {
+    levels = levels.filter((level) => level.code === req.query.level);
+    slots = slots.filter((slot) => slot.position && slot.position.level === req.query.level);
+  }
+
+  // Counts per status, for a quick summary above the map
+  const summary = slots.reduce((counts, slot) => {
+    counts[slot.status] = (counts[slot.status] || 0) + 1;
+    return counts;
+  }, {});
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      levels,
+      slots,
+      summary,
+      lastUpdated: new Date(),
+    },
+  });
+});
+
+// @desc    Add slots in bulk from a naming pattern, e.g. { count: 40, pattern: 'L2-EV-{n:3}',
+//          type: 'ev', pricePerHour: 80, features, position: { level, zone, row, x, y,
+//          dx, dy } } (add ?dryRun=true to preview them)
+// @route   POST /api/v1/parkings/:id/slots/generate
+// @access  Private (Owner/Admin)
+exports.generateParkingSlots = catchAsync(async (req, res, next) => {
+  // 1) Check parking exists and user has permission
+  const parking = await findManagedParking(req);
+
+  // 2) Build the slots and check they fit the floor plan
+  const slots = generateSlots(parking, req.body);
+  parking.slots.push(...slots);
+  const errors = validateLayout(parking);
+  if (errors.length > 0) {
+    return next(new AppError(`Invalid layout: ${errors.join('; ')}`, 400));
+  }
+
+  if (req.query.dryRun === 'true') {
+    return res.status(200).json({
+      status: 'success',
+      results: slots.length,
+      data: {
+        slots,
+      },
+    });
+  }
+
+  // 3) Save them
+  await saveSlots(parking);
+
+  res.status(201).json({
+    status: 'success',
+    results: slots.length,
+    data: {
+      slots: parking.slots.slice(-slots.length),
+      totalSlots: parking.totalSlots,
+    },
+  });
+});
+
+// @desc    Download a parking's slots as CSV
+// @route   GET /api/v1/parkings/:id/slots/export
+// @access  Private (Owner/Admin)
+exports.exportParkingSlots = catchAsync(async (req, res, next) => {
+  const parking = await findManagedParking(req);
+
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${parking.slug || parking._id}-slots.csv"`);
+  res.status(200).send(exportSlots(parking));
+});
+
+// @desc    Create or update slots from CSV (the format of the export), sent as a text/csv
+//          body or as { csv }. Nothing is saved unless every row is valid; otherwise
+//          the problems are listed per row. Add ?dryRun=true to only check the file and
+//          see the upcoming bookings it touches.
+// @route   POST /api/v1/parkings/:id/slots/import
+// @access  Private (Owner/Admin)
+exports.importParkingSlots = catchAsync(async (req, res, next) => {
+  const csv = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
+  if (!csv || typeof csv !== 'string') {
+    return next(new AppError('Please provide the slots as CSV', 400));
+  }
+
+  // 1) Check parking exists and user has permission
+  const parking = await findManagedParking(req);
+
+  // 2) Check every row and apply the changes
+  const result = await importSlots(parking, csv);
+  if (result.errors.length === 0) {
+    validateLayout(parking).forEach((message) =>
+      result.errors.push({ row: null, column: null, message })
+    );
+  }
+  if (result.errors.length > 0) {
+    return res.status(400).json({
+      status: 'fail',
+      message: `The file has ${result.errors.length} problem(s); no slots were changed`,
+      errors: result.errors,
+    });
+  }
+
+  // 3) Save them
+  if (req.query.dryRun !== 'true') {
+    await saveSlots(parking);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      created: result.created,
+      updated: result.updated,
+      affectedBookings: result.affectedBookings,
+      totalSlots: parking.slots.length,
+      dryRun: req.query.dryRun === 'true',
+    },
+  });
+});
+
+// @desc    Change the status or price of every slot matching a filter, e.g.
+//          { filter: { type: 'ev', level: '2' }, set: { status: 'maintenance' } }.
+//          Add ?dryRun=true to preview the changes and the upcoming bookings they touch.
+// @route   PATCH /api/v1/parkings/:id/slots
+// @access  Private (Owner/Admin)
+exports.bulkUpdateParkingSlots = catchAsync(async (req, res, next) => {
+  const { filter = {}, set } = req.body;
+  if (typeof filter !== 'object' || Array.isArray(filter) || !set || typeof set !== 'object') {
+    return next(new AppError('Please provide a slot filter and the changes to set', 400));
+  }
+
+  // 1) Check parking exists and user has permission
+  const parking = await findManagedParking(req);
+
+  // 2) Work out what would change
+  const plan = await planBulkUpdate(parking, filter, set);
+  const changes = plan.changes.map(({ slot, from, to }) => ({
+    _id: slot._id,
+    slotId: slot.slotId,
+    from,
+    to,
+  }));
+
+  // 3) Apply it
+  const dryRun = req.query.dryRun === 'true';
+  if (!dryRun && changes.length > 0) {
+    applyBulkUpdate(plan);
+    await saveSlots(parking);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      matched: plan.matched,
+      changed: changes.length,
+      changes,
+      skipped: plan.skipped,
+      affectedBookings: plan.affectedBookings,
+      dryRun,
+    },
+  });
+});
+
+// @desc    Get the review status of a listing, its moderation history and what has
+//          changed since it was last submitted
+// @route   GET /api/v1/parkings/:id/moderation
+// @access  Private (Owner/Admin)
+exports.getParkingModeration = catchAsync(async (req, res, next) => {
+  const parking = await Parking.findById(req.params.id)
+    .select('+moderation.submission')
+    .populate('moderation.history.by', 'name role');
+  if (!parking) {
+    return next(new AppError('No parking found with that ID', 404));
+  }
+  if (req.user.role !== 'admin' && parking.owner.toString() !== req.user.id) {
+    return next(new AppError('You do not have permission to view this parking', 403));
+  }
+
+  const { status = 'approved', reason, submittedAt, reviewedAt, history } = parking.moderation;
+  res.status(200).json({
+    status: 'success',
+    data: {
+      status,
+      reason,
+      submittedAt,
+      reviewedAt,
+      pendingChanges: unsubmittedChanges(parking),
+      history,
+    },
+  });
+});
+
+// @desc    Send a rejected listing back for review, optionally with listing changes
+//          (name, description, location, images, ...) and a `note` for the reviewer
+// @route   POST /api/v1/parkings/:id/resubmit
+// @access  Private (Owner/Admin)
+exports.resubmitParking = catchAsync(async (req, res, next) => {
+  // 1) Check parking exists and user has permission
+  const parking = await Parking.findById(req.params.id).select('+moderation.submission');
+  if (!parking) {
+    return next(new AppError('No parking found with that ID', 404));
+  }
+  if (req.user.role !== 'admin' && parking.owner.toString() !== req.user.id) {
+    return next(new AppError('You do not have permission to update this parking', 403));
+  }
+
+  // 2) Apply the changes and put the listing back in the review queue
+  const { note, ...changes } = req.body;
+  const result = await resubmitListing(parking, { changes, note, actor: req.user });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      parking: result.parking,
+      changes: result.changes,
+    },
+  });
+});
+
+// @desc    Add photos to a parking (multipart, up to 10 files in "images")
+// @route   POST /api/v1/parkings/:id/images
+// @access  Private (Owner/Admin)
+exports.addParkingImages = catchAsync(async (req, res, next) => {
+  if (!req.uploadedImages || req.uploadedImages.length === 0) {
+    return next(new AppError('Please upload at least one image', 400));
+  }
+
+  const parking = await findManagedParking(req);
+  const { images } = mergeImages(parking.images, undefined, req.uploadedImages);
+  parking.images = images;
+  await parking.save();
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      images: parking.images,
+      coverImage: parking.coverImage,
+    },
+  });
+});
+
+// @desc    Reorder, caption or pick the cover of a parking's photos. `images` lists the
+//          IDs of the photos to keep in their new order (photos left out are deleted),
+//          `cover` is the ID of the cover photo and `captions` maps IDs to captions.
+// @route   PATCH /api/v1/parkings/:id/images
+// @access  Private (Owner/Admin)
+exports.updateParkingImages = catchAsync(async (req, res, next) => {
+  const { images: order, cover, captions = {} } = req.body;
+  if (order !== undefined && !Array.isArray(order)) {
+    return next(new AppError('Images must be a list of image IDs', 400));
+  }
+
+  // 1) Check parking exists and user has permission
+  const parking = await findManagedParking(req);
+
+  // 2) Apply the new order, cover and captions
+  const { images, removed } = mergeImages(parking.images, order, [], cover);
+  if (cover && !images.some((image) => image._id.toString() === String(cover))) {
+    return next(new AppError(`No image ${cover} found on this parking`, 400));
+  }
+  images.forEach((image) => {
+    const caption = captions[image._id.toString()];
+    if (caption !== undefined) image.caption = caption;
+  });
+  parking.images = images;
+  await parking.save();
+
+  // 3) Delete the files of photos that were left out
+  await removeImageFiles(removed);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      images: parking.images,
+      coverImage: parking.coverImage,
+    },
+  });
+});
+
+// @desc    Delete one of a parking's photos and its files
+// @route   DELETE /api/v1/parkings/:id/images/:imageId
+// @access  Private (Owner/Admin)
+exports.deleteParkingImage = catchAsync(async (req, res, next) => {
+  const parking = await findManagedParking(req);
+  const image = parking.images.id(req.params.imageId);
+  if (!image) {
+    return next(new AppError('No image found with that ID on this parking', 404));
+  }
+
+  const keep = parking.images.filter((item) => item !== image);
+  const { images, removed } = mergeImages(parking.images, keep);
+  parking.images = images;
+  await parking.save();
+  await removeImageFiles(removed);
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
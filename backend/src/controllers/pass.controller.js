@@ -0,0 +1,503 @@
+const mongoose = require('mongoose');
+const Pass = require('../models/pass.model');
+const PassProduct = require('../models/passProduct.model');
+const Parking = require('../models/parking.model');
+const Booking = require('../models/booking.model');
+const ParkingEvent = require('../models/parkingEvent.model');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const { verifyQrToken } = require('../utils/qrToken');
+const { isCompatible, rankSlots } = require('../services/slotAllocation.service');
+const { invalidateAvailabilityCache } = require('../services/slot.service');
+const { scheduleCovers, currentWindowEnd } = require('../utils/weeklySchedule');
+const { timeZoneOf } = require('../services/openingHours.service');
+const {
+  PASS_HOLD_MINUTES,
+  releasePassSlot,
+  vacatePassSlot,
+} = require('../services/pass.service');
+const { cancelPassSubscription } = require('./payment.controller');
+const { updateParkingAvailability } = require('../utils/socket');
+
+// Fields an owner may change on an existing pass product. The slot mode and type are
+// fixed once passes may have been sold.
+const UPDATABLE_PRODUCT_FIELDS = [
+  'name',
+  'description',
+  'price',
+  'durationDays',
+  'schedule',
+  'capacity',
+  'isActive',
+];
+
+// Preferences that let the allocator hand out special slot types to floating passes
+const PREFERENCES_FOR_SLOT_TYPE = { ev: ['ev'], handicap: ['accessible'] };
+
+// Shortest window a floating pass holder's slot should stay free for
+const MIN_VISIT_MS = 60 * 60 * 1000;
+
+// Helper to check whether the current user may operate the gate at a parking
+const canOperateParking = (parking, user) =>
+  user.role === 'admin' ||
+  parking.owner.toString() === user.id ||
+  (user.role === 'attendant' &&
+    parking.attendants.some((attendant) => attendant.toString() === user.id));
+
+// Helper to load a parking the current user owns (or any parking for admins)
+const findOwnParking = async (parkingId, user) => {
+  const parking = await Parking.findById(parkingId);
+  if (!parking) {
+    throw new AppError('No parking found with that ID', 404);
+  }
+  if (user.role !== 'admin' && parking.owner.toString() !== user.id) {
+    throw new AppError('You do not have permission to manage passes for this parking', 403);
+  }
+  return parking;
+};
+
+// Helper to count the passes of a product that are sold or held for payment
+const countTakenPasses = (productId, now = new Date(), session = null) =>
+  Pass.countDocuments({
+    product: productId,
+    $or: [{ status: 'active' }, { status: 'pending', holdExpiresAt: { $gt: now } }],
+  }).session(session);
+
+// Helper to load a pass for check-in/out after validating the scanned QR code
+const findScannedPass = async (req) => {
+  const scanned = verifyQrToken(req.body.qrCode);
+  if (!scanned || scanned.passId !== req.params.id) {
+    throw new AppError('Invalid or tampered QR code', 400);
+  }
+
+  const pass = await Pass.findById(req.params.id).populate('product', 'name schedule slotType');
+  if (!pass) {
+    throw new AppError('No pass found with that ID', 404);
+  }
+  if (pass.parking.toString() !== scanned.parkingId) {
+    throw new AppError('This QR code belongs to a different parking', 400);
+  }
+
+  const parking = await Parking.findById(pass.parking);
+  if (!parking || !canOperateParking(parking, req.user)) {
+    throw new AppError('You do not have permission to check in at this parking', 403);
+  }
+
+  return { pass, parking };
+};
+
+// Helper to pick the slot a floating pass holder parks in: the best free slot of the
+// product's type that stays free until their usage window closes
+const pickFloatingSlot = async (parking, pass, now) => {
+  const windowEnd = currentWindowEnd(pass.product.schedule, now, timeZoneOf(parking)) || now;
+  const endTime = new Date(
+    Math.max(Math.min(windowEnd, pass.currentPeriod.end), now.getTime() + MIN_VISIT_MS)
+  );
+
+  const ranked = await rankSlots({
+    parking,
+    startTime: now,
+    endTime,
+    vehicle: pass.vehicle,
+    preferences: PREFERENCES_FOR_SLOT_TYPE[pass.product.slotType] || [],
+  });
+  const best = ranked.find(
+    ({ slot }) => slot.type === pass.product.slotType && slot.status !== 'occupied'
+  );
+  return best ? best.slot : null;
+};
+
+// @desc    Create a pass product for a parking
+// @route   POST /api/v1/parkings/:parkingId/pass-products
+// @access  Private (Owner/Admin)
+exports.createPassProduct = catchAsync(async (req, res, next) => {
+  const parking = await findOwnParking(req.params.parkingId, req.user);
+
+  // 1) A reserved pass needs a slot of its own, so their number is capped by the slots
+  const { slotMode = 'floating', slotType = 'car', capacity } = req.body;
+  const slotsOfType = parking.slots.filter((slot) => slot.type === slotType).length;
+  if (slotsOfType === 0) {
+    return next(new AppError(`This parking has no ${slotType} slots`, 400));
+  }
+  if (slotMode === 'reserved' && capacity > slotsOfType) {
+    return next(
+      new AppError(
+        `Capacity cannot exceed the ${slotsOfType} ${slotType} slot(s) of this parking`,
+        400
+      )
+    );
+  }
+
+  // 2) Create the product
+  const product = await PassProduct.create({
+    parking: parking._id,
+    name: req.body.name,
+    description: req.body.description,
+    price: req.body.price,
+    durationDays: req.body.durationDays,
+    schedule: req.body.schedule,
+    slotMode,
+    slotType,
+    capacity,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      product,
+    },
+  });
+});
+
+// @desc    List the passes on sale at a parking, with how many are left
+// @route   GET /api/v1/parkings/:parkingId/pass-products
+// @access  Public
+exports.getPassProducts = catchAsync(async (req, res, next) => {
+  const products = await PassProduct.find({
+    parking: req.params.parkingId,
+    isActive: true,
+  }).sort('price');
+
+  const now = new Date();
+  const withRemaining = await Promise.all(
+    products.map(async (product) => ({
+      ...product.toObject(),
+      remaining: Math.max(0, product.capacity - (await countTakenPasses(product._id, now))),
+    }))
+  );
+
+  res.status(200).json({
+    status: 'success',
+    results: withRemaining.length,
+    data: {
+      products: withRemaining,
+    },
+  });
+});
+
+// @desc    Update a pass product. Existing passes keep the price and period they were sold at.
+// @route   PATCH /api/v1/passes/products/:id
+// @access  Private (Owner/Admin)
+exports.updatePassProduct = catchAsync(async (req, res, next) => {
+  const product = await PassProduct.findById(req.params.id);
+  if (!product) {
+    return next(new AppError('No pass product found with that ID', 404));
+  }
+  const parking = await findOwnParking(product.parking, req.user);
+
+  UPDATABLE_PRODUCT_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) product[field] = req.body[field];
+  });
+
+  const slotsOfType = parking.slots.filter((slot) => slot.type === product.slotType).length;
+  if (product.slotMode === 'reserved' && product.capacity > slotsOfType) {
+    return next(
+      new AppError(
+        `Capacity cannot exceed the ${slotsOfType} ${product.slotType} slot(s) of this parking`,
+        400
+      )
+    );
+  }
+  await product.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      product,
+    },
+  });
+});
+
+// @desc    Buy a pass. It is held for payment and activated by the payment controller.
+// @route   POST /api/v1/passes
+// @access  Private (User)
+exports.buyPass = catchAsync(async (req, res, next) => {
+  const { product: productId, vehicle, autoRenew = false } = req.body;
+  const now = new Date();
+
+  // 1) Check the product is on sale and fits the vehicle
+  const product = await PassProduct.findById(productId);
+  if (!product || !product.isActive) {
+    return next(new AppError('No pass on sale with that ID', 404));
+  }
+  if (!isCompatible(vehicle, { type: product.slotType })) {
+    return next(
+      new AppError(`This pass is for ${product.slotType} slots, which do not fit your vehicle`, 400)
+    );
+  }
+  const listing = await Parking.findById(product.parking).select('moderation');
+  if (!listing || !listing.isTakingBookings()) {
+    return next(new AppError('This parking is not taking bookings right now', 400));
+  }
+
+  const existing = await Pass.exists({
+    user: req.user.id,
+    product: product._id,
+    $or: [{ status: 'active' }, { status: 'pending', holdExpiresAt: { $gt: now } }],
+  });
+  if (existing) {
+    return next(new AppError('You already have this pass', 400));
+  }
+
+  // 2) Take a place under the capacity cap (and a slot for reserved passes) in one
+  //    transaction, so two buyers cannot take the last place
+  let pass;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      if ((await countTakenPasses(product._id, now, session)) >= product.capacity) {
+        throw new AppError('This pass is sold out', 400);
+      }
+
+      pass = new Pass({
+        user: req.user.id,
+        parking: product.parking,
+        product: product._id,
+        vehicle,
+        autoRenew: !!autoRenew,
+        price: product.price,
+        durationDays: product.durationDays,
+        holdExpiresAt: new Date(now.getTime() + PASS_HOLD_MINUTES * 60 * 1000),
+      });
+
+      if (product.slotMode === 'reserved') {
+        const parking = await Parking.findById(product.parking).session(session);
+        let claimed = null;
+        for (const slot of parking.slots) {
+          if (slot.type !== product.slotType || slot.status !== 'available' || slot.pass) {
+            continue;
+          }
+          const booked = await Booking.exists({
+            slot: slot._id,
+            endTime: { $gt: now },
+            ...Booking.blockingFilter(),
+          }).session(session);
+          if (!booked) {
+            claimed = slot;
+            break;
+          }
+        }
+        if (!claimed) {
+          throw new AppError('No slot is free to reserve for this pass', 400);
+        }
+
+        await Parking.updateOne(
+          {
+            _id: parking._id,
+            slots: { $elemMatch: { _id: claimed._id, status: 'available' } },
+          },
+          { $set: { 'slots.$.status': 'reserved', 'slots.$.pass': pass._id } },
+          { session }
+        );
+        pass.slot = claimed._id;
+        pass.slotNumber = claimed.slotId;
+      }
+
+      await pass.save({ session });
+
+      // Writing the product makes purchases racing for its last place conflict
+      await PassProduct.updateOne({ _id: product._id }, { $set: { updatedAt: now } }, { session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (pass.slot) {
+    await invalidateAvailabilityCache(product.parking);
+    await updateParkingAvailability(product.parking);
+  }
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      pass,
+      holdExpiresAt: pass.holdExpiresAt,
+    },
+  });
+});
+
+// @desc    Get the current user's passes
+// @route   GET /api/v1/passes
+// @access  Private
+exports.getMyPasses = catchAsync(async (req, res, next) => {
+  const passes = await Pass.find({ user: req.user.id })
+    .populate('product', 'name schedule slotMode slotType')
+    .populate('parking', 'name location address')
+    .sort('-createdAt');
+
+  res.status(200).json({
+    status: 'success',
+    results: passes.length,
+    data: {
+      passes,
+    },
+  });
+});
+
+// @desc    Get a pass
+// @route   GET /api/v1/passes/:id
+// @access  Private
+exports.getPass = catchAsync(async (req, res, next) => {
+  const pass = await Pass.findById(req.params.id)
+    .populate('product', 'name schedule slotMode slotType')
+    .populate('parking', 'name location address owner');
+  if (!pass) {
+    return next(new AppError('No pass found with that ID', 404));
+  }
+
+  const isHolder = pass.user.toString() === req.user.id;
+  const isOwner = pass.parking && pass.parking.owner.toString() === req.user.id;
+  if (!isHolder && !isOwner && req.user.role !== 'admin') {
+    return next(new AppError('You do not have permission to view this pass', 403));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      pass,
+    },
+  });
+});
+
+// @desc    Cancel a pass. An unpaid pass is dropped; a paid one stops renewing and
+//          stays valid until the end of its period.
+// @route   PATCH /api/v1/passes/:id/cancel
+// @access  Private
+exports.cancelPass = catchAsync(async (req, res, next) => {
+  const pass = await Pass.findById(req.params.id);
+  if (!pass) {
+    return next(new AppError('No pass found with that ID', 404));
+  }
+  if (pass.user.toString() !== req.user.id && req.user.role !== 'admin') {
+    return next(new AppError('You do not have permission to cancel this pass', 403));
+  }
+
+  if (pass.status === 'pending') {
+    await cancelPassSubscription(pass);
+    pass.status = 'cancelled';
+    pass.cancelledAt = new Date();
+    pass.holdExpiresAt = undefined;
+    await pass.save();
+    await releasePassSlot(pass);
+    await updateParkingAvailability(pass.parking);
+  } else if (pass.status === 'active') {
+    if (!pass.autoRenew) {
+      return next(new AppError('This pass is not set to renew', 400));
+    }
+    await cancelPassSubscription(pass);
+    pass.autoRenew = false;
+    await pass.save();
+  } else {
+    return next(new AppError(`This pass is already ${pass.status}`, 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      pass,
+    },
+  });
+});
+
+// @desc    Check a pass holder in by scanning their pass QR code. Reserved passes park
+//          in their own slot, floating passes are given the best free one.
+// @route   POST /api/v1/passes/:id/check-in
+// @access  Private (Attendant/Owner/Admin)
+exports.checkIn = catchAsync(async (req, res, next) => {
+  const { pass, parking } = await findScannedPass(req);
+  const now = new Date();
+
+  // 1) The pass must be paid up and usable right now
+  if (!pass.isValidAt(now)) {
+    return next(new AppError('This pass is not valid at the moment', 400));
+  }
+  if (!scheduleCovers(pass.product.schedule, now, timeZoneOf(parking))) {
+    return next(new AppError('This pass cannot be used at this time', 400));
+  }
+  if (pass.currentVisit && pass.currentVisit.checkInTime) {
+    return next(new AppError('This pass holder is already checked in', 400));
+  }
+
+  // 2) Find the slot to park in
+  const slot = pass.slot ? parking.slots.id(pass.slot) : await pickFloatingSlot(parking, pass, now);
+  if (!slot || slot.status === 'occupied' || slot.status === 'maintenance') {
+    return next(new AppError('No slot is free for this pass right now', 409));
+  }
+
+  // 3) Occupy it, unless someone else got there first
+  const { modifiedCount } = await Parking.updateOne(
+    { _id: parking._id, slots: { $elemMatch: { _id: slot._id, status: slot.status } } },
+    { $set: { 'slots.$.status': 'occupied' } }
+  );
+  if (modifiedCount === 0) {
+    return next(new AppError('That slot was just taken. Please scan again.', 409));
+  }
+
+  const checkedIn = await Pass.findOneAndUpdate(
+    { _id: pass._id, 'currentVisit.checkInTime': { $exists: false } },
+    { currentVisit: { slot: slot._id, slotNumber: slot.slotId, checkInTime: now } },
+    { new: true }
+  );
+  if (!checkedIn) {
+    await vacatePassSlot(pass, slot._id);
+    return next(new AppError('This pass holder is already checked in', 400));
+  }
+
+  await invalidateAvailabilityCache(parking._id);
+  await updateParkingAvailability(parking._id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      pass: checkedIn,
+      slot,
+    },
+  });
+});
+
+// @desc    Check a pass holder out and free their slot
+// @route   POST /api/v1/passes/:id/check-out
+// @access  Private (Attendant/Owner/Admin)
+exports.checkOut = catchAsync(async (req, res, next) => {
+  const { pass, parking } = await findScannedPass(req);
+  const now = new Date();
+
+  // 1) Close the visit (expired passes can still leave)
+  const visit = pass.currentVisit;
+  if (!visit || !visit.checkInTime) {
+    return next(new AppError('This pass holder is not checked in', 400));
+  }
+
+  const checkedOut = await Pass.findOneAndUpdate(
+    { _id: pass._id, 'currentVisit.checkInTime': visit.checkInTime },
+    { $unset: { currentVisit: 1 } },
+    { new: true }
+  );
+  if (!checkedOut) {
+    return next(new AppError('This pass holder is not checked in', 400));
+  }
+
+  // 2) Free the slot and log the visit for the owner's analytics
+  await vacatePassSlot(checkedOut, visit.slot);
+  await ParkingEvent.create({
+    parking: parking._id,
+    owner: parking.owner,
+    pass: pass._id,
+    user: pass.user,
+    type: 'pass-visit',
+    data: {
+      slot: visit.slotNumber,
+      checkInTime: visit.checkInTime,
+      checkOutTime: now,
+      minutes: Math.round((now - visit.checkInTime) / 60000),
+    },
+  });
+  await updateParkingAvailability(parking._id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      pass: checkedOut,
+    },
+  });
+});
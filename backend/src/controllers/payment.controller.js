@@ -1,12 +1,31 @@
 const crypto = require('crypto');
 const { promisify } = require('util');
 const Booking = require('../models/booking.model');
+const BookingSeries = require('../models/bookingSeries.model');
+const BookingGroup = require('../models/bookingGroup.model');
+const Pass = require('../models/pass.model');
+const PassProduct = require('../models/passProduct.model');
+const Organization = require('../models/organization.model');
 const Parking = require('../models/parking.model');
 const User = require('../models/user.model');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 const logger = require('../utils/logger');
 const { getRedisClient } = require('../config/redis');
+const { SYSTEM_ACTOR, canTransition, statusChange } = require('../utils/bookingStatus');
+const { reserveSlot, releaseSlot } = require('../services/slot.service');
+const { transitionBooking } = require('../services/bookingLifecycle.service');
+const { canConfirmHold } = require('../services/slotHold.service');
+const { applyPassPayment } = require('../services/pass.service');
+const {
+  BILLABLE_STATUSES,
+  billableAmountExpression,
+  monthRange,
+  findMembership,
+  buildStatement,
+} = require('../services/organization.service');
+const { ensureInvoices, issueCreditNote } = require('../services/invoice.service');
+const { emitToUser, notifyBookingUpdate } = require('../utils/socket');
 
 // Initialize Razorpay (example with Razorpay, but similar for Stripe)
 const Razorpay = require('razorpay');
@@ -15,11 +34,369 @@ const razorpay = new Razorpay({
   key_secret: process.env.RAZORPAY_KEY_SECRET,
 });
 
+// Helper to issue a booking's invoices without failing the payment they are for
+const recordInvoices = async (booking) => {
+  try {
+    await ensureInvoices(booking);
+  } catch (error) {
+    logger.error(`Error issuing invoices for booking ${booking._id}: ${error.message}`);
+  }
+};
+
+// Helper to issue a credit note without failing the refund it is for
+const recordCreditNote = async (booking, refund) => {
+  try {
+    await issueCreditNote(booking, refund);
+  } catch (error) {
+    logger.error(`Error issuing credit note for booking ${booking._id}: ${error.message}`);
+  }
+};
+
+// Helper to check a Razorpay checkout signature
+const isValidPaymentSignature = (orderId, paymentId, signature) => {
+  const generatedSignature = crypto
+    .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+    .update(orderId + '|' + paymentId)
+    .digest('hex');
+  return generatedSignature === signature;
+};
+
+// Helper to check a Razorpay subscription checkout signature
+const isValidSubscriptionSignature = (subscriptionId, paymentId, signature) => {
+  const generatedSignature = crypto
+    .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+    .update(paymentId + '|' + subscriptionId)
+    .digest('hex');
+  return generatedSignature === signature;
+};
+
+// Most renewals an auto-renewing pass subscription is set up for
+const PASS_SUBSCRIPTION_CYCLES = 60;
+
+// Helper to find (or create) the provider plan an auto-renewing pass subscribes to
+const getPassPlanId = async (pass) => {
+  const product = await PassProduct.findById(pass.product).select('+razorpayPlanId');
+  if (!product || product.price !== pass.price || product.durationDays !== pass.durationDays) {
+    throw new AppError('This pass product has changed. Please buy the pass again.', 400);
+  }
+  if (product.razorpayPlanId) return product.razorpayPlanId;
+
+  const plan = await razorpay.plans.create({
+    period: 'daily',
+    interval: product.durationDays,
+    item: {
+      name: product.name,
+      amount: Math.round(product.price * 100), // Razorpay expects amount in paise
+      currency: product.currency,
+    },
+    notes: { productId: product._id.toString() },
+  });
+  product.razorpayPlanId = plan.id;
+  await product.save({ validateBeforeSave: false });
+  return plan.id;
+};
+
+// Helper to create one order covering every held booking of a series or group.
+// `filter` selects the bundle's bookings, e.g. { series: id } or { group: id }.
+const createBundleOrder = async (bundle, filter, receipt, notes) => {
+  const bookings = await Booking.find({
+    ...filter,
+    status: 'pending',
+    holdExpiresAt: { $gt: new Date() },
+  });
+  if (bookings.length === 0) {
+    throw new AppError('Your slot holds have expired. Please book again.', 400);
+  }
+
+  const amount = bookings.reduce((sum, booking) => sum + booking.amount, 0);
+  const currency = bookings[0].pricing.currency || 'INR';
+
+  let order;
+  try {
+    order = await razorpay.orders.create({
+      amount: Math.round(amount * 100), // Razorpay expects amount in paise
+      currency,
+      receipt,
+      payment_capture: 1,
+      notes,
+    });
+  } catch (err) {
+    logger.error(`Razorpay order creation error: ${err.message}`);
+    throw new AppError('Error creating payment order. Please try again.', 500);
+  }
+
+  bundle.payment.orderId = order.id;
+  bundle.amount = amount;
+  await bundle.save();
+  await Booking.updateMany(
+    { _id: { $in: bookings.map((booking) => booking._id) } },
+    { 'payment.orderId': order.id, 'payment.currency': currency }
+  );
+
+  return { order, bookings };
+};
+
+// Helper to confirm the bookings of a series or group paid as a whole. Each one is checked
+// like a single booking: one whose hold ran out and whose slot was taken since, or that was
+// cancelled before the money arrived, gets its share of the payment refunded instead.
+// Returns null if the payment was already recorded, else { confirmed, refunded } counts.
+const confirmBundlePayment = async (bundle, filter, paymentId, paidAt) => {
+  // 1) Claim the payment, so the checkout and the webhook only record it once
+  const claimed = await bundle.constructor.findOneAndUpdate(
+    { _id: bundle._id, 'payment.status': { $ne: 'completed' } },
+    {
+      'payment.status': 'completed',
+      'payment.paymentId': paymentId,
+      'payment.paidAt': paidAt,
+    }
+  );
+  if (!claimed) return null;
+  bundle.payment.status = 'completed';
+  bundle.payment.paymentId = paymentId;
+  bundle.payment.paidAt = paidAt;
+
+  // 2) Confirm the bookings the order was for that can still be, refund the others
+  const bookings = await Booking.find({
+    ...filter,
+    'payment.orderId': bundle.payment.orderId,
+    'payment.status': { $ne: 'completed' },
+  });
+  const slotIds = [];
+  let refunded = 0;
+  for (const booking of bookings) {
+    const confirmed =
+      booking.status === 'pending' &&
+      (await canConfirmHold(booking)) &&
+      (await Booking.findOneAndUpdate(
+        { _id: booking._id, status: 'pending' },
+        {
+          status: 'confirmed',
+          'payment.status': 'completed',
+          'payment.paymentId': paymentId,
+          'payment.paidAt': paidAt,
+          'payment.capturedAmount': booking.amount,
+          $push: {
+            statusHistory: statusChange('pending', 'confirmed', SYSTEM_ACTOR, 'Payment received'),
+          },
+          $unset: { holdExpiresAt: 1 },
+        }
+      ));
+    if (confirmed) {
+      slotIds.push(booking.slot);
+    } else {
+      // Reload it, as the hold sweeper may have cancelled it since it was read
+      await refundLatePayment(await Booking.findById(booking._id), paymentId, paidAt);
+      refunded += 1;
+    }
+  }
+
+  // 3) Reserve the slots of the confirmed bookings
+  await Parking.updateOne(
+    { _id: bundle.parking },
+    { $set: { 'slots.$[slot].status': 'reserved' } },
+    { arrayFilters: [{ 'slot._id': { $in: slotIds }, 'slot.status': 'available' }] }
+  );
+
+  const redisClient = getRedisClient();
+  if (redisClient) {
+    try {
+      await redisClient.del(`parking:${bundle.parking}:availability`);
+    } catch (error) {
+      logger.error(`Redis error: ${error.message}`);
+    }
+  }
+
+  return { confirmed: slotIds.length, refunded };
+};
+
+// Helper to confirm every held occurrence of a series paid as a whole
+const confirmSeriesPayment = async (series, paymentId, paidAt) => {
+  const result = await confirmBundlePayment(series, { series: series._id }, paymentId, paidAt);
+  if (result) {
+    logger.info(
+      `Booking series ${series._id} paid: ${result.confirmed} confirmed, ` +
+        `${result.refunded} refunded`
+    );
+  }
+  return result;
+};
+
+// Helper to confirm every held slot of a group booking paid as a whole
+const confirmGroupPayment = async (group, paymentId, paidAt) => {
+  const result = await confirmBundlePayment(group, { group: group._id }, paymentId, paidAt);
+  if (result) {
+    logger.info(
+      `Booking group ${group._id} paid: ${result.confirmed} confirmed, ${result.refunded} refunded`
+    );
+  }
+  return result;
+};
+
+// Helper to mark an organisation's monthly statement, and every booking on it, as paid
+const settleStatement = async (organization, month, paymentId, paidAt) => {
+  const settled = await Organization.findOneAndUpdate(
+    { _id: organization._id, settlements: { $elemMatch: { month, status: 'pending' } } },
+    {
+      $set: {
+        'settlements.$.status': 'completed',
+        'settlements.$.paymentId': paymentId,
+        'settlements.$.paidAt': paidAt,
+      },
+    },
+    { new: true }
+  );
+  if (!settled) return null;
+
+  const { start, end } = monthRange(month);
+  await Booking.updateMany(
+    {
+      organization: organization._id,
+      'payment.method': 'invoice',
+      'payment.status': 'pending',
+      startTime: { $gte: start, $lt: end },
+      status: { $in: BILLABLE_STATUSES },
+    },
+    [
+      {
+        $set: {
+          'payment.status': 'completed',
+          'payment.paymentId': paymentId,
+          'payment.paidAt': paidAt,
+          'payment.capturedAmount': billableAmountExpression,
+        },
+      },
+    ]
+  );
+
+  logger.info(`Statement ${month} of organisation ${organization._id} paid`);
+  return settled;
+};
+
+// Helper for a payment that can no longer confirm its booking: the slot hold ran out and
+// someone else booked the slot, or the booking was cancelled before the money arrived.
+// Record the money, cancel the booking if it is still pending and refund it in full.
+const refundLatePayment = async (booking, paymentId, paidAt) => {
+  const reason =
+    booking.status === 'pending'
+      ? 'Slot hold expired before payment'
+      : `Payment arrived for a ${booking.status} booking`;
+  if (booking.payment.status !== 'completed') {
+    booking.payment.capturedAmount += booking.amount;
+  }
+  booking.payment.status = 'completed';
+  booking.payment.paymentId = paymentId;
+  booking.payment.paidAt = paidAt;
+  if (booking.status === 'pending') {
+    booking.cancellation = { reason, cancelledBy: 'system', cancelledAt: new Date() };
+    await transitionBooking(booking, 'cancelled', { reason });
+  }
+
+  await exports.refundPayment(booking, booking.amount, reason);
+  await booking.save();
+  logger.warn(`Payment ${paymentId} refunded: ${reason.toLowerCase()} (${booking._id})`);
+};
+
+// Helper to give back a pass payment that could not be applied: one made after the pass
+// hold ran out, or a renewal charged after the pass ended. The refund is recorded on the
+// pass first, so the checkout and the webhook only make it once. Returns null if the payment
+// was applied or already refunded.
+const refundPassPayment = async (pass, { paymentId, amount }) => {
+  const reason =
+    pass.status === 'pending'
+      ? 'Pass hold expired before payment'
+      : `Payment arrived for a ${pass.status} pass`;
+
+  // 1) Claim the refund
+  const claimed = await Pass.findOneAndUpdate(
+    {
+      _id: pass._id,
+      'payments.paymentId': { $ne: paymentId },
+      'refunds.paymentId': { $ne: paymentId },
+    },
+    { $push: { refunds: { paymentId, amount, reason, refundedAt: new Date() } } }
+  );
+  if (!claimed) return null;
+
+  // 2) Refund it, giving the claim back if that fails so a retry can make it
+  let refund;
+  try {
+    refund = await razorpay.payments.refund(paymentId, {
+      amount: Math.round(amount * 100), // Razorpay expects amount in paise
+      notes: {
+        passId: pass._id.toString(),
+        reason,
+      },
+    });
+  } catch (err) {
+    await Pass.updateOne({ _id: pass._id }, { $pull: { refunds: { paymentId } } });
+    throw err;
+  }
+
+  await Pass.updateOne(
+    { _id: pass._id, 'refunds.paymentId': paymentId },
+    { $set: { 'refunds.$.refundId': refund.id, 'refunds.$.status': refund.status } }
+  );
+  logger.warn(`Payment ${paymentId} refunded: ${reason.toLowerCase()} (pass ${pass._id})`);
+  return refund;
+};
+
+// Helper to record a top-up payment and put in place the booking change it paid for. The
+// change only takes effect now, so if the booking ended, a later change replaced it or its
+// slot was taken meanwhile, the top-up is refunded instead. Returns null if the top-up was
+// already recorded, else { booking, refunded }.
+const applyTopUpPayment = async (orderId, paymentId, paidAt) => {
+  // 1) Claim the top-up, so the checkout and the webhook only record it once
+  const booking = await Booking.findOneAndUpdate(
+    { 'payment.topUps': { $elemMatch: { orderId, status: { $ne: 'completed' } } } },
+    {
+      $set: {
+        'payment.topUps.$.status': 'completed',
+        'payment.topUps.$.paymentId': paymentId,
+        'payment.topUps.$.paidAt': paidAt,
+      },
+    },
+    { new: true }
+  );
+  if (!booking) return null;
+  const topUp = booking.payment.topUps.find((item) => item.orderId === orderId);
+  booking.payment.capturedAmount += topUp.amount;
+  await booking.save();
+  await recordInvoices(booking);
+
+  // 2) Overstay top-ups (and those of older changes) only settle money
+  const change = booking.modifications.find((item) => item.topUpOrderId === orderId);
+  if (!change) return { booking, refunded: false };
+
+  // 3) Apply the change if it still can be, else give the money back
+  const canApply =
+    change.status === 'awaiting-payment' &&
+    ['confirmed', 'checked-in'].includes(booking.status) &&
+    (await Booking.isSlotAvailable(change.slot, change.startTime, change.endTime, booking._id));
+  if (!canApply) {
+    const reason = 'Booking change could not be applied';
+    if (change.status === 'awaiting-payment') change.status = 'cancelled';
+    await exports.refundPayment(booking, topUp.amount, reason);
+    await booking.save();
+    logger.warn(`Top-up ${paymentId} refunded: ${reason.toLowerCase()} (${booking._id})`);
+    return { booking, refunded: true };
+  }
+
+  const previousSlot = booking.slot;
+  booking.applyModification(change);
+  await booking.save();
+  if (previousSlot.toString() !== booking.slot.toString()) {
+    await reserveSlot(booking.parking._id, booking.slot);
+    await releaseSlot({ _id: booking._id, parking: booking.parking._id, slot: previousSlot });
+  }
+  notifyBookingUpdate(booking);
+  return { booking, refunded: false };
+};
+
 // @desc    Create payment order
 // @route   POST /api/v1/payments/create-order
 // @access  Private
 exports.createPaymentOrder = catchAsync(async (req, res, next) => {
-  const { bookingId, amount, currency = 'INR' } = req.body;
+  const { bookingId } = req.body;
 
   // 1) Get booking and verify
   const booking = await Booking.findById(bookingId);
@@ -43,10 +420,24 @@ exports.createPaymentOrder = catchAsync(async (req, res, next) => {
       new AppError('This booking has already been paid for or cancelled', 400)
     );
   }
+  if (booking.payment.method === 'invoice') {
+    return next(
+      new AppError('This booking is billed to your organisation', 400)
+    );
+  }
+
+  // 4) Verify the slot hold is still active
+  if (!booking.isHoldActive()) {
+    return next(
+      new AppError('Your slot hold has expired. Please book the slot again.', 400)
+    );
+  }
 
-  // 4) Create order in Razorpay
+  // 5) Create order in Razorpay for the server-quoted amount, never a client-supplied one
+  const amount = booking.amount;
+  const currency = booking.pricing.currency || 'INR';
   const options = {
-    amount: amount * 100, // Razorpay expects amount in paise
+    amount: Math.round(amount * 100), // Razorpay expects amount in paise
     currency,
     receipt: `booking_${booking._id}`,
     payment_capture: 1, // Auto capture payment
@@ -59,16 +450,13 @@ exports.createPaymentOrder = catchAsync(async (req, res, next) => {
   try {
     const order = await razorpay.orders.create(options);
 
-    // 5) Update booking with payment details
-    booking.payment = {
-      orderId: order.id,
-      status: 'pending',
-      amount: amount,
-      currency,
-    };
+    // 6) Update booking with payment details
+    booking.payment.orderId = order.id;
+    booking.payment.status = 'pending';
+    booking.payment.currency = currency;
     await booking.save();
 
-    // 6) Send order details to client
+    // 7) Send order details to client
     res.status(200).json({
       status: 'success',
       data: {
@@ -106,47 +494,476 @@ exports.verifyPayment = catchAsync(async (req, res, next) => {
   }
 
   // 3) Verify payment with Razorpay
-  const text = orderId + '|' + paymentId;
-  const generatedSignature = crypto
-    .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-    .update(text)
-    .digest('hex');
-
-  if (generatedSignature !== signature) {
+  if (!isValidPaymentSignature(orderId, paymentId, signature)) {
     return next(new AppError('Invalid payment signature', 400));
   }
 
-  // 4) Update booking status
-  booking.status = 'confirmed';
+  // 4) The order must be this booking's own, or one of its top-ups
+  const topUp = booking.payment.topUps.find((item) => item.orderId === orderId);
+  if (!topUp && (!orderId || orderId !== booking.payment.orderId)) {
+    return next(new AppError('This payment is not for this booking', 400));
+  }
+
+  // 5) Top-up orders settle the extra amount of a modified booking and put the change in
+  // place
+  if (topUp) {
+    const result = await applyTopUpPayment(orderId, paymentId, new Date());
+    if (result && result.refunded) {
+      return next(
+        new AppError(
+          'Your booking could no longer be changed as requested. ' +
+            'Your top-up payment will be refunded.',
+          409
+        )
+      );
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Top-up payment verified',
+      data: {
+        booking: result ? result.booking : booking,
+      },
+    });
+  }
+
+  // 6) Only bookings still waiting for their payment can be confirmed, and only while their
+  // slot is still theirs. A payment for one cancelled meanwhile (e.g. by the hold sweeper)
+  // goes back to the driver.
+  if (!['pending', 'confirmed'].includes(booking.status)) {
+    if (booking.payment.paymentId === paymentId) {
+      return next(new AppError('This booking is no longer awaiting payment', 400));
+    }
+    await refundLatePayment(booking, paymentId, Date.now());
+    return next(
+      new AppError(
+        'This booking was cancelled before your payment arrived. ' +
+          'Your payment will be refunded.',
+        409
+      )
+    );
+  }
+  if (booking.status === 'pending' && !(await canConfirmHold(booking))) {
+    await refundLatePayment(booking, paymentId, Date.now());
+    return next(
+      new AppError(
+        'Your slot hold expired and the slot has been booked by someone else. ' +
+          'Your payment will be refunded.',
+        409
+      )
+    );
+  }
+
+  // 7) Record the payment and confirm the booking, which reserves its slot
+  if (booking.payment.status !== 'completed') {
+    booking.payment.capturedAmount += booking.amount;
+  }
   booking.payment.status = 'completed';
   booking.payment.paymentId = paymentId;
   booking.payment.paidAt = Date.now();
-  await booking.save();
+  if (booking.status === 'pending') {
+    await transitionBooking(booking, 'confirmed', { reason: 'Payment verified' });
+  } else {
+    await booking.save();
+  }
+  await recordInvoices(booking);
 
-  // 5) Update parking slot status
-  await Parking.updateOne(
-    { 'slots._id': booking.slot },
-    { $set: { 'slots.$.status': 'reserved' } }
+  // 8) Send confirmation email (implement email service)
+  // await new Email(user, booking).sendBookingConfirmation();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Payment verified and booking confirmed',
+    data: {
+      booking,
+    },
+  });
+});
+
+// @desc    Create one payment order for every held occurrence of a series
+// @route   POST /api/v1/payments/create-series-order
+// @access  Private
+exports.createSeriesPaymentOrder = catchAsync(async (req, res, next) => {
+  const series = await BookingSeries.findById(req.body.seriesId);
+  if (!series) {
+    return next(new AppError('No booking series found with that ID', 404));
+  }
+
+  if (series.user.toString() !== req.user.id && req.user.role !== 'admin') {
+    return next(
+      new AppError('You are not authorized to pay for this booking series', 403)
+    );
+  }
+
+  if (series.billing !== 'series') {
+    return next(
+      new AppError('This series is billed per occurrence. Pay each booking instead.', 400)
+    );
+  }
+  if (series.status !== 'active' || series.payment.status === 'completed') {
+    return next(
+      new AppError('This booking series has already been paid for or cancelled', 400)
+    );
+  }
+
+  const { order, bookings } = await createBundleOrder(
+    series,
+    { series: series._id },
+    `series_${series._id}`,
+    { seriesId: series._id.toString(), userId: req.user.id }
   );
 
-  // 6) Invalidate cache
-  const redisClient = getRedisClient();
-  if (redisClient) {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      order,
+      occurrences: bookings.length,
+    },
+  });
+});
+
+// @desc    Verify a series payment and confirm its occurrences
+// @route   POST /api/v1/payments/verify-series
+// @access  Private
+exports.verifySeriesPayment = catchAsync(async (req, res, next) => {
+  const { orderId, paymentId, signature, seriesId } = req.body;
+
+  const series = await BookingSeries.findById(seriesId);
+  if (!series || series.payment.orderId !== orderId) {
+    return next(new AppError('No booking series found for that order', 404));
+  }
+
+  if (series.user.toString() !== req.user.id && req.user.role !== 'admin') {
+    return next(
+      new AppError('You are not authorized to verify this payment', 403)
+    );
+  }
+
+  if (!isValidPaymentSignature(orderId, paymentId, signature)) {
+    return next(new AppError('Invalid payment signature', 400));
+  }
+
+  // Bookings that can no longer be confirmed get their share of the payment back
+  const result =
+    series.payment.status !== 'completed' &&
+    (await confirmSeriesPayment(series, paymentId, new Date()));
+  const bookings = await Booking.find({ series: series._id }).sort('startTime');
+
+  res.status(200).json({
+    status: 'success',
+    message:
+      result && result.refunded > 0
+        ? 'Payment verified. Bookings that could no longer be confirmed will be refunded.'
+        : 'Payment verified and series confirmed',
+    data: {
+      series,
+      bookings,
+    },
+  });
+});
+
+// @desc    Create one payment order for every held slot of a group booking
+// @route   POST /api/v1/payments/create-group-order
+// @access  Private
+exports.createGroupPaymentOrder = catchAsync(async (req, res, next) => {
+  const group = await BookingGroup.findById(req.body.groupId);
+  if (!group) {
+    return next(new AppError('No booking group found with that ID', 404));
+  }
+
+  if (group.user.toString() !== req.user.id && req.user.role !== 'admin') {
+    return next(
+      new AppError('You are not authorized to pay for this booking group', 403)
+    );
+  }
+
+  if (group.status !== 'active' || group.payment.status === 'completed') {
+    return next(
+      new AppError('This booking group has already been paid for or cancelled', 400)
+    );
+  }
+
+  const { order, bookings } = await createBundleOrder(
+    group,
+    { group: group._id },
+    `group_${group._id}`,
+    { groupId: group._id.toString(), userId: req.user.id }
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      order,
+      slots: bookings.length,
+    },
+  });
+});
+
+// @desc    Verify a group payment and confirm its bookings
+// @route   POST /api/v1/payments/verify-group
+// @access  Private
+exports.verifyGroupPayment = catchAsync(async (req, res, next) => {
+  const { orderId, paymentId, signature, groupId } = req.body;
+
+  const group = await BookingGroup.findById(groupId);
+  if (!group || group.payment.orderId !== orderId) {
+    return next(new AppError('No booking group found for that order', 404));
+  }
+
+  if (group.user.toString() !== req.user.id && req.user.role !== 'admin') {
+    return next(
+      new AppError('You are not authorized to verify this payment', 403)
+    );
+  }
+
+  if (!isValidPaymentSignature(orderId, paymentId, signature)) {
+    return next(new AppError('Invalid payment signature', 400));
+  }
+
+  // Bookings that can no longer be confirmed get their share of the payment back
+  const result =
+    group.payment.status !== 'completed' &&
+    (await confirmGroupPayment(group, paymentId, new Date()));
+  const bookings = await Booking.find({ group: group._id }).sort('slotNumber');
+
+  res.status(200).json({
+    status: 'success',
+    message:
+      result && result.refunded > 0
+        ? 'Payment verified. Bookings that could no longer be confirmed will be refunded.'
+        : 'Payment verified and group confirmed',
+    data: {
+      group,
+      bookings,
+    },
+  });
+});
+
+// @desc    Start paying for a pass: a one-off order, or a subscription when it auto-renews
+// @route   POST /api/v1/payments/create-pass-order
+// @access  Private
+exports.createPassPaymentOrder = catchAsync(async (req, res, next) => {
+  // 1) Get the pass and check it is still waiting for payment
+  const pass = await Pass.findById(req.body.passId);
+  if (!pass) {
+    return next(new AppError('No pass found with that ID', 404));
+  }
+
+  if (pass.user.toString() !== req.user.id && req.user.role !== 'admin') {
+    return next(new AppError('You are not authorized to pay for this pass', 403));
+  }
+
+  if (pass.status !== 'pending') {
+    return next(new AppError('This pass has already been paid for or cancelled', 400));
+  }
+  if (!pass.holdExpiresAt || pass.holdExpiresAt <= new Date()) {
+    return next(new AppError('Your pass hold has expired. Please buy the pass again.', 400));
+  }
+
+  const notes = { passId: pass._id.toString(), userId: req.user.id };
+
+  // 2) Auto-renewing passes subscribe to the product's plan; the first charge activates them
+  if (pass.autoRenew) {
+    const planId = await getPassPlanId(pass);
+    let subscription;
     try {
-      await redisClient.del(`parking:${booking.parking}:availability`);
-    } catch (error) {
-      logger.error(`Redis error: ${error.message}`);
+      subscription = await razorpay.subscriptions.create({
+        plan_id: planId,
+        total_count: PASS_SUBSCRIPTION_CYCLES,
+        customer_notify: 1,
+        notes,
+      });
+    } catch (err) {
+      logger.error(`Razorpay subscription creation error: ${err.message}`);
+      return next(new AppError('Error creating the subscription. Please try again.', 500));
     }
+
+    pass.payment.subscriptionId = subscription.id;
+    await pass.save();
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        subscription,
+      },
+    });
   }
 
-  // 7) Send confirmation email (implement email service)
-  // await new Email(user, booking).sendBookingConfirmation();
+  // 3) Otherwise a single order for one period
+  let order;
+  try {
+    order = await razorpay.orders.create({
+      amount: Math.round(pass.price * 100), // Razorpay expects amount in paise
+      currency: 'INR',
+      receipt: `pass_${pass._id}`,
+      payment_capture: 1,
+      notes,
+    });
+  } catch (err) {
+    logger.error(`Razorpay order creation error: ${err.message}`);
+    return next(new AppError('Error creating payment order. Please try again.', 500));
+  }
+
+  pass.payment.orderId = order.id;
+  await pass.save();
 
   res.status(200).json({
     status: 'success',
-    message: 'Payment verified and booking confirmed',
     data: {
-      booking,
+      order,
+    },
+  });
+});
+
+// @desc    Verify a pass payment and activate the pass
+// @route   POST /api/v1/payments/verify-pass
+// @access  Private
+exports.verifyPassPayment = catchAsync(async (req, res, next) => {
+  const { passId, paymentId, signature } = req.body;
+
+  const pass = await Pass.findById(passId);
+  if (!pass || (!pass.payment.orderId && !pass.payment.subscriptionId)) {
+    return next(new AppError('No pass payment found with that ID', 404));
+  }
+
+  if (pass.user.toString() !== req.user.id && req.user.role !== 'admin') {
+    return next(new AppError('You are not authorized to verify this payment', 403));
+  }
+
+  const isValid = pass.payment.subscriptionId
+    ? isValidSubscriptionSignature(pass.payment.subscriptionId, paymentId, signature)
+    : isValidPaymentSignature(pass.payment.orderId, paymentId, signature);
+  if (!isValid) {
+    return next(new AppError('Invalid payment signature', 400));
+  }
+
+  const passPayment = {
+    paymentId,
+    orderId: pass.payment.orderId,
+    amount: pass.price,
+    paidAt: new Date(),
+  };
+  const activated = await applyPassPayment(pass._id, passPayment);
+  if (!activated) {
+    await refundPassPayment(pass, passPayment);
+    return next(
+      new AppError(
+        'This pass can no longer be activated. Your payment will be refunded.',
+        409
+      )
+    );
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Payment verified and pass activated',
+    data: {
+      pass: activated,
+    },
+  });
+});
+
+// Stop future charges of an auto-renewing pass. The current period stays paid for.
+exports.cancelPassSubscription = async (pass) => {
+  if (!pass.payment.subscriptionId) return null;
+
+  try {
+    return await razorpay.subscriptions.cancel(pass.payment.subscriptionId, false);
+  } catch (err) {
+    logger.error(`Razorpay subscription cancel error: ${err.message}`);
+    throw new AppError('Error cancelling the pass renewal. Please try again.', 500);
+  }
+};
+
+// @desc    Create an order to settle an organisation's statement for a past month
+// @route   POST /api/v1/payments/create-statement-order
+// @access  Private (Org admins)
+exports.createStatementPaymentOrder = catchAsync(async (req, res, next) => {
+  const { organizationId, month } = req.body;
+
+  // 1) Only org admins settle, and only months that are over
+  const organization = await Organization.findById(organizationId);
+  if (!organization) {
+    return next(new AppError('No organisation found with that ID', 404));
+  }
+  await findMembership(organization._id, req.user, { adminOnly: true });
+
+  const statement = await buildStatement(organization, month);
+  if (statement.periodEnd > new Date()) {
+    return next(new AppError('A statement can only be settled once its month is over', 400));
+  }
+  if (statement.settlement && statement.settlement.status === 'completed') {
+    return next(new AppError('This statement has already been paid', 400));
+  }
+  if (statement.total <= 0) {
+    return next(new AppError('There is nothing to pay on this statement', 400));
+  }
+
+  // 2) Create the order for the statement total
+  let order;
+  try {
+    order = await razorpay.orders.create({
+      amount: Math.round(statement.total * 100), // Razorpay expects amount in paise
+      currency: 'INR',
+      receipt: `org_${organization._id}_${month}`,
+      payment_capture: 1,
+      notes: { organizationId: organization._id.toString(), month },
+    });
+  } catch (err) {
+    logger.error(`Razorpay order creation error: ${err.message}`);
+    return next(new AppError('Error creating payment order. Please try again.', 500));
+  }
+
+  // 3) Record it against the month, replacing any earlier unpaid order
+  organization.settlements = organization.settlements.filter((item) => item.month !== month);
+  organization.settlements.push({
+    month,
+    amount: statement.total,
+    orderId: order.id,
+    status: 'pending',
+  });
+  await organization.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      order,
+      statement,
+    },
+  });
+});
+
+// @desc    Verify a statement payment and mark its bookings as paid
+// @route   POST /api/v1/payments/verify-statement
+// @access  Private (Org admins)
+exports.verifyStatementPayment = catchAsync(async (req, res, next) => {
+  const { organizationId, orderId, paymentId, signature } = req.body;
+
+  const organization = await Organization.findById(organizationId);
+  const settlement =
+    organization && organization.settlements.find((item) => item.orderId === orderId);
+  if (!settlement) {
+    return next(new AppError('No statement found for that order', 404));
+  }
+  await findMembership(organization._id, req.user, { adminOnly: true });
+
+  if (!isValidPaymentSignature(orderId, paymentId, signature)) {
+    return next(new AppError('Invalid payment signature', 400));
+  }
+
+  if (settlement.status !== 'completed') {
+    await settleStatement(organization, settlement.month, paymentId, new Date());
+  }
+  const statement = await buildStatement(
+    await Organization.findById(organization._id),
+    settlement.month
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Payment verified and statement settled',
+    data: {
+      statement,
     },
   });
 });
@@ -185,6 +1002,16 @@ exports.webhook = catchAsync(async (req, res, next) => {
       // Handle refund
       await handleRefund(payload.refund.entity);
       break;
+    case 'subscription.charged':
+      // Pass renewals (and the first charge of an auto-renewing pass)
+      await handleSubscriptionCharged(payload.subscription.entity, payload.payment.entity);
+      break;
+    case 'subscription.halted':
+    case 'subscription.cancelled':
+    case 'subscription.completed':
+      // No more renewals; the pass runs until the end of its period
+      await handleSubscriptionEnded(payload.subscription.entity);
+      break;
     default:
       logger.info(`Unhandled webhook event: ${event}`);
   }
@@ -195,29 +1022,111 @@ exports.webhook = catchAsync(async (req, res, next) => {
 // Helper functions for webhook handlers
 const handleSuccessfulPayment = async (payment) => {
   try {
+    // Top-up payments for modified bookings and overstays
+    const topUp = await applyTopUpPayment(
+      payment.order_id,
+      payment.id,
+      new Date(payment.created_at * 1000)
+    );
+    if (topUp) return;
+
+    // Payments covering a whole booking series
+    const series = await BookingSeries.findOne({
+      'payment.orderId': payment.order_id,
+      'payment.status': { $ne: 'completed' },
+    });
+    if (series) {
+      await confirmSeriesPayment(series, payment.id, new Date(payment.created_at * 1000));
+      return;
+    }
+
+    // Payments covering a whole group booking
+    const group = await BookingGroup.findOne({
+      'payment.orderId': payment.order_id,
+      'payment.status': { $ne: 'completed' },
+    });
+    if (group) {
+      await confirmGroupPayment(group, payment.id, new Date(payment.created_at * 1000));
+      return;
+    }
+
+    // Organisation statements
+    const organization = await Organization.findOne({
+      settlements: { $elemMatch: { orderId: payment.order_id, status: 'pending' } },
+    });
+    if (organization) {
+      const { month } = organization.settlements.find(
+        (item) => item.orderId === payment.order_id
+      );
+      await settleStatement(organization, month, payment.id, new Date(payment.created_at * 1000));
+      return;
+    }
+
+    // One-off pass payments
+    const pass = await Pass.findOne({
+      'payment.orderId': payment.order_id,
+      'payment.status': { $ne: 'completed' },
+    });
+    if (pass) {
+      const passPayment = {
+        paymentId: payment.id,
+        orderId: payment.order_id,
+        amount: payment.amount / 100,
+        paidAt: new Date(payment.created_at * 1000),
+      };
+      if (!(await applyPassPayment(pass._id, passPayment))) {
+        await refundPassPayment(pass, passPayment);
+      }
+      return;
+    }
+
+    const paymentFields = {
+      $inc: { 'payment.capturedAmount': payment.amount / 100 },
+      'payment.status': 'completed',
+      'payment.paymentId': payment.id,
+      'payment.paidAt': new Date(payment.created_at * 1000),
+    };
+    const paidAt = new Date(payment.created_at * 1000);
+    const held = await Booking.findOne({
+      'payment.orderId': payment.order_id,
+      'payment.status': { $ne: 'completed' },
+      status: 'pending',
+    });
+    if (held && !(await canConfirmHold(held))) {
+      await refundLatePayment(held, payment.id, paidAt);
+      return;
+    }
+
     const booking = await Booking.findOneAndUpdate(
-      { 'payment.orderId': payment.order_id },
       {
-        'payment.status': 'completed',
-        'payment.paymentId': payment.id,
-        'payment.paidAt': new Date(payment.created_at * 1000),
+        'payment.orderId': payment.order_id,
+        'payment.status': { $ne: 'completed' },
+        status: 'pending',
+      },
+      {
+        ...paymentFields,
         status: 'confirmed',
+        $push: {
+          statusHistory: statusChange('pending', 'confirmed', SYSTEM_ACTOR, 'Payment received'),
+        },
+        $unset: { holdExpiresAt: 1 },
       },
       { new: true, runValidators: true }
     );
 
-    if (booking) {
-      // Update parking slot status
-      await Parking.updateOne(
-        { 'slots._id': booking.slot },
-        { $set: { 'slots.$.status': 'reserved' } }
-      );
+    if (!booking) {
+      // Money that arrived for a booking that is no longer pending goes back
+      const late = await Booking.findOne({
+        'payment.orderId': payment.order_id,
+        'payment.status': { $ne: 'completed' },
+      });
+      if (late) await refundLatePayment(late, payment.id, paidAt);
+    }
 
-      // Invalidate cache
-      const redisClient = getRedisClient();
-      if (redisClient) {
-        await redisClient.del(`parking:${booking.parking}:availability`);
-      }
+    if (booking) {
+      await reserveSlot(booking.parking._id, booking.slot);
+      notifyBookingUpdate(booking);
+      await recordInvoices(booking);
 
       // Send confirmation email
       const user = await User.findById(booking.user);
@@ -230,15 +1139,23 @@ const handleSuccessfulPayment = async (payment) => {
 
 const handleFailedPayment = async (payment) => {
   try {
-    await Booking.findOneAndUpdate(
-      { 'payment.orderId': payment.order_id },
-      {
-        'payment.status': 'failed',
-        'payment.failedAt': new Date(payment.created_at * 1000),
-        'payment.error': payment.error_description || 'Payment failed',
-        status: 'cancelled',
-      }
-    );
+    const booking = await Booking.findOne({ 'payment.orderId': payment.order_id });
+    if (!booking) return;
+
+    booking.payment.status = 'failed';
+    booking.payment.failedAt = new Date(payment.created_at * 1000);
+    booking.payment.error = payment.error_description || 'Payment failed';
+
+    if (booking.status === 'pending') {
+      booking.cancellation = {
+        reason: 'Payment failed',
+        cancelledBy: 'system',
+        cancelledAt: new Date(),
+      };
+      await transitionBooking(booking, 'cancelled', { reason: 'Payment failed' });
+    } else {
+      await booking.save();
+    }
   } catch (error) {
     logger.error(`Error handling failed payment: ${error.message}`);
   }
@@ -246,31 +1163,236 @@ const handleFailedPayment = async (payment) => {
 
 const handleRefund = async (refund) => {
   try {
-    const booking = await Booking.findOneAndUpdate(
-      { 'payment.paymentId': refund.payment_id },
-      {
-        'payment.refundId': refund.id,
-        'payment.refundStatus': refund.status,
-        'payment.refundedAt': new Date(refund.created_at * 1000),
-        status: 'refunded',
-      },
-      { new: true, runValidators: true }
+    // Partial refunds we initiated ourselves only need their status updated
+    const partial = await Booking.findOneAndUpdate(
+      { 'payment.refunds.refundId': refund.id },
+      { $set: { 'payment.refunds.$.status': refund.status } }
     );
+    if (partial) return;
 
-    if (booking) {
-      // Update parking slot status back to available
-      await Parking.updateOne(
-        { 'slots._id': booking.slot },
-        { $set: { 'slots.$.status': 'available' } }
-      );
+    // Refunds issued from the provider's dashboard
+    const booking = await Booking.findOne({ 'payment.paymentId': refund.payment_id });
+    if (!booking) return;
 
-      // Invalidate cache
-      const redisClient = getRedisClient();
-      if (redisClient) {
-        await redisClient.del(`parking:${booking.parking}:availability`);
-      }
+    const captured = booking.payment.capturedAmount || booking.amount;
+    booking.payment.refunds.push({
+      refundId: refund.id,
+      amount: refund.amount / 100,
+      reason: 'Refunded by payment provider',
+      status: refund.status,
+      createdAt: new Date(refund.created_at * 1000),
+    });
+    booking.payment.refundedAmount = (booking.payment.refundedAmount || 0) + refund.amount / 100;
+    const isFullRefund = booking.payment.refundedAmount >= captured;
+    booking.payment.status = isFullRefund ? 'refunded' : 'partially_refunded';
+
+    if (isFullRefund && canTransition(booking.status, 'refunded', SYSTEM_ACTOR)) {
+      await transitionBooking(booking, 'refunded', { reason: 'Refunded by payment provider' });
+    } else {
+      await booking.save();
     }
+    await recordCreditNote(booking, {
+      amount: refund.amount / 100,
+      refundId: refund.id,
+      reason: 'Refunded by payment provider',
+      refundedAt: new Date(refund.created_at * 1000),
+    });
   } catch (error) {
     logger.error(`Error handling refund: ${error.message}`);
   }
 };
+
+const handleSubscriptionCharged = async (subscription, payment) => {
+  try {
+    const pass = await Pass.findOne({ 'payment.subscriptionId': subscription.id });
+    if (!pass) return;
+
+    // A charge for a pass that has ended (or whose hold ran out) goes back
+    const passPayment = {
+      paymentId: payment.id,
+      orderId: payment.order_id,
+      amount: payment.amount / 100,
+      paidAt: new Date(payment.created_at * 1000),
+    };
+    if (!(await applyPassPayment(pass._id, passPayment))) {
+      await refundPassPayment(pass, passPayment);
+    }
+  } catch (error) {
+    logger.error(`Error handling subscription charge: ${error.message}`);
+  }
+};
+
+const handleSubscriptionEnded = async (subscription) => {
+  try {
+    await Pass.updateOne(
+      { 'payment.subscriptionId': subscription.id },
+      { autoRenew: false }
+    );
+  } catch (error) {
+    logger.error(`Error handling subscription end: ${error.message}`);
+  }
+};
+
+// How long before its payment deadline an occurrence billed on its own is charged
+const OCCURRENCE_CHARGE_LEAD_HOURS = 24;
+
+// Charge the occurrences of series billed one by one whose payment deadline is near: raise
+// each one's order and ask its driver to pay it before the hold runs out. Run periodically
+// by the job scheduler.
+exports.requestOccurrencePayments = async (now = new Date()) => {
+  const due = await Booking.find({
+    series: { $ne: null },
+    status: 'pending',
+    'payment.orderId': null,
+    holdExpiresAt: {
+      $gt: now,
+      $lte: new Date(now.getTime() + OCCURRENCE_CHARGE_LEAD_HOURS * 60 * 60 * 1000),
+    },
+  });
+  const perOccurrence = await BookingSeries.distinct('_id', {
+    _id: { $in: due.map((booking) => booking.series) },
+    billing: 'per-occurrence',
+    status: 'active',
+  });
+  const isPerOccurrence = (booking) => perOccurrence.some((id) => id.equals(booking.series));
+
+  let charged = 0;
+  for (const booking of due.filter(isPerOccurrence)) {
+    try {
+      const currency = booking.pricing.currency || 'INR';
+      const order = await razorpay.orders.create({
+        amount: Math.round(booking.amount * 100), // Razorpay expects amount in paise
+        currency,
+        receipt: `booking_${booking._id}`,
+        payment_capture: 1,
+        notes: {
+          bookingId: booking._id.toString(),
+          seriesId: booking.series.toString(),
+        },
+      });
+
+      // Only the first run to get here keeps its order
+      const claimed = await Booking.findOneAndUpdate(
+        { _id: booking._id, status: 'pending', 'payment.orderId': null },
+        { 'payment.orderId': order.id, 'payment.currency': currency }
+      );
+      if (!claimed) continue;
+
+      emitToUser(booking.user._id.toString(), 'booking:payment-due', {
+        bookingId: booking._id,
+        order,
+        holdExpiresAt: booking.holdExpiresAt,
+      });
+      charged += 1;
+    } catch (error) {
+      logger.error(`Error charging occurrence ${booking._id}: ${error.message}`);
+    }
+  }
+
+  if (charged > 0) {
+    logger.info(`Requested payment for ${charged} series occurrence(s)`);
+  }
+  return charged;
+};
+
+// Raise an extra order for the difference when a paid booking gets more expensive.
+// The caller is responsible for saving the booking.
+exports.createTopUpOrder = async (booking, amount, reason) => {
+  const currency = booking.pricing.currency || 'INR';
+
+  const order = await razorpay.orders.create({
+    amount: Math.round(amount * 100), // Razorpay expects amount in paise
+    currency,
+    receipt: `topup_${booking._id}_${booking.payment.topUps.length + 1}`,
+    payment_capture: 1,
+    notes: {
+      bookingId: booking._id.toString(),
+      type: 'top-up',
+    },
+  });
+
+  booking.payment.topUps.push({ orderId: order.id, amount, reason });
+  return order;
+};
+
+// Refund part (or all) of what was captured for a booking.
+// The caller is responsible for saving the booking.
+exports.refundPayment = async (booking, amount, reason) => {
+  if (!booking.payment.paymentId) {
+    throw new AppError('This booking has no captured payment to refund', 400);
+  }
+
+  const captured = booking.payment.capturedAmount || booking.amount;
+  const refundable = Math.max(0, captured - (booking.payment.refundedAmount || 0));
+  const refundAmount = Math.min(amount, refundable);
+  if (refundAmount <= 0) return null;
+
+  const refund = await razorpay.payments.refund(booking.payment.paymentId, {
+    amount: Math.round(refundAmount * 100), // Razorpay expects amount in paise
+    notes: {
+      bookingId: booking._id.toString(),
+      reason,
+    },
+  });
+
+  booking.payment.refunds.push({
+    refundId: refund.id,
+    amount: refundAmount,
+    reason,
+    status: refund.status,
+  });
+  booking.payment.refundedAmount = (booking.payment.refundedAmount || 0) + refundAmount;
+  booking.payment.status =
+    booking.payment.refundedAmount >= captured ? 'refunded' : 'partially_refunded';
+  await recordCreditNote(booking, { amount: refundAmount, refundId: refund.id, reason });
+
+  return refund;
+};
+
+// @desc    Initiate a (partial) refund for a booking
+// @route   POST /api/v1/payments/:bookingId/refund
+// @access  Private (Admin/Owner)
+exports.initiateRefund = catchAsync(async (req, res, next) => {
+  const booking = await Booking.findById(req.params.bookingId);
+  if (!booking) {
+    return next(new AppError('No booking found with that ID', 404));
+  }
+
+  if (
+    req.user.role !== 'admin' &&
+    booking.parking.owner.toString() !== req.user.id
+  ) {
+    return next(
+      new AppError('You do not have permission to refund this booking', 403)
+    );
+  }
+
+  const amount = req.body.amount !== undefined ? Number(req.body.amount) : booking.amount;
+  if (isNaN(amount) || amount <= 0) {
+    return next(new AppError('Please provide a valid refund amount', 400));
+  }
+
+  try {
+    const refund = await exports.refundPayment(
+      booking,
+      amount,
+      req.body.reason || 'Refund initiated by ' + req.user.role
+    );
+    if (!refund) {
+      return next(new AppError('Nothing left to refund for this booking', 400));
+    }
+    await booking.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        refund,
+        booking,
+      },
+    });
+  } catch (err) {
+    if (err instanceof AppError) return next(err);
+    logger.error(`Razorpay refund error: ${err.message}`);
+    return next(new AppError('Error processing refund. Please try again.', 500));
+  }
+});
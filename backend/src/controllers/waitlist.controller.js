@@ -0,0 +1,188 @@
+const WaitlistEntry = require('../models/waitlistEntry.model');
+const Booking = require('../models/booking.model');
+const Parking = require('../models/parking.model');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const { findMatchingSlot } = require('../services/waitlist.service');
+const { isOpenFor } = require('../services/openingHours.service');
+const { holdExpiryFor } = require('../services/slotHold.service');
+const { cancelWithRefund } = require('../services/cancellation.service');
+
+// Helper to load a waitlist entry that belongs to the current user
+const findOwnEntry = async (id, user) => {
+  const entry = await WaitlistEntry.findById(id);
+  if (!entry) {
+    throw new AppError('No waitlist entry found with that ID', 404);
+  }
+  if (user.role !== 'admin' && entry.user.toString() !== user.id) {
+    throw new AppError('You do not have permission to manage this waitlist entry', 403);
+  }
+  return entry;
+};
+
+// Helper to drop the pending booking behind an offer that will not be taken up
+const releaseOffer = async (entry, user) => {
+  if (!entry.offer || !entry.offer.booking) return;
+
+  const booking = await Booking.findById(entry.offer.booking);
+  if (booking && booking.status === 'pending') {
+    const parking = await Parking.findById(booking.parking._id).select('cancellationPolicy');
+    await cancelWithRefund(booking, parking || {}, {
+      reason: 'Waitlist offer declined',
+      actor: user,
+    });
+  }
+};
+
+// @desc    Join the waitlist of a fully booked parking
+// @route   POST /api/v1/parkings/:parkingId/waitlist
+// @access  Private (User)
+exports.joinWaitlist = catchAsync(async (req, res, next) => {
+  const parking = await Parking.findById(req.params.parkingId);
+  if (!parking) {
+    return next(new AppError('No parking found with that ID', 404));
+  }
+  if (!parking.isTakingBookings()) {
+    return next(new AppError('This parking is not taking bookings right now', 400));
+  }
+
+  const entry = new WaitlistEntry({
+    user: req.user.id,
+    parking: parking._id,
+    startTime: req.body.startTime,
+    endTime: req.body.endTime,
+    slotType: req.body.slotType,
+    maxPrice: req.body.maxPrice,
+    vehicle: req.body.vehicle,
+  });
+  await entry.validate();
+
+  if (entry.startTime <= new Date()) {
+    return next(new AppError('The requested window must be in the future', 400));
+  }
+  if (!isOpenFor(parking, entry.startTime, entry.endTime)) {
+    return next(new AppError('The parking is closed during the requested time', 400));
+  }
+
+  // No point queueing if a matching slot is free right now
+  const match = await findMatchingSlot(parking, entry);
+  if (match) {
+    return next(
+      new AppError(
+        `Slot ${match.slot.slotId} is free for this window. Please book it directly.`,
+        400
+      )
+    );
+  }
+
+  await entry.save();
+  const position = await WaitlistEntry.countDocuments({
+    parking: parking._id,
+    status: 'waiting',
+    createdAt: { $lte: entry.createdAt },
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      entry,
+      position,
+    },
+  });
+});
+
+// @desc    Get the current user's waitlist entries
+// @route   GET /api/v1/waitlist
+// @access  Private
+exports.getMyWaitlist = catchAsync(async (req, res, next) => {
+  const filter = { user: req.user.id };
+  if (req.query.status) filter.status = req.query.status;
+
+  const entries = await WaitlistEntry.find(filter)
+    .sort('-createdAt')
+    .populate('parking', 'name location');
+
+  res.status(200).json({
+    status: 'success',
+    results: entries.length,
+    data: {
+      entries,
+    },
+  });
+});
+
+// @desc    Accept a waitlist offer and move on to payment
+// @route   POST /api/v1/waitlist/:id/accept
+// @access  Private
+exports.acceptOffer = catchAsync(async (req, res, next) => {
+  const entry = await findOwnEntry(req.params.id, req.user);
+
+  if (entry.status !== 'offered' || entry.offer.expiresAt <= new Date()) {
+    return next(new AppError('There is no open offer for this waitlist entry', 400));
+  }
+
+  const booking = await Booking.findById(entry.offer.booking);
+  if (!booking || !booking.isHoldActive()) {
+    return next(new AppError('This offer has expired', 400));
+  }
+
+  // The offer becomes a regular hold, giving the user the usual time to pay
+  const parking = await Parking.findById(booking.parking._id).select('holdDurationMinutes');
+  booking.holdExpiresAt = holdExpiryFor(parking || {});
+  await booking.save();
+
+  entry.status = 'accepted';
+  await entry.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      entry,
+      booking,
+      holdExpiresAt: booking.holdExpiresAt,
+    },
+  });
+});
+
+// @desc    Decline a waitlist offer so it rolls to the next person
+// @route   POST /api/v1/waitlist/:id/decline
+// @access  Private
+exports.declineOffer = catchAsync(async (req, res, next) => {
+  const entry = await findOwnEntry(req.params.id, req.user);
+
+  if (entry.status !== 'offered') {
+    return next(new AppError('There is no open offer for this waitlist entry', 400));
+  }
+
+  entry.status = 'declined';
+  await entry.save();
+  await releaseOffer(entry, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      entry,
+    },
+  });
+});
+
+// @desc    Leave the waitlist
+// @route   DELETE /api/v1/waitlist/:id
+// @access  Private
+exports.leaveWaitlist = catchAsync(async (req, res, next) => {
+  const entry = await findOwnEntry(req.params.id, req.user);
+
+  if (!['waiting', 'offered'].includes(entry.status)) {
+    return next(new AppError('This waitlist entry is no longer active', 400));
+  }
+
+  const hadOffer = entry.status === 'offered';
+  entry.status = 'cancelled';
+  await entry.save();
+  if (hadOffer) await releaseOffer(entry, req.user);
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
@@ -0,0 +1,64 @@
+const { scheduleJob } = require('../utils/scheduler');
+const { expireStaleHolds } = require('../services/slotHold.service');
+const { detectNoShows } = require('../services/noShow.service');
+const { expireStaleEntries } = require('../services/waitlist.service');
+const { expirePasses } = require('../services/pass.service');
+const { requestOccurrencePayments } = require('../controllers/payment.controller');
+const Parking = require('../models/parking.model');
+const logger = require('../utils/logger');
+
+const startJobs = () => {
+  // Release slots held by pending bookings that were never paid for
+  scheduleJob(
+    'hold-sweeper',
+    () => expireStaleHolds(),
+    process.env.HOLD_SWEEP_INTERVAL_MS * 1 || 60 * 1000
+  );
+
+  // Mark confirmed bookings nobody checked in for as no-shows
+  scheduleJob(
+    'no-show-detector',
+    () => detectNoShows(),
+    process.env.NO_SHOW_INTERVAL_MS * 1 || 5 * 60 * 1000
+  );
+
+  // Charge series occurrences billed one by one before their payment deadline
+  scheduleJob(
+    'occurrence-payments',
+    () => requestOccurrencePayments(),
+    process.env.OCCURRENCE_PAYMENT_INTERVAL_MS * 1 || 15 * 60 * 1000
+  );
+
+  // Drop waitlist entries whose window has started without an offer
+  scheduleJob(
+    'waitlist-cleanup',
+    () => expireStaleEntries(),
+    process.env.WAITLIST_CLEANUP_INTERVAL_MS * 1 || 15 * 60 * 1000
+  );
+
+  // Drop unpaid pass holds and expire passes past their period
+  scheduleJob(
+    'pass-expiry',
+    () => expirePasses(),
+    process.env.PASS_EXPIRY_INTERVAL_MS * 1 || 5 * 60 * 1000
+  );
+
+  // Fill in the search fields of older parkings
+  scheduleJob(
+    'search-fields-backfill',
+    () => Parking.backfillSearchFields(),
+    process.env.SEARCH_BACKFILL_INTERVAL_MS * 1 || 60 * 60 * 1000
+  );
+
+  // Once per start: store free-text features of older parkings as amenity keys
+  Parking.canonicalizeStoredFeatures()
+    .then(({ updated, unknown }) => {
+      if (updated > 0) logger.info(`Stored features of ${updated} parkings as amenity keys`);
+      if (unknown.length > 0) {
+        logger.warn(`Parking features missing from the catalogue: ${unknown.join(', ')}`);
+      }
+    })
+    .catch((error) => logger.error(`Feature migration failed: ${error.message}`));
+};
+
+module.exports = { startJobs };
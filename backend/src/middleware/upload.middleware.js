@@ -0,0 +1,58 @@
+const multer = require('multer');
+const AppError = require('../utils/appError');
+const {
+  MAX_IMAGE_BYTES,
+  MAX_IMAGES_PER_UPLOAD,
+  storeImage,
+  removeImageFiles,
+} = require('../services/image.service');
+
+// Uploads are kept in memory only until they have been checked and re-encoded
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMAGE_BYTES,
+    files: MAX_IMAGES_PER_UPLOAD,
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) return cb(null, true);
+    cb(new AppError('Only image files can be uploaded', 400), false);
+  },
+});
+
+const uploadErrorMessages = {
+  LIMIT_FILE_SIZE: `Images must be smaller than ${MAX_IMAGE_BYTES / 1024 / 1024} MB`,
+  LIMIT_FILE_COUNT: `Please upload at most ${MAX_IMAGES_PER_UPLOAD} images at a time`,
+  LIMIT_UNEXPECTED_FILE: 'Please upload images in the "images" field',
+};
+
+// Read up to MAX_IMAGES_PER_UPLOAD photos from the multipart "images" field. Requests
+// that are not multipart pass straight through.
+exports.uploadParkingImages = (req, res, next) => {
+  upload.array('images', MAX_IMAGES_PER_UPLOAD)(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return next(new AppError(uploadErrorMessages[err.code] || err.message, 400));
+    }
+    next(err);
+  });
+};
+
+// Check each uploaded photo is really an image, strip its metadata and store its
+// renditions. The stored images are left on req.uploadedImages for the controller; if
+// the request ends in an error they are removed again, so they never sit orphaned.
+exports.resizeParkingImages = async (req, res, next) => {
+  if (!req.files || req.files.length === 0) return next();
+
+  req.uploadedImages = [];
+  res.on('finish', () => {
+    if (res.statusCode >= 400) removeImageFiles(req.uploadedImages);
+  });
+  try {
+    for (const file of req.files) {
+      req.uploadedImages.push(await storeImage(file.buffer, { originalName: file.originalname }));
+    }
+  } catch (err) {
+    return next(err);
+  }
+  next();
+};
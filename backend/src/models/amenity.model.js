@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { normalizeText } = require('../utils/searchText');
+
+const KEY_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const AMENITY_SCOPES = ['parking', 'slot'];
+
+// An amenity parkings and slots can list in their features, e.g. 'ev-charging'. Features
+// are stored as amenity keys; synonyms are what owners and drivers may type instead.
+const amenitySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, 'An amenity must have a key'],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [KEY_PATTERN, 'Amenity keys are lowercase words joined by hyphens, e.g. ev-charging'],
+      // Parkings store the key, so it is fixed once created; add a synonym instead
+      immutable: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'An amenity must have a name'],
+      trim: true,
+      maxlength: [60, 'Amenity names must be at most 60 characters'],
+    },
+    // Icon name from the app's icon set, e.g. 'ev_station'
+    icon: {
+      type: String,
+      trim: true,
+      maxlength: [60, 'Icon names must be at most 60 characters'],
+    },
+    synonyms: {
+      type: [String],
+      set: (values) => [...new Set((values || []).map(normalizeText).filter(Boolean))],
+    },
+    // Whether a parking, a slot or both can have it
+    appliesTo: {
+      type: [{ type: String, enum: AMENITY_SCOPES }],
+      default: AMENITY_SCOPES,
+      validate: {
+        validator: (values) => values.length > 0,
+        message: 'An amenity must apply to parkings, slots or both',
+      },
+    },
+    // Retired amenities are no longer offered in the app but stay valid where they are used
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Amenity = mongoose.model('Amenity', amenitySchema);
+
+module.exports = Amenity;
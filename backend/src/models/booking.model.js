@@ -1,5 +1,27 @@
 const mongoose = require('mongoose');
 const validator = require('validator');
+const { createQrToken } = require('../utils/qrToken');
+const { BOOKING_STATUSES, ACTOR_ROLES } = require('../utils/bookingStatus');
+
+// A server-side price quote: its line items, currency and when it was made
+const quotedPricing = () => ({
+  lineItems: [
+    {
+      _id: false,
+      type: { type: String, enum: ['base', 'dynamic'] },
+      label: String,
+      hours: Number,
+      unitPrice: Number,
+      multiplier: Number,
+      amount: Number,
+    },
+  ],
+  currency: {
+    type: String,
+    default: 'INR',
+  },
+  quotedAt: Date,
+});
 
 const bookingSchema = new mongoose.Schema(
   {
@@ -17,6 +39,40 @@ const bookingSchema = new mongoose.Schema(
       type: mongoose.Schema.ObjectId,
       required: [true, 'Booking must have a slot'],
     },
+    series: {
+      // Set for occurrences of a recurring booking series
+      type: mongoose.Schema.ObjectId,
+      ref: 'BookingSeries',
+    },
+    group: {
+      // Set for slots booked together as a group or fleet booking
+      type: mongoose.Schema.ObjectId,
+      ref: 'BookingGroup',
+    },
+    waitlistEntry: {
+      // Set for bookings created from a waitlist offer
+      type: mongoose.Schema.ObjectId,
+      ref: 'WaitlistEntry',
+    },
+    organization: {
+      // Set for bookings billed to an organisation instead of paid by the driver
+      type: mongoose.Schema.ObjectId,
+      ref: 'Organization',
+    },
+    // Organisation bookings outside the org's policy wait for an org admin here
+    approval: {
+      status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+      },
+      reasons: [String],
+      decidedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+      },
+      decidedAt: Date,
+      note: String,
+    },
     slotNumber: {
       type: String,
       required: [true, 'Please provide slot number'],
@@ -37,18 +93,55 @@ const bookingSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['pending', 'confirmed', 'cancelled', 'completed', 'no-show'],
+      enum: BOOKING_STATUSES,
       default: 'pending',
     },
+    // Append-only log of every status change; entries are never edited
+    statusHistory: [
+      {
+        _id: false,
+        from: {
+          type: String, // null for the entry that created the booking
+          enum: BOOKING_STATUSES,
+          immutable: true,
+        },
+        to: {
+          type: String,
+          enum: BOOKING_STATUSES,
+          immutable: true,
+        },
+        by: {
+          type: mongoose.Schema.ObjectId,
+          ref: 'User',
+          immutable: true,
+        },
+        role: {
+          type: String,
+          enum: ACTOR_ROLES,
+          immutable: true,
+        },
+        reason: {
+          type: String,
+          immutable: true,
+        },
+        at: {
+          type: Date,
+          default: Date.now,
+          immutable: true,
+        },
+      },
+    ],
+    holdExpiresAt: Date, // Pending bookings stop blocking the slot after this
     amount: {
       type: Number,
       required: [true, 'Booking must have an amount'],
       min: [0, 'Amount must be a positive number'],
     },
+    pricing: quotedPricing(), // Server-side quote the amount was computed from
     payment: {
       method: {
         type: String,
-        enum: ['card', 'upi', 'wallet', 'cash'],
+        enum: ['card', 'upi', 'wallet', 'cash', 'invoice'],
         required: [true, 'Please provide payment method'],
       },
       status: {
@@ -58,11 +151,65 @@ const bookingSchema = new mongoose.Schema(
       },
       transactionId: String,
       paymentIntentId: String,
+      orderId: String,
+      paymentId: String,
+      currency: String,
+      paidAt: Date,
+      capturedAmount: {
+        type: Number,
+        default: 0,
+      },
+      refundedAmount: {
+        type: Number,
+        default: 0,
+      },
+      // Extra orders raised when a paid booking is extended or moved to a pricier window
+      topUps: [
+        {
+          orderId: String,
+          paymentId: String,
+          amount: Number,
+          reason: String,
+          status: {
+            type: String,
+            enum: ['pending', 'completed', 'failed'],
+            default: 'pending',
+          },
+          createdAt: {
+            type: Date,
+            default: Date.now,
+          },
+          paidAt: Date,
+        },
+      ],
+      refunds: [
+        {
+          refundId: String,
+          amount: Number,
+          reason: String,
+          status: String,
+          createdAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
       receiptUrl: String,
     },
     qrCode: String,
     checkInTime: Date,
     checkOutTime: Date,
+    noShow: {
+      detectedAt: Date,
+      fee: Number,
+      refundAmount: Number,
+    },
+    overstay: {
+      minutes: Number,
+      amount: Number,
+      orderId: String,
+      chargedAt: Date,
+    },
     cancellation: {
       reason: String,
       cancelledBy: {
@@ -84,6 +231,40 @@ const bookingSchema = new mongoose.Schema(
       color: String,
     },
     notes: String,
+    // Every extension, shortening or move of the booking window
+    modifications: [
+      {
+        previousStartTime: Date,
+        previousEndTime: Date,
+        previousSlot: mongoose.Schema.ObjectId,
+        previousAmount: Number,
+        startTime: Date,
+        endTime: Date,
+        slot: mongoose.Schema.ObjectId,
+        slotNumber: String,
+        amount: Number,
+        pricing: quotedPricing(),
+        settlement: {
+          type: String,
+          enum: ['none', 'top-up', 'refund'],
+        },
+        // A change that costs more only takes effect once its top-up order is paid
+        status: {
+          type: String,
+          enum: ['applied', 'awaiting-payment', 'cancelled'],
+          default: 'applied',
+        },
+        topUpOrderId: String,
+        modifiedBy: {
+          type: mongoose.Schema.ObjectId,
+          ref: 'User',
+        },
+        modifiedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
   },
   {
     timestamps: true,
@@ -99,12 +280,31 @@ bookingSchema.index({ 'payment.status': 1 });
 bookingSchema.index({ status: 1 });
 bookingSchema.index({ startTime: 1, endTime: 1 });
 bookingSchema.index({ 'vehicle.number': 1 });
+bookingSchema.index({ status: 1, holdExpiresAt: 1 });
+bookingSchema.index({ series: 1, startTime: 1 });
+bookingSchema.index({ group: 1 });
+bookingSchema.index({ organization: 1, startTime: 1 });
+bookingSchema.index({ organization: 1, 'approval.status': 1 });
 
 // Document middleware
+bookingSchema.pre('validate', function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    // The booking's creator opens its history
+    this.statusHistory.push({ from: null, to: this.status, by: this.user, role: 'user' });
+  }
+
+  // Status changes must go through the lifecycle so they are recorded
+  const last = this.statusHistory[this.statusHistory.length - 1];
+  if (this.isModified('status') && (!last || last.to !== this.status)) {
+    this.invalidate('status', `Status change to '${this.status}' was not recorded in statusHistory`);
+  }
+  next();
+});
+
 bookingSchema.pre('save', async function (next) {
-  // Generate QR code before saving
+  // Generate a signed QR code before saving
   if (this.isNew) {
-    this.qrCode = `PARK-EASE-${this._id.toString().slice(-8).toUpperCase()}`;
+    this.qrCode = createQrToken(this);
   }
   next();
 });
@@ -116,19 +316,40 @@ bookingSchema.pre(/^find/, function (next) {
     select: 'name email phone',
   }).populate({
     path: 'parking',
-    select: 'name location address',
+    select: 'name location address owner',
   });
   next();
 });
 
+// Static method returning the filter for bookings that currently block their slot:
+// confirmed and checked-in bookings, and pending bookings whose hold has not expired yet
+bookingSchema.statics.blockingFilter = function (now = new Date()) {
+  return {
+    $or: [
+      { status: { $in: ['confirmed', 'checked-in'] } },
+      { status: 'pending', holdExpiresAt: { $gt: now } },
+    ],
+  };
+};
+
 // Static method to check if slot is available
-bookingSchema.statics.isSlotAvailable = async function (slotId, startTime, endTime, bookingId = null) {
+bookingSchema.statics.isSlotAvailable = async function (
+  slotId,
+  startTime,
+  endTime,
+  bookingId = null,
+  session = null
+) {
   const query = {
     slot: slotId,
-    status: { $in: ['pending', 'confirmed'] },
-    $or: [
-      { startTime: { $lt: endTime }, endTime: { $gt: startTime } }, // New booking starts in between existing booking
-      { startTime: { $gte: startTime, $lt: endTime } }, // Existing booking starts in between new booking
+    $and: [
+      this.blockingFilter(),
+      {
+        $or: [
+          { startTime: { $lt: endTime }, endTime: { $gt: startTime } }, // New booking starts in between existing booking
+          { startTime: { $gte: startTime, $lt: endTime } }, // Existing booking starts in between new booking
+        ],
+      },
     ],
   };
 
@@ -136,23 +357,42 @@ bookingSchema.statics.isSlotAvailable = async function (slotId, startTime, endTi
     query._id = { $ne: bookingId }; // Exclude current booking when updating
   }
 
-  const bookings = await this.find(query);
+  const bookings = await this.find(query).session(session);
   return bookings.length === 0;
 };
 
+// Instance method to check if a pending booking still holds its slot
+bookingSchema.methods.isHoldActive = function (now = new Date()) {
+  return this.status === 'pending' && !!this.holdExpiresAt && this.holdExpiresAt > now;
+};
+
+// Static method to calculate billable hours between two dates
+bookingSchema.statics.calculateDuration = function (startTime, endTime) {
+  const durationMs = endTime - startTime;
+  return Math.ceil(durationMs / (1000 * 60 * 60)); // Convert to hours and round up
+};
+
 // Instance method to calculate duration in hours
 bookingSchema.methods.calculateDuration = function () {
-  const durationMs = this.endTime - this.startTime;
-  return Math.ceil(durationMs / (1000 * 60 * 60)); // Convert to hours and round up
+  return this.constructor.calculateDuration(this.startTime, this.endTime);
+};
+
+// Instance method to check if booking can be cancelled. Confirmed bookings can be
+// cancelled until they start; how much is refunded depends on the parking's policy.
+bookingSchema.methods.canBeCancelled = function (now = new Date()) {
+  return this.status === 'confirmed' && !this.checkInTime && this.startTime > now;
 };
 
-// Instance method to check if booking can be cancelled
-bookingSchema.methods.canBeCancelled = function () {
-  const now = new Date();
-  const hoursUntilStart = (this.startTime - now) / (1000 * 60 * 60);
-  
-  // Allow cancellation up to 1 hour before start time
-  return this.status === 'confirmed' && hoursUntilStart > 1;
+// Instance method to move the booking to the window, slot and price of one of its
+// modifications and mark that modification applied. The caller saves the booking.
+bookingSchema.methods.applyModification = function (change) {
+  this.startTime = change.startTime;
+  this.endTime = change.endTime;
+  this.slot = change.slot;
+  this.slotNumber = change.slotNumber;
+  this.amount = change.amount;
+  this.pricing = change.toObject().pricing;
+  change.status = 'applied';
 };
 
 const Booking = mongoose.model('Booking', bookingSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const MAX_GROUP_SLOTS = 50;
+
+const bookingGroupSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'A booking group must belong to a user'],
+    },
+    parking: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Parking',
+      required: [true, 'A booking group must belong to a parking'],
+    },
+    name: {
+      // Optional label such as the event or fleet name
+      type: String,
+      trim: true,
+      maxlength: [100, 'Group name must be at most 100 characters'],
+    },
+    startTime: {
+      type: Date,
+      required: [true, 'Please provide start time'],
+    },
+    endTime: {
+      type: Date,
+      required: [true, 'Please provide end time'],
+    },
+    slotCount: {
+      type: Number,
+      min: [1, 'A group must book at least one slot'],
+      max: [MAX_GROUP_SLOTS, `A group can book at most ${MAX_GROUP_SLOTS} slots`],
+    },
+    status: {
+      type: String,
+      enum: ['active', 'cancelled', 'completed'],
+      default: 'active',
+    },
+    amount: {
+      type: Number,
+      default: 0,
+    },
+    payment: {
+      method: {
+        type: String,
+        enum: ['card', 'upi', 'wallet', 'cash'],
+        default: 'card',
+      },
+      status: {
+        type: String,
+        enum: ['pending', 'completed', 'failed', 'refunded', 'partially_refunded'],
+        default: 'pending',
+      },
+      orderId: String,
+      paymentId: String,
+      paidAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+bookingGroupSchema.index({ user: 1, status: 1 });
+bookingGroupSchema.index({ 'payment.orderId': 1 });
+
+// Virtual populate
+bookingGroupSchema.virtual('bookings', {
+  ref: 'Booking',
+  foreignField: 'group',
+  localField: '_id',
+});
+
+const BookingGroup = mongoose.model('BookingGroup', bookingGroupSchema);
+
+BookingGroup.MAX_GROUP_SLOTS = MAX_GROUP_SLOTS;
+
+module.exports = BookingGroup;
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const { WEEKDAYS, MAX_OCCURRENCES, MAX_INTERVAL } = require('../utils/recurrence');
+
+const bookingSeriesSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'A booking series must belong to a user'],
+    },
+    parking: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Parking',
+      required: [true, 'A booking series must belong to a parking'],
+    },
+    slot: {
+      type: mongoose.Schema.ObjectId,
+      required: [true, 'A booking series must have a slot'],
+    },
+    recurrence: {
+      frequency: {
+        type: String,
+        enum: ['daily', 'weekly', 'custom'],
+        required: [true, 'Please provide a recurrence frequency'],
+      },
+      interval: {
+        type: Number,
+        default: 1,
+        min: [1, 'Interval must be at least 1'],
+        max: [MAX_INTERVAL, `Interval must be at most ${MAX_INTERVAL}`],
+        validate: {
+          validator: Number.isInteger,
+          message: 'Interval must be a whole number',
+        },
+      },
+      byDay: [
+        {
+          type: String,
+          enum: WEEKDAYS,
+        },
+      ],
+      dates: [Date], // Explicit dates for custom patterns
+      until: Date,
+      count: {
+        type: Number,
+        min: [1, 'Count must be at least 1'],
+        max: [MAX_OCCURRENCES, `A series can have at most ${MAX_OCCURRENCES} occurrences`],
+      },
+    },
+    startDate: {
+      type: Date,
+      required: [true, 'Please provide the first day of the series'],
+    },
+    startTime: {
+      type: String,
+      required: [true, 'Please provide the daily start time'],
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Start time must be in HH:MM format'],
+    },
+    durationMinutes: {
+      type: Number,
+      required: [true, 'Please provide the duration of each booking'],
+      min: [15, 'Each booking must last at least 15 minutes'],
+      max: [24 * 60, 'Each booking must last at most 24 hours'],
+    },
+    billing: {
+      type: String,
+      enum: ['per-occurrence', 'series'],
+      default: 'per-occurrence',
+    },
+    status: {
+      type: String,
+      enum: ['active', 'cancelled', 'completed'],
+      default: 'active',
+    },
+    skippedDates: [Date],
+    // Occurrences that could not be booked because the slot was taken
+    conflicts: [
+      {
+        _id: false,
+        startTime: Date,
+        endTime: Date,
+      },
+    ],
+    amount: {
+      type: Number,
+      default: 0,
+    },
+    vehicle: {
+      type: {
+        type: String,
+        enum: ['car', 'bike', 'truck', 'other'],
+        default: 'car',
+      },
+      number: String,
+      make: String,
+      model: String,
+      color: String,
+    },
+    payment: {
+      method: {
+        type: String,
+        enum: ['card', 'upi', 'wallet', 'cash'],
+        default: 'card',
+      },
+      status: {
+        type: String,
+        enum: ['pending', 'completed', 'failed', 'refunded', 'partially_refunded'],
+        default: 'pending',
+      },
+      orderId: String,
+      paymentId: String,
+      paidAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+bookingSeriesSchema.index({ user: 1, status: 1 });
+bookingSeriesSchema.index({ 'payment.orderId': 1 });
+
+// Every pattern needs an end, except custom ones which list their own dates
+bookingSeriesSchema.pre('validate', function (next) {
+  const { frequency, until, count, dates } = this.recurrence || {};
+  if (frequency === 'custom' && (!dates || dates.length === 0)) {
+    this.invalidate('recurrence.dates', 'Custom patterns must list at least one date');
+  }
+  if (frequency !== 'custom' && !until && !count) {
+    this.invalidate('recurrence', 'A recurring pattern must have an end date or a count');
+  }
+  next();
+});
+
+// Virtual populate
+bookingSeriesSchema.virtual('bookings', {
+  ref: 'Booking',
+  foreignField: 'series',
+  localField: '_id',
+});
+
+const BookingSeries = mongoose.model('BookingSeries', bookingSeriesSchema);
+
+module.exports = BookingSeries;
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Named sequences for gap-free document numbers, e.g. 'INV/2425'
+const counterSchema = new mongoose.Schema({
+  _id: String,
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+// Static method atomically returning the next number of a sequence. Numbers stay
+// gap-free only if taken in the transaction (`session`) that saves their document.
+counterSchema.statics.next = async function (key, session = null) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
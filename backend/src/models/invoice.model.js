@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+const partySchema = {
+  name: String,
+  legalName: String,
+  gstin: String,
+  address: String,
+  email: String,
+  phone: String,
+  stateCode: String,
+};
+
+// A numbered tax document for money taken or returned on a booking: a tax invoice
+// (or a plain receipt when the parking is not GST-registered) for every captured
+// payment, and a credit note for every refund. The platform invoices its fee on each
+// payment separately, from its own GSTIN. Issued documents are never edited.
+const invoiceSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['invoice', 'receipt', 'credit-note'],
+      required: [true, 'An invoice must have a type'],
+    },
+    // Who supplied what is billed: the parking's owner, or the platform for its fee
+    issuer: {
+      type: String,
+      enum: ['owner', 'platform'],
+      default: 'owner',
+    },
+    number: {
+      // e.g. INV/2425/000042
+      type: String,
+      required: [true, 'An invoice must have a number'],
+      unique: true,
+    },
+    series: String, // e.g. INV/2425
+    sequence: Number,
+    financialYear: String,
+    booking: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Booking',
+      required: [true, 'An invoice must belong to a booking'],
+    },
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'An invoice must belong to a user'],
+    },
+    parking: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Parking',
+    },
+    organization: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Organization',
+    },
+    // The payment ('payment:<id>', 'platform:payment:<id>' for the platform fee) or refund
+    // ('refund:<id>:<credited invoice number>') the document was issued for
+    reference: {
+      type: String,
+      required: [true, 'An invoice must reference a payment or refund'],
+    },
+    originalInvoice: {
+      // Credit notes only: the invoice being credited
+      type: mongoose.Schema.ObjectId,
+      ref: 'Invoice',
+    },
+    reason: String,
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    supplyDate: Date, // When the money was taken or returned
+    supplier: partySchema,
+    customer: partySchema,
+    placeOfSupply: String, // State code
+    currency: {
+      type: String,
+      default: 'INR',
+    },
+    lines: [
+      {
+        _id: false,
+        description: String,
+        sac: String,
+        taxableValue: Number,
+        cgstRate: Number,
+        cgst: Number,
+        sgstRate: Number,
+        sgst: Number,
+        igstRate: Number,
+        igst: Number,
+        total: Number,
+      },
+    ],
+    totals: {
+      taxableValue: Number,
+      cgst: Number,
+      sgst: Number,
+      igst: Number,
+      total: Number,
+    },
+    file: String, // PDF file name in the invoice storage directory
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+invoiceSchema.index({ booking: 1, reference: 1 }, { unique: true });
+invoiceSchema.index({ user: 1, supplyDate: 1 });
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+module.exports = Invoice;
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const { isValidGstin } = require('../utils/gst');
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A company account whose members book parking that is invoiced to the company
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'An organisation must have a name'],
+      trim: true,
+      maxlength: [100, 'Organisation name must be at most 100 characters'],
+    },
+    billingEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    // Printed on the organisation's tax invoices so it can claim input tax credit
+    gstin: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      validate: [isValidGstin, 'Please provide a valid GSTIN'],
+    },
+    createdBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'An organisation must have a creator'],
+    },
+    // Booking policy applied to every member
+    policy: {
+      // Spend per member per calendar month before bookings need approval (none if unset)
+      monthlyLimit: {
+        type: Number,
+        min: [0, 'Monthly limit must be a positive number'],
+      },
+      // Single bookings above this amount need approval (none if unset)
+      perBookingLimit: {
+        type: Number,
+        min: [0, 'Per-booking limit must be a positive number'],
+      },
+      // Only these parkings may be booked (any parking if empty)
+      allowedParkings: [
+        {
+          type: mongoose.Schema.ObjectId,
+          ref: 'Parking',
+        },
+      ],
+      // Bookings must lie inside these hours, on the parking's clock (any time if unset)
+      allowedHours: {
+        days: [
+          {
+            type: String,
+            enum: DAYS,
+          },
+        ],
+        startTime: {
+          type: String,
+          match: [TIME_PATTERN, 'Start time must be in HH:MM format'],
+        },
+        endTime: {
+          type: String,
+          match: [TIME_PATTERN, 'End time must be in HH:MM format'],
+        },
+      },
+      // Every booking needs an org admin's approval
+      requireApproval: {
+        type: Boolean,
+        default: false,
+      },
+    },
+    // Monthly statements settled by the organisation, one per month
+    settlements: [
+      {
+        _id: false,
+        month: String, // YYYY-MM
+        amount: Number,
+        orderId: String,
+        paymentId: String,
+        status: {
+          type: String,
+          enum: ['pending', 'completed'],
+          default: 'pending',
+        },
+        paidAt: Date,
+      },
+    ],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+organizationSchema.index({ 'settlements.orderId': 1 });
+
+organizationSchema.pre('validate', function (next) {
+  const { startTime, endTime } = (this.policy && this.policy.allowedHours) || {};
+  if (!!startTime !== !!endTime) {
+    this.invalidate('policy.allowedHours', 'Allowed hours need both a start and an end time');
+  }
+  next();
+});
+
+const Organization = mongoose.model('Organization', organizationSchema);
+
+module.exports = Organization;
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// How long an invitation to join an organisation stays valid
+const INVITE_DAYS = 7;
+
+// A user's place in an organisation, from invitation to removal
+const organizationMemberSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Organization',
+      required: [true, 'A member must belong to an organisation'],
+    },
+    user: {
+      // Set once the invitation is accepted
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    email: {
+      type: String,
+      required: [true, 'Please provide the email address to invite'],
+      lowercase: true,
+      trim: true,
+    },
+    role: {
+      // Admins manage members, policy and approvals and see statements
+      type: String,
+      enum: ['member', 'admin'],
+      default: 'member',
+    },
+    status: {
+      type: String,
+      enum: ['invited', 'active', 'removed'],
+      default: 'invited',
+    },
+    // Overrides the organisation's monthly limit for this member
+    monthlyLimit: {
+      type: Number,
+      min: [0, 'Monthly limit must be a positive number'],
+    },
+    invitedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    inviteToken: {
+      type: String,
+      select: false,
+    },
+    inviteExpires: Date,
+    joinedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+organizationMemberSchema.index({ organization: 1, email: 1 }, { unique: true });
+organizationMemberSchema.index({ user: 1, status: 1 });
+organizationMemberSchema.index({ inviteToken: 1 }, { sparse: true });
+
+// Instance method: Create (or renew) the secret token in the invitation link
+organizationMemberSchema.methods.createInviteToken = function () {
+  const inviteToken = crypto.randomBytes(32).toString('hex');
+
+  this.inviteToken = crypto.createHash('sha256').update(inviteToken).digest('hex');
+  this.inviteExpires = Date.now() + INVITE_DAYS * 24 * 60 * 60 * 1000;
+
+  return inviteToken;
+};
+
+const OrganizationMember = mongoose.model('OrganizationMember', organizationMemberSchema);
+
+module.exports = OrganizationMember;
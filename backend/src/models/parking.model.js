@@ -1,5 +1,52 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 const slugify = require('slugify');
+const { POLICY_TYPES } = require('../utils/cancellationPolicy');
+const { isValidGstin } = require('../utils/gst');
+const { isValidTimeZone } = require('../utils/timezone');
+const { snapshotListing } = require('../utils/listingDiff');
+const { searchTermsOf } = require('../utils/searchText');
+const {
+  loadCatalogue,
+  amenityResolver,
+  unknownAmenitiesMessage,
+} = require('../services/amenity.service');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const CLOSE_TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const DATE_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+// Review states of a listing; only approved listings are shown in search and booked
+const MODERATION_STATUSES = ['pending', 'approved', 'rejected', 'suspended'];
+const MODERATION_ACTIONS = [
+  'submitted',
+  'resubmitted',
+  'approved',
+  'rejected',
+  'suspended',
+  'reinstated',
+];
+
+const CODE_PATTERN = /^[A-Za-z0-9-]{1,10}$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// Opening intervals of one day. A close time at or before the open time runs past
+// midnight into the next day, e.g. 22:00-06:00.
+const hoursOfDay = () => [
+  {
+    _id: false,
+    open: {
+      type: String,
+      required: [true, 'Opening hours need an open time'],
+      match: [TIME_PATTERN, 'Open time must be in HH:MM format'],
+    },
+    close: {
+      type: String,
+      required: [true, 'Opening hours need a close time'],
+      match: [CLOSE_TIME_PATTERN, 'Close time must be in HH:MM format'],
+    },
+  },
+];
 
 const parkingSchema = new mongoose.Schema(
   {
@@ -65,18 +112,159 @@ const parkingSchema = new mongoose.Schema(
           required: [true, 'A slot must have a price per hour'],
           min: [0, 'Price must be a positive number'],
         },
-        features: [String], // e.g., ['covered', 'cctv', 'lighting']
+        features: [String], // Amenity keys, e.g. ['covered', 'cctv', 'lighting']
+        // Where the slot is on the floor plan; level and zone are codes from `layout`
+        position: {
+          level: String,
+          zone: String,
+          row: String,
+          x: Number,
+          y: Number,
+          rotation: {
+            // Degrees clockwise, for drawing the slot
+            type: Number,
+            min: [0, 'Rotation must be between 0 and 359'],
+            max: [359, 'Rotation must be between 0 and 359'],
+          },
+        },
+        pass: {
+          // Set while the slot is dedicated to a reserved pass; it cannot be booked
+          type: mongoose.Schema.ObjectId,
+          ref: 'Pass',
+        },
       },
     ],
-    images: [String],
+    // Photos in display order; one of them is the cover. Each is stored in several sizes.
+    images: [
+      {
+        files: [
+          {
+            _id: false,
+            rendition: {
+              type: String,
+              enum: ['thumbnail', 'medium', 'full'],
+            },
+            key: String, // Where the storage backend keeps the file
+            url: String,
+            width: Number,
+            height: Number,
+            bytes: Number,
+          },
+        ],
+        caption: {
+          type: String,
+          trim: true,
+          maxlength: [200, 'An image caption must have less or equal than 200 characters'],
+        },
+        isCover: {
+          type: Boolean,
+          default: false,
+        },
+        uploadedAt: Date,
+      },
+    ],
+    // Floor plans of the parking, one per level. Coordinates are in plan units (e.g.
+    // metres) from the top-left corner of the level.
+    layout: {
+      levels: [
+        {
+          _id: false,
+          code: {
+            type: String, // e.g. 'B1'
+            required: [true, 'A level must have a code'],
+            match: [CODE_PATTERN, 'Level codes are up to 10 letters, digits or dashes'],
+          },
+          name: String, // e.g. 'Basement 1'
+          order: {
+            // Vertical position; lower numbers are further down (-1 for a basement)
+            type: Number,
+            default: 0,
+          },
+          width: {
+            type: Number,
+            required: [true, 'A level must have a width'],
+            min: [1, 'Level width must be positive'],
+          },
+          height: {
+            type: Number,
+            required: [true, 'A level must have a height'],
+            min: [1, 'Level height must be positive'],
+          },
+          zones: [
+            {
+              _id: false,
+              code: {
+                type: String, // e.g. 'A'
+                required: [true, 'A zone must have a code'],
+                match: [CODE_PATTERN, 'Zone codes are up to 10 letters, digits or dashes'],
+              },
+              name: String,
+              color: {
+                type: String,
+                match: [COLOR_PATTERN, 'Zone colours must be hex colours like #1e88e5'],
+              },
+            },
+          ],
+          // Where drivers and pedestrians get on and off the level
+          accessPoints: [
+            {
+              _id: false,
+              name: String,
+              type: {
+                type: String,
+                enum: ['entry', 'exit', 'entry-exit', 'ramp', 'lift', 'stairs'],
+                default: 'entry-exit',
+              },
+              x: {
+                type: Number,
+                required: [true, 'An access point must have coordinates'],
+              },
+              y: {
+                type: Number,
+                required: [true, 'An access point must have coordinates'],
+              },
+            },
+          ],
+        },
+      ],
+    },
+    // Opening hours are wall-clock times in this IANA time zone
+    timezone: {
+      type: String,
+      default: process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata',
+      validate: [isValidTimeZone, 'Please provide a valid IANA time zone, e.g. Asia/Kolkata'],
+    },
     openingHours: {
-      monday: { open: String, close: String },
-      tuesday: { open: String, close: String },
-      wednesday: { open: String, close: String },
-      thursday: { open: String, close: String },
-      friday: { open: String, close: String },
-      saturday: { open: String, close: String },
-      sunday: { open: String, close: String },
+      monday: hoursOfDay(),
+      tuesday: hoursOfDay(),
+      wednesday: hoursOfDay(),
+      thursday: hoursOfDay(),
+      friday: hoursOfDay(),
+      saturday: hoursOfDay(),
+      sunday: hoursOfDay(),
+    },
+    // Holidays and other dated exceptions replacing the weekly hours for one day
+    specialHours: {
+      type: [
+        {
+          _id: false,
+          date: {
+            type: String, // YYYY-MM-DD in the parking's time zone
+            required: [true, 'Special hours need a date'],
+            match: [DATE_PATTERN, 'Special hours date must be in YYYY-MM-DD format'],
+          },
+          closed: {
+            type: Boolean,
+            default: false,
+          },
+          intervals: hoursOfDay(),
+          note: String, // e.g. 'Diwali'
+        },
+      ],
+      validate: {
+        validator: (days) => new Set(days.map((day) => day.date)).size === days.length,
+        message: 'Special hours can only be given once per date',
+      },
     },
     is24x7: {
       type: Boolean,
@@ -86,6 +274,139 @@ const parkingSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Listing review. Listings created before moderation existed have no status and
+    // count as approved.
+    moderation: {
+      status: {
+        type: String,
+        enum: MODERATION_STATUSES,
+      },
+      reason: String, // Why the listing was rejected or suspended
+      submittedAt: Date,
+      reviewedAt: Date,
+      reviewedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+      },
+      // The listing fields as last submitted, for showing what a resubmission changed
+      submission: {
+        type: mongoose.Schema.Types.Mixed,
+        select: false,
+      },
+      history: [
+        {
+          _id: false,
+          action: {
+            type: String,
+            enum: MODERATION_ACTIONS,
+            required: true,
+          },
+          status: {
+            type: String,
+            enum: MODERATION_STATUSES,
+          },
+          reason: String,
+          by: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'User',
+          },
+          changes: [
+            {
+              _id: false,
+              field: String,
+              from: mongoose.Schema.Types.Mixed,
+              to: mongoose.Schema.Types.Mixed,
+            },
+          ],
+          at: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+    },
+    attendants: [
+      {
+        // Staff allowed to check drivers in and out at this parking
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+      },
+    ],
+    overstayPolicy: {
+      graceMinutes: {
+        type: Number,
+        default: 10,
+        min: [0, 'Grace period cannot be negative'],
+      },
+      rateMultiplier: {
+        // Applied to the slot's hourly price for every started overstay hour
+        type: Number,
+        default: 1.5,
+        min: [1, 'Overstay rate multiplier must be at least 1'],
+        max: [5, 'Overstay rate multiplier must be at most 5'],
+      },
+    },
+    cancellationPolicy: {
+      type: {
+        type: String,
+        enum: POLICY_TYPES,
+        default: 'moderate',
+      },
+      // Only used by custom policies, e.g. 100% over 24h and 50% over 2h
+      tiers: [
+        {
+          _id: false,
+          hoursBeforeStart: {
+            type: Number,
+            required: [true, 'A cancellation tier must have a cutoff in hours'],
+            min: [0, 'Cutoff cannot be negative'],
+          },
+          refundPercent: {
+            type: Number,
+            required: [true, 'A cancellation tier must have a refund percentage'],
+            min: [0, 'Refund percentage cannot be negative'],
+            max: [100, 'Refund percentage cannot exceed 100'],
+          },
+        },
+      ],
+    },
+    noShowPolicy: {
+      graceMinutes: {
+        // How long after the start a booking may go without check-in
+        type: Number,
+        default: 30,
+        min: [0, 'Grace period cannot be negative'],
+      },
+      feeType: {
+        // What is kept from a paid no-show booking; the rest is refunded
+        type: String,
+        enum: ['none', 'fixed', 'percentage', 'full'],
+        default: 'full',
+      },
+      feeValue: {
+        type: Number,
+        default: 0,
+        min: [0, 'No-show fee cannot be negative'],
+      },
+    },
+    // Owner's GST registration; parkings without a GSTIN issue plain receipts
+    gst: {
+      gstin: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        validate: [isValidGstin, 'Please provide a valid GSTIN'],
+      },
+      legalName: String,
+      billingAddress: String,
+    },
+    holdDurationMinutes: {
+      // How long a pending (unpaid) booking keeps its slot reserved
+      type: Number,
+      default: 15,
+      min: [1, 'A slot hold must last at least 1 minute'],
+      max: [120, 'A slot hold cannot last more than 120 minutes'],
+    },
     rating: {
       type: Number,
       default: 4.5,
@@ -97,7 +418,14 @@ const parkingSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
-    features: [String], // e.g., ['security', 'valet', 'restroom', 'ev-charging']
+    features: [String], // Amenity keys, e.g. ['security', 'valet', 'restroom', 'ev-charging']
+    // Normalised name, address and feature phrases for autocomplete; kept in sync below
+    searchTerms: {
+      type: [String],
+      select: false,
+    },
+    // Cheapest slot's hourly price, for sorting search results by price; kept in sync below
+    minPricePerHour: Number,
     dynamicPricing: {
       isEnabled: {
         type: Boolean,
@@ -126,6 +454,18 @@ const parkingSchema = new mongoose.Schema(
 // Indexes
 parkingSchema.index({ location: '2dsphere' });
 parkingSchema.index({ slug: 1 });
+// Full-text search for `q`, ranked mostly by name and address
+parkingSchema.index(
+  { name: 'text', 'location.address': 'text', features: 'text', description: 'text' },
+  {
+    name: 'parking_text_search',
+    weights: { name: 10, 'location.address': 5, features: 3, description: 1 },
+    // Parkings have no `language` field; don't let one switch the stemming language
+    language_override: 'textLanguage',
+  }
+);
+// Anchored prefix matches for autocomplete
+parkingSchema.index({ searchTerms: 1 });
 
 // Virtual populate
 parkingSchema.virtual('reviews', {
@@ -134,27 +474,201 @@ parkingSchema.virtual('reviews', {
   localField: '_id',
 });
 
+// Features must be catalogue amenities; synonyms are stored as the amenity they stand for
+parkingSchema.pre('validate', async function () {
+  const changedSlots = this.slots.filter((slot) => slot.isNew || slot.isModified('features'));
+  const checkParking = this.isNew || this.isModified('features');
+  const toCheck = [
+    ...(checkParking ? [{ path: 'features', owner: this, scope: 'parking' }] : []),
+    ...changedSlots.map((slot) => ({
+      path: `slots.${this.slots.indexOf(slot)}.features`,
+      owner: slot,
+      scope: 'slot',
+    })),
+  ].filter(({ owner }) => owner.features && owner.features.length > 0);
+  if (toCheck.length === 0) return;
+
+  const resolve = await amenityResolver();
+  toCheck.forEach(({ path, owner, scope }) => {
+    const { keys, unknown } = resolve(owner.features, scope);
+    if (unknown.length > 0) this.invalidate(path, unknownAmenitiesMessage(unknown, scope));
+    else owner.features = keys;
+  });
+});
+
+// Fields kept for search, derived from the rest of the listing
+const searchFieldsOf = (parking) => {
+  const prices = (parking.slots || [])
+    .map((slot) => slot.pricePerHour)
+    .filter((price) => price >= 0);
+  return {
+    searchTerms: searchTermsOf(parking),
+    minPricePerHour: prices.length ? Math.min(...prices) : null,
+  };
+};
+
 // Document middleware: runs before .save() and .create()
 parkingSchema.pre('save', function (next) {
   this.slug = slugify(this.name, { lower: true });
+  this.set(searchFieldsOf(this));
+
+  // New listings wait for review
+  if (this.isNew && !this.moderation.status) {
+    this.moderation.status = 'pending';
+    this.moderation.submittedAt = new Date();
+    this.moderation.submission = snapshotListing(this);
+    this.moderation.history.push({ action: 'submitted', status: 'pending', by: this.owner });
+  }
+
   this.availableSlots = this.slots.filter(
     (slot) => slot.status === 'available' || slot.status === 'reserved'
   ).length;
   next();
 });
 
+// findByIdAndUpdate skips the save hook, so refresh the search fields when an update
+// changes what they are built from
+const SEARCH_FIELD_SOURCES = /^(name|location|features|slots)(\.|$)/;
+
+parkingSchema.post('findOneAndUpdate', async function (doc) {
+  const update = this.getUpdate() || {};
+  const paths = [...Object.keys(update), ...Object.keys(update.$set || {})];
+  if (!doc || !paths.some((field) => SEARCH_FIELD_SOURCES.test(field))) return;
+
+  await this.model.updateOne({ _id: doc._id }, searchFieldsOf(doc));
+});
+
+// Images used to be stored as bare URLs; read those as a single full-size file. Their
+// IDs come from the URL (and how often it appeared before), so a photo keeps its ID
+// from one read to the next until the parking is saved with it.
+const legacyImageId = (url, seen) => {
+  seen.set(url, (seen.get(url) || 0) + 1);
+  const hash = crypto.createHash('md5').update(`${url}#${seen.get(url)}`).digest('hex');
+  return new mongoose.Types.ObjectId(hash.slice(0, 24));
+};
+
+parkingSchema.pre('init', function (doc) {
+  if (Array.isArray(doc.images)) {
+    const seen = new Map();
+    doc.images = doc.images.map((image) =>
+      typeof image === 'string'
+        ? {
+            _id: legacyImageId(image, seen),
+            files: [{ rendition: 'full', url: image }],
+          }
+        : image
+    );
+  }
+});
+
+// The photo shown first in search results
+parkingSchema.virtual('coverImage').get(function () {
+  if (!this.images || this.images.length === 0) return null;
+  return this.images.find((image) => image.isCover) || this.images[0];
+});
+
 // Query middleware
 parkingSchema.pre(/^find/, function (next) {
   this.find({ isActive: { $ne: false } });
   next();
 });
 
-// Aggregation middleware
+// Aggregation middleware. A leading $match takes the condition itself, since $text
+// searches must stay in the first stage.
 parkingSchema.pre('aggregate', function (next) {
-  this.pipeline().unshift({ $match: { isActive: { $ne: false } } });
+  const [first] = this.pipeline();
+  if (first && first.$match && first.$match.isActive === undefined) {
+    first.$match = { ...first.$match, isActive: { $ne: false } };
+  } else {
+    this.pipeline().unshift({ $match: { isActive: { $ne: false } } });
+  }
   next();
 });
 
+// Query filter for listings shown to the public
+parkingSchema.statics.listedFilter = function () {
+  return { 'moderation.status': { $in: ['approved', null] } };
+};
+
+// Whether drivers can make new bookings (or buy passes) here
+parkingSchema.methods.isTakingBookings = function () {
+  const status = this.moderation && this.moderation.status;
+  return !status || status === 'approved';
+};
+
+// Fill in search fields for parkings saved before they were kept; returns how many were
+parkingSchema.statics.backfillSearchFields = async function (batchSize = 500) {
+  const parkings = await this.find({
+    $or: [{ searchTerms: { $exists: false } }, { minPricePerHour: { $exists: false } }],
+  })
+    .select('name location.address features slots.pricePerHour')
+    .limit(batchSize);
+  if (parkings.length === 0) return 0;
+
+  await this.bulkWrite(
+    parkings.map((parking) => ({
+      updateOne: {
+        filter: { _id: parking._id },
+        update: searchFieldsOf(parking),
+      },
+    }))
+  );
+  return parkings.length;
+};
+
+// Features used to be free text ('CCTV', 'EV charger'). Rewrite the stored values of every
+// parking, inactive ones included, as the amenity keys they stand for. Values the
+// catalogue doesn't know are kept for an admin to add or remove; returns how many parkings
+// changed and those values.
+parkingSchema.statics.canonicalizeStoredFeatures = async function (batchSize = 500) {
+  const [resolve, catalogue] = await Promise.all([amenityResolver(), loadCatalogue()]);
+  const notKeys = { $elemMatch: { $nin: catalogue.map((amenity) => amenity.key) } };
+  const unknownValues = new Set();
+  const canonical = (features, scope) => {
+    const { keys, unknown } = resolve(features, scope);
+    unknown.forEach((value) => unknownValues.add(value));
+    return [...keys, ...new Set(unknown)];
+  };
+
+  let updated = 0;
+  let lastId = null;
+  for (;;) {
+    // 1) The next parkings with a feature that isn't a key, in _id order so ones left with
+    // unknown values aren't read again. The raw collection skips the isActive filter.
+    const parkings = await this.collection
+      .find({
+        ...(lastId ? { _id: { $gt: lastId } } : {}),
+        $or: [{ features: notKeys }, { slots: { $elemMatch: { features: notKeys } } }],
+      })
+      .project({ name: 1, 'location.address': 1, features: 1, slots: 1 })
+      .sort({ _id: 1 })
+      .limit(batchSize)
+      .toArray();
+    if (parkings.length === 0) break;
+    lastId = parkings[parkings.length - 1]._id;
+
+    // 2) Swap in the keys, with the search terms built from them. A parking whose slots
+    // moved since the read is left for the next run.
+    const updates = parkings.map((parking) => {
+      const slots = parking.slots || [];
+      const features = canonical(parking.features, 'parking');
+      const set = { features, searchTerms: searchTermsOf({ ...parking, features }) };
+      const filter = { _id: parking._id };
+      slots.forEach((slot, i) => {
+        filter[`slots.${i}._id`] = slot._id;
+        if (slot.features && slot.features.length > 0) {
+          set[`slots.${i}.features`] = canonical(slot.features, 'slot');
+        }
+      });
+      return { updateOne: { filter, update: { $set: set } } };
+    });
+    const result = await this.collection.bulkWrite(updates, { ordered: false });
+    updated += result.modifiedCount;
+  }
+
+  return { updated, unknown: [...unknownValues] };
+};
+
 // Static method to get available slots count
 parkingSchema.statics.calcAvailableSlots = async function (parkingId) {
   const stats = await this.aggregate([
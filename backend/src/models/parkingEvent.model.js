@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Append-only log of notable things that happen at a parking, used for owner analytics
+const parkingEventSchema = new mongoose.Schema(
+  {
+    parking: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Parking',
+      required: [true, 'An event must belong to a parking'],
+    },
+    owner: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    booking: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Booking',
+    },
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    pass: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Pass',
+    },
+    type: {
+      type: String,
+      enum: ['no-show', 'pass-visit'],
+      required: [true, 'An event must have a type'],
+    },
+    data: mongoose.Schema.Types.Mixed,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes
+parkingEventSchema.index({ parking: 1, type: 1, createdAt: -1 });
+parkingEventSchema.index({ owner: 1, createdAt: -1 });
+
+const ParkingEvent = mongoose.model('ParkingEvent', parkingEventSchema);
+
+module.exports = ParkingEvent;
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const { createPassQrToken } = require('../utils/qrToken');
+
+// A user's pass for a parking, bought from one of its pass products
+const passSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'A pass must belong to a user'],
+    },
+    parking: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Parking',
+      required: [true, 'A pass must belong to a parking'],
+    },
+    product: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'PassProduct',
+      required: [true, 'A pass must be bought from a pass product'],
+    },
+    slot: {
+      // Dedicated slot of a reserved pass
+      type: mongoose.Schema.ObjectId,
+    },
+    slotNumber: String,
+    vehicle: {
+      type: {
+        type: String,
+        enum: ['car', 'bike', 'truck', 'other'],
+        default: 'car',
+      },
+      number: String,
+      make: String,
+      model: String,
+      color: String,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'active', 'expired', 'cancelled'],
+      default: 'pending',
+    },
+    holdExpiresAt: Date, // Pending passes give up their place after this
+    autoRenew: {
+      type: Boolean,
+      default: false,
+    },
+    // Price and period length at the time of purchase; renewals keep them
+    price: {
+      type: Number,
+      required: [true, 'A pass must have a price'],
+    },
+    durationDays: {
+      type: Number,
+      required: [true, 'A pass must have a duration'],
+    },
+    currentPeriod: {
+      start: Date,
+      end: Date,
+    },
+    // The visit in progress, if the holder is parked right now
+    currentVisit: {
+      slot: mongoose.Schema.ObjectId,
+      slotNumber: String,
+      checkInTime: Date,
+    },
+    payment: {
+      method: {
+        type: String,
+        enum: ['card', 'upi', 'wallet', 'cash'],
+        default: 'card',
+      },
+      status: {
+        type: String,
+        enum: ['pending', 'completed', 'failed'],
+        default: 'pending',
+      },
+      orderId: String,
+      subscriptionId: String,
+      paymentId: String,
+      paidAt: Date,
+    },
+    // One entry per paid period
+    payments: [
+      {
+        _id: false,
+        paymentId: String,
+        orderId: String,
+        amount: Number,
+        periodStart: Date,
+        periodEnd: Date,
+        paidAt: Date,
+      },
+    ],
+    // Payments that came in once they could no longer pay for a period, given back
+    refunds: [
+      {
+        _id: false,
+        paymentId: String,
+        refundId: String,
+        amount: Number,
+        reason: String,
+        status: String,
+        refundedAt: Date,
+      },
+    ],
+    cancelledAt: Date,
+    qrCode: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+passSchema.index({ user: 1, status: 1 });
+passSchema.index({ parking: 1, status: 1 });
+passSchema.index({ product: 1, status: 1 });
+passSchema.index({ status: 1, 'currentPeriod.end': 1 });
+passSchema.index({ 'payment.orderId': 1 });
+passSchema.index({ 'payment.subscriptionId': 1 });
+
+// Document middleware
+passSchema.pre('save', function (next) {
+  if (this.isNew) {
+    this.qrCode = createPassQrToken(this);
+  }
+  next();
+});
+
+// Instance method to check if the pass covers a moment (ignoring its schedule)
+passSchema.methods.isValidAt = function (at = new Date()) {
+  return (
+    this.status === 'active' &&
+    !!this.currentPeriod.start &&
+    this.currentPeriod.start <= at &&
+    this.currentPeriod.end > at
+  );
+};
+
+const Pass = mongoose.model('Pass', passSchema);
+
+module.exports = Pass;
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A pass an owner sells for a parking, e.g. "Weekday daytime" or "24x7 reserved"
+const passProductSchema = new mongoose.Schema(
+  {
+    parking: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Parking',
+      required: [true, 'A pass product must belong to a parking'],
+    },
+    name: {
+      type: String,
+      required: [true, 'A pass product must have a name'],
+      trim: true,
+      maxlength: [100, 'Pass name must be at most 100 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    price: {
+      type: Number,
+      required: [true, 'A pass product must have a price'],
+      min: [0, 'Price must be a positive number'],
+    },
+    currency: {
+      type: String,
+      default: 'INR',
+    },
+    durationDays: {
+      // Length of one pass period; renewals add another period
+      type: Number,
+      default: 30,
+      min: [7, 'A pass must last at least 7 days'],
+      max: [366, 'A pass can last at most 366 days'],
+    },
+    // When the pass can be used, on the parking's clock. No days means every day, no times
+    // means all day.
+    schedule: {
+      days: [
+        {
+          type: String,
+          enum: DAYS,
+        },
+      ],
+      startTime: {
+        type: String,
+        match: [TIME_PATTERN, 'Start time must be in HH:MM format'],
+      },
+      endTime: {
+        type: String,
+        match: [TIME_PATTERN, 'End time must be in HH:MM format'],
+      },
+    },
+    slotMode: {
+      // reserved: the holder gets a dedicated slot; floating: any free slot of the type
+      type: String,
+      enum: ['reserved', 'floating'],
+      default: 'floating',
+    },
+    slotType: {
+      type: String,
+      enum: ['car', 'bike', 'ev', 'handicap', 'truck'],
+      default: 'car',
+    },
+    capacity: {
+      // Most passes of this product that can be active (or held) at once
+      type: Number,
+      required: [true, 'A pass product must have a capacity'],
+      min: [1, 'Capacity must be at least 1'],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Payment provider plan used for auto-renewing passes; reset when the price changes
+    razorpayPlanId: {
+      type: String,
+      select: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+passProductSchema.index({ parking: 1, isActive: 1 });
+
+passProductSchema.pre('validate', function (next) {
+  const { startTime, endTime } = this.schedule || {};
+  if (!!startTime !== !!endTime) {
+    this.invalidate('schedule', 'A schedule needs both a start and an end time');
+  }
+  next();
+});
+
+passProductSchema.pre('save', function (next) {
+  if (!this.isNew && (this.isModified('price') || this.isModified('durationDays'))) {
+    this.razorpayPlanId = undefined;
+  }
+  next();
+});
+
+const PassProduct = mongoose.model('PassProduct', passProductSchema);
+
+module.exports = PassProduct;
@@ -31,7 +31,7 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ['user', 'owner', 'admin'],
+      enum: ['user', 'owner', 'attendant', 'admin'],
       default: 'user',
     },
     password: {
@@ -53,6 +53,11 @@ const userSchema = new mongoose.Schema(
     passwordChangedAt: Date,
     passwordResetToken: String,
     passwordResetExpires: Date,
+    // Hash of the secret token in the user's calendar feed URL
+    calendarToken: {
+      type: String,
+      select: false,
+    },
     active: {
       type: Boolean,
       default: true,
@@ -96,6 +101,7 @@ const userSchema = new mongoose.Schema(
 // Indexes
 userSchema.index({ email: 1 }, { unique: true });
 userSchema.index({ phone: 1 }, { unique: true });
+userSchema.index({ calendarToken: 1 }, { sparse: true });
 
 // Document middleware: runs before .save() and .create()
 userSchema.pre('save', async function (next) {
@@ -152,6 +158,18 @@ userSchema.methods.createPasswordResetToken = function () {
   return resetToken;
 };
 
+// Instance method: Create (or rotate) the secret token for the calendar feed URL
+userSchema.methods.createCalendarToken = function () {
+  const calendarToken = crypto.randomBytes(32).toString('hex');
+
+  this.calendarToken = crypto
+    .createHash('sha256')
+    .update(calendarToken)
+    .digest('hex');
+
+  return calendarToken;
+};
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
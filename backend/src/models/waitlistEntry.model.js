@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'A waitlist entry must belong to a user'],
+    },
+    parking: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Parking',
+      required: [true, 'A waitlist entry must belong to a parking'],
+    },
+    startTime: {
+      type: Date,
+      required: [true, 'Please provide start time'],
+    },
+    endTime: {
+      type: Date,
+      required: [true, 'Please provide end time'],
+      validate: {
+        validator: function (value) {
+          return value > this.startTime;
+        },
+        message: 'End time must be after start time',
+      },
+    },
+    slotType: {
+      // Any slot type if not set
+      type: String,
+      enum: ['car', 'bike', 'ev', 'handicap', 'truck'],
+    },
+    maxPrice: {
+      type: Number,
+      min: [0, 'Max price must be a positive number'],
+    },
+    vehicle: {
+      type: {
+        type: String,
+        enum: ['car', 'bike', 'truck', 'other'],
+        default: 'car',
+      },
+      number: String,
+      make: String,
+      model: String,
+      color: String,
+    },
+    status: {
+      type: String,
+      enum: ['waiting', 'offered', 'accepted', 'declined', 'expired', 'cancelled'],
+      default: 'waiting',
+    },
+    // The current offer: a pending booking holding the slot until expiresAt
+    offer: {
+      booking: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Booking',
+      },
+      slot: mongoose.Schema.ObjectId,
+      price: Number,
+      offeredAt: Date,
+      expiresAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+waitlistEntrySchema.index({ parking: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ user: 1, status: 1 });
+
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+
+module.exports = WaitlistEntry;
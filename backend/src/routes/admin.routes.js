@@ -1,5 +1,6 @@
 const express = require('express');
 const adminController = require('../controllers/admin.controller');
+const amenityController = require('../controllers/amenity.controller');
 const { protect, restrictTo } = require('../middleware/auth.middleware');
 const { catchAsync } = require('../utils/catchAsync');
 
@@ -27,10 +28,25 @@ router
   .route('/parkings')
   .get(catchAsync(adminController.getAllParkings));
 
+router
+  .route('/parkings/moderation')
+  .get(catchAsync(adminController.getModerationQueue));
+
 router
   .route('/parkings/:id/status')
   .patch(catchAsync(adminController.updateParkingStatus));
 
+// Amenity catalogue routes
+router
+  .route('/amenities')
+  .get(catchAsync(amenityController.getAllAmenities))
+  .post(catchAsync(amenityController.createAmenity));
+
+router
+  .route('/amenities/:id')
+  .patch(catchAsync(amenityController.updateAmenity))
+  .delete(catchAsync(amenityController.deleteAmenity));
+
 // Booking management routes
 router
   .route('/bookings')
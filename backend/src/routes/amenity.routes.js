@@ -0,0 +1,10 @@
+const express = require('express');
+const amenityController = require('../controllers/amenity.controller');
+const { catchAsync } = require('../utils/catchAsync');
+
+const router = express.Router();
+
+// Public routes (the catalogue is managed under /admin/amenities)
+router.get('/', catchAsync(amenityController.getAmenities));
+
+module.exports = router;
@@ -0,0 +1,77 @@
+const express = require('express');
+const bookingController = require('../controllers/booking.controller');
+const bookingSeriesController = require('../controllers/bookingSeries.controller');
+const bookingGroupController = require('../controllers/bookingGroup.controller');
+const { catchAsync } = require('../utils/catchAsync');
+const { protect, restrictTo } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Calendar feeds are fetched by calendar apps, authenticated by the secret token
+router.get('/calendar/:token.ics', catchAsync(bookingController.getCalendarFeed));
+
+// All other booking routes require authentication
+router.use(catchAsync(protect));
+
+router
+  .route('/')
+  .get(catchAsync(bookingController.getAllBookings))
+  .post(restrictTo('user'), catchAsync(bookingController.createBooking));
+
+// Calendar feed URL of the current user
+router
+  .route('/calendar')
+  .post(catchAsync(bookingController.createCalendarFeed))
+  .delete(catchAsync(bookingController.deleteCalendarFeed));
+
+// Recurring booking series
+router
+  .route('/series')
+  .get(catchAsync(bookingSeriesController.getMySeries))
+  .post(restrictTo('user'), catchAsync(bookingSeriesController.createSeries));
+
+router.get('/series/:id', catchAsync(bookingSeriesController.getSeries));
+router.patch('/series/:id/cancel', catchAsync(bookingSeriesController.cancelSeries));
+router.patch(
+  '/series/:id/occurrences/:bookingId/skip',
+  catchAsync(bookingSeriesController.skipOccurrence)
+);
+
+// Group and fleet bookings
+router
+  .route('/groups')
+  .get(catchAsync(bookingGroupController.getMyGroups))
+  .post(restrictTo('user'), catchAsync(bookingGroupController.createGroup));
+
+router.get('/groups/:id', catchAsync(bookingGroupController.getGroup));
+router.patch('/groups/:id/cancel', catchAsync(bookingGroupController.cancelGroup));
+
+// All of the current user's invoices for a date range, as a ZIP archive
+router.get('/invoices/archive', catchAsync(bookingController.getInvoiceArchive));
+
+router.get('/:id', catchAsync(bookingController.getBooking));
+router.get('/:id/calendar.ics', catchAsync(bookingController.getBookingCalendar));
+router.get('/:id/directions', catchAsync(bookingController.getBookingDirections));
+router.get('/:id/invoice', catchAsync(bookingController.getBookingInvoice));
+router.get('/:id/invoices', catchAsync(bookingController.getBookingInvoices));
+router.get('/:id/invoices/:invoiceId', catchAsync(bookingController.getBookingInvoiceDocument));
+router
+  .route('/:id/cancel')
+  .get(catchAsync(bookingController.getCancellationPreview))
+  .patch(catchAsync(bookingController.cancelBooking));
+router.patch('/:id/extend', catchAsync(bookingController.extendBooking));
+router.patch('/:id/reschedule', catchAsync(bookingController.rescheduleBooking));
+
+// Gate operations (attendants, owners and admins)
+router.post(
+  '/:id/check-in',
+  restrictTo('attendant', 'owner', 'admin'),
+  catchAsync(bookingController.checkIn)
+);
+router.post(
+  '/:id/check-out',
+  restrictTo('attendant', 'owner', 'admin'),
+  catchAsync(bookingController.checkOut)
+);
+
+module.exports = router;
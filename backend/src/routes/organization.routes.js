@@ -0,0 +1,44 @@
+const express = require('express');
+const organizationController = require('../controllers/organization.controller');
+const { catchAsync } = require('../utils/catchAsync');
+const { protect } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// All organisation routes require authentication; membership and org-admin rights
+// are checked per organisation in the controller
+router.use(catchAsync(protect));
+
+router
+  .route('/')
+  .get(catchAsync(organizationController.getMyOrganizations))
+  .post(catchAsync(organizationController.createOrganization));
+
+router.post('/invites/:token/accept', catchAsync(organizationController.acceptInvite));
+
+router
+  .route('/:id')
+  .get(catchAsync(organizationController.getOrganization))
+  .patch(catchAsync(organizationController.updateOrganization));
+
+// Members and invitations
+router
+  .route('/:id/members')
+  .get(catchAsync(organizationController.getMembers))
+  .post(catchAsync(organizationController.inviteMember));
+router
+  .route('/:id/members/:memberId')
+  .patch(catchAsync(organizationController.updateMember))
+  .delete(catchAsync(organizationController.removeMember));
+
+// Approval workflow for bookings outside the policy
+router.get('/:id/approvals', catchAsync(organizationController.getPendingApprovals));
+router.patch(
+  '/:id/approvals/:bookingId',
+  catchAsync(organizationController.decideApproval)
+);
+
+// Monthly statements
+router.get('/:id/statements/:month', catchAsync(organizationController.getStatement));
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const parkingController = require('../controllers/parking.controller');
 const bookingController = require('../controllers/booking.controller');
 const reviewController = require('../controllers/review.controller');
+const waitlistController = require('../controllers/waitlist.controller');
+const passController = require('../controllers/pass.controller');
 const { catchAsync } = require('../utils/catchAsync');
 const { protect, restrictTo } = require('../middleware/auth.middleware');
 const { uploadParkingImages, resizeParkingImages } = require('../middleware/upload.middleware');
@@ -11,9 +13,14 @@ const router = express.Router();
 // Public routes
 router.get('/', catchAsync(parkingController.getAllParkings));
 router.get('/stats', catchAsync(parkingController.getParkingStats));
+router.get('/suggest', catchAsync(parkingController.suggestParkings));
 router.get('/:id', catchAsync(parkingController.getParking));
 router.get('/:id/slots', catchAsync(parkingController.getParkingSlots));
 router.get('/:id/availability', catchAsync(parkingController.getParkingAvailability));
+router.get('/:id/quote', catchAsync(parkingController.getQuote));
+router.get('/:id/layout', catchAsync(parkingController.getParkingLayout));
+router.get('/:id/layout/live', catchAsync(parkingController.getLiveParkingLayout));
+router.get('/:parkingId/pass-products', catchAsync(passController.getPassProducts));
 
 // Protected routes (require authentication)
 router.use(catchAsync(protect));
@@ -34,6 +41,13 @@ router.post(
   catchAsync(bookingController.createBooking)
 );
 
+// Nested route for joining the waitlist of a fully booked parking
+router.post(
+  '/:parkingId/waitlist',
+  restrictTo('user'),
+  catchAsync(waitlistController.joinWaitlist)
+);
+
 // Routes that require authentication and specific roles
 router.use(restrictTo('owner', 'admin'));
 
@@ -54,6 +68,43 @@ router.patch(
 
 router.delete('/:id', catchAsync(parkingController.deleteParking));
 
+router.get(
+  '/:id/pricing/dry-run',
+  catchAsync(parkingController.dryRunPricingRules)
+);
+
+router.get('/:id/events', catchAsync(parkingController.getParkingEvents));
+
+// Floor plans and slot positions
+router.patch('/:id/layout', catchAsync(parkingController.updateParkingLayout));
+
+// Bulk slot management
+router.post('/:id/slots/generate', catchAsync(parkingController.generateParkingSlots));
+router.get('/:id/slots/export', catchAsync(parkingController.exportParkingSlots));
+router.post(
+  '/:id/slots/import',
+  express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }),
+  catchAsync(parkingController.importParkingSlots)
+);
+router.patch('/:id/slots', catchAsync(parkingController.bulkUpdateParkingSlots));
+
+// Parking photos
+router.post(
+  '/:id/images',
+  uploadParkingImages,
+  resizeParkingImages,
+  catchAsync(parkingController.addParkingImages)
+);
+router.patch('/:id/images', catchAsync(parkingController.updateParkingImages));
+router.delete('/:id/images/:imageId', catchAsync(parkingController.deleteParkingImage));
+
+// Listing review
+router.get('/:id/moderation', catchAsync(parkingController.getParkingModeration));
+router.post('/:id/resubmit', catchAsync(parkingController.resubmitParking));
+
+// Passes sold at a parking
+router.post('/:parkingId/pass-products', catchAsync(passController.createPassProduct));
+
 // Owner dashboard routes
 router.get(
   '/my-parkings',
@@ -0,0 +1,36 @@
+const express = require('express');
+const passController = require('../controllers/pass.controller');
+const { catchAsync } = require('../utils/catchAsync');
+const { protect, restrictTo } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// All pass routes require authentication
+router.use(catchAsync(protect));
+
+router.get('/', catchAsync(passController.getMyPasses));
+router.post('/', restrictTo('user'), catchAsync(passController.buyPass));
+
+// Pass products are created under their parking, but managed here
+router.patch(
+  '/products/:id',
+  restrictTo('owner', 'admin'),
+  catchAsync(passController.updatePassProduct)
+);
+
+router.get('/:id', catchAsync(passController.getPass));
+router.patch('/:id/cancel', catchAsync(passController.cancelPass));
+
+// Gate operations: pass holders check in without a booking
+router.post(
+  '/:id/check-in',
+  restrictTo('attendant', 'owner', 'admin'),
+  catchAsync(passController.checkIn)
+);
+router.post(
+  '/:id/check-out',
+  restrictTo('attendant', 'owner', 'admin'),
+  catchAsync(passController.checkOut)
+);
+
+module.exports = router;
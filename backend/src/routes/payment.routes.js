@@ -22,6 +22,58 @@ router.post(
   catchAsync(paymentController.verifyPayment)
 );
 
+// Pay for a whole recurring booking series
+router.post(
+  '/create-series-order',
+  restrictTo('user'),
+  catchAsync(paymentController.createSeriesPaymentOrder)
+);
+
+router.post(
+  '/verify-series',
+  restrictTo('user'),
+  catchAsync(paymentController.verifySeriesPayment)
+);
+
+// Pay for every slot of a group booking at once
+router.post(
+  '/create-group-order',
+  restrictTo('user'),
+  catchAsync(paymentController.createGroupPaymentOrder)
+);
+
+router.post(
+  '/verify-group',
+  restrictTo('user'),
+  catchAsync(paymentController.verifyGroupPayment)
+);
+
+// Pay for a pass, once or as an auto-renewing subscription
+router.post(
+  '/create-pass-order',
+  restrictTo('user'),
+  catchAsync(paymentController.createPassPaymentOrder)
+);
+
+router.post(
+  '/verify-pass',
+  restrictTo('user'),
+  catchAsync(paymentController.verifyPassPayment)
+);
+
+// Settle an organisation's monthly statement (org admins are regular users)
+router.post(
+  '/create-statement-order',
+  restrictTo('user', 'admin'),
+  catchAsync(paymentController.createStatementPaymentOrder)
+);
+
+router.post(
+  '/verify-statement',
+  restrictTo('user', 'admin'),
+  catchAsync(paymentController.verifyStatementPayment)
+);
+
 // Webhook for payment notifications (no authentication needed)
 router.post(
   '/webhook',
@@ -0,0 +1,16 @@
+const express = require('express');
+const waitlistController = require('../controllers/waitlist.controller');
+const { catchAsync } = require('../utils/catchAsync');
+const { protect } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// All waitlist routes require authentication
+router.use(catchAsync(protect));
+
+router.get('/', catchAsync(waitlistController.getMyWaitlist));
+router.delete('/:id', catchAsync(waitlistController.leaveWaitlist));
+router.post('/:id/accept', catchAsync(waitlistController.acceptOffer));
+router.post('/:id/decline', catchAsync(waitlistController.declineOffer));
+
+module.exports = router;
@@ -4,6 +4,7 @@ const { initSocket } = require('./utils/socket');
 const logger = require('./utils/logger');
 const { connectDB } = require('./config/db');
 const { connectRedis } = require('./config/redis');
+const { startJobs } = require('./jobs');
 
 // Create HTTP server
 const server = http.createServer(app);
@@ -21,6 +22,9 @@ connectDB();
 // Connect to Redis
 connectRedis();
 
+// Start background jobs
+startJobs();
+
 // Start server
 server.listen(PORT, () => {
   logger.info(`Server running in ${NODE_ENV} mode on port ${PORT}`);
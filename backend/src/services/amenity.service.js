@@ -0,0 +1,185 @@
+const Amenity = require('../models/amenity.model');
+const AppError = require('../utils/appError');
+const { normalizeText } = require('../utils/searchText');
+
+// The catalogue a new database starts with. Icon names are from the Material icon set.
+const DEFAULT_AMENITIES = [
+  {
+    key: 'covered',
+    name: 'Covered',
+    icon: 'roofing',
+    synonyms: ['roofed', 'indoor', 'sheltered', 'shade'],
+  },
+  {
+    key: 'cctv',
+    name: 'CCTV',
+    icon: 'videocam',
+    synonyms: ['camera', 'cameras', 'surveillance'],
+  },
+  {
+    key: 'security',
+    name: 'Security guard',
+    icon: 'security',
+    synonyms: ['guard', 'guarded', 'watchman', 'attendant'],
+    appliesTo: ['parking'],
+  },
+  {
+    key: 'lighting',
+    name: 'Well lit',
+    icon: 'lightbulb',
+    synonyms: ['lit', 'lights', 'well lit'],
+  },
+  {
+    key: 'ev-charging',
+    name: 'EV charging',
+    icon: 'ev_station',
+    synonyms: ['ev charger', 'charger', 'charging', 'electric charging'],
+  },
+  {
+    key: 'wheelchair-access',
+    name: 'Wheelchair access',
+    icon: 'accessible',
+    synonyms: ['accessible', 'disabled access', 'step free'],
+  },
+  {
+    key: 'valet',
+    name: 'Valet',
+    icon: 'person_pin',
+    synonyms: ['valet parking'],
+    appliesTo: ['parking'],
+  },
+  {
+    key: 'restroom',
+    name: 'Restroom',
+    icon: 'wc',
+    synonyms: ['toilet', 'toilets', 'washroom', 'bathroom'],
+    appliesTo: ['parking'],
+  },
+  {
+    key: 'car-wash',
+    name: 'Car wash',
+    icon: 'local_car_wash',
+    synonyms: ['wash', 'cleaning'],
+    appliesTo: ['parking'],
+  },
+  {
+    key: 'air-pump',
+    name: 'Air pump',
+    icon: 'tire_repair',
+    synonyms: ['air', 'tyre inflation', 'tire inflation'],
+    appliesTo: ['parking'],
+  },
+  {
+    key: 'wide-bay',
+    name: 'Wide bay',
+    icon: 'open_in_full',
+    synonyms: ['wide', 'large', 'suv'],
+    appliesTo: ['slot'],
+  },
+];
+
+// Every amenity, retired ones included. An empty catalogue is filled with the defaults.
+const loadCatalogue = async () => {
+  const amenities = await Amenity.find().lean();
+  if (amenities.length > 0) return amenities;
+
+  try {
+    await Amenity.insertMany(DEFAULT_AMENITIES, { ordered: false });
+  } catch (err) {
+    // Another request filled it first
+    if (err.code !== 11000) throw err;
+  }
+  return Amenity.find().lean();
+};
+
+// Load the catalogue once and return a function matching feature values to amenities by
+// key, name or synonym, ignoring case and punctuation:
+//   resolve(values, scope) -> { keys, unknown }
+// `keys` are the amenity keys in order without repeats; `unknown` the values that match
+// nothing a `scope` ('parking' or 'slot') can have.
+const amenityResolver = async () => {
+  const lookup = new Map();
+  (await loadCatalogue()).forEach((amenity) => {
+    [amenity.key, amenity.name, ...(amenity.synonyms || [])].forEach((term) => {
+      const normalized = normalizeText(term);
+      if (!lookup.has(normalized)) lookup.set(normalized, amenity);
+    });
+  });
+
+  return (values, scope) => {
+    const keys = [];
+    const unknown = [];
+    [].concat(values || []).forEach((value) => {
+      const amenity = lookup.get(normalizeText(value));
+      if (!amenity || (scope && !amenity.appliesTo.includes(scope))) {
+        unknown.push(value);
+      } else if (!keys.includes(amenity.key)) {
+        keys.push(amenity.key);
+      }
+    });
+    return { keys, unknown };
+  };
+};
+
+// Terms of an amenity (key, name and synonyms) that already stand for another amenity.
+// They would make features that use them ambiguous.
+const clashingTerms = async (amenity) => {
+  const taken = new Map();
+  (await loadCatalogue())
+    .filter((other) => String(other._id) !== String(amenity._id))
+    .forEach((other) => {
+      [other.key, other.name, ...(other.synonyms || [])].forEach((term) => {
+        taken.set(normalizeText(term), other.key);
+      });
+    });
+
+  return [amenity.key, amenity.name, ...(amenity.synonyms || [])]
+    .filter((term) => taken.has(normalizeText(term)))
+    .map((term) => `"${term}" (already ${taken.get(normalizeText(term))})`);
+};
+
+const unknownAmenitiesMessage = (unknown, scope) =>
+  `Unknown ${scope ? `${scope} ` : ''}amenities: ${unknown.join(', ')}`;
+
+// A resolver that throws on values not in the catalogue instead of reporting them
+const strictResolver = async () => {
+  const resolve = await amenityResolver();
+  return (values, scope) => {
+    const { keys, unknown } = resolve(values, scope);
+    if (unknown.length > 0) {
+      throw new AppError(unknownAmenitiesMessage(unknown, scope), 400);
+    }
+    return keys;
+  };
+};
+
+// The amenity keys for some feature values (any scope if none is given); throws if any is
+// not in the catalogue
+const canonicalAmenities = async (values, scope) => {
+  if ([].concat(values || []).length === 0) return [];
+  return (await strictResolver())(values, scope);
+};
+
+// Replace the features of a parking update, and of any slots in it, with amenity keys
+const canonicalizeFeatures = async (body) => {
+  const slots = Array.isArray(body.slots)
+    ? body.slots.filter((slot) => slot && slot.features !== undefined)
+    : [];
+  if (body.features === undefined && slots.length === 0) return;
+
+  const canonical = await strictResolver();
+  if (body.features !== undefined) body.features = canonical(body.features, 'parking');
+  slots.forEach((slot) => {
+    slot.features = canonical(slot.features, 'slot');
+  });
+};
+
+module.exports = {
+  DEFAULT_AMENITIES,
+  loadCatalogue,
+  amenityResolver,
+  clashingTerms,
+  unknownAmenitiesMessage,
+  canonicalAmenities,
+  canonicalizeFeatures,
+};
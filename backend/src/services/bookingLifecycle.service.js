@@ -0,0 +1,77 @@
+const AppError = require('../utils/appError');
+const {
+  TRANSITIONS,
+  SYSTEM_ACTOR,
+  canTransition,
+  statusChange,
+} = require('../utils/bookingStatus');
+const { reserveSlot, releaseSlot, occupySlot, vacateSlot } = require('./slot.service');
+const { offerFreedSlotSafely } = require('./waitlist.service');
+const { notifyBookingUpdate } = require('../utils/socket');
+
+// Throw unless `actor` may move the booking to `to`
+const assertTransition = (booking, to, actor) => {
+  const from = booking.status;
+  if (canTransition(from, to, actor)) return;
+
+  if (!TRANSITIONS[from] || !TRANSITIONS[from][to]) {
+    throw new AppError(`A ${from} booking cannot be changed to ${to}`, 400);
+  }
+  throw new AppError(`You do not have permission to change a ${from} booking to ${to}`, 403);
+};
+
+// Give the slot back and let the waitlist know it is free
+const freeSlot = async (booking) => {
+  await releaseSlot(booking);
+  await offerFreedSlotSafely(booking);
+};
+
+// Fields that change together with the status
+const APPLY = {
+  confirmed: (booking) => {
+    booking.holdExpiresAt = undefined;
+  },
+  'checked-in': (booking, now) => {
+    booking.checkInTime = booking.checkInTime || now;
+  },
+  completed: (booking, now) => {
+    booking.checkOutTime = booking.checkOutTime || now;
+  },
+};
+
+// Slot changes once the new status is saved
+const AFTER = {
+  confirmed: (booking) => reserveSlot(booking.parking._id, booking.slot),
+  'checked-in': (booking) => occupySlot(booking.parking._id, booking.slot),
+  completed: (booking) => vacateSlot(booking),
+  cancelled: freeSlot,
+  'no-show': freeSlot,
+  refunded: (booking, from) => (from === 'confirmed' ? freeSlot(booking) : null),
+};
+
+// Move a booking to a new status: checks the move is allowed for the actor, records it
+// in statusHistory and applies its slot side effects. Money (refunds, no-show fees) is
+// settled by the cancellation, no-show and payment code before it calls this.
+const transitionBooking = async (
+  booking,
+  to,
+  { actor = SYSTEM_ACTOR, reason, now = new Date() } = {}
+) => {
+  assertTransition(booking, to, actor);
+
+  const from = booking.status;
+  if (APPLY[to]) APPLY[to](booking, now);
+  booking.status = to;
+  booking.statusHistory.push(statusChange(from, to, actor, reason));
+  await booking.save();
+
+  if (AFTER[to]) await AFTER[to](booking, from);
+  notifyBookingUpdate(booking);
+
+  return booking;
+};
+
+module.exports = {
+  assertTransition,
+  transitionBooking,
+};
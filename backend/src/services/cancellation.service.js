@@ -0,0 +1,103 @@
+const { findTier, describePolicy } = require('../utils/cancellationPolicy');
+const { SYSTEM_ACTOR } = require('../utils/bookingStatus');
+const { assertTransition, transitionBooking } = require('./bookingLifecycle.service');
+const { refundPayment } = require('../controllers/payment.controller');
+const logger = require('../utils/logger');
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const isPaid = (booking) => ['completed', 'partially_refunded'].includes(booking.payment.status);
+
+// What the driver has paid for a booking and not had back: everything captured (top-ups
+// included) less earlier refunds
+const netPaidFor = (booking) => {
+  const captured = isPaid(booking) ? booking.payment.capturedAmount || booking.amount : 0;
+  return Math.max(0, roundMoney(captured - (booking.payment.refundedAmount || 0)));
+};
+
+// Map the acting user (or the system) to the cancellation.cancelledBy value
+const cancelledByFor = (actor) => {
+  if (!actor || actor.role === 'system') return 'system';
+  if (actor.role === 'user' || actor.role === 'admin') return actor.role;
+  return 'owner';
+};
+
+// Work out whether a booking can be cancelled and what would be refunded.
+// Cancellations by the owner, an admin or the system always refund in full.
+const previewCancellation = (booking, parking, cancelledBy = 'user', now = new Date()) => {
+  const hoursUntilStart = (booking.startTime - now) / (1000 * 60 * 60);
+  const cancellable = booking.isHoldActive(now) || booking.canBeCancelled(now);
+  const paid = netPaidFor(booking);
+
+  let refundPercent = 0;
+  let tier = null;
+  if (cancelledBy !== 'user') {
+    refundPercent = 100;
+  } else {
+    tier = findTier(parking.cancellationPolicy, hoursUntilStart);
+    refundPercent = tier ? tier.refundPercent : 0;
+  }
+
+  return {
+    cancellable,
+    policy: {
+      type: (parking.cancellationPolicy && parking.cancellationPolicy.type) || 'moderate',
+      description: describePolicy(parking.cancellationPolicy),
+    },
+    hoursUntilStart: Math.max(0, roundMoney(hoursUntilStart)),
+    appliedTier: tier,
+    amountPaid: paid,
+    refundPercent,
+    refundAmount: roundMoney((paid * refundPercent) / 100),
+  };
+};
+
+// Cancel a booking under its parking's policy, refunding through the payment layer
+const cancelWithRefund = async (booking, parking, { reason, actor = SYSTEM_ACTOR } = {}) => {
+  assertTransition(booking, 'cancelled', actor);
+
+  const cancelledBy = cancelledByFor(actor);
+  const preview = previewCancellation(booking, parking, cancelledBy);
+
+  booking.cancellation = {
+    reason,
+    cancelledBy,
+    cancelledAt: new Date(),
+    refundAmount: preview.refundAmount,
+  };
+
+  if (preview.refundAmount > 0) {
+    try {
+      await refundPayment(booking, preview.refundAmount, reason || 'Booking cancelled');
+    } catch (err) {
+      // Keep the cancellation; the refund can be retried from the payments API
+      logger.error(`Error refunding cancelled booking ${booking._id}: ${err.message}`);
+      booking.cancellation.refundAmount = 0;
+    }
+  }
+
+  await transitionBooking(booking, 'cancelled', { actor, reason });
+
+  return preview;
+};
+
+// Refund whatever is left of a booking's payment and mark it refunded
+const refundInFull = async (booking, { reason, actor = SYSTEM_ACTOR } = {}) => {
+  assertTransition(booking, 'refunded', actor);
+
+  const outstanding = netPaidFor(booking);
+
+  if (outstanding > 0) {
+    await refundPayment(booking, outstanding, reason || 'Booking refunded');
+  }
+  await transitionBooking(booking, 'refunded', { actor, reason });
+
+  return outstanding;
+};
+
+module.exports = {
+  cancelledByFor,
+  previewCancellation,
+  cancelWithRefund,
+  refundInFull,
+};
@@ -0,0 +1,158 @@
+const Parking = require('../models/parking.model');
+const Booking = require('../models/booking.model');
+const AppError = require('../utils/appError');
+const { isOpenFor } = require('./openingHours.service');
+const { MAX_BOOKING_DAYS } = require('./pricing.service');
+const { reservedFloatingCapacityByParking } = require('./pass.service');
+const { SLOT_TYPES_FOR_VEHICLE, eligibleSlotTypes } = require('./slotAllocation.service');
+
+// Query parameters used by the capacity search, to keep them out of the field filters
+const CAPACITY_PARAMS = ['start', 'end', 'vehicleType', 'minFreeSlots', 'preferences'];
+
+// Read start, end, vehicleType, minFreeSlots and preferences (e.g. 'ev,covered', as for
+// bookings) from a search query. Returns null when the search is not about capacity.
+const parseCapacityQuery = ({ start, end, vehicleType, minFreeSlots, preferences }) => {
+  if (
+    [start, end, vehicleType, minFreeSlots, preferences].every((value) => value === undefined)
+  ) {
+    return null;
+  }
+
+  const from = new Date(start);
+  const to = new Date(end);
+  if (start === undefined || end === undefined || isNaN(from) || isNaN(to) || to <= from) {
+    throw new AppError('Please provide a valid start and end time to search free slots', 400);
+  }
+  // No longer than the longest booking, the window is checked slot by slot
+  if (to - from > MAX_BOOKING_DAYS * 24 * 60 * 60 * 1000) {
+    throw new AppError(`Please search a window of at most ${MAX_BOOKING_DAYS} days`, 400);
+  }
+  if (vehicleType !== undefined && !SLOT_TYPES_FOR_VEHICLE[vehicleType]) {
+    throw new AppError(
+      `Vehicle type must be one of: ${Object.keys(SLOT_TYPES_FOR_VEHICLE).join(', ')}`,
+      400
+    );
+  }
+  const needed = minFreeSlots === undefined ? 1 : Number(minFreeSlots);
+  if (!Number.isInteger(needed) || needed < 1) {
+    throw new AppError('minFreeSlots must be a whole number from 1', 400);
+  }
+
+  const wanted =
+    preferences === undefined
+      ? []
+      : String(preferences)
+          .split(',')
+          .map((pref) => pref.trim())
+          .filter(Boolean);
+
+  return { from, to, vehicleType, minFreeSlots: needed, preferences: wanted };
+};
+
+// Free slots of each type in every listed parking matching `match`, for [from, to): slots
+// that can be booked (not under maintenance, not dedicated to a pass) and have no
+// overlapping booking that holds them. One aggregation covers all the parkings.
+const freeSlotTypes = async (match, from, to, slotTypes) => {
+  const bookable = [
+    { $in: ['$$slot.status', ['available', 'reserved']] },
+    { $not: ['$$slot.pass'] },
+  ];
+  if (slotTypes) bookable.push({ $in: ['$$slot.type', slotTypes] });
+
+  return Parking.aggregate([
+    { $match: { ...Parking.listedFilter(), ...match } },
+    {
+      $project: {
+        timezone: 1,
+        is24x7: 1,
+        openingHours: 1,
+        specialHours: 1,
+        slots: {
+          $filter: { input: '$slots', as: 'slot', cond: { $and: bookable } },
+        },
+      },
+    },
+    {
+      $lookup: {
+        from: Booking.collection.name,
+        let: { parkingId: '$_id' },
+        pipeline: [
+          {
+            $match: {
+              $expr: { $eq: ['$parking', '$$parkingId'] },
+              startTime: { $lt: to },
+              endTime: { $gt: from },
+              ...Booking.blockingFilter(),
+            },
+          },
+          { $project: { slot: 1 } },
+        ],
+        as: 'bookings',
+      },
+    },
+    {
+      $project: {
+        timezone: 1,
+        is24x7: 1,
+        openingHours: 1,
+        specialHours: 1,
+        freeTypes: {
+          $map: {
+            input: {
+              $filter: {
+                input: '$slots',
+                as: 'slot',
+                cond: { $not: [{ $in: ['$$slot._id', '$bookings.slot'] }] },
+              },
+            },
+            as: 'slot',
+            in: '$$slot.type',
+          },
+        },
+      },
+    },
+  ]);
+};
+
+// Parkings matching `match` that are open for the whole of [from, to) and have at least
+// `minFreeSlots` free slots a booking for a `vehicleType` with `preferences` could be
+// given (any slot if neither is given), after keeping room for floating pass holders
+// the way getParkingAvailability does. Returns a Map of parking id -> free slots.
+const parkingsWithFreeSlots = async (
+  { from, to, vehicleType, minFreeSlots, preferences = [] },
+  match = {}
+) => {
+  const slotTypes =
+    vehicleType || preferences.length > 0
+      ? eligibleSlotTypes({ type: vehicleType }, preferences)
+      : null;
+  const candidates = (await freeSlotTypes(match, from, to, slotTypes)).filter(
+    (parking) => parking.freeTypes.length >= minFreeSlots && isOpenFor(parking, from, to)
+  );
+  const reserved = await reservedFloatingCapacityByParking(
+    candidates.map((parking) => parking._id),
+    from,
+    to
+  );
+
+  const free = new Map();
+  candidates.forEach((parking) => {
+    const heldBack = reserved[parking._id] || {};
+    const byType = {};
+    parking.freeTypes.forEach((type) => {
+      byType[type] = (byType[type] || 0) + 1;
+    });
+    const count = Object.entries(byType).reduce(
+      (sum, [type, slots]) => sum + Math.max(slots - (heldBack[type] || 0), 0),
+      0
+    );
+    if (count >= minFreeSlots) free.set(String(parking._id), count);
+  });
+  return free;
+};
+
+module.exports = {
+  CAPACITY_PARAMS,
+  parseCapacityQuery,
+  parkingsWithFreeSlots,
+};
@@ -0,0 +1,270 @@
+const Parking = require('../models/parking.model');
+const AppError = require('../utils/appError');
+const {
+  EARTH_RADIUS_KM,
+  distanceKm,
+  bearingDeg,
+  compassPoint,
+  distanceToPolylineKm,
+  decodePolyline,
+} = require('../utils/geo');
+
+const DEFAULT_RADIUS_KM = 10;
+const DEFAULT_CORRIDOR_KM = 1;
+const MAX_CORRIDOR_KM = 25;
+const MAX_POLYGON_POINTS = 200;
+const MAX_ROUTE_POINTS = 2000;
+// Route points per bounding box when looking up corridor candidates
+const ROUTE_CHUNK_POINTS = 25;
+// Most parkings sorted by distance in one search
+const MAX_DISTANCE_SORT = 5000;
+
+const KM_PER_DEGREE_LAT = (Math.PI / 180) * EARTH_RADIUS_KM;
+
+// Friendly sort keys for GET /parkings; anything else is sorted on as a field name
+const SORT_FIELDS = {
+  distance: 'distance',
+  price: 'minPricePerHour',
+  rating: 'rating',
+};
+
+const isLat = (value) => Number.isFinite(value) && Math.abs(value) <= 90;
+const isLng = (value) => Number.isFinite(value) && Math.abs(value) <= 180;
+
+// 'lat,lng' -> [lng, lat], or null
+const parseLatLng = (text) => {
+  const parts = String(text).split(',');
+  if (parts.length !== 2) return null;
+  const [lat, lng] = parts.map((part) => Number(part.trim()));
+  return isLat(lat) && isLng(lng) ? [lng, lat] : null;
+};
+
+// 'lat,lng;lat,lng;...' -> [[lng, lat], ...], or null if any point is malformed
+const parsePointList = (text) => {
+  const points = String(text).split(';').map(parseLatLng);
+  return points.every(Boolean) ? points : null;
+};
+
+const rectangle = (minLng, minLat, maxLng, maxLat) => ({
+  type: 'Polygon',
+  coordinates: [
+    [
+      [minLng, minLat],
+      [maxLng, minLat],
+      [maxLng, maxLat],
+      [minLng, maxLat],
+      [minLng, minLat],
+    ],
+  ],
+});
+
+const within = (geometry) => ({ location: { $geoWithin: { $geometry: geometry } } });
+
+// The bounding box of some points, widened by `padKm` on every side
+const paddedRectangle = (points, padKm) => {
+  const lngs = points.map(([lng]) => lng);
+  const lats = points.map(([, lat]) => lat);
+  const padLat = padKm / KM_PER_DEGREE_LAT;
+  const minLat = Math.max(Math.min(...lats) - padLat, -89.9);
+  const maxLat = Math.min(Math.max(...lats) + padLat, 89.9);
+  const widestLat = Math.max(Math.abs(minLat), Math.abs(maxLat));
+  const padLng = padKm / (KM_PER_DEGREE_LAT * Math.cos((widestLat * Math.PI) / 180));
+  return rectangle(
+    Math.max(Math.min(...lngs) - padLng, -180),
+    minLat,
+    Math.min(Math.max(...lngs) + padLng, 180),
+    maxLat
+  );
+};
+
+// Listed parkings within `widthKm` of a route. Candidates come from boxes around stretches
+// of the route, then each is measured against the route itself.
+const corridorParkingIds = async (route, widthKm) => {
+  const boxes = [];
+  for (let i = 0; i < route.length - 1; i += ROUTE_CHUNK_POINTS - 1) {
+    boxes.push(within(paddedRectangle(route.slice(i, i + ROUTE_CHUNK_POINTS), widthKm)));
+  }
+
+  const candidates = await Parking.find({ ...Parking.listedFilter(), $or: boxes })
+    .select('location')
+    .lean();
+  return candidates
+    .filter((parking) => distanceToPolylineKm(parking.location.coordinates, route) <= widthKm)
+    .map((parking) => parking._id);
+};
+
+// Each search area turns its query parameter into a filter, and says where it is centred
+// if it has a centre
+const AREAS = {
+  // near=lat,lng[,radius km]
+  near: async (value) => {
+    const [lat, lng, radiusKm = DEFAULT_RADIUS_KM] = String(value).split(',').map(Number);
+    if (!isLat(lat) || !isLng(lng) || !(radiusKm > 0)) {
+      throw new AppError(
+        'Please provide latitude and longitude in the format lat,lng,radius(km)',
+        400
+      );
+    }
+    const circle = { $centerSphere: [[lng, lat], radiusKm / EARTH_RADIUS_KM] };
+    return { filter: { location: { $geoWithin: circle } }, center: [lng, lat] };
+  },
+
+  // bbox=minLng,minLat,maxLng,maxLat (a map viewport, south-west then north-east corner)
+  bbox: async (value) => {
+    const [minLng, minLat, maxLng, maxLat] = String(value).split(',').map(Number);
+    const valid =
+      [minLng, maxLng].every(isLng) &&
+      [minLat, maxLat].every(isLat) &&
+      minLng < maxLng &&
+      minLat < maxLat &&
+      maxLng - minLng < 180;
+    if (!valid) {
+      throw new AppError(
+        'Please provide the bounding box as minLng,minLat,maxLng,maxLat, less than 180° wide',
+        400
+      );
+    }
+    return { filter: within(rectangle(minLng, minLat, maxLng, maxLat)) };
+  },
+
+  // polygon=lat,lng;lat,lng;lat,lng;...
+  polygon: async (value) => {
+    const points = parsePointList(value);
+    if (!points || points.length < 3 || points.length > MAX_POLYGON_POINTS) {
+      throw new AppError(
+        `Please provide the polygon as 3 to ${MAX_POLYGON_POINTS} points: lat,lng;lat,lng;...`,
+        400
+      );
+    }
+    const [firstLng, firstLat] = points[0];
+    const [lastLng, lastLat] = points[points.length - 1];
+    const ring = firstLng === lastLng && firstLat === lastLat ? points : [...points, points[0]];
+    return { filter: within({ type: 'Polygon', coordinates: [ring] }) };
+  },
+
+  // route=lat,lng;lat,lng;... or an encoded polyline, with corridor=<km either side>
+  route: async (value, query) => {
+    const text = String(value);
+    const route = text.includes(',') ? parsePointList(text) : decodePolyline(text);
+    if (!route || route.length < 2 || route.length > MAX_ROUTE_POINTS) {
+      throw new AppError(
+        `Please provide the route as 2 to ${MAX_ROUTE_POINTS} points (lat,lng;lat,lng;...) ` +
+          'or as an encoded polyline',
+        400
+      );
+    }
+    if (!route.every(([lng, lat]) => isLng(lng) && isLat(lat))) {
+      throw new AppError('The route has points outside the map', 400);
+    }
+
+    const widthKm = query.corridor === undefined ? DEFAULT_CORRIDOR_KM : Number(query.corridor);
+    if (!(widthKm > 0 && widthKm <= MAX_CORRIDOR_KM)) {
+      throw new AppError(`The corridor must be more than 0 and at most ${MAX_CORRIDOR_KM} km`, 400);
+    }
+    return { filter: { _id: { $in: await corridorParkingIds(route, widthKm) } } };
+  },
+};
+
+// Query parameters used by the geo search, to keep them out of the field filters
+const GEO_PARAMS = [...Object.keys(AREAS), 'corridor', 'from'];
+
+// The filter for the search area in `query` (at most one of near, bbox, polygon and
+// route) and the point distances are measured from: `from=lat,lng` (where the driver is),
+// else the centre of `near`
+const buildGeoSearch = async (query) => {
+  const areas = Object.keys(AREAS).filter((name) => query[name] !== undefined);
+  if (areas.length > 1) {
+    throw new AppError(`Please search by only one of ${areas.join(', ')}`, 400);
+  }
+
+  const { filter = {}, center = null } = areas.length
+    ? await AREAS[areas[0]](query[areas[0]], query)
+    : {};
+
+  let origin = center;
+  if (query.from !== undefined) {
+    origin = parseLatLng(query.from);
+    if (!origin) {
+      throw new AppError('Please provide your location in the format lat,lng', 400);
+    }
+  }
+  return { filter, origin };
+};
+
+// 'distance,-rating' -> [{ field: 'distance', order: 1 }, { field: 'rating', order: -1 }]
+const parseSort = (sort) =>
+  String(sort)
+    .split(',')
+    .map((token) => token.trim())
+    .filter(Boolean)
+    .map((token) => {
+      const name = token.replace(/^-/, '');
+      return { field: SORT_FIELDS[name] || name, order: token.startsWith('-') ? -1 : 1 };
+    });
+
+// The sort keys as a Mongoose sort string
+const toSortString = (sortKeys) =>
+  sortKeys.map(({ field, order }) => `${order < 0 ? '-' : ''}${field}`).join(' ');
+
+const valueAt = (object, path) =>
+  path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+// One page of the parkings matching `filter`, ordered by sort keys that include the
+// distance from `origin`. MongoDB only orders by distance in $near queries, which can
+// neither be counted nor combined with a text search, so the matches are sorted here.
+const pageByDistance = async (filter, { origin, sortKeys, page, limit }) => {
+  const fields = sortKeys.map(({ field }) => field).filter((field) => field !== 'distance');
+  const candidates = await Parking.find(filter)
+    .select(['location', ...fields].join(' '))
+    .limit(MAX_DISTANCE_SORT + 1)
+    .lean();
+  if (candidates.length > MAX_DISTANCE_SORT) {
+    throw new AppError('Too many parkings to sort by distance; please search a smaller area', 400);
+  }
+
+  candidates.forEach((parking) => {
+    parking.distance = distanceKm(origin, parking.location.coordinates);
+  });
+  candidates.sort((a, b) => {
+    for (const { field, order } of sortKeys) {
+      const x = valueAt(a, field);
+      const y = valueAt(b, field);
+      if (x === y || (x == null && y == null)) continue;
+      // Parkings without a value go last either way
+      if (x == null) return 1;
+      if (y == null) return -1;
+      return x < y ? -order : order;
+    }
+    return 0;
+  });
+
+  return {
+    total: candidates.length,
+    ids: candidates.slice((page - 1) * limit, page * limit).map((parking) => parking._id),
+  };
+};
+
+// A search result with its distance and bearing from `origin`
+const withDistance = (parking, origin) => {
+  const result = typeof parking.toJSON === 'function' ? parking.toJSON() : parking;
+  const coordinates = parking.location && parking.location.coordinates;
+  if (!coordinates) return result; // location left out with `fields`
+
+  const bearing = bearingDeg(origin, coordinates);
+  return {
+    ...result,
+    distanceKm: Math.round(distanceKm(origin, coordinates) * 100) / 100,
+    bearing,
+    direction: compassPoint(bearing),
+  };
+};
+
+module.exports = {
+  GEO_PARAMS,
+  buildGeoSearch,
+  corridorParkingIds,
+  parseSort,
+  toSortString,
+  pageByDistance,
+  withDistance,
+};
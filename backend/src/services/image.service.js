@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { getStorage } = require('./mediaStorage.service');
+
+const MAX_IMAGE_BYTES = Number(process.env.MAX_IMAGE_BYTES) || 8 * 1024 * 1024;
+const MAX_IMAGES_PER_UPLOAD = 10;
+const MAX_IMAGES_PER_PARKING = 20;
+// Refuse images that would take too much memory to decode (40 megapixels)
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// Sizes stored for every photo. All are JPEGs re-encoded from the upload, so no
+// metadata (EXIF GPS position, camera serial, ...) from the original survives.
+const RENDITIONS = [
+  { name: 'thumbnail', width: 320, height: 240, fit: 'cover' },
+  { name: 'medium', width: 1024, height: 768, fit: 'inside' },
+  { name: 'full', width: 2048, height: 2048, fit: 'inside' },
+];
+
+// Image types accepted, recognised by their first bytes rather than the file name or
+// the type the client claims
+const SIGNATURES = [
+  {
+    type: 'image/jpeg',
+    test: (buffer) => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+  },
+  {
+    type: 'image/png',
+    test: (buffer) =>
+      buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    type: 'image/webp',
+    test: (buffer) =>
+      buffer.subarray(0, 4).toString('latin1') === 'RIFF' &&
+      buffer.subarray(8, 12).toString('latin1') === 'WEBP',
+  },
+];
+
+// The type of an image from its content, or null if it is not an accepted image
+const sniffImageType = (buffer) => {
+  const match = SIGNATURES.find((signature) => buffer.length >= 12 && signature.test(buffer));
+  return match ? match.type : null;
+};
+
+// Make every rendition of an uploaded photo. The photo is turned upright from its EXIF
+// orientation first, since the orientation is dropped with the rest of the metadata.
+const renderImage = async (buffer) => {
+  const source = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS, failOn: 'error' }).rotate();
+
+  return Promise.all(
+    RENDITIONS.map(async ({ name, width, height, fit }) => {
+      const { data, info } = await source
+        .clone()
+        .resize({ width, height, fit, withoutEnlargement: true })
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality: 80, mozjpeg: true })
+        .toBuffer({ resolveWithObject: true });
+      return { name, data, width: info.width, height: info.height };
+    })
+  );
+};
+
+// Check, render and store an uploaded photo. Returns the image as kept on the parking.
+const storeImage = async (buffer, { originalName } = {}) => {
+  if (buffer.length > MAX_IMAGE_BYTES) {
+    throw new AppError(`Images must be smaller than ${MAX_IMAGE_BYTES / 1024 / 1024} MB`, 400);
+  }
+  if (!sniffImageType(buffer)) {
+    throw new AppError(`${originalName || 'The file'} is not a JPEG, PNG or WebP image`, 400);
+  }
+
+  let renditions;
+  try {
+    renditions = await renderImage(buffer);
+  } catch (err) {
+    throw new AppError(`${originalName || 'The image'} could not be read`, 400);
+  }
+
+  const _id = new mongoose.Types.ObjectId();
+  const storage = getStorage();
+  const files = [];
+  try {
+    for (const { name, data, width, height } of renditions) {
+      const key = `parkings/${_id}/${name}.jpg`;
+      const url = await storage.put(key, data, 'image/jpeg');
+      files.push({ rendition: name, key, url, width, height, bytes: data.length });
+    }
+  } catch (err) {
+    await removeImageFiles([{ files }]);
+    throw err;
+  }
+
+  return { _id, files, uploadedAt: new Date() };
+};
+
+// Delete the stored files of images that are no longer used. Failures are logged, not
+// thrown, so cleaning up never breaks the request that caused it.
+const removeImageFiles = async (images = []) => {
+  const storage = getStorage();
+  const keys = images.flatMap((image) => (image.files || []).map((file) => file.key));
+  await Promise.all(
+    keys
+      .filter(Boolean)
+      .map((key) =>
+        storage
+          .remove(key)
+          .catch((err) => logger.error(`Error removing media ${key}: ${err.message}`))
+      )
+  );
+};
+
+const idOf = (item) => String(item && typeof item === 'object' ? item._id : item);
+
+// Make sure exactly one image is the cover: the one asked for, else the current cover,
+// else the first
+const pickCover = (images, coverId) => {
+  const cover =
+    (coverId && images.find((image) => idOf(image) === String(coverId))) ||
+    images.find((image) => image.isCover) ||
+    images[0];
+  images.forEach((image) => {
+    image.isCover = image === cover;
+  });
+  return images;
+};
+
+// A parking's images after an update: `keep` (ids or image objects, in the new order)
+// picks which current images stay, or all of them if left out; uploads go at the end.
+// Returns the new list and the images that were dropped.
+const mergeImages = (current, keep, uploaded = [], coverId) => {
+  let kept = current;
+  if (keep !== undefined) {
+    const list = [].concat(keep || []);
+    kept = list.map((item) => {
+      const image = current.find((candidate) => idOf(candidate) === idOf(item));
+      if (!image) {
+        throw new AppError(`No image ${idOf(item)} found on this parking`, 400);
+      }
+      return image;
+    });
+  }
+
+  const images = [...kept, ...uploaded];
+  if (images.length > MAX_IMAGES_PER_PARKING) {
+    throw new AppError(`A parking can have at most ${MAX_IMAGES_PER_PARKING} images`, 400);
+  }
+  const keptIds = new Set(kept.map(idOf));
+  return {
+    images: pickCover(images, coverId),
+    removed: current.filter((image) => !keptIds.has(idOf(image))),
+  };
+};
+
+module.exports = {
+  MAX_IMAGE_BYTES,
+  MAX_IMAGES_PER_UPLOAD,
+  MAX_IMAGES_PER_PARKING,
+  RENDITIONS,
+  sniffImageType,
+  storeImage,
+  removeImageFiles,
+  mergeImages,
+};
@@ -0,0 +1,616 @@
+const fs = require('fs/promises');
+const path = require('path');
+const mongoose = require('mongoose');
+const Booking = require('../models/booking.model');
+const Invoice = require('../models/invoice.model');
+const Counter = require('../models/counter.model');
+const Parking = require('../models/parking.model');
+const Organization = require('../models/organization.model');
+const User = require('../models/user.model');
+const AppError = require('../utils/appError');
+const { addDays, zonedTime } = require('../utils/timezone');
+const { PdfDocument, PAGE_WIDTH, textWidth } = require('../utils/pdf');
+const { createZip } = require('../utils/zip');
+const {
+  GST_RATE,
+  SAC_CODES,
+  roundMoney,
+  stateCodeOf,
+  financialYearOf,
+  splitInclusive,
+} = require('../utils/gst');
+const { billableAmount } = require('./organization.service');
+
+// Share of every payment kept by the platform, invoiced by the platform on its own document
+const PLATFORM_FEE_PERCENT =
+  process.env.PLATFORM_FEE_PERCENT === undefined ? 5 : process.env.PLATFORM_FEE_PERCENT * 1;
+
+const PLATFORM = {
+  name: process.env.PLATFORM_LEGAL_NAME || 'ParkEase',
+  gstin: process.env.PLATFORM_GSTIN,
+  address: process.env.PLATFORM_ADDRESS,
+};
+
+// Times on invoices are printed, and archive date ranges read, in this zone
+const INVOICE_TIMEZONE = process.env.INVOICE_TIMEZONE || 'Asia/Kolkata';
+
+// Longest date range a single archive download may cover
+const ARCHIVE_MAX_DAYS = 366;
+
+// Number series by issuer; the platform only issues tax invoices and credit notes
+const PREFIXES = {
+  owner: { invoice: 'INV', receipt: 'RCT', 'credit-note': 'CN' },
+  platform: { invoice: 'PINV', 'credit-note': 'PCN' },
+};
+
+const TITLES = {
+  invoice: 'TAX INVOICE',
+  receipt: 'RECEIPT',
+  'credit-note': 'CREDIT NOTE',
+};
+
+const PAID_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+const DATE_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+// Read at call time so tests can point it elsewhere
+const storageDir = () =>
+  process.env.INVOICE_STORAGE_DIR || path.join(__dirname, '../../storage/invoices');
+
+const receiptUrlFor = (booking) => `/api/v1/bookings/${booking._id}/invoice`;
+
+const fileNameFor = (number) => `${number.replace(/\//g, '-')}.pdf`;
+
+const formatDateTime = (date) =>
+  date.toLocaleString('en-IN', {
+    timeZone: INVOICE_TIMEZONE,
+    dateStyle: 'medium',
+    timeStyle: 'short',
+  });
+
+const formatDate = (date) =>
+  date.toLocaleDateString('en-IN', { timeZone: INVOICE_TIMEZONE, dateStyle: 'medium' });
+
+const formatMoney = (value) => (value || 0).toFixed(2);
+
+// The [start, end) of a range of whole days given as YYYY-MM-DD, `to` included, with
+// days starting at midnight in the invoice zone
+const dateRange = (from, to) => {
+  if (!DATE_PATTERN.test(from || '') || !DATE_PATTERN.test(to || '')) {
+    throw new AppError('Please provide from and to dates as YYYY-MM-DD', 400);
+  }
+  const dayOf = (value) => {
+    const [year, month, day] = value.split('-').map(Number);
+    return { year, month, day };
+  };
+  const start = zonedTime(dayOf(from), 0, INVOICE_TIMEZONE);
+  const end = zonedTime(addDays(dayOf(to), 1), 0, INVOICE_TIMEZONE);
+
+  if (end <= start) {
+    throw new AppError('The to date must not be before the from date', 400);
+  }
+  if (end - start > ARCHIVE_MAX_DAYS * 24 * 60 * 60 * 1000) {
+    throw new AppError(
+      `Invoices can be downloaded for at most ${ARCHIVE_MAX_DAYS} days at a time`,
+      400
+    );
+  }
+  return { start, end };
+};
+
+// Every captured payment of a booking that needs an invoice: the booking payment itself
+// and each completed top-up (extensions, moves and overstays)
+const capturedPayments = (booking) => {
+  const payment = booking.payment || {};
+  const topUps = (payment.topUps || []).filter(
+    (topUp) => topUp.status === 'completed' && topUp.paymentId
+  );
+  const payments = [];
+
+  if (payment.paymentId && payment.paidAt && PAID_STATUSES.includes(payment.status)) {
+    const toppedUp = topUps.reduce((sum, topUp) => sum + topUp.amount, 0);
+    const amount = booking.organization
+      ? billableAmount(booking)
+      : roundMoney((payment.capturedAmount || booking.amount) - toppedUp);
+
+    payments.push({
+      reference: `payment:${payment.paymentId}`,
+      amount,
+      paidAt: payment.paidAt,
+      description: 'Parking',
+    });
+  }
+
+  topUps.forEach((topUp) => {
+    payments.push({
+      reference: `payment:${topUp.paymentId}`,
+      amount: topUp.amount,
+      paidAt: topUp.paidAt || topUp.createdAt,
+      description: topUp.reason || 'Parking top-up',
+    });
+  });
+
+  return payments.filter((item) => item.amount > 0);
+};
+
+// Split a GST-inclusive payment into what the parking charged and the platform's fee
+const splitPayment = (amount) => {
+  const fee = roundMoney((amount * PLATFORM_FEE_PERCENT) / 100);
+  return { parking: roundMoney(amount - fee), fee };
+};
+
+const sumLines = (lines) =>
+  ['taxableValue', 'cgst', 'sgst', 'igst', 'total'].reduce((totals, key) => {
+    totals[key] = roundMoney(lines.reduce((sum, line) => sum + (line[key] || 0), 0));
+    return totals;
+  }, {});
+
+// Cut text down to a width, marking the cut with '...'
+const fitText = (text, width, size) => {
+  let fitted = String(text || '');
+  if (textWidth(fitted, size) <= width) return fitted;
+  while (fitted.length > 0 && textWidth(`${fitted}...`, size) > width) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted}...`;
+};
+
+// Draw an invoice, receipt or credit note onto an A4 page
+const renderPdf = (invoice, { originalNumber } = {}) => {
+  const left = 40;
+  const right = PAGE_WIDTH - 40;
+  const doc = new PdfDocument({ title: `${TITLES[invoice.type]} ${invoice.number}` });
+
+  // Title and document numbers
+  doc.text(TITLES[invoice.type], left, 60, { size: 18, bold: true });
+  doc.text(`No. ${invoice.number}`, right, 52, { align: 'right', bold: true });
+  doc.text(`Date: ${formatDate(invoice.issuedAt)}`, right, 66, { align: 'right' });
+  if (originalNumber) {
+    doc.text(`Against invoice ${originalNumber}`, right, 80, { align: 'right' });
+  }
+  doc.line(left, 92, right, 92);
+
+  // Parties
+  const party = (heading, details, x) => {
+    let y = 112;
+    doc.text(heading, x, y, { bold: true, size: 9 });
+    details.filter(Boolean).forEach((value) => {
+      y += 14;
+      doc.text(fitText(value, 240, 10), x, y);
+    });
+    return y;
+  };
+  const { supplier, customer } = invoice;
+  const supplierEnd = party(
+    'SUPPLIER',
+    [
+      supplier.legalName || supplier.name,
+      supplier.legalName && supplier.legalName !== supplier.name && supplier.name,
+      supplier.address,
+      supplier.gstin ? `GSTIN: ${supplier.gstin}` : 'Not registered for GST',
+    ],
+    left
+  );
+  const customerEnd = party(
+    'BILL TO',
+    [
+      customer.name,
+      customer.email,
+      customer.phone,
+      customer.gstin && `GSTIN: ${customer.gstin}`,
+      invoice.placeOfSupply && `Place of supply: state ${invoice.placeOfSupply}`,
+    ],
+    310
+  );
+
+  // Lines
+  const columns = [
+    { key: 'description', label: 'Description', x: left, align: 'left' },
+    { key: 'sac', label: 'SAC', x: 250, align: 'left' },
+    { key: 'taxableValue', label: 'Taxable', x: 345, align: 'right' },
+    { key: 'cgst', label: 'CGST', x: 395, align: 'right' },
+    { key: 'sgst', label: 'SGST', x: 445, align: 'right' },
+    { key: 'igst', label: 'IGST', x: 495, align: 'right' },
+    { key: 'total', label: 'Total', x: right, align: 'right' },
+  ];
+  let y = Math.max(supplierEnd, customerEnd) + 30;
+  doc.rect(left, y - 13, right - left, 18);
+  columns.forEach((column) => {
+    doc.text(column.label, column.x, y, { bold: true, size: 9, align: column.align });
+  });
+
+  invoice.lines.forEach((line) => {
+    y += 20;
+    doc.text(fitText(line.description, 200, 9), left, y, { size: 9 });
+    doc.text(line.sac || '', 250, y, { size: 9 });
+    ['taxableValue', 'cgst', 'sgst', 'igst', 'total'].forEach((key) => {
+      const column = columns.find((item) => item.key === key);
+      doc.text(formatMoney(line[key]), column.x, y, { size: 9, align: 'right' });
+    });
+
+    const rates = [
+      line.cgstRate && `CGST ${line.cgstRate}%`,
+      line.sgstRate && `SGST ${line.sgstRate}%`,
+      line.igstRate && `IGST ${line.igstRate}%`,
+    ].filter(Boolean);
+    if (rates.length > 0) {
+      y += 11;
+      doc.text(rates.join(', '), left, y, { size: 7 });
+    }
+  });
+
+  // Totals
+  y += 12;
+  doc.line(left, y, right, y);
+  y += 18;
+  [
+    ['Taxable value', invoice.totals.taxableValue],
+    ['CGST', invoice.totals.cgst],
+    ['SGST', invoice.totals.sgst],
+    ['IGST', invoice.totals.igst],
+  ]
+    .filter(([, value]) => value > 0 || invoice.type !== 'receipt')
+    .forEach(([label, value]) => {
+      doc.text(label, 445, y, { align: 'right' });
+      doc.text(formatMoney(value), right, y, { align: 'right' });
+      y += 14;
+    });
+  doc.text(
+    invoice.type === 'credit-note' ? 'Total credited' : 'Total paid',
+    445,
+    y + 4,
+    { align: 'right', bold: true, size: 11 }
+  );
+  doc.text(`${invoice.currency} ${formatMoney(invoice.totals.total)}`, right, y + 4, {
+    align: 'right',
+    bold: true,
+    size: 11,
+  });
+
+  // Notes
+  y += 40;
+  const notes = [
+    `Supply date: ${formatDateTime(invoice.supplyDate || invoice.issuedAt)}`,
+    invoice.reason && `Reason: ${invoice.reason}`,
+    'All amounts include GST where charged.',
+    'This is a computer-generated document and needs no signature.',
+  ].filter(Boolean);
+  notes.forEach((note) => {
+    doc.text(fitText(note, right - left, 8), left, y, { size: 8 });
+    y += 12;
+  });
+
+  return doc.toBuffer();
+};
+
+// Render a document's PDF and keep it in the invoice storage directory
+const storePdf = async (invoice) => {
+  const original = invoice.originalInvoice
+    ? await Invoice.findById(invoice.originalInvoice).select('number')
+    : null;
+  const buffer = renderPdf(invoice, { originalNumber: original && original.number });
+
+  await fs.mkdir(storageDir(), { recursive: true });
+  await fs.writeFile(path.join(storageDir(), invoice.file), buffer);
+  return buffer;
+};
+
+// Number, save and store a new document. The number is taken in the same transaction
+// that saves the document, so two requests racing to issue the same document end up
+// with the one that was saved first and no number is skipped.
+const issueDocument = async (fields) => {
+  const issuedAt = new Date();
+  const financialYear = financialYearOf(issuedAt);
+  const series = `${PREFIXES[fields.issuer || 'owner'][fields.type]}/${financialYear}`;
+
+  let invoice;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      const sequence = await Counter.next(series, session);
+      const number = `${series}/${String(sequence).padStart(6, '0')}`;
+      [invoice] = await Invoice.create(
+        [
+          {
+            ...fields,
+            number,
+            series,
+            sequence,
+            financialYear,
+            issuedAt,
+            totals: sumLines(fields.lines),
+            file: fileNameFor(number),
+          },
+        ],
+        { session }
+      );
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return Invoice.findOne({ booking: fields.booking, reference: fields.reference });
+    }
+    throw err;
+  } finally {
+    session.endSession();
+  }
+
+  await storePdf(invoice);
+  return invoice;
+};
+
+// Who issues the booking's documents: the parking's owner, as registered for GST
+const supplierFor = (parking) => {
+  const gst = parking.gst || {};
+  return {
+    name: parking.name,
+    legalName: gst.legalName,
+    gstin: gst.gstin,
+    address: gst.billingAddress || (parking.location && parking.location.address),
+    stateCode: stateCodeOf(gst.gstin),
+  };
+};
+
+// The platform, as the supplier of its fee
+const platformSupplier = () => ({
+  name: PLATFORM.name,
+  gstin: PLATFORM.gstin,
+  address: PLATFORM.address,
+  stateCode: stateCodeOf(PLATFORM.gstin),
+});
+
+// Who the booking's documents are made out to: the organisation it is billed to, or the driver
+const customerFor = async (booking) => {
+  if (booking.organization) {
+    const organization = await Organization.findById(booking.organization._id);
+    if (organization) {
+      return {
+        name: organization.name,
+        email: organization.billingEmail,
+        gstin: organization.gstin,
+        stateCode: stateCodeOf(organization.gstin),
+      };
+    }
+  }
+
+  const user = await User.findById(booking.user._id).select('name email phone');
+  return {
+    name: user ? user.name : undefined,
+    email: user ? user.email : undefined,
+    phone: user ? user.phone : undefined,
+  };
+};
+
+// The documents every captured payment of a booking needs: the owner's invoice (or
+// receipt) for the parking, and the platform's invoice for its fee. Payments invoiced
+// before the platform issued its own documents carry the fee as a line of the owner's
+// invoice, and get no separate fee invoice.
+const documentsDue = (booking, documents) =>
+  capturedPayments(booking).flatMap((payment) => {
+    const { parking, fee } = splitPayment(payment.amount);
+    const ownerDocument = documents.find((doc) => doc.reference === payment.reference);
+    const feeInvoiced =
+      ownerDocument && ownerDocument.lines.some((line) => line.sac === SAC_CODES.platformFee);
+
+    return [
+      { issuer: 'owner', reference: payment.reference, amount: parking, payment },
+      !feeInvoiced && {
+        issuer: 'platform',
+        reference: `platform:${payment.reference}`,
+        amount: fee,
+        payment,
+      },
+    ].filter(
+      (due) =>
+        due && due.amount > 0 && !documents.some((doc) => doc.reference === due.reference)
+    );
+  });
+
+// Issue the invoices a booking is missing and return all of its documents, oldest
+// first. Bookings that were never paid have none.
+const ensureInvoices = async (booking) => {
+  let documents = await Invoice.find({ booking: booking._id }).sort('issuedAt _id');
+  const missing = documentsDue(booking, documents);
+
+  if (missing.length > 0) {
+    const parking = await Parking.findById(booking.parking._id).select('name location gst');
+    if (!parking) {
+      throw new AppError('The parking of this booking no longer exists', 404);
+    }
+    const owner = supplierFor(parking);
+    const platform = platformSupplier();
+    const customer = await customerFor(booking);
+    const stay = `${parking.name}, slot ${booking.slotNumber}, ${formatDateTime(
+      booking.startTime
+    )} - ${formatDateTime(booking.endTime)}`;
+
+    for (const { issuer, reference, amount, payment } of missing) {
+      const common = {
+        booking: booking._id,
+        user: booking.user._id,
+        parking: parking._id,
+        organization: booking.organization ? booking.organization._id : undefined,
+        issuer,
+        reference,
+        supplyDate: payment.paidAt,
+        customer,
+      };
+
+      if (issuer === 'owner') {
+        // Parking is supplied where the parking is, so it always carries CGST and SGST,
+        // and only when the owner is registered
+        const registered = !!owner.gstin;
+        await issueDocument({
+          ...common,
+          type: registered ? 'invoice' : 'receipt',
+          supplier: owner,
+          placeOfSupply: owner.stateCode,
+          lines: [
+            {
+              description: `${payment.description}: ${stay}`,
+              sac: SAC_CODES.parking,
+              ...splitInclusive(amount, { rate: registered ? GST_RATE : 0 }),
+            },
+          ],
+        });
+      } else {
+        // The fee is supplied where the customer is registered, if we know it, or else
+        // where the parking is
+        const platformState = platform.stateCode || owner.stateCode;
+        const placeOfSupply = customer.stateCode || owner.stateCode;
+        const interState = !!platformState && !!placeOfSupply && platformState !== placeOfSupply;
+        await issueDocument({
+          ...common,
+          type: 'invoice',
+          supplier: platform,
+          placeOfSupply,
+          lines: [
+            {
+              description: `Platform fee: ${stay}`,
+              sac: SAC_CODES.platformFee,
+              ...splitInclusive(amount, { interState }),
+            },
+          ],
+        });
+      }
+    }
+    documents = await Invoice.find({ booking: booking._id }).sort('issuedAt _id');
+  }
+
+  if (documents.length > 0 && !booking.payment.receiptUrl) {
+    booking.payment.receiptUrl = receiptUrlFor(booking);
+    await Booking.updateOne(
+      { _id: booking._id },
+      { 'payment.receiptUrl': booking.payment.receiptUrl }
+    );
+  }
+
+  return documents;
+};
+
+// A credit note taking `amount` back off an invoice, spread over its lines in
+// proportion and keeping each line's tax treatment
+const creditNoteFor = (original, amount, { reference, reason, refundedAt }) => {
+  const ratio = amount / original.totals.total;
+  let remaining = roundMoney(amount);
+  const lines = original.lines.map((line, index) => {
+    const isLast = index === original.lines.length - 1;
+    const total = isLast ? remaining : roundMoney(line.total * ratio);
+    remaining = roundMoney(remaining - total);
+
+    const rate = original.type === 'receipt' ? 0 : line.igstRate || line.cgstRate + line.sgstRate;
+    return {
+      description: line.description,
+      sac: line.sac,
+      ...splitInclusive(total, { interState: line.igstRate > 0, rate }),
+    };
+  });
+
+  return {
+    type: 'credit-note',
+    issuer: original.issuer,
+    booking: original.booking,
+    user: original.user,
+    parking: original.parking,
+    organization: original.organization,
+    reference,
+    originalInvoice: original._id,
+    reason,
+    supplyDate: refundedAt,
+    supplier: original.supplier,
+    customer: original.customer,
+    placeOfSupply: original.placeOfSupply,
+    lines,
+  };
+};
+
+// Issue the credit notes for a refund and return them. Refunds give back the latest
+// payments first (top-ups before the booking payment), each only up to what is left
+// uncredited on its documents; a payment's owner and platform invoices are credited
+// in proportion to what is left on each.
+const issueCreditNote = async (booking, { amount, refundId, reason, refundedAt = new Date() }) => {
+  const reference = `refund:${refundId}`;
+  const documents = await ensureInvoices(booking);
+  const existing = documents.filter(
+    (doc) => doc.reference === reference || doc.reference.startsWith(`${reference}:`)
+  );
+  if (existing.length > 0 || !(amount > 0)) return existing;
+
+  // 1) What is left to credit on each invoice, grouped by the payment it was issued for
+  const credited = new Map();
+  documents
+    .filter((doc) => doc.type === 'credit-note')
+    .forEach((note) => {
+      const key = String(note.originalInvoice);
+      credited.set(key, roundMoney((credited.get(key) || 0) + note.totals.total));
+    });
+  const payments = new Map();
+  documents
+    .filter((doc) => doc.type !== 'credit-note')
+    .forEach((doc) => {
+      const left = roundMoney(doc.totals.total - (credited.get(String(doc._id)) || 0));
+      if (left <= 0) return;
+      const key = doc.reference.replace(/^platform:/, '');
+      if (!payments.has(key)) payments.set(key, []);
+      payments.get(key).push({ doc, left });
+    });
+
+  // 2) Take the refund off the latest payments first
+  const credits = [];
+  let remaining = roundMoney(amount);
+  for (const invoices of [...payments.values()].reverse()) {
+    if (remaining <= 0) break;
+    const left = roundMoney(invoices.reduce((sum, item) => sum + item.left, 0));
+    const share = Math.min(remaining, left);
+    let unshared = share;
+    invoices.forEach((item, index) => {
+      const isLast = index === invoices.length - 1;
+      const credit = isLast ? unshared : roundMoney((share * item.left) / left);
+      unshared = roundMoney(unshared - credit);
+      if (credit > 0) credits.push({ original: item.doc, credit });
+    });
+    remaining = roundMoney(remaining - share);
+  }
+
+  // 3) One credit note per invoice credited
+  const notes = [];
+  for (const { original, credit } of credits) {
+    notes.push(
+      await issueDocument(
+        creditNoteFor(original, credit, {
+          reference: `${reference}:${original.number}`,
+          reason,
+          refundedAt,
+        })
+      )
+    );
+  }
+  return notes;
+};
+
+// The PDF of a document, rendered again if its stored file has gone missing
+const invoicePdf = async (invoice) => {
+  try {
+    return await fs.readFile(path.join(storageDir(), invoice.file));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    return storePdf(invoice);
+  }
+};
+
+// A ZIP archive of the given documents' PDFs
+const invoiceArchive = async (invoices) => {
+  const files = [];
+  for (const invoice of invoices) {
+    files.push({ name: invoice.file, data: await invoicePdf(invoice), date: invoice.issuedAt });
+  }
+  return createZip(files);
+};
+
+module.exports = {
+  PLATFORM_FEE_PERCENT,
+  dateRange,
+  ensureInvoices,
+  issueCreditNote,
+  invoicePdf,
+  invoiceArchive,
+};
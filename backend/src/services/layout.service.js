@@ -0,0 +1,159 @@
+const Booking = require('../models/booking.model');
+const Pass = require('../models/pass.model');
+
+// Access points cars use to reach a level, and the ones people use to leave it on foot
+const DRIVE_IN_TYPES = ['entry', 'entry-exit', 'ramp'];
+const WALK_OUT_TYPES = ['exit', 'entry-exit', 'lift', 'stairs'];
+
+const isSet = (value) => value !== undefined && value !== null;
+
+const inBounds = (level, x, y) => x >= 0 && y >= 0 && x <= level.width && y <= level.height;
+
+const slotLabel = (slot) => `slot ${slot.slotId}`;
+
+// Check a parking's floor plans and slot positions fit together: unique level and zone
+// codes, slots placed on known levels and zones inside the plan, and no two slots on
+// the same spot. Returns a list of problems (empty if none).
+const validateLayout = (parking) => {
+  const errors = [];
+  const levels = (parking.layout && parking.layout.levels) || [];
+  const levelsByCode = new Map();
+
+  levels.forEach((level) => {
+    if (levelsByCode.has(level.code)) {
+      errors.push(`level ${level.code} is defined more than once`);
+    }
+    levelsByCode.set(level.code, level);
+
+    const zoneCodes = (level.zones || []).map((zone) => zone.code);
+    if (new Set(zoneCodes).size !== zoneCodes.length) {
+      errors.push(`level ${level.code} has duplicate zone codes`);
+    }
+    (level.accessPoints || []).forEach((point) => {
+      if (!inBounds(level, point.x, point.y)) {
+        errors.push(`access point ${point.name || point.type} is outside level ${level.code}`);
+      }
+    });
+  });
+
+  const taken = new Map();
+  parking.slots.forEach((slot) => {
+    const position = slot.position || {};
+    if (!position.level) {
+      if (isSet(position.x) || isSet(position.y) || position.zone) {
+        errors.push(`${slotLabel(slot)} has a position but no level`);
+      }
+      return;
+    }
+
+    const level = levelsByCode.get(position.level);
+    if (!level) {
+      errors.push(`${slotLabel(slot)} is on unknown level ${position.level}`);
+      return;
+    }
+    if (position.zone && !(level.zones || []).some((zone) => zone.code === position.zone)) {
+      errors.push(`${slotLabel(slot)} is in unknown zone ${position.zone} of level ${level.code}`);
+    }
+    if (!isSet(position.x) || !isSet(position.y)) {
+      errors.push(`${slotLabel(slot)} needs x and y coordinates`);
+      return;
+    }
+    if (!inBounds(level, position.x, position.y)) {
+      errors.push(`${slotLabel(slot)} is outside level ${level.code}`);
+      return;
+    }
+
+    const spot = `${level.code}:${position.x}:${position.y}`;
+    if (taken.has(spot)) {
+      errors.push(`${slotLabel(slot)} is on the same spot as ${slotLabel(taken.get(spot))}`);
+    }
+    taken.set(spot, slot);
+  });
+
+  return errors;
+};
+
+// The live status of every slot at a moment: 'maintenance', 'occupied' (a driver or pass
+// holder is parked there), 'reserved' (a booking covers the moment but nobody has
+// checked in), 'pass' (dedicated to a pass, holder away) or 'available'
+const liveSlotStatuses = async (parking, at = new Date()) => {
+  const [bookings, visits] = await Promise.all([
+    Booking.find({
+      parking: parking._id,
+      $or: [
+        // Checked-in drivers occupy their slot until they check out, even when overstaying
+        { status: 'checked-in' },
+        {
+          startTime: { $lte: at },
+          endTime: { $gt: at },
+          ...Booking.blockingFilter(at),
+        },
+      ],
+    }).select('slot status'),
+    Pass.find({ parking: parking._id, 'currentVisit.slot': { $ne: null } }).select('currentVisit'),
+  ]);
+
+  const busy = new Map();
+  bookings.forEach((booking) => {
+    const key = booking.slot.toString();
+    if (booking.status === 'checked-in') busy.set(key, 'occupied');
+    else if (!busy.has(key)) busy.set(key, 'reserved');
+  });
+  visits.forEach((pass) => busy.set(pass.currentVisit.slot.toString(), 'occupied'));
+
+  const statuses = new Map();
+  parking.slots.forEach((slot) => {
+    let status = busy.get(slot._id.toString());
+    if (slot.status === 'maintenance') status = 'maintenance';
+    else if (!status && slot.status === 'occupied') status = 'occupied';
+    else if (!status && slot.pass) status = 'pass';
+    statuses.set(slot._id.toString(), status || 'available');
+  });
+  return statuses;
+};
+
+// The access point of a level nearest to a spot, among the given types
+const nearestAccessPoint = (level, { x, y }, types) => {
+  let nearest = null;
+  (level.accessPoints || [])
+    .filter((point) => types.includes(point.type))
+    .forEach((point) => {
+      const distance = Math.hypot(point.x - x, point.y - y);
+      if (!nearest || distance < nearest.distance) {
+        nearest = {
+          name: point.name,
+          type: point.type,
+          x: point.x,
+          y: point.y,
+          distance: Math.round(distance * 10) / 10,
+        };
+      }
+    });
+  return nearest;
+};
+
+// Directions to a slot: its level and zone, and the nearest ways in by car and out on
+// foot. Returns null if the slot has not been placed on the floor plan.
+const directionsTo = (parking, slot) => {
+  const position = slot.position || {};
+  const levels = (parking.layout && parking.layout.levels) || [];
+  const level = levels.find((item) => item.code === position.level);
+  if (!level || !isSet(position.x) || !isSet(position.y)) return null;
+
+  const zone = (level.zones || []).find((item) => item.code === position.zone);
+  return {
+    slot: { _id: slot._id, slotId: slot.slotId, number: slot.number },
+    level: { code: level.code, name: level.name, order: level.order },
+    zone: zone ? { code: zone.code, name: zone.name, color: zone.color } : null,
+    row: position.row,
+    position: { x: position.x, y: position.y, rotation: position.rotation || 0 },
+    driveInVia: nearestAccessPoint(level, position, DRIVE_IN_TYPES),
+    walkOutVia: nearestAccessPoint(level, position, WALK_OUT_TYPES),
+  };
+};
+
+module.exports = {
+  validateLayout,
+  liveSlotStatuses,
+  directionsTo,
+};
@@ -0,0 +1,76 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Where uploaded media lives. A backend stores a file under a key (e.g.
+// 'parkings/<id>/medium.jpg') and says which URL serves it:
+//   put(key, buffer, contentType) -> url
+//   remove(key)                   -> resolves even if the file is already gone
+// Backends are chosen by MEDIA_STORAGE (default 'local'); others (e.g. an object store)
+// can be added with registerStorage.
+
+const localDir = () =>
+  process.env.MEDIA_STORAGE_DIR || path.join(__dirname, '../../storage/media');
+
+// URL prefix the app serves local media under
+const LOCAL_MEDIA_PATH = '/media';
+
+const createLocalStorage = () => {
+  const fileFor = (key) => {
+    const file = path.resolve(localDir(), key);
+    if (!file.startsWith(path.resolve(localDir()) + path.sep)) {
+      throw new Error(`Invalid media key: ${key}`);
+    }
+    return file;
+  };
+  const baseUrl = process.env.MEDIA_BASE_URL || LOCAL_MEDIA_PATH;
+
+  return {
+    name: 'local',
+    async put(key, buffer) {
+      const file = fileFor(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+      return `${baseUrl}/${key}`;
+    },
+    async remove(key) {
+      const file = fileFor(key);
+      try {
+        await fs.unlink(file);
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+      // Drop the folder too once its last file is gone
+      await fs.rmdir(path.dirname(file)).catch(() => {});
+    },
+  };
+};
+
+const factories = {
+  local: createLocalStorage,
+};
+let active = null;
+
+// Make a storage backend available under a name for MEDIA_STORAGE
+const registerStorage = (name, factory) => {
+  factories[name] = factory;
+  if (active && active.name === name) active = null;
+};
+
+// The storage backend in use
+const getStorage = () => {
+  if (!active) {
+    const name = process.env.MEDIA_STORAGE || 'local';
+    if (!factories[name]) {
+      throw new Error(`Unknown media storage "${name}"`);
+    }
+    active = { name, ...factories[name]() };
+  }
+  return active;
+};
+
+module.exports = {
+  LOCAL_MEDIA_PATH,
+  localDir,
+  registerStorage,
+  getStorage,
+};
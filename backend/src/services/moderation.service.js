@@ -0,0 +1,107 @@
+const AppError = require('../utils/appError');
+const { emitToUser } = require('../utils/socket');
+const { LISTING_FIELDS, snapshotListing, diffListing } = require('../utils/listingDiff');
+
+// The statuses an admin can move a listing to from each status, and the action each
+// move is recorded as
+const DECISIONS = {
+  pending: { approved: 'approved', rejected: 'rejected' },
+  approved: { suspended: 'suspended' },
+  rejected: { approved: 'approved' },
+  suspended: { approved: 'reinstated' },
+};
+
+// Decisions the owner must be told the reason for
+const NEEDS_REASON = ['rejected', 'suspended'];
+
+// Listings created before moderation existed have no status and count as approved
+const moderationStatusOf = (parking) => parking.moderation.status || 'approved';
+
+const notifyOwner = (parking, entry) => {
+  emitToUser(parking.owner.toString(), 'parking:moderation', {
+    parkingId: parking._id,
+    name: parking.name,
+    status: entry.status,
+    action: entry.action,
+    reason: entry.reason,
+    at: new Date(),
+  });
+};
+
+// Record an admin's decision on a listing and tell the owner. Rejections and
+// suspensions need a reason.
+const decideListing = async (parking, { status, reason, actor }) => {
+  const current = moderationStatusOf(parking);
+  const allowed = DECISIONS[current] || {};
+  const action = allowed[status];
+  if (!action) {
+    throw new AppError(
+      `A ${current} listing cannot be changed to ${status}. ` +
+        `Allowed: ${Object.keys(allowed).join(', ') || 'none'}`,
+      400
+    );
+  }
+  const note = typeof reason === 'string' ? reason.trim() : '';
+  if (NEEDS_REASON.includes(status) && !note) {
+    throw new AppError('Please give the owner a reason for this decision', 400);
+  }
+
+  const entry = { action, status, reason: note || undefined, by: actor._id };
+  parking.moderation.status = status;
+  parking.moderation.reason = NEEDS_REASON.includes(status) ? note : undefined;
+  parking.moderation.reviewedAt = new Date();
+  parking.moderation.reviewedBy = actor._id;
+  parking.moderation.history.push(entry);
+  // Only the review is changing, so an older listing that no longer passes
+  // validation can still be suspended
+  await parking.save({ validateBeforeSave: false });
+
+  notifyOwner(parking, entry);
+  return parking;
+};
+
+// Send a rejected listing back for review, applying any listing changes given with
+// it. The history records what changed since the listing was last submitted. The
+// parking must be loaded with '+moderation.submission'.
+const resubmitListing = async (parking, { changes = {}, note, actor }) => {
+  if (moderationStatusOf(parking) !== 'rejected') {
+    throw new AppError('Only rejected listings can be resubmitted', 400);
+  }
+
+  LISTING_FIELDS.forEach((field) => {
+    if (changes[field] !== undefined) parking.set(field, changes[field]);
+  });
+  const submission = snapshotListing(parking);
+  const diff = diffListing(parking.moderation.submission, submission);
+  if (diff.length === 0) {
+    throw new AppError('Please change the listing before resubmitting it', 400);
+  }
+
+  parking.moderation.status = 'pending';
+  parking.moderation.reason = undefined;
+  parking.moderation.submittedAt = new Date();
+  parking.moderation.submission = submission;
+  parking.moderation.history.push({
+    action: 'resubmitted',
+    status: 'pending',
+    reason: typeof note === 'string' && note.trim() ? note.trim() : undefined,
+    by: actor._id,
+    changes: diff,
+  });
+  await parking.save();
+
+  return { parking, changes: diff };
+};
+
+// Changes made to a listing since it was last submitted, for reviewers. The parking
+// must be loaded with '+moderation.submission'.
+const unsubmittedChanges = (parking) =>
+  parking.moderation.submission
+    ? diffListing(parking.moderation.submission, snapshotListing(parking))
+    : [];
+
+module.exports = {
+  decideListing,
+  resubmitListing,
+  unsubmittedChanges,
+};
@@ -0,0 +1,139 @@
+const Booking = require('../models/booking.model');
+const { SYSTEM_ACTOR, statusChange } = require('../utils/bookingStatus');
+const Parking = require('../models/parking.model');
+const ParkingEvent = require('../models/parkingEvent.model');
+const { releaseSlot } = require('./slot.service');
+const { offerFreedSlotSafely } = require('./waitlist.service');
+const { refundPayment } = require('../controllers/payment.controller');
+const { emitToUser, updateParkingAvailability } = require('../utils/socket');
+const logger = require('../utils/logger');
+
+const DEFAULT_GRACE_MINUTES = 30;
+
+// Work out how much of a paid booking the parking keeps when the driver never shows up
+const noShowFee = (policy = {}, amount) => {
+  switch (policy.feeType) {
+    case 'none':
+      return 0;
+    case 'fixed':
+      return Math.min(amount, policy.feeValue || 0);
+    case 'percentage':
+      return Math.round(amount * Math.min(100, policy.feeValue || 0)) / 100;
+    default:
+      return amount;
+  }
+};
+
+// Mark one booking as a no-show, settle its payment and tell everyone involved.
+// `actor` is the owner or admin when it is marked by hand.
+const markNoShow = async (bookingId, parking, now = new Date(), actor = SYSTEM_ACTOR) => {
+  const booking = await Booking.findOneAndUpdate(
+    { _id: bookingId, status: 'confirmed', checkInTime: { $exists: false } },
+    {
+      status: 'no-show',
+      'noShow.detectedAt': now,
+      $push: { statusHistory: statusChange('confirmed', 'no-show', actor, 'Driver did not show up') },
+    },
+    { new: true }
+  );
+  if (!booking) return null;
+
+  // 1) Apply the fee policy, refunding whatever is not kept. Organisation bookings are
+  //    not paid yet, so their fee is what ends up on the monthly statement.
+  const isPaid = ['completed', 'partially_refunded'].includes(booking.payment.status);
+  const isInvoiced = booking.payment.method === 'invoice';
+  const fee = isPaid || isInvoiced ? noShowFee(parking.noShowPolicy, booking.amount) : 0;
+  let refundAmount = 0;
+
+  if (isPaid && booking.amount - fee > 0) {
+    try {
+      const refund = await refundPayment(booking, booking.amount - fee, 'No-show refund');
+      if (refund) refundAmount = booking.amount - fee;
+    } catch (error) {
+      logger.error(`Error refunding no-show booking ${booking._id}: ${error.message}`);
+    }
+  }
+
+  booking.noShow.fee = fee;
+  booking.noShow.refundAmount = refundAmount;
+  await booking.save();
+
+  // 2) Free the slot for other drivers, starting with the waitlist
+  await releaseSlot(booking);
+  await updateParkingAvailability(parking._id);
+  await offerFreedSlotSafely(booking);
+
+  // 3) Notify the driver and the owner
+  const payload = {
+    bookingId: booking._id,
+    parkingId: parking._id,
+    status: booking.status,
+    fee,
+    refundAmount,
+  };
+  emitToUser(booking.user._id.toString(), 'booking:no-show', payload);
+  emitToUser(parking.owner.toString(), 'booking:no-show', payload);
+
+  // 4) Record it for the owner's analytics
+  await ParkingEvent.create({
+    parking: parking._id,
+    owner: parking.owner,
+    booking: booking._id,
+    user: booking.user._id,
+    type: 'no-show',
+    data: {
+      startTime: booking.startTime,
+      slot: booking.slot,
+      amount: booking.amount,
+      fee,
+      refundAmount,
+    },
+  });
+
+  return booking;
+};
+
+// Find confirmed bookings nobody checked in for within the parking's grace period.
+// Run periodically by the job scheduler.
+const detectNoShows = async (now = new Date()) => {
+  const candidates = await Booking.find({
+    status: 'confirmed',
+    checkInTime: { $exists: false },
+    startTime: { $lte: now },
+  })
+    .select('_id parking startTime')
+    .lean();
+  if (candidates.length === 0) return 0;
+
+  // Bookings of deactivated parkings come back without a populated parking
+  const live = candidates.filter((booking) => booking.parking);
+  const parkingIds = [...new Set(live.map((booking) => booking.parking._id.toString()))];
+  const parkings = await Parking.find({ _id: { $in: parkingIds } }).select('owner noShowPolicy');
+  const parkingsById = new Map(parkings.map((parking) => [parking._id.toString(), parking]));
+
+  let marked = 0;
+  for (const candidate of live) {
+    const parking = parkingsById.get(candidate.parking._id.toString());
+    if (!parking) continue;
+
+    const graceMinutes = parking.noShowPolicy?.graceMinutes ?? DEFAULT_GRACE_MINUTES;
+    if (candidate.startTime.getTime() + graceMinutes * 60 * 1000 > now.getTime()) continue;
+
+    try {
+      if (await markNoShow(candidate._id, parking, now)) marked += 1;
+    } catch (error) {
+      logger.error(`Error marking booking ${candidate._id} as no-show: ${error.message}`);
+    }
+  }
+
+  if (marked > 0) {
+    logger.info(`Marked ${marked} booking(s) as no-show`);
+  }
+  return marked;
+};
+
+module.exports = {
+  noShowFee,
+  markNoShow,
+  detectNoShows,
+};
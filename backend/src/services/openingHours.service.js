@@ -0,0 +1,128 @@
+const Parking = require('../models/parking.model');
+const AppError = require('../utils/appError');
+const { addDays, localDateOf, dateKey, weekdayOf, zonedTime } = require('../utils/timezone');
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+
+const ALL_DAY = [{ open: '00:00', close: '24:00' }];
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const timeZoneOf = (parking) => parking.timezone || DEFAULT_TIMEZONE;
+
+// The intervals a parking opens on a local date: its special hours for that date if it
+// has any, otherwise its weekly hours. Older parkings store one { open, close } per day.
+const intervalsOn = (parking, date) => {
+  const special = (parking.specialHours || []).find((item) => item.date === dateKey(date));
+  if (special) return special.closed ? [] : special.intervals || [];
+  if (parking.is24x7) return ALL_DAY;
+
+  const hours = parking.openingHours && parking.openingHours[weekdayOf(date)];
+  return [].concat(hours || []).filter((interval) => interval && interval.open && interval.close);
+};
+
+// The [start, end) instants of the intervals opening on a local date. Intervals whose
+// close time is at or before their open time end on the next day.
+const windowsOn = (parking, date) => {
+  const timeZone = timeZoneOf(parking);
+  return intervalsOn(parking, date).map(({ open, close }) => {
+    const start = toMinutes(open);
+    let end = toMinutes(close);
+    if (end <= start) end += 24 * 60;
+    return [zonedTime(date, start, timeZone), zonedTime(date, end, timeZone)];
+  });
+};
+
+// Every stretch of time a parking is open that touches [from, to), with overlapping and
+// back-to-back intervals merged. Starts a day early to catch overnight intervals.
+const openWindows = (parking, from, to) => {
+  const timeZone = timeZoneOf(parking);
+  const lastDay = dateKey(localDateOf(to, timeZone));
+  const windows = [];
+  for (
+    let day = addDays(localDateOf(from, timeZone), -1);
+    dateKey(day) <= lastDay;
+    day = addDays(day, 1)
+  ) {
+    windows.push(...windowsOn(parking, day));
+  }
+
+  const merged = [];
+  windows
+    .sort((a, b) => a[0] - b[0])
+    .forEach(([start, end]) => {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1]) {
+        if (end > last[1]) last[1] = end;
+      } else {
+        merged.push([start, end]);
+      }
+    });
+  return merged.filter(([start, end]) => start < to && end > from);
+};
+
+// Check whether a parking is open for the whole of [from, to)
+const isOpenFor = (parking, from, to) =>
+  openWindows(parking, from, to).some(([start, end]) => start <= from && end >= to);
+
+// Check whether a parking is open at one moment
+const isOpenAt = (parking, at = new Date()) => isOpenFor(parking, at, new Date(at.getTime() + 1));
+
+// Throw unless a parking is open for the whole of [from, to)
+const assertOpenFor = (parking, from, to) => {
+  if (!isOpenFor(parking, from, to)) {
+    throw new AppError('The parking is closed during the requested time', 400);
+  }
+};
+
+// A parking's hours on the local date of `at`, for showing to drivers
+const hoursOn = (parking, at = new Date()) => {
+  const date = localDateOf(at, timeZoneOf(parking));
+  const special = (parking.specialHours || []).find((item) => item.date === dateKey(date));
+  return {
+    date: dateKey(date),
+    timezone: timeZoneOf(parking),
+    day: weekdayOf(date),
+    intervals: intervalsOn(parking, date).map(({ open, close }) => ({ open, close })),
+    special: special ? { closed: special.closed, note: special.note } : null,
+  };
+};
+
+// A search filter for the parkings open for the whole of [from, to). Parkings open
+// round the clock with no special hours on the days around the range are matched by the
+// query itself; only the others among those matching `filter` are loaded to check.
+const openParkingsFilter = async (from, to, filter = {}) => {
+  // A day either side of the UTC dates covers the local dates in every zone
+  const nearbyDates = [];
+  const lastDay = dateKey(addDays(localDateOf(to, 'UTC'), 1));
+  for (
+    let day = addDays(localDateOf(from, 'UTC'), -1);
+    dateKey(day) <= lastDay;
+    day = addDays(day, 1)
+  ) {
+    nearbyDates.push(dateKey(day));
+  }
+  const alwaysOpen = { is24x7: true, 'specialHours.date': { $nin: nearbyDates } };
+
+  const others = await Parking.find({ $and: [filter, { $nor: [alwaysOpen] }] }).select(
+    'timezone is24x7 openingHours specialHours'
+  );
+  const openIds = others
+    .filter((parking) => isOpenFor(parking, from, to))
+    .map((parking) => parking._id);
+  return { $or: [alwaysOpen, { _id: { $in: openIds } }] };
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  timeZoneOf,
+  openWindows,
+  isOpenFor,
+  isOpenAt,
+  assertOpenFor,
+  hoursOn,
+  openParkingsFilter,
+};
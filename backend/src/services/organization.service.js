@@ -0,0 +1,222 @@
+const Booking = require('../models/booking.model');
+const OrganizationMember = require('../models/organizationMember.model');
+const AppError = require('../utils/appError');
+const { scheduleContains } = require('../utils/weeklySchedule');
+const { timeZoneOf } = require('./openingHours.service');
+
+// Statuses of organisation bookings that end up on the monthly statement
+const BILLABLE_STATUSES = ['confirmed', 'checked-in', 'completed', 'no-show'];
+
+// How long a booking waiting for approval holds its slot (never past its start)
+const APPROVAL_HOLD_HOURS = process.env.ORG_APPROVAL_HOLD_HOURS * 1 || 24;
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const isSet = (value) => value !== undefined && value !== null;
+
+// The [start, end) of a calendar month given as YYYY-MM, in server-local time
+const monthRange = (month) => {
+  if (!MONTH_PATTERN.test(month || '')) {
+    throw new AppError('Please provide the month as YYYY-MM', 400);
+  }
+  const [year, monthIndex] = month.split('-').map(Number);
+  return {
+    start: new Date(year, monthIndex - 1, 1),
+    end: new Date(year, monthIndex, 1),
+  };
+};
+
+const monthOf = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+// Load the current user's active membership of an organisation. With `adminOnly`,
+// the user must be one of its admins. Platform admins may act as org admins.
+const findMembership = async (organizationId, user, { adminOnly = false } = {}) => {
+  const member = await OrganizationMember.findOne({
+    organization: organizationId,
+    user: user.id,
+    status: 'active',
+  });
+  if (user.role === 'admin') return member;
+  if (!member) {
+    throw new AppError('You are not a member of this organisation', 403);
+  }
+  if (adminOnly && member.role !== 'admin') {
+    throw new AppError('Only organisation admins can do this', 403);
+  }
+  return member;
+};
+
+// What an organisation booking costs the organisation
+const billableAmount = (booking) => {
+  if (!BILLABLE_STATUSES.includes(booking.status)) return 0;
+  const base =
+    booking.status === 'no-show' ? (booking.noShow && booking.noShow.fee) || 0 : booking.amount;
+  const overstay = (booking.overstay && booking.overstay.amount) || 0;
+  return roundMoney(base + overstay);
+};
+
+// billableAmount as an aggregation expression, for settling bookings in a pipeline update
+const billableAmountExpression = {
+  $round: [
+    {
+      $add: [
+        {
+          $cond: [
+            { $eq: ['$status', 'no-show'] },
+            { $ifNull: ['$noShow.fee', 0] },
+            '$amount',
+          ],
+        },
+        { $ifNull: ['$overstay.amount', 0] },
+      ],
+    },
+    2,
+  ],
+};
+
+// A member's spend in the month of `at`, counting bookings still waiting for approval
+const memberSpend = async (organizationId, userId, at) => {
+  const { start, end } = monthRange(monthOf(at));
+  const bookings = await Booking.find({
+    organization: organizationId,
+    user: userId,
+    startTime: { $gte: start, $lt: end },
+    $or: [
+      { status: { $in: BILLABLE_STATUSES } },
+      { status: 'pending', holdExpiresAt: { $gt: new Date() } },
+    ],
+  }).select('status amount noShow overstay');
+
+  const spend = bookings.reduce(
+    (sum, booking) =>
+      sum + (booking.status === 'pending' ? booking.amount : billableAmount(booking)),
+    0
+  );
+  return roundMoney(spend);
+};
+
+// Check a booking against the organisation's policy. Bookings at parkings or times the
+// policy does not allow are refused; bookings over a spending limit need approval.
+// Returns the list of reasons an approval is needed (empty if none).
+const checkBookingPolicy = async ({
+  organization,
+  member,
+  parking,
+  startTime,
+  endTime,
+  amount,
+}) => {
+  const policy = organization.policy || {};
+
+  const allowedParkings = policy.allowedParkings || [];
+  if (allowedParkings.length > 0 && !allowedParkings.some((id) => id.equals(parking._id))) {
+    throw new AppError(`${organization.name} does not allow bookings at this parking`, 403);
+  }
+
+  const hours = policy.allowedHours || {};
+  const restrictsHours = (hours.days && hours.days.length > 0) || !!hours.startTime;
+  if (restrictsHours && !scheduleContains(hours, startTime, endTime, timeZoneOf(parking))) {
+    throw new AppError(`${organization.name} does not allow bookings at this time`, 403);
+  }
+
+  const reasons = [];
+  if (policy.requireApproval) {
+    reasons.push('All bookings need approval');
+  }
+  if (isSet(policy.perBookingLimit) && amount > policy.perBookingLimit) {
+    reasons.push(`Booking exceeds the per-booking limit of ${policy.perBookingLimit}`);
+  }
+
+  const monthlyLimit =
+    member && isSet(member.monthlyLimit) ? member.monthlyLimit : policy.monthlyLimit;
+  if (isSet(monthlyLimit)) {
+    const spent = await memberSpend(organization._id, member ? member.user : null, startTime);
+    if (spent + amount > monthlyLimit) {
+      reasons.push(`Booking takes this month's spend past the limit of ${monthlyLimit}`);
+    }
+  }
+
+  return reasons;
+};
+
+// When the slot hold of a booking waiting for approval runs out
+const approvalHoldExpiry = (startTime, from = new Date()) => {
+  const deadline = from.getTime() + APPROVAL_HOLD_HOURS * 60 * 60 * 1000;
+  return new Date(Math.min(startTime.getTime(), deadline));
+};
+
+// Build an organisation's statement for a month from its bookings: one line per booking,
+// subtotals per member and the amount due
+const buildStatement = async (organization, month) => {
+  const { start, end } = monthRange(month);
+  const filter = {
+    organization: organization._id,
+    startTime: { $gte: start, $lt: end },
+    status: { $in: BILLABLE_STATUSES },
+  };
+  const bookings = await Booking.find(filter).sort('startTime');
+
+  // Deactivated users and parkings do not populate, so their ids come from the raw bookings
+  const rawUsers = await Booking.aggregate([{ $match: filter }, { $project: { user: 1 } }]);
+  const userIds = new Map(rawUsers.map((raw) => [raw._id.toString(), raw.user]));
+
+  const members = new Map();
+  const lines = bookings.map((booking) => {
+    const amount = billableAmount(booking);
+    const user = booking.user || { _id: userIds.get(booking._id.toString()) };
+    const key = String(user._id);
+    if (!members.has(key)) {
+      members.set(key, {
+        user: user._id,
+        name: user.name || null,
+        email: user.email || null,
+        bookings: 0,
+        amount: 0,
+      });
+    }
+    const subtotal = members.get(key);
+    subtotal.bookings += 1;
+    subtotal.amount = roundMoney(subtotal.amount + amount);
+
+    return {
+      booking: booking._id,
+      user: user._id,
+      parking: booking.parking ? booking.parking.name : null,
+      slot: booking.slotNumber,
+      startTime: booking.startTime,
+      endTime: booking.endTime,
+      status: booking.status,
+      amount,
+      overstay: (booking.overstay && booking.overstay.amount) || 0,
+    };
+  });
+
+  const total = roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+  const settlement = (organization.settlements || []).find((item) => item.month === month);
+
+  return {
+    organization: organization._id,
+    month,
+    periodStart: start,
+    periodEnd: end,
+    lines,
+    members: [...members.values()].sort((a, b) => b.amount - a.amount),
+    total,
+    settlement: settlement || null,
+  };
+};
+
+module.exports = {
+  BILLABLE_STATUSES,
+  monthRange,
+  findMembership,
+  billableAmount,
+  billableAmountExpression,
+  memberSpend,
+  checkBookingPolicy,
+  approvalHoldExpiry,
+  buildStatement,
+};
@@ -0,0 +1,213 @@
+const Pass = require('../models/pass.model');
+const Parking = require('../models/parking.model');
+const Booking = require('../models/booking.model');
+const { invalidateAvailabilityCache } = require('./slot.service');
+const { scheduleOverlaps } = require('../utils/weeklySchedule');
+const { DEFAULT_TIMEZONE, timeZoneOf } = require('./openingHours.service');
+const { emitToUser, updateParkingAvailability } = require('../utils/socket');
+const logger = require('../utils/logger');
+// Loaded as a whole, as the payment controller itself needs this service
+const paymentController = require('../controllers/payment.controller');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a pass bought but not yet paid for keeps its place
+const PASS_HOLD_MINUTES = process.env.PASS_HOLD_MINUTES * 1 || 30;
+
+// How long an auto-renewing pass stays valid past its period while the renewal charge
+// comes through
+const RENEWAL_GRACE_MS = (process.env.PASS_RENEWAL_GRACE_HOURS * 1 || 24) * 60 * 60 * 1000;
+
+// Record a payment for a pass: activates a pending pass or adds another period to an
+// active one. Safe to call more than once for the same payment (verify + webhook).
+// A pending pass is only activated if it was paid while its hold still kept its place,
+// so late payments never take it past the product's capacity.
+// Returns the updated pass, or null if the pass can no longer take payments (the caller
+// refunds those).
+const applyPassPayment = async (passId, { paymentId, orderId, amount, paidAt = new Date() }) => {
+  const isRenewal = {
+    $and: [{ $eq: ['$status', 'active'] }, { $gt: ['$currentPeriod.end', paidAt] }],
+  };
+  const periodStart = { $cond: [isRenewal, '$currentPeriod.end', paidAt] };
+  const periodEnd = { $add: [periodStart, { $multiply: ['$durationDays', DAY_MS] }] };
+
+  const pass = await Pass.findOneAndUpdate(
+    {
+      _id: passId,
+      $or: [{ status: 'active' }, { status: 'pending', holdExpiresAt: { $gt: paidAt } }],
+      'payments.paymentId': { $ne: paymentId },
+    },
+    [
+      {
+        $set: {
+          status: 'active',
+          'currentPeriod.start': { $cond: [isRenewal, '$currentPeriod.start', paidAt] },
+          'currentPeriod.end': periodEnd,
+          'payment.status': 'completed',
+          'payment.paymentId': paymentId,
+          'payment.paidAt': paidAt,
+          payments: {
+            $concatArrays: [
+              { $ifNull: ['$payments', []] },
+              [{ paymentId, orderId, amount, periodStart, periodEnd, paidAt }],
+            ],
+          },
+        },
+      },
+      { $unset: 'holdExpiresAt' },
+    ],
+    { new: true }
+  );
+
+  if (!pass) {
+    const existing = await Pass.findById(passId);
+    return existing && existing.status === 'active' ? existing : null;
+  }
+
+  emitToUser(pass.user.toString(), 'pass:updated', {
+    passId: pass._id,
+    status: pass.status,
+    currentPeriod: pass.currentPeriod,
+  });
+  return pass;
+};
+
+// Give a reserved pass's slot back to the parking. A slot with a car still in it
+// stays occupied until the holder checks out.
+const releasePassSlot = async (pass) => {
+  if (!pass.slot) return;
+
+  const parkingId = pass.parking._id || pass.parking;
+  await Parking.updateOne(
+    { _id: parkingId, slots: { $elemMatch: { _id: pass.slot, pass: pass._id } } },
+    { $unset: { 'slots.$.pass': 1 } }
+  );
+  await Parking.updateOne(
+    {
+      _id: parkingId,
+      slots: { $elemMatch: { _id: pass.slot, status: 'reserved', pass: { $exists: false } } },
+    },
+    { $set: { 'slots.$.status': 'available' } }
+  );
+  await invalidateAvailabilityCache(parkingId);
+};
+
+// Free the slot a pass holder parked in when they check out. Their own reserved slot
+// goes back to reserved, any other slot to reserved or available like after a booking.
+const vacatePassSlot = async (pass, slotId) => {
+  const parkingId = pass.parking._id || pass.parking;
+  const parking = await Parking.findById(parkingId).select('slots');
+  const slot = parking && parking.slots.id(slotId);
+  if (!slot) return;
+
+  let status = 'available';
+  if (slot.pass && slot.pass.equals(pass._id)) {
+    status = 'reserved';
+  } else {
+    const upcoming = await Booking.exists({
+      slot: slotId,
+      endTime: { $gt: new Date() },
+      ...Booking.blockingFilter(),
+    });
+    if (upcoming) status = 'reserved';
+  }
+
+  await Parking.updateOne(
+    { _id: parkingId, slots: { $elemMatch: { _id: slotId, status: 'occupied' } } },
+    { $set: { 'slots.$.status': status } }
+  );
+  await invalidateAvailabilityCache(parkingId);
+};
+
+// Count active floating passes per slot type whose schedule overlaps a window, for each
+// of several parkings, so they keep room for their holders: { parkingId: { type: count } }.
+// Holders already parked are not counted, as their slot already shows as occupied.
+const reservedFloatingCapacityByParking = async (parkingIds, from, to) => {
+  const passes = await Pass.find({
+    parking: { $in: parkingIds },
+    status: 'active',
+    slot: { $exists: false },
+    'currentPeriod.start': { $lt: to },
+    'currentPeriod.end': { $gt: from },
+    'currentVisit.checkInTime': { $exists: false },
+  }).populate('product', 'schedule slotType');
+  if (passes.length === 0) return {};
+
+  // Schedules are read on each parking's clock
+  const parkings = await Parking.find({ _id: { $in: parkingIds } }).select('timezone');
+  const zones = new Map(parkings.map((parking) => [String(parking._id), timeZoneOf(parking)]));
+
+  const reserved = {};
+  passes.forEach((pass) => {
+    const timeZone = zones.get(String(pass.parking)) || DEFAULT_TIMEZONE;
+    if (!pass.product || !scheduleOverlaps(pass.product.schedule, from, to, timeZone)) return;
+    const counts = reserved[pass.parking] || (reserved[pass.parking] = {});
+    const type = pass.product.slotType;
+    counts[type] = (counts[type] || 0) + 1;
+  });
+  return reserved;
+};
+
+// The same for one parking: { type: count }
+const reservedFloatingCapacity = async (parkingId, from, to) => {
+  const reserved = await reservedFloatingCapacityByParking([parkingId], from, to);
+  return reserved[parkingId] || {};
+};
+
+// Close passes that ran out: unpaid holds are cancelled, passes past their period
+// (plus a grace for pending renewals) expire, and the renewals of either are stopped.
+// Run periodically by the job scheduler.
+const expirePasses = async (now = new Date()) => {
+  const stale = await Pass.find({
+    $or: [
+      { status: 'pending', holdExpiresAt: { $lte: now } },
+      { status: 'active', autoRenew: false, 'currentPeriod.end': { $lte: now } },
+      {
+        status: 'active',
+        autoRenew: true,
+        'currentPeriod.end': { $lte: new Date(now.getTime() - RENEWAL_GRACE_MS) },
+      },
+    ],
+  })
+    .select('_id status autoRenew')
+    .lean();
+
+  let closed = 0;
+  for (const { _id, status, autoRenew } of stale) {
+    try {
+      const pass = await Pass.findOneAndUpdate(
+        { _id, status },
+        status === 'pending'
+          ? { status: 'cancelled', cancelledAt: now, $unset: { holdExpiresAt: 1 } }
+          : { status: 'expired', autoRenew: false },
+        { new: true }
+      );
+      if (!pass) continue;
+
+      await releasePassSlot(pass);
+      emitToUser(pass.user.toString(), 'pass:updated', { passId: pass._id, status: pass.status });
+      await updateParkingAvailability(pass.parking);
+      closed += 1;
+
+      // Charges the subscription still makes are refunded when they come in
+      if (autoRenew) await paymentController.cancelPassSubscription(pass);
+    } catch (error) {
+      logger.error(`Error expiring pass ${_id}: ${error.message}`);
+    }
+  }
+
+  if (closed > 0) {
+    logger.info(`Closed ${closed} expired pass(es)`);
+  }
+  return closed;
+};
+
+module.exports = {
+  PASS_HOLD_MINUTES,
+  applyPassPayment,
+  releasePassSlot,
+  vacatePassSlot,
+  reservedFloatingCapacity,
+  reservedFloatingCapacityByParking,
+  expirePasses,
+};
@@ -0,0 +1,225 @@
+const Booking = require('../models/booking.model');
+const AppError = require('../utils/appError');
+const { evaluateCondition, validateCondition } = require('../utils/ruleCondition');
+const { localDateOf, timeOfDay, weekdayOf } = require('../utils/timezone');
+const { timeZoneOf } = require('./openingHours.service');
+const logger = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const QUOTE_VALIDITY_MINUTES = 15;
+
+// Longest booking that can be priced. A quote checks every billed hour against every
+// rule, so this also bounds the work one quote request can cause.
+const MAX_BOOKING_DAYS = 31;
+
+// How long ago a new booking may start, so booking "now" survives a slow request
+const START_GRACE_MINUTES = 5;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Share of the parking's slots blocked by bookings at the given moment
+const getOccupancyRatio = async (parking, at) => {
+  if (!parking.slots.length) return 0;
+
+  const blockedSlots = await Booking.distinct('slot', {
+    parking: parking._id,
+    startTime: { $lte: at },
+    endTime: { $gt: at },
+    ...Booking.blockingFilter(),
+  });
+  return Math.round((blockedSlots.length / parking.slots.length) * 100) / 100;
+};
+
+// Variables a pricing rule condition can refer to, for the billed hour starting at `at`.
+// Time and day are the parking's wall clock.
+const buildRuleContext = ({
+  at,
+  timeZone,
+  slot,
+  vehicleType,
+  durationHours,
+  occupancyRatio = 0,
+  leadTimeMinutes = 0,
+}) => ({
+  time: timeOfDay(at, timeZone),
+  dayOfWeek: weekdayOf(localDateOf(at, timeZone)),
+  occupancyRatio,
+  leadTimeMinutes,
+  vehicleType: vehicleType || slot.type,
+  slotType: slot.type,
+  durationHours,
+});
+
+// Check every rule condition; returns a list of { index, name, message, position }
+const validatePricingRules = (rules = []) =>
+  rules.reduce((errors, rule, index) => {
+    const error = validateCondition(rule && rule.condition);
+    if (error) errors.push({ index, name: rule.name, ...error });
+    return errors;
+  }, []);
+
+// Throw unless a booking window is valid and at most MAX_BOOKING_DAYS long
+const assertBookingLength = (startTime, endTime) => {
+  if (isNaN(startTime) || isNaN(endTime) || endTime <= startTime) {
+    throw new AppError('Please provide a valid start and end time', 400);
+  }
+  if (endTime - startTime > MAX_BOOKING_DAYS * 24 * HOUR_MS) {
+    throw new AppError(`A booking can be at most ${MAX_BOOKING_DAYS} days long`, 400);
+  }
+};
+
+// Throw unless a new booking can have this window: valid, not too long and not started
+// (beyond a few minutes' grace)
+const assertBookingWindow = (startTime, endTime, now = new Date()) => {
+  assertBookingLength(startTime, endTime);
+  if (startTime < now.getTime() - START_GRACE_MINUTES * 60 * 1000) {
+    throw new AppError('A booking cannot start in the past', 400);
+  }
+};
+
+const ruleMatches = (rule, context) => {
+  try {
+    return evaluateCondition(rule.condition, context);
+  } catch (error) {
+    logger.warn(`Skipping pricing rule "${rule.name}": ${error.message}`);
+    return false;
+  }
+};
+
+// Build a line-itemised price for booking `slot` of `parking` between startTime and endTime.
+// Each billed hour is checked against every dynamic pricing rule; a matching rule adds
+// (multiplier - 1) x the hourly price for that hour, so rules stack additively. Windows
+// longer than MAX_BOOKING_DAYS are refused.
+const quoteBooking = async ({ parking, slot, startTime, endTime, vehicleType }) => {
+  assertBookingLength(startTime, endTime);
+  const hours = Booking.calculateDuration(startTime, endTime);
+  const basePrice = roundMoney(hours * slot.pricePerHour);
+
+  const lineItems = [
+    {
+      type: 'base',
+      label: `${hours} h x ${slot.pricePerHour}`,
+      hours,
+      unitPrice: slot.pricePerHour,
+      amount: basePrice,
+    },
+  ];
+
+  const rules =
+    parking.dynamicPricing && parking.dynamicPricing.isEnabled
+      ? parking.dynamicPricing.rules
+      : [];
+
+  // Occupancy and lead time are taken once, at the start of the booking
+  const occupancyRatio = rules.length ? await getOccupancyRatio(parking, startTime) : 0;
+  const leadTimeMinutes = Math.max(0, Math.round((startTime - Date.now()) / 60000));
+
+  rules.forEach((rule) => {
+    let matchedHours = 0;
+    for (let i = 0; i < hours; i += 1) {
+      const context = buildRuleContext({
+        at: new Date(startTime.getTime() + i * HOUR_MS),
+        timeZone: timeZoneOf(parking),
+        slot,
+        vehicleType,
+        durationHours: hours,
+        occupancyRatio,
+        leadTimeMinutes,
+      });
+      if (ruleMatches(rule, context)) matchedHours += 1;
+    }
+
+    if (matchedHours > 0) {
+      lineItems.push({
+        type: 'dynamic',
+        label: rule.name,
+        ruleId: rule._id,
+        multiplier: rule.multiplier,
+        hours: matchedHours,
+        amount: roundMoney(matchedHours * slot.pricePerHour * (rule.multiplier - 1)),
+      });
+    }
+  });
+
+  const total = Math.max(
+    0,
+    roundMoney(lineItems.reduce((sum, item) => sum + item.amount, 0))
+  );
+
+  return {
+    parking: parking._id,
+    slot: slot._id,
+    startTime,
+    endTime,
+    vehicleType: vehicleType || slot.type,
+    currency: 'INR',
+    lineItems,
+    total,
+    quotedAt: new Date(),
+    validUntil: new Date(Date.now() + QUOTE_VALIDITY_MINUTES * 60 * 1000),
+  };
+};
+
+// Show which pricing rules would fire for a booking starting at `at`.
+// Runs even when dynamic pricing is disabled so owners can try rules out first.
+const dryRunRules = async ({ parking, slot, at, vehicleType, durationHours = 1 }) => {
+  const context = buildRuleContext({
+    at,
+    timeZone: timeZoneOf(parking),
+    slot,
+    vehicleType,
+    durationHours,
+    occupancyRatio: await getOccupancyRatio(parking, at),
+    leadTimeMinutes: Math.max(0, Math.round((at - Date.now()) / 60000)),
+  });
+
+  const rules = parking.dynamicPricing ? parking.dynamicPricing.rules : [];
+  const results = rules.map((rule) => {
+    const error = validateCondition(rule.condition);
+    return {
+      ruleId: rule._id,
+      name: rule.name,
+      condition: rule.condition,
+      multiplier: rule.multiplier,
+      matches: error ? false : evaluateCondition(rule.condition, context),
+      error,
+    };
+  });
+
+  return {
+    isEnabled: !!(parking.dynamicPricing && parking.dynamicPricing.isEnabled),
+    context,
+    rules: results,
+  };
+};
+
+// Price the time a driver stayed past the end of their booking. Overstays within the
+// parking's grace period are free; beyond it every started hour is charged at the
+// slot's hourly price times the overstay multiplier.
+const quoteOverstay = ({ parking, slot, endTime, checkOutTime }) => {
+  const policy = parking.overstayPolicy || {};
+  const graceMinutes = policy.graceMinutes ?? 10;
+  const minutes = Math.max(0, Math.ceil((checkOutTime - endTime) / 60000));
+
+  if (minutes <= graceMinutes) {
+    return { minutes, amount: 0 };
+  }
+
+  const hours = Math.ceil(minutes / 60);
+  return {
+    minutes,
+    hours,
+    amount: roundMoney(hours * slot.pricePerHour * (policy.rateMultiplier || 1.5)),
+  };
+};
+
+module.exports = {
+  MAX_BOOKING_DAYS,
+  assertBookingLength,
+  assertBookingWindow,
+  buildRuleContext,
+  validatePricingRules,
+  quoteBooking,
+  dryRunRules,
+  quoteOverstay,
+};
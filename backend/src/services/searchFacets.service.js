@@ -0,0 +1,131 @@
+const Parking = require('../models/parking.model');
+const AppError = require('../utils/appError');
+const { loadCatalogue, canonicalAmenities } = require('./amenity.service');
+
+// Query parameters used by the facet filters, to keep them out of the field filters
+const FACET_PARAMS = ['amenities', 'slotTypes'];
+
+// Lower bounds of the hourly price buckets; the last one is open-ended
+const PRICE_BUCKETS = [0, 50, 100, 200, 500];
+
+// Rating chips are "at least" thresholds, so a parking counts towards every one it meets
+const RATING_THRESHOLDS = [4.5, 4, 3.5, 3];
+
+const SLOT_TYPES = Parking.schema.path('slots').schema.path('type').enumValues;
+
+const listOf = (value) =>
+  String(value)
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Filters for amenities=cctv,covered (parkings having all of them, themselves or on any
+// slot) and slotTypes=ev,bike (parkings with a slot of any of those types)
+const buildFacetFilters = async ({ amenities, slotTypes }) => {
+  const filters = [];
+
+  if (amenities !== undefined) {
+    const keys = await canonicalAmenities(listOf(amenities));
+    keys.forEach((key) => filters.push({ $or: [{ features: key }, { 'slots.features': key }] }));
+  }
+
+  if (slotTypes !== undefined) {
+    const types = listOf(slotTypes);
+    const unknown = types.filter((type) => !SLOT_TYPES.includes(type));
+    if (types.length === 0 || unknown.length > 0) {
+      throw new AppError(`Slot types must be among: ${SLOT_TYPES.join(', ')}`, 400);
+    }
+    filters.push({ 'slots.type': { $in: types } });
+  }
+
+  return filters;
+};
+
+// Counts behind the search filter chips, over every parking matching `filter` (not just
+// the current page): amenities, slot types, hourly price buckets, minimum ratings and 24x7.
+// `filter` must already be cast, e.g. from query.cast(), as aggregations don't cast.
+const searchFacets = async (filter) => {
+  const [[counts], catalogue] = await Promise.all([
+    Parking.aggregate([
+      { $match: filter },
+      {
+        $project: {
+          rating: 1,
+          is24x7: 1,
+          minPricePerHour: 1,
+          slotTypes: { $setUnion: [{ $ifNull: ['$slots.type', []] }, []] },
+          amenities: {
+            $setUnion: [
+              { $ifNull: ['$features', []] },
+              {
+                $reduce: {
+                  input: { $ifNull: ['$slots.features', []] },
+                  initialValue: [],
+                  in: { $setUnion: ['$$value', { $ifNull: ['$$this', []] }] },
+                },
+              },
+            ],
+          },
+        },
+      },
+      {
+        $facet: {
+          amenities: [{ $unwind: '$amenities' }, { $sortByCount: '$amenities' }],
+          slotTypes: [{ $unwind: '$slotTypes' }, { $sortByCount: '$slotTypes' }],
+          price: [
+            {
+              $bucket: {
+                groupBy: '$minPricePerHour',
+                boundaries: [...PRICE_BUCKETS, Number.MAX_SAFE_INTEGER],
+                default: 'unknown',
+                output: { count: { $sum: 1 } },
+              },
+            },
+          ],
+          flags: [
+            {
+              $group: {
+                _id: null,
+                is24x7: { $sum: { $cond: [{ $eq: ['$is24x7', true] }, 1, 0] } },
+                ...Object.fromEntries(
+                  RATING_THRESHOLDS.map((min, i) => [
+                    `rating${i}`,
+                    { $sum: { $cond: [{ $gte: ['$rating', min] }, 1, 0] } },
+                  ])
+                ),
+              },
+            },
+          ],
+        },
+      },
+    ]),
+    loadCatalogue(),
+  ]);
+
+  const amenities = new Map(catalogue.map((amenity) => [amenity.key, amenity]));
+  const prices = new Map(counts.price.map(({ _id, count }) => [_id, count]));
+  const flags = counts.flags[0] || {};
+
+  return {
+    amenities: counts.amenities.map(({ _id: key, count }) => ({
+      key,
+      name: amenities.has(key) ? amenities.get(key).name : key,
+      icon: amenities.has(key) ? amenities.get(key).icon : undefined,
+      count,
+    })),
+    slotTypes: counts.slotTypes.map(({ _id: type, count }) => ({ type, count })),
+    price: PRICE_BUCKETS.map((min, i) => ({
+      min,
+      max: PRICE_BUCKETS[i + 1] ?? null,
+      count: prices.get(min) || 0,
+    })),
+    rating: RATING_THRESHOLDS.map((min, i) => ({ min, count: flags[`rating${i}`] || 0 })),
+    is24x7: flags.is24x7 || 0,
+  };
+};
+
+module.exports = {
+  FACET_PARAMS,
+  buildFacetFilters,
+  searchFacets,
+};
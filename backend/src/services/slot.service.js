@@ -0,0 +1,82 @@
+const Parking = require('../models/parking.model');
+const Booking = require('../models/booking.model');
+const { getRedisClient } = require('../config/redis');
+const logger = require('../utils/logger');
+
+// Drop the cached availability snapshot for a parking
+const invalidateAvailabilityCache = async (parkingId) => {
+  const redisClient = getRedisClient();
+  if (redisClient) {
+    try {
+      await redisClient.del(`parking:${parkingId}:availability`);
+    } catch (error) {
+      logger.error(`Redis error: ${error.message}`);
+    }
+  }
+};
+
+// Mark an available slot as reserved for an upcoming booking
+const reserveSlot = async (parkingId, slotId) => {
+  await Parking.updateOne(
+    { _id: parkingId, slots: { $elemMatch: { _id: slotId, status: 'available' } } },
+    { $set: { 'slots.$.status': 'reserved' } }
+  );
+  await invalidateAvailabilityCache(parkingId);
+};
+
+// Put a reserved slot back to available once a booking no longer needs it.
+// The slot stays reserved if another booking still blocks it.
+const releaseSlot = async (booking) => {
+  const parkingId = booking.parking._id;
+
+  const stillBlocked = await Booking.exists({
+    _id: { $ne: booking._id },
+    slot: booking.slot,
+    endTime: { $gt: new Date() },
+    ...Booking.blockingFilter(),
+  });
+  if (stillBlocked) return false;
+
+  await Parking.updateOne(
+    { _id: parkingId, slots: { $elemMatch: { _id: booking.slot, status: 'reserved' } } },
+    { $set: { 'slots.$.status': 'available' } }
+  );
+  await invalidateAvailabilityCache(parkingId);
+  return true;
+};
+
+// Mark a slot as occupied when a driver checks in
+const occupySlot = async (parkingId, slotId) => {
+  await Parking.updateOne(
+    { _id: parkingId, 'slots._id': slotId },
+    { $set: { 'slots.$.status': 'occupied' } }
+  );
+  await invalidateAvailabilityCache(parkingId);
+};
+
+// Free an occupied slot when a driver checks out. It goes back to reserved
+// if another booking is still coming up, otherwise to available.
+const vacateSlot = async (booking) => {
+  const parkingId = booking.parking._id;
+
+  const upcoming = await Booking.exists({
+    _id: { $ne: booking._id },
+    slot: booking.slot,
+    endTime: { $gt: new Date() },
+    ...Booking.blockingFilter(),
+  });
+
+  await Parking.updateOne(
+    { _id: parkingId, slots: { $elemMatch: { _id: booking.slot, status: 'occupied' } } },
+    { $set: { 'slots.$.status': upcoming ? 'reserved' : 'available' } }
+  );
+  await invalidateAvailabilityCache(parkingId);
+};
+
+module.exports = {
+  invalidateAvailabilityCache,
+  reserveSlot,
+  releaseSlot,
+  occupySlot,
+  vacateSlot,
+};
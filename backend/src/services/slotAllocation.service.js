@@ -0,0 +1,132 @@
+const Booking = require('../models/booking.model');
+const AppError = require('../utils/appError');
+
+// Slot types each vehicle type may park in
+const SLOT_TYPES_FOR_VEHICLE = {
+  car: ['car', 'ev', 'handicap'],
+  bike: ['bike'],
+  truck: ['truck'],
+  other: ['car'],
+};
+
+// Preferences that pick a slot type rather than a slot feature. They are hard
+// requirements: an EV driver needs a charger, an accessible slot is not optional.
+const TYPE_PREFERENCES = { ev: 'ev', accessible: 'handicap' };
+
+// Gaps shorter than this between two bookings on a slot are too short to sell
+const MIN_USEFUL_GAP_MINUTES = 60;
+
+// How far either side of the window neighbouring bookings are looked for
+const NEIGHBOUR_WINDOW_MS = 12 * 60 * 60 * 1000;
+
+const vehicleTypeOf = (vehicle) => (vehicle && vehicle.type) || 'car';
+
+const isCompatible = (vehicle, slot) =>
+  (SLOT_TYPES_FOR_VEHICLE[vehicleTypeOf(vehicle)] || []).includes(slot.type);
+
+// Slot types a vehicle may be given, honouring EV/accessible requests: special slots are
+// only handed out to drivers who asked for them
+const eligibleSlotTypes = (vehicle, preferences = []) => {
+  const wantedTypes = preferences
+    .filter((pref) => TYPE_PREFERENCES[pref])
+    .map((pref) => TYPE_PREFERENCES[pref]);
+  const specialTypes = Object.values(TYPE_PREFERENCES);
+
+  return (SLOT_TYPES_FOR_VEHICLE[vehicleTypeOf(vehicle)] || []).filter((type) =>
+    wantedTypes.length > 0 ? wantedTypes.includes(type) : !specialTypes.includes(type)
+  );
+};
+
+// Reject a vehicle that does not fit the slot's type
+const assertCompatibleSlot = (slot, vehicle) => {
+  if (!isCompatible(vehicle, slot)) {
+    throw new AppError(
+      `A ${vehicleTypeOf(vehicle)} cannot be parked in ${slot.type} slot ${slot.slotId}`,
+      400
+    );
+  }
+};
+
+// Score one side of the window by the gap it leaves to the neighbouring booking.
+// Sitting flush against a booking is best, leaving an unsellable sliver is worst.
+const edgeScore = (gapMinutes) => {
+  if (gapMinutes === Infinity) return 0;
+  if (gapMinutes === 0) return 30;
+  if (gapMinutes < MIN_USEFUL_GAP_MINUTES) return -30;
+  return 10; // Already in use that day, which keeps fully empty slots free
+};
+
+// Rank the free slots of a parking that fit the vehicle and preferences, best first.
+// Each entry is { slot, score, matched, missed } where matched/missed list the soft
+// (feature) preferences the slot does or does not meet.
+const rankSlots = async ({ parking, startTime, endTime, vehicle, preferences = [] }) => {
+  const types = eligibleSlotTypes(vehicle, preferences);
+  const wantedFeatures = preferences.filter((pref) => !TYPE_PREFERENCES[pref]);
+
+  // 1) Slots of the types the vehicle may be given; pass-reserved slots never are
+  const candidates = parking.slots.filter(
+    (slot) => slot.status !== 'maintenance' && !slot.pass && types.includes(slot.type)
+  );
+  if (candidates.length === 0) return [];
+
+  // 2) One query for every booking near the window, for availability and gaps
+  const nearby = await Booking.find({
+    slot: { $in: candidates.map((slot) => slot._id) },
+    startTime: { $lt: new Date(endTime.getTime() + NEIGHBOUR_WINDOW_MS) },
+    endTime: { $gt: new Date(startTime.getTime() - NEIGHBOUR_WINDOW_MS) },
+    ...Booking.blockingFilter(),
+  }).select('slot startTime endTime');
+
+  const bySlot = new Map();
+  nearby.forEach((booking) => {
+    const key = booking.slot.toString();
+    if (!bySlot.has(key)) bySlot.set(key, []);
+    bySlot.get(key).push(booking);
+  });
+
+  // 3) Score the free ones
+  const ranked = [];
+  for (const slot of candidates) {
+    const bookings = bySlot.get(slot._id.toString()) || [];
+    if (bookings.some((booking) => booking.startTime < endTime && booking.endTime > startTime)) {
+      continue;
+    }
+
+    const before = bookings.filter((booking) => booking.endTime <= startTime);
+    const after = bookings.filter((booking) => booking.startTime >= endTime);
+    const gapBefore = before.length
+      ? (startTime - Math.max(...before.map((booking) => booking.endTime))) / 60000
+      : Infinity;
+    const gapAfter = after.length
+      ? (Math.min(...after.map((booking) => booking.startTime)) - endTime) / 60000
+      : Infinity;
+
+    const features = slot.features || [];
+    const matched = wantedFeatures.filter((feature) => features.includes(feature));
+    const missed = wantedFeatures.filter((feature) => !features.includes(feature));
+
+    ranked.push({
+      slot,
+      score: matched.length * 100 + edgeScore(gapBefore) + edgeScore(gapAfter),
+      matched,
+      missed,
+    });
+  }
+
+  return ranked.sort((a, b) => b.score - a.score || a.slot.number - b.slot.number);
+};
+
+// Pick the best free slot for a vehicle, or null if none fits
+const allocateSlot = async (options) => {
+  const [best] = await rankSlots(options);
+  return best || null;
+};
+
+module.exports = {
+  SLOT_TYPES_FOR_VEHICLE,
+  eligibleSlotTypes,
+  isCompatible,
+  assertCompatibleSlot,
+  rankSlots,
+  allocateSlot,
+};
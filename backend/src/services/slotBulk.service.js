@@ -0,0 +1,480 @@
+const Booking = require('../models/booking.model');
+const AppError = require('../utils/appError');
+const { parseCsv, toCsv } = require('../utils/csv');
+
+const MAX_SLOTS = Number(process.env.MAX_SLOTS_PER_PARKING) || 2000;
+const MAX_GENERATED_SLOTS = 500;
+
+const SLOT_TYPES = ['car', 'bike', 'ev', 'handicap', 'truck'];
+// Owners switch slots between these; 'reserved' and 'occupied' follow bookings
+const OWNER_STATUSES = ['available', 'maintenance'];
+const BOOKING_STATUSES = ['reserved', 'occupied'];
+
+const SLOT_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,29}$/;
+// `{n}` in a naming pattern is the running number, `{n:3}` pads it to 3 digits
+const NUMBER_PLACEHOLDER = /\{n(?::([1-9]))?\}/;
+
+const CSV_COLUMNS = [
+  'slotId',
+  'number',
+  'type',
+  'status',
+  'pricePerHour',
+  'features',
+  'level',
+  'zone',
+  'row',
+  'x',
+  'y',
+  'rotation',
+];
+const POSITION_COLUMNS = ['level', 'zone', 'row', 'x', 'y', 'rotation'];
+
+const FILTER_KEYS = ['slotIds', 'type', 'status', 'level', 'zone', 'row', 'features'];
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const listOf = (value) =>
+  (Array.isArray(value) ? value : String(value).split(';'))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+const nextSlotNumber = (parking) =>
+  parking.slots.reduce((max, slot) => Math.max(max, slot.number || 0), 0) + 1;
+
+// IDs of the slots that have a confirmed, checked-in or held booking still to come
+const slotsWithUpcomingBookings = async (parking, now = new Date()) => {
+  const slotIds = await Booking.distinct('slot', {
+    parking: parking._id,
+    endTime: { $gt: now },
+    ...Booking.blockingFilter(now),
+  });
+  return new Set(slotIds.map((id) => id.toString()));
+};
+
+// The status a slot ends up in when an owner asks for `status`: slots coming out of
+// maintenance go back to 'reserved' if they still have bookings to honour
+const ownerStatusFor = (slot, status, bookedSlotIds) => {
+  if (status === 'maintenance') return 'maintenance';
+  if (slot.status !== 'maintenance') return slot.status;
+  return bookedSlotIds.has(slot._id.toString()) ? 'reserved' : 'available';
+};
+
+// Why a slot cannot go into maintenance, or null if it can: a vehicle is parked in it,
+// or it is dedicated to a pass
+const maintenanceBlock = (slot) => {
+  if (slot.status === 'occupied') return 'A vehicle is parked in the slot';
+  if (slot.pass) return 'The slot is dedicated to a pass';
+  return null;
+};
+
+// Upcoming bookings on the slots that change ({ slot, to } each), and what the change
+// means for them
+const affectedBookingsFor = async (parking, changes, now = new Date()) => {
+  if (changes.length === 0) return [];
+  const changesBySlot = new Map(changes.map((change) => [change.slot._id.toString(), change]));
+  const bookings = await Booking.find({
+    parking: parking._id,
+    slot: { $in: [...changesBySlot.keys()] },
+    endTime: { $gt: now },
+    ...Booking.blockingFilter(now),
+  })
+    .select('user slot slotNumber startTime endTime status amount')
+    .sort('startTime');
+
+  return bookings.map((booking) => {
+    const change = changesBySlot.get(booking.slot.toString());
+    return {
+      _id: booking._id,
+      slotId: change.slot.slotId,
+      startTime: booking.startTime,
+      endTime: booking.endTime,
+      status: booking.status,
+      amount: booking.amount,
+      user: booking.user && { _id: booking.user._id, name: booking.user.name },
+      impact: change.to.status === 'maintenance' ? 'slot-under-maintenance' : 'keeps-booked-price',
+    };
+  });
+};
+
+// Slot IDs from a naming pattern, e.g. 'L2-EV-{n:3}' from 7 gives 'L2-EV-007'
+const slotIdsFromPattern = (pattern, start, count) => {
+  const match = NUMBER_PLACEHOLDER.exec(pattern);
+  const width = match && match[1] ? Number(match[1]) : 0;
+  return Array.from({ length: count }, (_, index) =>
+    pattern.replace(NUMBER_PLACEHOLDER, String(start + index).padStart(width, '0'))
+  );
+};
+
+// Add `count` slots to a parking from a naming pattern and a template for their type,
+// price and features. Slots can be laid out in a line on the floor plan by giving a
+// starting position and a step (dx, dy) between slots. Returns the new slots; the
+// parking is not saved.
+const generateSlots = (parking, spec = {}) => {
+  const {
+    count,
+    pattern = 'slot-{n}',
+    type = 'car',
+    pricePerHour,
+    features = [],
+    position,
+  } = spec;
+  const firstNumber = nextSlotNumber(parking);
+  const start = isBlank(spec.start) ? firstNumber : Number(spec.start);
+
+  // 1) Check the template
+  if (!Number.isInteger(count) || count < 1 || count > MAX_GENERATED_SLOTS) {
+    throw new AppError(`Count must be a whole number from 1 to ${MAX_GENERATED_SLOTS}`, 400);
+  }
+  if (parking.slots.length + count > MAX_SLOTS) {
+    throw new AppError(`A parking can have at most ${MAX_SLOTS} slots`, 400);
+  }
+  if (typeof pattern !== 'string' || !NUMBER_PLACEHOLDER.test(pattern)) {
+    throw new AppError('The naming pattern must contain {n} or {n:digits}', 400);
+  }
+  if (!Number.isInteger(start) || start < 0) {
+    throw new AppError('Start must be a whole number', 400);
+  }
+  if (!SLOT_TYPES.includes(type)) {
+    throw new AppError(`Slot type must be one of: ${SLOT_TYPES.join(', ')}`, 400);
+  }
+  if (typeof pricePerHour !== 'number' || !(pricePerHour >= 0)) {
+    throw new AppError('Please provide a price per hour for the new slots', 400);
+  }
+
+  // 2) Name the slots, making sure none clash with each other or existing slots
+  const slotIds = slotIdsFromPattern(pattern, start, count);
+  const invalid = slotIds.find((slotId) => !SLOT_ID_PATTERN.test(slotId));
+  if (invalid) {
+    throw new AppError(`"${invalid}" is not a valid slot ID`, 400);
+  }
+  const existing = new Set(parking.slots.map((slot) => slot.slotId));
+  const clashes = slotIds.filter((slotId) => existing.has(slotId));
+  if (clashes.length > 0) {
+    throw new AppError(`These slot IDs already exist: ${clashes.slice(0, 10).join(', ')}`, 400);
+  }
+
+  // 3) Build the slots
+  const { dx = 0, dy = 0, ...place } = position || {};
+  const offsets = [place.x, place.y, dx, dy].filter((value) => !isBlank(value));
+  if (offsets.some((value) => typeof value !== 'number')) {
+    throw new AppError('Position coordinates and steps must be numbers', 400);
+  }
+  return slotIds.map((slotId, index) => {
+    const slot = {
+      slotId,
+      number: firstNumber + index,
+      type,
+      status: 'available',
+      pricePerHour,
+      features: listOf(features),
+    };
+    if (position) {
+      slot.position = {
+        ...place,
+        x: isBlank(place.x) ? undefined : place.x + dx * index,
+        y: isBlank(place.y) ? undefined : place.y + dy * index,
+      };
+    }
+    return slot;
+  });
+};
+
+// A parking's slots as CSV, one row per slot in slot-number order
+const exportSlots = (parking) => {
+  const rows = [...parking.slots]
+    .sort((a, b) => a.number - b.number)
+    .map((slot) => {
+      const position = slot.position || {};
+      return [
+        slot.slotId,
+        slot.number,
+        slot.type,
+        slot.status,
+        slot.pricePerHour,
+        (slot.features || []).join(';'),
+        ...POSITION_COLUMNS.map((column) => position[column]),
+      ];
+    });
+  return toCsv([CSV_COLUMNS, ...rows]);
+};
+
+// Check one CSV record and turn it into the changes it makes to a slot. Blank cells keep
+// the slot's current value (or the default for new slots). Adds problems to `errors`.
+const readSlotRecord = (record, { line, slot, hasPosition, errors }) => {
+  const fail = (column, message) => errors.push({ row: line, column, message });
+  const changes = {};
+
+  if (!isBlank(record.number)) {
+    const number = Number(record.number);
+    if (!Number.isInteger(number) || number < 1) fail('number', 'must be a whole number from 1');
+    else changes.number = number;
+  }
+  if (!isBlank(record.type)) {
+    if (!SLOT_TYPES.includes(record.type)) {
+      fail('type', `must be one of ${SLOT_TYPES.join(', ')}`);
+    } else {
+      changes.type = record.type;
+    }
+  }
+  // Exported files carry 'reserved' and 'occupied' too; those follow bookings, so they
+  // are read as "leave the status alone"
+  if (!isBlank(record.status)) {
+    if (OWNER_STATUSES.includes(record.status)) {
+      changes.status = record.status;
+    } else if (!BOOKING_STATUSES.includes(record.status)) {
+      fail('status', `must be one of ${OWNER_STATUSES.join(', ')}`);
+    }
+  }
+  if (!isBlank(record.pricePerHour)) {
+    const price = Number(record.pricePerHour);
+    if (!(price >= 0)) fail('pricePerHour', 'must be a number from 0');
+    else changes.pricePerHour = price;
+  } else if (!slot) {
+    fail('pricePerHour', 'is required for new slots');
+  }
+  if (record.features !== undefined) {
+    changes.features = listOf(record.features);
+  }
+
+  // The position columns describe the whole position; a blank level takes the slot
+  // off the floor plan
+  if (hasPosition) {
+    const position = {};
+    ['level', 'zone', 'row'].forEach((column) => {
+      if (!isBlank(record[column])) position[column] = record[column];
+    });
+    ['x', 'y', 'rotation'].forEach((column) => {
+      if (isBlank(record[column])) return;
+      const value = Number(record[column]);
+      if (!Number.isFinite(value)) fail(column, 'must be a number');
+      else if (column === 'rotation' && !(value >= 0 && value <= 359)) {
+        fail(column, 'must be between 0 and 359');
+      } else position[column] = value;
+    });
+    changes.position = position.level ? position : undefined;
+  }
+
+  return changes;
+};
+
+// Create or update slots from CSV text, matching rows to slots by slotId. Every row is
+// checked before anything changes: if any row has a problem, the parking is left as it
+// was and the problems are returned as { row, column, message } (row 1 is the header).
+// Otherwise the changes are applied to the parking, which is not saved, and the upcoming
+// bookings on slots going into maintenance or changing price are returned too. As with
+// bulk updates, occupied slots and slots dedicated to a pass cannot go into maintenance;
+// slots with bookings to come also keep their type, so the booked vehicles still fit.
+const importSlots = async (parking, text) => {
+  const [header = [], ...records] = parseCsv(text);
+  const errors = [];
+
+  // 1) Check the header
+  const columns = header.map((name) =>
+    CSV_COLUMNS.find((column) => column.toLowerCase() === name.trim().toLowerCase())
+  );
+  header.forEach((name, index) => {
+    if (!columns[index]) {
+      errors.push({ row: 1, column: name, message: 'is not a known column' });
+    }
+  });
+  if (!columns.includes('slotId')) {
+    errors.push({ row: 1, column: 'slotId', message: 'column is required' });
+  }
+  if (records.length === 0) {
+    errors.push({ row: 1, column: null, message: 'The file has no slots' });
+  }
+  if (errors.length > 0) return { created: [], updated: [], errors };
+
+  // 2) Check every row
+  const hasPosition = POSITION_COLUMNS.some((column) => columns.includes(column));
+  const slotsById = new Map(parking.slots.map((slot) => [slot.slotId, slot]));
+  const seen = new Set();
+  const rows = [];
+  records.forEach((cells, index) => {
+    const line = index + 2;
+    // Spreadsheets often save empty rows as a line of commas
+    if (cells.every((cell) => cell.trim() === '')) return;
+    const record = {};
+    columns.forEach((column, position) => {
+      if (column) record[column] = (cells[position] || '').trim();
+    });
+
+    const { slotId } = record;
+    const slot = slotsById.get(slotId);
+    const changes = readSlotRecord(record, { line, slot, hasPosition, errors });
+    if (!slotId || !SLOT_ID_PATTERN.test(slotId)) {
+      errors.push({ row: line, column: 'slotId', message: 'must be a valid slot ID' });
+    } else if (seen.has(slotId)) {
+      errors.push({ row: line, column: 'slotId', message: `${slotId} appears more than once` });
+    } else {
+      seen.add(slotId);
+      rows.push({ line, slotId, slot, changes });
+    }
+  });
+
+  const newSlots = rows.filter((row) => !row.slot).length;
+  if (parking.slots.length + newSlots > MAX_SLOTS) {
+    const message = `A parking can have at most ${MAX_SLOTS} slots`;
+    errors.push({ row: null, column: null, message });
+  }
+
+  // 3) Slot numbers must stay unique across the file and the slots it does not touch
+  let next = nextSlotNumber(parking);
+  const numbers = new Map(
+    parking.slots.filter((slot) => !seen.has(slot.slotId)).map((slot) => [slot.number, null])
+  );
+  rows.forEach((row) => {
+    if (row.changes.number === undefined && !row.slot) {
+      while (numbers.has(next) || rows.some((other) => other.changes.number === next)) next += 1;
+      row.changes.number = next;
+    }
+    const number = row.changes.number === undefined ? row.slot.number : row.changes.number;
+    if (numbers.has(number)) {
+      errors.push({ row: row.line, column: 'number', message: `${number} is already used` });
+    }
+    numbers.set(number, row.line);
+  });
+
+  if (errors.length > 0) return { created: [], updated: [], errors };
+
+  // 4) Slots in use keep what their parked vehicle or bookings rely on
+  const now = new Date();
+  const bookedSlotIds = await slotsWithUpcomingBookings(parking, now);
+  const slotChanges = [];
+  rows.forEach(({ line, slot, changes }) => {
+    if (!slot) return;
+    const to = {};
+    if (changes.status === 'maintenance' && slot.status !== 'maintenance') {
+      const reason = maintenanceBlock(slot);
+      if (reason) {
+        const message = `cannot go into maintenance: ${reason.toLowerCase()}`;
+        errors.push({ row: line, column: 'status', message });
+      } else {
+        to.status = 'maintenance';
+      }
+    }
+    if (
+      changes.type !== undefined &&
+      changes.type !== slot.type &&
+      bookedSlotIds.has(slot._id.toString())
+    ) {
+      const message = 'cannot change while the slot has upcoming bookings';
+      errors.push({ row: line, column: 'type', message });
+    }
+    if (changes.pricePerHour !== undefined && changes.pricePerHour !== slot.pricePerHour) {
+      to.pricePerHour = changes.pricePerHour;
+    }
+    if (Object.keys(to).length > 0) slotChanges.push({ slot, to });
+  });
+
+  if (errors.length > 0) return { created: [], updated: [], errors };
+  const affectedBookings = await affectedBookingsFor(parking, slotChanges, now);
+
+  // 5) Apply the changes
+  rows.forEach(({ slot, slotId, changes }) => {
+    const { status, ...fields } = changes;
+    if (slot) {
+      Object.assign(slot, fields);
+      if (status) slot.status = ownerStatusFor(slot, status, bookedSlotIds);
+    } else {
+      parking.slots.push({ slotId, ...fields, status: status || 'available' });
+    }
+  });
+
+  return {
+    created: rows.filter((row) => !row.slot).map((row) => row.slotId),
+    updated: rows.filter((row) => row.slot).map((row) => row.slotId),
+    affectedBookings,
+    errors,
+  };
+};
+
+// The slots matching a filter, e.g. { type: 'ev', level: '2' }. `slotIds` and
+// `features` are lists (or ';'-separated strings); a slot must have every feature.
+const matchSlots = (parking, filter = {}) => {
+  const unknown = Object.keys(filter).filter((key) => !FILTER_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new AppError(`Unknown slot filter: ${unknown.join(', ')}`, 400);
+  }
+  const slotIds = isBlank(filter.slotIds) ? null : new Set(listOf(filter.slotIds));
+  const features = isBlank(filter.features) ? [] : listOf(filter.features);
+
+  return parking.slots.filter((slot) => {
+    const position = slot.position || {};
+    return (
+      (!slotIds || slotIds.has(slot.slotId) || slotIds.has(slot._id.toString())) &&
+      (isBlank(filter.type) || slot.type === filter.type) &&
+      (isBlank(filter.status) || slot.status === filter.status) &&
+      (isBlank(filter.level) || position.level === String(filter.level)) &&
+      (isBlank(filter.zone) || position.zone === String(filter.zone)) &&
+      (isBlank(filter.row) || position.row === String(filter.row)) &&
+      features.every((feature) => (slot.features || []).includes(feature))
+    );
+  });
+};
+
+// Work out what setting `status` and/or `pricePerHour` on the slots matching `filter`
+// would do: the changes per slot, the slots that cannot change and why, and the
+// upcoming bookings on changed slots. Occupied slots and slots dedicated to a pass
+// cannot go into maintenance. Bookings keep the price they were made at.
+const planBulkUpdate = async (parking, filter, set = {}) => {
+  const { status, pricePerHour } = set;
+  if (isBlank(status) && isBlank(pricePerHour)) {
+    throw new AppError('Please provide a status or price per hour to set', 400);
+  }
+  if (!isBlank(status) && !OWNER_STATUSES.includes(status)) {
+    throw new AppError(`Status must be one of: ${OWNER_STATUSES.join(', ')}`, 400);
+  }
+  if (!isBlank(pricePerHour) && !(typeof pricePerHour === 'number' && pricePerHour >= 0)) {
+    throw new AppError('Price per hour must be a number from 0', 400);
+  }
+
+  const now = new Date();
+  const slots = matchSlots(parking, filter);
+  const bookedSlotIds = await slotsWithUpcomingBookings(parking, now);
+  const changes = [];
+  const skipped = [];
+
+  slots.forEach((slot) => {
+    const to = {};
+    if (!isBlank(status)) {
+      const reason = status === 'maintenance' && maintenanceBlock(slot);
+      if (reason) {
+        skipped.push({ slotId: slot.slotId, reason });
+      } else {
+        const next = ownerStatusFor(slot, status, bookedSlotIds);
+        if (next !== slot.status) to.status = next;
+      }
+    }
+    if (!isBlank(pricePerHour) && pricePerHour !== slot.pricePerHour) {
+      to.pricePerHour = pricePerHour;
+    }
+    if (Object.keys(to).length > 0) {
+      changes.push({
+        slot,
+        from: { status: slot.status, pricePerHour: slot.pricePerHour },
+        to,
+      });
+    }
+  });
+
+  const affectedBookings = await affectedBookingsFor(parking, changes, now);
+  return { matched: slots.length, changes, skipped, affectedBookings };
+};
+
+// Apply a plan from planBulkUpdate to the parking, which is not saved
+const applyBulkUpdate = (plan) => {
+  plan.changes.forEach(({ slot, to }) => Object.assign(slot, to));
+};
+
+module.exports = {
+  MAX_SLOTS,
+  CSV_COLUMNS,
+  generateSlots,
+  exportSlots,
+  importSlots,
+  matchSlots,
+  planBulkUpdate,
+  applyBulkUpdate,
+};
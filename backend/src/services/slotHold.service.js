@@ -0,0 +1,101 @@
+const Booking = require('../models/booking.model');
+const { SYSTEM_ACTOR, statusChange } = require('../utils/bookingStatus');
+const { releaseSlot } = require('./slot.service');
+const { offerFreedSlotSafely } = require('./waitlist.service');
+const { emitToUser, updateParkingAvailability } = require('../utils/socket');
+const logger = require('../utils/logger');
+
+const DEFAULT_HOLD_MINUTES = 15;
+// Occurrences of a series billed one by one must be paid this long before they start
+const OCCURRENCE_PAYMENT_DEADLINE_HOURS = 24;
+
+// Work out when a hold placed now on a slot of this parking runs out
+const holdExpiryFor = (parking, from = new Date()) => {
+  const minutes = parking.holdDurationMinutes || DEFAULT_HOLD_MINUTES;
+  return new Date(from.getTime() + minutes * 60 * 1000);
+};
+
+// Work out until when an occurrence of a series billed one by one holds its slot unpaid:
+// its payment deadline, or the usual payment window if that deadline is sooner
+const occurrenceHoldExpiry = (parking, startTime, from = new Date()) => {
+  const deadline = new Date(
+    startTime.getTime() - OCCURRENCE_PAYMENT_DEADLINE_HOURS * 60 * 60 * 1000
+  );
+  const paymentWindow = holdExpiryFor(parking, from);
+  return deadline > paymentWindow ? deadline : paymentWindow;
+};
+
+// Cancel a single pending booking whose hold has run out and free its slot.
+// Returns null if the booking was paid for or cancelled in the meantime.
+const expireHold = async (bookingId, now = new Date()) => {
+  const booking = await Booking.findOneAndUpdate(
+    { _id: bookingId, status: 'pending', holdExpiresAt: { $lte: now } },
+    {
+      status: 'cancelled',
+      cancellation: {
+        reason: 'Slot hold expired before payment',
+        cancelledBy: 'system',
+        cancelledAt: now,
+      },
+      $push: {
+        statusHistory: statusChange('pending', 'cancelled', SYSTEM_ACTOR, 'Slot hold expired'),
+      },
+    },
+    { new: true }
+  );
+  if (!booking) return null;
+
+  await releaseSlot(booking);
+
+  emitToUser(booking.user._id.toString(), 'booking:hold-expired', {
+    bookingId: booking._id,
+    status: booking.status,
+    holdExpiresAt: booking.holdExpiresAt,
+  });
+  await updateParkingAvailability(booking.parking._id);
+  await offerFreedSlotSafely(booking);
+
+  return booking;
+};
+
+// Whether a pending booking can still be confirmed by its payment: the hold is live, or it
+// ran out but no other booking has taken the slot since
+const canConfirmHold = async (booking, now = new Date()) => {
+  if (booking.isHoldActive(now)) return true;
+  if (booking.status !== 'pending') return false;
+  return Booking.isSlotAvailable(booking.slot, booking.startTime, booking.endTime, booking._id);
+};
+
+// Sweep every stale hold; run periodically by the job scheduler
+const expireStaleHolds = async (now = new Date()) => {
+  const stale = await Booking.find({
+    status: 'pending',
+    holdExpiresAt: { $lte: now },
+  })
+    .select('_id')
+    .lean();
+
+  let expired = 0;
+  for (const { _id } of stale) {
+    try {
+      if (await expireHold(_id, now)) expired += 1;
+    } catch (error) {
+      logger.error(`Error expiring hold for booking ${_id}: ${error.message}`);
+    }
+  }
+
+  if (expired > 0) {
+    logger.info(`Expired ${expired} stale slot hold(s)`);
+  }
+  return expired;
+};
+
+module.exports = {
+  DEFAULT_HOLD_MINUTES,
+  OCCURRENCE_PAYMENT_DEADLINE_HOURS,
+  holdExpiryFor,
+  occurrenceHoldExpiry,
+  expireHold,
+  canConfirmHold,
+  expireStaleHolds,
+};
@@ -0,0 +1,171 @@
+const Booking = require('../models/booking.model');
+const Parking = require('../models/parking.model');
+const WaitlistEntry = require('../models/waitlistEntry.model');
+const { reserveSlot } = require('./slot.service');
+const { quoteBooking } = require('./pricing.service');
+const { isCompatible } = require('./slotAllocation.service');
+const { SYSTEM_ACTOR, statusChange } = require('../utils/bookingStatus');
+const { emitToUser, updateParkingAvailability } = require('../utils/socket');
+const logger = require('../utils/logger');
+
+// How long a waitlisted user has to accept an offer before it rolls to the next person
+const OFFER_MINUTES = process.env.WAITLIST_OFFER_MINUTES * 1 || 10;
+
+// Check whether `slot` can serve an entry: right type for the vehicle, free for the
+// whole window and within the entry's max price. Returns the quote if so, otherwise null.
+const quoteSlotForEntry = async (parking, slot, entry) => {
+  if (slot.status === 'maintenance' || slot.pass) return null;
+  if (entry.slotType && slot.type !== entry.slotType) return null;
+  if (!isCompatible(entry.vehicle, slot)) return null;
+
+  const isAvailable = await Booking.isSlotAvailable(slot._id, entry.startTime, entry.endTime);
+  if (!isAvailable) return null;
+
+  const quote = await quoteBooking({
+    parking,
+    slot,
+    startTime: entry.startTime,
+    endTime: entry.endTime,
+    vehicleType: entry.vehicle && entry.vehicle.type,
+  });
+  if (entry.maxPrice !== undefined && entry.maxPrice !== null && quote.total > entry.maxPrice) {
+    return null;
+  }
+  return quote;
+};
+
+// Find any slot of the parking that could serve an entry right now
+const findMatchingSlot = async (parking, entry) => {
+  for (const slot of parking.slots) {
+    const quote = await quoteSlotForEntry(parking, slot, entry);
+    if (quote) return { slot, quote };
+  }
+  return null;
+};
+
+// Offer a slot to a waiting entry by holding it in a pending booking that expires
+// with the offer. Returns false if another process already took the entry.
+const makeOffer = async (entry, parking, slot, quote) => {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + OFFER_MINUTES * 60 * 1000);
+
+  const claimed = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'waiting' },
+    { status: 'offered' },
+    { new: true }
+  );
+  if (!claimed) return false;
+
+  let booking;
+  try {
+    booking = await Booking.create({
+      user: entry.user,
+      parking: parking._id,
+      slot: slot._id,
+      slotNumber: slot.slotId,
+      waitlistEntry: entry._id,
+      startTime: entry.startTime,
+      endTime: entry.endTime,
+      amount: quote.total,
+      pricing: {
+        lineItems: quote.lineItems,
+        currency: quote.currency,
+        quotedAt: quote.quotedAt,
+      },
+      status: 'pending',
+      statusHistory: [statusChange(null, 'pending', SYSTEM_ACTOR, 'Waitlist offer')],
+      holdExpiresAt: expiresAt,
+      payment: { method: 'card' },
+      vehicle: entry.vehicle,
+    });
+  } catch (error) {
+    await WaitlistEntry.updateOne({ _id: entry._id }, { status: 'waiting' });
+    throw error;
+  }
+
+  claimed.offer = {
+    booking: booking._id,
+    slot: slot._id,
+    price: quote.total,
+    offeredAt: now,
+    expiresAt,
+  };
+  await claimed.save();
+
+  await reserveSlot(parking._id, slot._id);
+  await updateParkingAvailability(parking._id);
+
+  emitToUser(entry.user.toString(), 'waitlist:offer', {
+    waitlistEntryId: entry._id,
+    bookingId: booking._id,
+    parkingId: parking._id,
+    slotNumber: slot.slotId,
+    startTime: entry.startTime,
+    endTime: entry.endTime,
+    price: quote.total,
+    expiresAt,
+  });
+  return true;
+};
+
+// Called whenever a booking stops blocking its slot (cancellation, expired hold,
+// no-show). Closes the offer the booking came from, if any, and offers the freed
+// slot to the first waiting user whose window and max price it fits.
+const offerFreedSlot = async (booking) => {
+  if (booking.waitlistEntry) {
+    await WaitlistEntry.updateOne(
+      { _id: booking.waitlistEntry, status: { $in: ['offered', 'accepted'] } },
+      { status: 'expired' }
+    );
+  }
+
+  const now = new Date();
+  if (booking.endTime <= now) return null;
+
+  const parking = await Parking.findById(booking.parking._id);
+  const slot = parking && parking.slots.id(booking.slot);
+  if (!slot) return null;
+
+  const entries = await WaitlistEntry.find({
+    parking: parking._id,
+    status: 'waiting',
+    startTime: { $lt: booking.endTime, $gt: now },
+    endTime: { $gt: booking.startTime },
+  }).sort('createdAt');
+
+  for (const entry of entries) {
+    const quote = await quoteSlotForEntry(parking, slot, entry);
+    if (quote && (await makeOffer(entry, parking, slot, quote))) {
+      logger.info(`Offered slot ${slot.slotId} of parking ${parking._id} to waitlist entry ${entry._id}`);
+      return entry;
+    }
+  }
+  return null;
+};
+
+// Same as offerFreedSlot, but never lets a waitlist problem break the caller
+const offerFreedSlotSafely = async (booking) => {
+  try {
+    return await offerFreedSlot(booking);
+  } catch (error) {
+    logger.error(`Error offering freed slot of booking ${booking._id}: ${error.message}`);
+    return null;
+  }
+};
+
+// Drop waiting entries whose window has already started; run by the job scheduler
+const expireStaleEntries = async (now = new Date()) => {
+  const result = await WaitlistEntry.updateMany(
+    { status: 'waiting', startTime: { $lte: now } },
+    { status: 'expired' }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  OFFER_MINUTES,
+  findMatchingSlot,
+  offerFreedSlot,
+  offerFreedSlotSafely,
+  expireStaleEntries,
+};
@@ -1,8 +1,14 @@
-const { MongoMemoryServer } = require('mongodb-memory-server');
+const os = require('os');
+const path = require('path');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
 const mongoose = require('mongoose');
 const { getRedisClient } = require('../config/redis');
 const { initSocket } = require('../utils/socket');
 
+// Keep invoice PDFs and photos generated by tests out of the source tree
+process.env.INVOICE_STORAGE_DIR = path.join(os.tmpdir(), 'parkease-test-invoices');
+process.env.MEDIA_STORAGE_DIR = path.join(os.tmpdir(), 'parkease-test-media');
+
 let mongoServer;
 let redisClient;
 
@@ -37,13 +43,19 @@ jest.mock('razorpay', () => {
     },
     payments: {
       fetch: jest.fn().mockResolvedValue({ status: 'captured' }),
+      refund: jest.fn().mockResolvedValue({ id: 'rfnd_test_123', status: 'processed' }),
+    },
+    subscriptions: {
+      cancel: jest.fn().mockResolvedValue({ status: 'cancelled' }),
     },
   }));
 });
 
 beforeAll(async () => {
-  // Start in-memory MongoDB server
-  mongoServer = await MongoMemoryServer.create();
+  // Start a single-node in-memory replica set (transactions need one)
+  mongoServer = await MongoMemoryReplSet.create({
+    replSet: { count: 1, storageEngine: 'wiredTiger' },
+  });
   const mongoUri = mongoServer.getUri();
   
   // Connect to the in-memory database
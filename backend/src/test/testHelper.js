@@ -42,6 +42,7 @@ const createTestParking = async (ownerId, parkingData = {}) => {
       pricePerHour: 50,
     })),
     is24x7: true,
+    moderation: { status: 'approved' }, // Already reviewed, so listed and bookable
     ...parkingData,
   });
   
@@ -77,6 +78,21 @@ const getAuthHeaders = (token) => ({
   Authorization: `Bearer ${token}`,
 });
 
+// Helper to log in as a test user and get their token
+const login = async (email) =>
+  (await request(app).post('/api/v1/auth/login').send({ email, password: 'test1234' })).body
+    .token;
+
+// Helper to build `count` numbered slots of one type for a test parking
+const slots = (type, pricePerHour, count, data = {}) =>
+  Array.from({ length: count }, (_, i) => ({
+    slotId: `${type}-${i + 1}`,
+    number: i + 1,
+    type,
+    pricePerHour,
+    ...data,
+  }));
+
 // Helper to make authenticated requests
 const api = {
   get: (url, token) => 
@@ -111,5 +127,7 @@ module.exports = {
   createTestParking,
   createTestBooking,
   getAuthHeaders,
+  login,
+  slots,
   api,
 };
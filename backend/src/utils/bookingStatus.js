@@ -0,0 +1,86 @@
+// Booking lifecycle: which status may follow which, and who may make each move.
+//   pending -> confirmed -> checked-in -> completed
+//   pending | confirmed -> cancelled, confirmed -> no-show
+//   confirmed | completed | cancelled | no-show -> refunded (money returned in full)
+// 'system' covers payment webhooks, scheduled jobs and other automatic changes.
+
+const BOOKING_STATUSES = [
+  'pending',
+  'confirmed',
+  'checked-in',
+  'completed',
+  'cancelled',
+  'no-show',
+  'refunded',
+];
+
+const ACTOR_ROLES = ['user', 'owner', 'attendant', 'admin', 'system'];
+
+const TRANSITIONS = {
+  pending: {
+    confirmed: ['admin', 'system'],
+    cancelled: ['user', 'owner', 'admin', 'system'],
+  },
+  confirmed: {
+    'checked-in': ['attendant', 'owner', 'admin'],
+    cancelled: ['user', 'owner', 'admin', 'system'],
+    'no-show': ['owner', 'admin', 'system'],
+    refunded: ['owner', 'admin', 'system'],
+  },
+  'checked-in': {
+    completed: ['attendant', 'owner', 'admin', 'system'],
+  },
+  completed: {
+    refunded: ['owner', 'admin', 'system'],
+  },
+  cancelled: {
+    refunded: ['owner', 'admin', 'system'],
+  },
+  'no-show': {
+    refunded: ['owner', 'admin', 'system'],
+  },
+  refunded: {},
+};
+
+// Statuses that hold on to the slot for the booked window
+const LIVE_STATUSES = ['pending', 'confirmed', 'checked-in'];
+
+// Actor used for changes nobody made by hand
+const SYSTEM_ACTOR = Object.freeze({ role: 'system' });
+
+const roleOf = (actor) => (actor && ACTOR_ROLES.includes(actor.role) ? actor.role : 'system');
+
+// Statuses the actor may move a booking in `from` to
+const allowedTransitions = (from, actor) =>
+  Object.entries(TRANSITIONS[from] || {})
+    .filter(([, roles]) => roles.includes(roleOf(actor)))
+    .map(([to]) => to);
+
+const canTransition = (from, to, actor) =>
+  !!(TRANSITIONS[from] && TRANSITIONS[from][to] && TRANSITIONS[from][to].includes(roleOf(actor)));
+
+// Statuses a booking can be in for someone to move it to `to`
+const sourcesOf = (to) =>
+  Object.keys(TRANSITIONS).filter((from) => TRANSITIONS[from][to]);
+
+// Build a statusHistory entry. `actor` is a user document, req.user or SYSTEM_ACTOR.
+const statusChange = (from, to, actor, reason) => ({
+  from,
+  to,
+  by: actor && (actor._id || actor.id),
+  role: roleOf(actor),
+  reason,
+  at: new Date(),
+});
+
+module.exports = {
+  BOOKING_STATUSES,
+  ACTOR_ROLES,
+  TRANSITIONS,
+  LIVE_STATUSES,
+  SYSTEM_ACTOR,
+  allowedTransitions,
+  canTransition,
+  sourcesOf,
+  statusChange,
+};
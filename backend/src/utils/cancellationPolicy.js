@@ -0,0 +1,42 @@
+// Tiered cancellation policies. A tier refunds `refundPercent` of the amount paid when
+// the booking is cancelled at least `hoursBeforeStart` hours before it starts; the
+// most generous tier that applies wins, and no tier means no refund.
+
+const PRESET_TIERS = {
+  flexible: [{ hoursBeforeStart: 1, refundPercent: 100 }],
+  moderate: [
+    { hoursBeforeStart: 24, refundPercent: 100 },
+    { hoursBeforeStart: 2, refundPercent: 50 },
+  ],
+  strict: [{ hoursBeforeStart: 48, refundPercent: 50 }],
+};
+
+const POLICY_TYPES = [...Object.keys(PRESET_TIERS), 'custom'];
+
+const getTiers = (policy = {}) => {
+  const tiers = policy.type === 'custom' ? policy.tiers || [] : PRESET_TIERS[policy.type || 'moderate'];
+  return [...tiers].sort((a, b) => b.hoursBeforeStart - a.hoursBeforeStart);
+};
+
+// Returns the tier that applies `hoursUntilStart` before the booking, or null
+const findTier = (policy, hoursUntilStart) =>
+  getTiers(policy)
+    .filter((tier) => hoursUntilStart >= tier.hoursBeforeStart)
+    .reduce((best, tier) => (!best || tier.refundPercent > best.refundPercent ? tier : best), null);
+
+// Describe a policy in words for the booking screens
+const describePolicy = (policy) => {
+  const tiers = getTiers(policy);
+  if (tiers.length === 0) return 'No refunds on cancellation';
+  return tiers
+    .map((tier) => `${tier.refundPercent}% refund up to ${tier.hoursBeforeStart}h before start`)
+    .join(', ');
+};
+
+module.exports = {
+  PRESET_TIERS,
+  POLICY_TYPES,
+  getTiers,
+  findTier,
+  describePolicy,
+};
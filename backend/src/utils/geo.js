@@ -0,0 +1,98 @@
+// Geometry on [lng, lat] points (GeoJSON order), distances in km
+
+const EARTH_RADIUS_KM = 6371;
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+const deg2rad = (deg) => deg * (Math.PI / 180);
+const rad2deg = (rad) => rad * (180 / Math.PI);
+
+// Great-circle distance (Haversine formula)
+const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const dLat = deg2rad(lat2 - lat1);
+  const dLng = deg2rad(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(deg2rad(lat1)) * Math.cos(deg2rad(lat2)) * Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Initial compass bearing from one point to another, 0-359 degrees clockwise from north
+const bearingDeg = ([lng1, lat1], [lng2, lat2]) => {
+  const dLng = deg2rad(lng2 - lng1);
+  const y = Math.sin(dLng) * Math.cos(deg2rad(lat2));
+  const x =
+    Math.cos(deg2rad(lat1)) * Math.sin(deg2rad(lat2)) -
+    Math.sin(deg2rad(lat1)) * Math.cos(deg2rad(lat2)) * Math.cos(dLng);
+  return Math.round(rad2deg(Math.atan2(y, x)) + 360) % 360;
+};
+
+// 'N', 'NE', ... for a bearing
+const compassPoint = (bearing) => COMPASS_POINTS[Math.round(bearing / 45) % 8];
+
+// Distance from a point to the nearest part of a polyline. Each segment is measured on a
+// flat projection around the point, which is accurate to well under 1% over the few km a
+// corridor spans.
+const distanceToPolylineKm = (point, line) => {
+  const [lng0, lat0] = point;
+  const kmPerLng = (Math.PI / 180) * EARTH_RADIUS_KM * Math.cos(deg2rad(lat0));
+  const kmPerLat = (Math.PI / 180) * EARTH_RADIUS_KM;
+  const project = ([lng, lat]) => [(lng - lng0) * kmPerLng, (lat - lat0) * kmPerLat];
+
+  if (line.length === 1) return distanceKm(point, line[0]);
+  let nearest = Infinity;
+  for (let i = 1; i < line.length; i += 1) {
+    const [ax, ay] = project(line[i - 1]);
+    const [bx, by] = project(line[i]);
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+    // How far along the segment the point's foot lies, clamped to its ends
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq));
+    nearest = Math.min(nearest, Math.hypot(ax + t * dx, ay + t * dy));
+  }
+  return nearest;
+};
+
+// Decode an encoded polyline (the format route APIs return) into [lng, lat] points.
+// Returns null if the string is not a valid polyline.
+const decodePolyline = (encoded, precision = 5) => {
+  const factor = 10 ** precision;
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const nextValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      if (index >= encoded.length) return null;
+      byte = encoded.charCodeAt(index) - 63;
+      index += 1;
+      if (byte < 0 || byte > 63) return null;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    const dLat = nextValue();
+    const dLng = nextValue();
+    if (dLat === null || dLng === null) return null;
+    lat += dLat;
+    lng += dLng;
+    points.push([lng / factor, lat / factor]);
+  }
+  return points;
+};
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  distanceKm,
+  bearingDeg,
+  compassPoint,
+  distanceToPolylineKm,
+  decodePolyline,
+};
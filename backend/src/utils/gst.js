@@ -0,0 +1,71 @@
+// Indian GST helpers for invoices. Booking prices are GST-inclusive, so tax is carved out
+// of the amount paid rather than added on top.
+
+const GST_RATE = process.env.GST_RATE * 1 || 18;
+
+// SAC (services accounting codes) printed on invoice lines
+const SAC_CODES = {
+  parking: '996743', // Parking lot services
+  platformFee: '998599', // Other support services
+};
+
+// 2-digit state code, 10-character PAN, entity number, 'Z', checksum character
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const isValidGstin = (gstin) => GSTIN_PATTERN.test(gstin || '');
+
+// The state a GSTIN is registered in, e.g. '29' for Karnataka
+const stateCodeOf = (gstin) => (isValidGstin(gstin) ? gstin.slice(0, 2) : null);
+
+// Indian financial years run April-March; 15 Jan 2025 is in '2425'
+const financialYearOf = (date) => {
+  const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${String(startYear % 100).padStart(2, '0')}${String((startYear + 1) % 100).padStart(
+    2,
+    '0'
+  )}`;
+};
+
+// Split a GST-inclusive amount into its taxable value and tax. Supplies within one state
+// pay CGST and SGST (half each); supplies across states pay IGST.
+const splitInclusive = (amount, { interState = false, rate = GST_RATE } = {}) => {
+  const total = roundMoney(amount);
+  const taxableValue = roundMoney((total * 100) / (100 + rate));
+  const tax = roundMoney(total - taxableValue);
+
+  if (interState) {
+    return {
+      taxableValue,
+      cgstRate: 0,
+      cgst: 0,
+      sgstRate: 0,
+      sgst: 0,
+      igstRate: rate,
+      igst: tax,
+      total,
+    };
+  }
+  const cgst = roundMoney(tax / 2);
+  return {
+    taxableValue,
+    cgstRate: rate / 2,
+    cgst,
+    sgstRate: rate / 2,
+    sgst: roundMoney(tax - cgst),
+    igstRate: 0,
+    igst: 0,
+    total,
+  };
+};
+
+module.exports = {
+  GST_RATE,
+  SAC_CODES,
+  roundMoney,
+  isValidGstin,
+  stateCodeOf,
+  financialYearOf,
+  splitInclusive,
+};
@@ -0,0 +1,109 @@
+// Minimal iCalendar (RFC 5545) writer for booking events.
+// Every booking keeps the same UID, and its SEQUENCE grows with each change, so calendar
+// apps update the existing entry when a booking is moved and drop it once it is cancelled.
+
+const PRODUCT_ID = '-//ParkEase//Bookings//EN';
+const UID_DOMAIN = 'parkease';
+
+// Escape text values (backslash, semicolon, comma and newlines)
+const escapeText = (value = '') =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Fold lines longer than 75 octets onto continuation lines starting with a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// 2024-05-01T10:30:00.000Z -> 20240501T103000Z
+const formatDate = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const bookingUid = (booking) => `booking-${booking._id}@${UID_DOMAIN}`;
+
+// Grows with every status change and every change of the booking window. Changes still
+// waiting for their top-up (or dropped) have not moved the window.
+const bookingSequence = (booking) =>
+  (booking.statusHistory ? booking.statusHistory.length : 0) +
+  (booking.modifications || []).filter(
+    (change) => !change.status || change.status === 'applied'
+  ).length;
+
+// Build the VEVENT lines for a booking. Expects `parking` to be populated.
+const bookingToEvent = (booking) => {
+  const parking = booking.parking || {};
+  const location = parking.location || {};
+  const [longitude, latitude] = location.coordinates || [];
+  const cancelled = ['cancelled', 'no-show', 'refunded'].includes(booking.status);
+
+  const description = [
+    `Slot ${booking.slotNumber}`,
+    booking.vehicle && booking.vehicle.number ? `Vehicle ${booking.vehicle.number}` : null,
+    `Booking ${booking._id}`,
+  ]
+    .filter(Boolean)
+    .join('\n');
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${bookingUid(booking)}`,
+    `SEQUENCE:${bookingSequence(booking)}`,
+    `DTSTAMP:${formatDate(booking.updatedAt || new Date())}`,
+    `LAST-MODIFIED:${formatDate(booking.updatedAt || new Date())}`,
+    `DTSTART:${formatDate(booking.startTime)}`,
+    `DTEND:${formatDate(booking.endTime)}`,
+    `SUMMARY:${escapeText(`Parking at ${parking.name || 'ParkEase'}`)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `STATUS:${cancelled ? 'CANCELLED' : booking.status === 'pending' ? 'TENTATIVE' : 'CONFIRMED'}`,
+  ];
+  if (location.address) {
+    lines.push(`LOCATION:${escapeText(location.address)}`);
+  }
+  if (latitude !== undefined && longitude !== undefined) {
+    lines.push(`GEO:${latitude};${longitude}`);
+  }
+  lines.push('END:VEVENT');
+
+  return lines;
+};
+
+// Build a whole calendar, used both for feeds and single-booking downloads
+const buildCalendar = (bookings, { name } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+  ];
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+  bookings.forEach((booking) => lines.push(...bookingToEvent(booking)));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatDate,
+  bookingUid,
+  buildCalendar,
+};
@@ -0,0 +1,65 @@
+// The parts of a parking that make up its public listing and are checked by moderators
+const LISTING_FIELDS = [
+  'name',
+  'description',
+  'location',
+  'images',
+  'features',
+  'totalSlots',
+  'is24x7',
+  'timezone',
+  'openingHours',
+  'specialHours',
+  'gst',
+];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+// Plain copy of a parking's listing fields, as stored with each submission
+const snapshotListing = (parking) => {
+  const source =
+    typeof parking.toObject === 'function' ? parking.toObject({ virtuals: false }) : parking;
+  return LISTING_FIELDS.reduce((snapshot, field) => {
+    if (source[field] !== undefined) {
+      snapshot[field] = JSON.parse(JSON.stringify(source[field]), (key, value) =>
+        key === '_id' ? undefined : value
+      );
+    }
+    return snapshot;
+  }, {});
+};
+
+// Dotted paths to the values in an object, e.g. { location: { address } } gives
+// 'location.address'. Lists are compared as a whole.
+const flatten = (value, prefix, into = {}) => {
+  if (isPlainObject(value) && Object.keys(value).length > 0) {
+    Object.keys(value)
+      .filter((key) => key !== '_id')
+      .forEach((key) => flatten(value[key], `${prefix}.${key}`, into));
+  } else if (value !== undefined && value !== null) {
+    into[prefix] = value;
+  }
+  return into;
+};
+
+// What changed between two listing snapshots, as [{ field, from, to }]
+const diffListing = (before = {}, after = {}) => {
+  const from = {};
+  const to = {};
+  LISTING_FIELDS.forEach((field) => {
+    flatten(before[field], field, from);
+    flatten(after[field], field, to);
+  });
+
+  return [...new Set([...Object.keys(from), ...Object.keys(to)])]
+    .filter((field) => JSON.stringify(from[field]) !== JSON.stringify(to[field]))
+    .sort()
+    .map((field) => ({ field, from: from[field], to: to[field] }));
+};
+
+module.exports = {
+  LISTING_FIELDS,
+  snapshotListing,
+  diffListing,
+};
@@ -0,0 +1,143 @@
+// Minimal PDF 1.4 writer for simple text documents such as invoices.
+// Uses the built-in Helvetica fonts with WinAnsi encoding, so no font files are needed;
+// characters outside Latin-1 are printed as '?'. Coordinates are in points from the
+// top-left corner of an A4 page.
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126, from the standard AFM metrics.
+// Bold text is measured with the same table, which is close enough for alignment.
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556,
+  556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722,
+  722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722,
+  667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556,
+  556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500,
+  500, 334, 260, 334, 584,
+];
+const DEFAULT_WIDTH = 556;
+
+const toLatin1 = (text) => String(text).replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+
+const escapeString = (text) =>
+  text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+// Width of a string in points at the given font size
+const textWidth = (text, size) =>
+  [...toLatin1(text)].reduce((sum, char) => {
+    const code = char.charCodeAt(0);
+    const width = code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : DEFAULT_WIDTH;
+    return sum + (width * size) / 1000;
+  }, 0);
+
+class PdfDocument {
+  constructor({ title } = {}) {
+    this.title = title;
+    this.pages = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.current = [];
+    this.pages.push(this.current);
+    return this;
+  }
+
+  // Draw text with its baseline at y. `align` is left, right (x is the right edge) or center.
+  text(value, x, y, { size = 10, bold = false, align = 'left' } = {}) {
+    const text = toLatin1(value);
+    let left = x;
+    if (align === 'right') left = x - textWidth(text, size);
+    if (align === 'center') left = x - textWidth(text, size) / 2;
+
+    this.current.push(
+      `BT /${bold ? 'F2' : 'F1'} ${formatNumber(size)} Tf ${formatNumber(left)} ${formatNumber(
+        PAGE_HEIGHT - y
+      )} Td (${escapeString(text)}) Tj ET`
+    );
+    return this;
+  }
+
+  line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+    this.current.push(
+      `${formatNumber(width)} w ${formatNumber(x1)} ${formatNumber(PAGE_HEIGHT - y1)} m ` +
+        `${formatNumber(x2)} ${formatNumber(PAGE_HEIGHT - y2)} l S`
+    );
+    return this;
+  }
+
+  // Fill a rectangle with a grey level between 0 (black) and 1 (white)
+  rect(x, y, width, height, { grey = 0.9 } = {}) {
+    this.current.push(
+      `q ${formatNumber(grey)} g ${formatNumber(x)} ${formatNumber(
+        PAGE_HEIGHT - y - height
+      )} ${formatNumber(width)} ${formatNumber(height)} re f Q`
+    );
+    return this;
+  }
+
+  toBuffer() {
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = add(null);
+    const pagesId = add(null);
+    const regularId = add(
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'
+    );
+    const boldId = add(
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+    );
+
+    const pageIds = this.pages.map((operations) => {
+      const content = operations.join('\n');
+      const contentId = add(
+        `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+      );
+      return add(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >> >> ` +
+          `/Contents ${contentId} 0 R >>`
+      );
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds
+      .map((id) => `${id} 0 R`)
+      .join(' ')}] /Count ${pageIds.length} >>`;
+    const infoId = add(
+      `<< /Title (${escapeString(toLatin1(this.title || ''))}) /Producer (ParkEase) >>`
+    );
+
+    let output = '%PDF-1.4\n';
+    const offsets = objects.map((body, index) => {
+      const offset = Buffer.byteLength(output, 'latin1');
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    offsets.forEach((offset) => {
+      output += `${String(offset).padStart(10, '0')} 00000 n \n`;
+    });
+    output +=
+      `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n` +
+      `startxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  }
+}
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  PdfDocument,
+  textWidth,
+};
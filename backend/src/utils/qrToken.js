@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+
+// Signed, tamper-evident QR payloads for bookings and passes:
+//   PE1.<base64url JSON { b: bookingId, p: parkingId, iat }>.<base64url HMAC-SHA256>
+// Pass tokens carry { s: passId } instead of { b }.
+const VERSION = 'PE1';
+
+const getSecret = () => process.env.QR_SECRET || process.env.JWT_SECRET;
+
+const sign = (data) =>
+  crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+
+const encode = (claims) => {
+  const payload = Buffer.from(
+    JSON.stringify({ ...claims, iat: Math.floor(Date.now() / 1000) })
+  ).toString('base64url');
+
+  const data = `${VERSION}.${payload}`;
+  return `${data}.${sign(data)}`;
+};
+
+const createQrToken = (booking) =>
+  encode({ b: booking._id.toString(), p: booking.parking._id.toString() });
+
+const createPassQrToken = (pass) =>
+  encode({ s: pass._id.toString(), p: pass.parking._id.toString() });
+
+// Returns { bookingId, passId, parkingId, issuedAt } for a genuine token (only one of
+// bookingId/passId is set), otherwise null
+const verifyQrToken = (token) => {
+  if (typeof token !== 'string') return null;
+
+  const parts = token.split('.');
+  if (parts.length !== 3 || parts[0] !== VERSION) return null;
+
+  const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`));
+  const actual = Buffer.from(parts[2]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const { b, s, p, iat } = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    return { bookingId: b, passId: s, parkingId: p, issuedAt: new Date(iat * 1000) };
+  } catch (err) {
+    return null;
+  }
+};
+
+module.exports = {
+  createQrToken,
+  createPassQrToken,
+  verifyQrToken,
+};
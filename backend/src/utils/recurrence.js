@@ -0,0 +1,84 @@
+// Expands RRULE-style recurrence patterns (daily / weekly / custom dates) into
+// concrete occurrence windows. Days and HH:MM times are wall-clock in the parking's zone.
+const { DAYS, addDays, localDateOf, dateKey, weekdayOf, zonedTime } = require('./timezone');
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_OCCURRENCES = 100;
+const MAX_INTERVAL = 52; // Every 52nd day or week at most
+const MAX_HORIZON_DAYS = 2 * 366; // Patterns are never expanded further than this ahead
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// The local date an instant falls on in the zone, or null for invalid dates
+const dayOf = (date, timeZone) => {
+  const instant = new Date(date);
+  return isNaN(instant) ? null : localDateOf(instant, timeZone);
+};
+
+const byDayOf = (day) => WEEKDAYS[DAYS.indexOf(weekdayOf(day))];
+
+// Returns the list of { startTime, endTime } windows for a series in `timeZone`, in order.
+// Patterns must end with either `until` or `count`; custom patterns list their dates.
+const expandOccurrences = (
+  { recurrence, startDate, startTime, durationMinutes },
+  timeZone
+) => {
+  const { frequency, interval = 1, byDay = [], dates = [], until, count } = recurrence;
+  const limit = Math.min(count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const first = dayOf(startDate, timeZone);
+  const lastDay = until ? dayOf(until, timeZone) : null;
+  const days = [];
+
+  // Nothing to expand from a broken pattern; the model rejects these with a proper message
+  if (!first || (until && !lastDay)) return [];
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) return [];
+
+  if (frequency === 'custom') {
+    dates
+      .map((date) => dayOf(date, timeZone))
+      .filter(Boolean)
+      .sort((a, b) => dateKey(a).localeCompare(dateKey(b)))
+      .forEach((day) => days.push(day));
+  } else {
+    const weekdays = frequency === 'weekly' && byDay.length ? byDay : [byDayOf(first)];
+
+    // Walk day by day, never past the horizon; daily patterns step by `interval` days,
+    // weekly patterns keep matching weekdays in every `interval`-th week
+    for (
+      let offsetDays = 0;
+      days.length < limit && offsetDays <= MAX_HORIZON_DAYS;
+      offsetDays += 1
+    ) {
+      const day = addDays(first, offsetDays);
+      if (lastDay && dateKey(day) > dateKey(lastDay)) break;
+
+      const matches =
+        frequency === 'daily'
+          ? offsetDays % interval === 0
+          : weekdays.includes(byDayOf(day)) && Math.floor(offsetDays / 7) % interval === 0;
+
+      if (matches) days.push(day);
+    }
+  }
+
+  return days
+    .filter((day) => !lastDay || dateKey(day) <= dateKey(lastDay))
+    .slice(0, limit)
+    .map((day) => {
+      const start = zonedTime(day, toMinutes(startTime), timeZone);
+      return {
+        startTime: start,
+        endTime: new Date(start.getTime() + durationMinutes * 60 * 1000),
+      };
+    });
+};
+
+module.exports = {
+  WEEKDAYS,
+  MAX_OCCURRENCES,
+  MAX_INTERVAL,
+  expandOccurrences,
+};
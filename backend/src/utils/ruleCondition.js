@@ -0,0 +1,372 @@
+// Safe expression language for dynamic pricing conditions, e.g.
+//   time >= '18:00' && dayOfWeek in ['friday', 'saturday'] && occupancyRatio > 0.8
+// Conditions are tokenised and parsed into a small AST that is type-checked against
+// the known variables and then interpreted. Nothing is ever passed to eval/Function.
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const CONDITION_VARIABLES = {
+  time: { type: 'time' }, // 'HH:MM', 24h clock
+  dayOfWeek: { type: 'enum', values: DAYS },
+  occupancyRatio: { type: 'number' }, // 0..1 share of slots blocked at the booking start
+  leadTimeMinutes: { type: 'number' }, // minutes between now and the booking start
+  vehicleType: { type: 'enum', values: ['car', 'bike', 'truck', 'other'] },
+  slotType: { type: 'enum', values: ['car', 'bike', 'ev', 'handicap', 'truck'] },
+  durationHours: { type: 'number' },
+};
+
+// Own keys only, so names like 'constructor' or '__proto__' are not variables
+const isVariable = (name) => Object.prototype.hasOwnProperty.call(CONDITION_VARIABLES, name);
+
+const COMPARISON_OPERATORS = ['==', '!=', '>=', '<=', '>', '<'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_CONDITION_LENGTH = 500;
+
+// Error raised for malformed conditions; `position` is the 1-based column of the problem
+class RuleSyntaxError extends Error {
+  constructor(message, position) {
+    super(`${message} at position ${position}`);
+    this.name = 'RuleSyntaxError';
+    this.position = position;
+  }
+}
+
+// 1) Tokeniser
+const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+    const position = i + 1;
+
+    if (/\s/.test(char)) {
+      i += 1;
+      continue;
+    }
+
+    const twoChars = source.slice(i, i + 2);
+    if (['&&', '||', '==', '!=', '>=', '<='].includes(twoChars)) {
+      tokens.push({ type: 'operator', value: twoChars, position });
+      i += 2;
+      continue;
+    }
+
+    if (['>', '<', '!'].includes(char)) {
+      tokens.push({ type: 'operator', value: char, position });
+      i += 1;
+      continue;
+    }
+
+    const punctuation = { '(': 'lparen', ')': 'rparen', '[': 'lbracket', ']': 'rbracket', ',': 'comma' };
+    if (punctuation[char]) {
+      tokens.push({ type: punctuation[char], value: char, position });
+      i += 1;
+      continue;
+    }
+
+    if (char === "'" || char === '"') {
+      const end = source.indexOf(char, i + 1);
+      if (end === -1) {
+        throw new RuleSyntaxError('Unterminated string', position);
+      }
+      tokens.push({ type: 'string', value: source.slice(i + 1, end), position });
+      i = end + 1;
+      continue;
+    }
+
+    const number = /^-?\d+(\.\d+)?/.exec(source.slice(i));
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]), position });
+      i += number[0].length;
+      continue;
+    }
+
+    const identifier = /^[a-zA-Z_]\w*/.exec(source.slice(i));
+    if (identifier) {
+      tokens.push({ type: 'identifier', value: identifier[0], position });
+      i += identifier[0].length;
+      continue;
+    }
+
+    throw new RuleSyntaxError(`Unexpected character '${char}'`, position);
+  }
+
+  tokens.push({ type: 'eof', value: 'end of condition', position: source.length + 1 });
+  return tokens;
+};
+
+// 2) Recursive descent parser
+//   or         := and ('||' and)*
+//   and        := unary ('&&' unary)*
+//   unary      := '!' unary | '(' or ')' | comparison
+//   comparison := operand (op operand | 'in' '[' operand (',' operand)* ']')
+//   operand    := identifier | string | number
+const parse = (source) => {
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isOperator = (value) => peek().type === 'operator' && peek().value === value;
+  const describe = (token) => (token.type === 'eof' ? token.value : `'${token.value}'`);
+
+  const expect = (type, what) => {
+    const token = next();
+    if (token.type !== type) {
+      throw new RuleSyntaxError(`Expected ${what} but found ${describe(token)}`, token.position);
+    }
+    return token;
+  };
+
+  const parseOperand = () => {
+    const token = next();
+    if (token.type === 'identifier') {
+      if (!isVariable(token.value)) {
+        throw new RuleSyntaxError(`Unknown variable '${token.value}'`, token.position);
+      }
+      return { kind: 'variable', name: token.value, position: token.position };
+    }
+    if (token.type === 'string' || token.type === 'number') {
+      return { kind: 'literal', valueType: token.type, value: token.value, position: token.position };
+    }
+    throw new RuleSyntaxError(`Expected a variable or value but found ${describe(token)}`, token.position);
+  };
+
+  const parseComparison = () => {
+    const left = parseOperand();
+    const token = peek();
+
+    if (token.type === 'identifier' && token.value === 'in') {
+      next();
+      expect('lbracket', "'['");
+      const items = [parseOperand()];
+      while (peek().type === 'comma') {
+        next();
+        items.push(parseOperand());
+      }
+      expect('rbracket', "']'");
+      return { kind: 'in', left, items, position: token.position };
+    }
+
+    if (token.type === 'operator' && COMPARISON_OPERATORS.includes(token.value)) {
+      next();
+      const right = parseOperand();
+      return { kind: 'compare', operator: token.value, left, right, position: token.position };
+    }
+
+    throw new RuleSyntaxError(`Expected a comparison operator but found ${describe(token)}`, token.position);
+  };
+
+  let parseOr;
+
+  const parseUnary = () => {
+    if (isOperator('!')) {
+      const token = next();
+      return { kind: 'not', operand: parseUnary(), position: token.position };
+    }
+    if (peek().type === 'lparen') {
+      next();
+      const expression = parseOr();
+      expect('rparen', "')'");
+      return expression;
+    }
+    return parseComparison();
+  };
+
+  const parseAnd = () => {
+    let node = parseUnary();
+    while (isOperator('&&')) {
+      next();
+      node = { kind: 'and', left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  parseOr = () => {
+    let node = parseAnd();
+    while (isOperator('||')) {
+      next();
+      node = { kind: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const ast = parseOr();
+  if (peek().type !== 'eof') {
+    throw new RuleSyntaxError(`Unexpected ${describe(peek())}`, peek().position);
+  }
+  return ast;
+};
+
+// 3) Type checking against the variable catalogue
+const operandType = (operand) => {
+  if (operand.kind === 'variable') return CONDITION_VARIABLES[operand.name].type;
+  return operand.valueType;
+};
+
+const checkLiteralFor = (variable, literal) => {
+  const spec = CONDITION_VARIABLES[variable.name];
+  const expected = spec.type === 'number' ? 'number' : 'string';
+
+  if (literal.valueType !== expected) {
+    throw new RuleSyntaxError(`'${variable.name}' must be compared with a ${expected}`, literal.position);
+  }
+  if (spec.type === 'time' && !TIME_PATTERN.test(literal.value)) {
+    throw new RuleSyntaxError(`'${literal.value}' is not a valid HH:MM time`, literal.position);
+  }
+  if (spec.type === 'enum' && !spec.values.includes(literal.value)) {
+    throw new RuleSyntaxError(
+      `'${literal.value}' is not a valid ${variable.name} (expected one of ${spec.values.join(', ')})`,
+      literal.position
+    );
+  }
+};
+
+const typeCheck = (node) => {
+  switch (node.kind) {
+    case 'and':
+    case 'or':
+      typeCheck(node.left);
+      typeCheck(node.right);
+      return;
+    case 'not':
+      typeCheck(node.operand);
+      return;
+    case 'in':
+      if (node.left.kind !== 'variable') {
+        throw new RuleSyntaxError("The left side of 'in' must be a variable", node.left.position);
+      }
+      node.items.forEach((item) => {
+        if (item.kind !== 'literal') {
+          throw new RuleSyntaxError("Lists after 'in' may only contain values", item.position);
+        }
+        checkLiteralFor(node.left, item);
+      });
+      return;
+    case 'compare': {
+      const { left, right, operator } = node;
+      if (left.kind !== 'variable' && right.kind !== 'variable') {
+        throw new RuleSyntaxError('A comparison must involve at least one variable', left.position);
+      }
+
+      if (left.kind === 'variable' && right.kind === 'variable') {
+        if (operandType(left) !== operandType(right)) {
+          throw new RuleSyntaxError(`Cannot compare '${left.name}' with '${right.name}'`, node.position);
+        }
+      } else {
+        const variable = left.kind === 'variable' ? left : right;
+        checkLiteralFor(variable, variable === left ? right : left);
+      }
+
+      const type = operandType(left.kind === 'variable' ? left : right);
+      if (type === 'enum' && !['==', '!='].includes(operator)) {
+        throw new RuleSyntaxError(`Operator '${operator}' cannot be used with text values`, node.position);
+      }
+      return;
+    }
+    default:
+      throw new RuleSyntaxError('Invalid condition', 1);
+  }
+};
+
+// 4) Interpreter
+const resolve = (operand, context) =>
+  operand.kind === 'variable' ? context[operand.name] : operand.value;
+
+const evaluateNode = (node, context) => {
+  switch (node.kind) {
+    case 'and':
+      return evaluateNode(node.left, context) && evaluateNode(node.right, context);
+    case 'or':
+      return evaluateNode(node.left, context) || evaluateNode(node.right, context);
+    case 'not':
+      return !evaluateNode(node.operand, context);
+    case 'in': {
+      const value = resolve(node.left, context);
+      return node.items.some((item) => item.value === value);
+    }
+    case 'compare': {
+      const left = resolve(node.left, context);
+      const right = resolve(node.right, context);
+      if (left === undefined || right === undefined) return false;
+      switch (node.operator) {
+        case '==':
+          return left === right;
+        case '!=':
+          return left !== right;
+        case '>':
+          return left > right;
+        case '>=':
+          return left >= right;
+        case '<':
+          return left < right;
+        case '<=':
+          return left <= right;
+        default:
+          return false;
+      }
+    }
+    default:
+      return false;
+  }
+};
+
+// Parsed conditions are cached since the same rules are evaluated for every billed hour
+const compiled = new Map();
+const MAX_COMPILED = 500;
+
+// Parse and type-check a condition, throwing RuleSyntaxError if it is malformed
+const compileCondition = (condition) => {
+  if (typeof condition !== 'string') {
+    throw new RuleSyntaxError('Condition must be text', 1);
+  }
+  if (compiled.has(condition)) return compiled.get(condition);
+
+  if (condition.length > MAX_CONDITION_LENGTH) {
+    throw new RuleSyntaxError(
+      `Condition must be at most ${MAX_CONDITION_LENGTH} characters`,
+      MAX_CONDITION_LENGTH + 1
+    );
+  }
+
+  const ast = parse(condition);
+  typeCheck(ast);
+
+  if (compiled.size >= MAX_COMPILED) compiled.clear();
+  compiled.set(condition, ast);
+  return ast;
+};
+
+// No condition at all, or only whitespace
+const isBlank = (condition) =>
+  condition === undefined ||
+  condition === null ||
+  (typeof condition === 'string' && !condition.trim());
+
+// Returns null if the condition is valid, otherwise { message, position }
+const validateCondition = (condition) => {
+  if (isBlank(condition)) return null;
+  try {
+    compileCondition(condition);
+    return null;
+  } catch (error) {
+    if (error instanceof RuleSyntaxError) {
+      return { message: error.message, position: error.position };
+    }
+    throw error;
+  }
+};
+
+// An empty condition always matches
+const evaluateCondition = (condition, context) => {
+  if (isBlank(condition)) return true;
+  return evaluateNode(compileCondition(condition), context);
+};
+
+module.exports = {
+  CONDITION_VARIABLES,
+  RuleSyntaxError,
+  validateCondition,
+  evaluateCondition,
+};
@@ -0,0 +1,39 @@
+const logger = require('./logger');
+
+const timers = new Map();
+
+// Run a task every `intervalMs`, skipping a tick if the previous run is still going
+const scheduleJob = (name, task, intervalMs) => {
+  if (timers.has(name)) return timers.get(name);
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await task();
+    } catch (error) {
+      logger.error(`Job ${name} failed: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  // Don't keep the process alive just for background jobs
+  timer.unref();
+  timers.set(name, timer);
+
+  logger.info(`Scheduled job ${name} every ${Math.round(intervalMs / 1000)}s`);
+  return timer;
+};
+
+const stopJobs = () => {
+  timers.forEach((timer) => clearInterval(timer));
+  timers.clear();
+};
+
+module.exports = {
+  scheduleJob,
+  stopJobs,
+};
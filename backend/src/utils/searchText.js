@@ -0,0 +1,38 @@
+// Helpers for prefix search over parking names, addresses and features
+
+// Lowercase, without accents and punctuation, words separated by single spaces
+const normalizeText = (text) =>
+  String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const MAX_PHRASE_WORDS = 12;
+
+// Every tail of a text's words, e.g. 'MG Road, Bengaluru' gives 'mg road bengaluru',
+// 'road bengaluru' and 'bengaluru', so a prefix search finds any word it starts with
+const phrasesOf = (text) => {
+  const words = normalizeText(text).split(' ').filter(Boolean).slice(0, MAX_PHRASE_WORDS);
+  return words.map((_, index) => words.slice(index).join(' '));
+};
+
+// The terms stored on a parking for prefix search
+const searchTermsOf = (parking) => {
+  const terms = [
+    ...phrasesOf(parking.name),
+    ...phrasesOf(parking.location && parking.location.address),
+    ...(parking.features || []).map(normalizeText),
+  ];
+  return [...new Set(terms.filter(Boolean))];
+};
+
+// A regex matching strings that start with `prefix` literally
+const prefixPattern = (prefix) => `^${prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`;
+
+module.exports = {
+  normalizeText,
+  searchTermsOf,
+  prefixPattern,
+};
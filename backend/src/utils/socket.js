@@ -1,5 +1,6 @@
 const { Server } = require('socket.io');
 const { getRedisClient } = require('../config/redis');
+const Parking = require('../models/parking.model');
 const logger = require('./logger');
 
 let io;
@@ -73,7 +74,7 @@ const updateParkingAvailability = async (parkingId) => {
         };
 
         // Cache the data
-        await redisClient.set(cacheKey, JSON.stringify(data), 'EX', 60); // Cache for 1 minute
+        await redisClient.set(cacheKey, JSON.stringify(data), { EX: 60 }); // Cache for 1 minute
         
         // Emit update to all connected clients
         emitToParking(parkingId, 'parking:availability', data);
@@ -89,7 +90,7 @@ const notifyBookingUpdate = (booking) => {
   if (!io) return;
   
   // Notify the user who made the booking
-  emitToUser(booking.user.toString(), 'booking:updated', {
+  emitToUser(booking.user._id.toString(), 'booking:updated', {
     bookingId: booking._id,
     status: booking.status,
     updatedAt: booking.updatedAt,
@@ -0,0 +1,107 @@
+// Wall-clock helpers for IANA time zones (e.g. 'Asia/Kolkata') built on Intl, so times
+// like "08:00 on 2024-05-06" mean the same thing whatever zone the server runs in.
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const formatters = new Map();
+
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+      })
+    );
+  }
+  return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone) return false;
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// The calendar date and time of an instant as seen in a zone
+const zonedParts = (date, timeZone) => {
+  const parts = {};
+  formatterFor(timeZone)
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      if (type !== 'literal') parts[type] = Number(value);
+    });
+  return parts;
+};
+
+// How far ahead of UTC a zone is at an instant, in milliseconds
+const offsetAt = (date, timeZone) => {
+  const parts = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+// A local date, as { year, month, day } (month 1-12), shifted by whole days
+const addDays = ({ year, month, day }, days) => {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+// The local date an instant falls on in a zone
+const localDateOf = (date, timeZone) => {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return { year, month, day };
+};
+
+// 'YYYY-MM-DD' of a local date
+const dateKey = ({ year, month, day }) =>
+  `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+// 'HH:MM' wall-clock time of an instant in a zone
+const timeOfDay = (date, timeZone) => {
+  const { hour, minute } = zonedParts(date, timeZone);
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+// 'monday', 'tuesday', ... of a local date
+const weekdayOf = ({ year, month, day }) =>
+  DAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+
+// The instant a local date and time of day (minutes after midnight, may pass 24:00)
+// happens in a zone. Times skipped by a DST change resolve to just after the gap.
+const zonedTime = ({ year, month, day }, minutes, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day) + minutes * 60000;
+  let instant = wallClock - offsetAt(new Date(wallClock), timeZone);
+  const offset = offsetAt(new Date(instant), timeZone);
+  if (wallClock - offset !== instant) instant = wallClock - offset;
+  return new Date(instant);
+};
+
+module.exports = {
+  DAYS,
+  isValidTimeZone,
+  addDays,
+  localDateOf,
+  dateKey,
+  timeOfDay,
+  weekdayOf,
+  zonedTime,
+};
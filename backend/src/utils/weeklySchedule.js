@@ -0,0 +1,71 @@
+// Weekly usage windows such as { days: ['monday', ...], startTime: '08:00', endTime: '20:00' }.
+// No days means every day, no times means all day, and an end time before the start time
+// runs past midnight. Days and times are wall-clock in the given IANA time zone.
+const { addDays, localDateOf, dateKey, weekdayOf, zonedTime } = require('./timezone');
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// The windows a schedule allows on a local date, as [start, end) pairs
+const windowsOn = (schedule, date, timeZone) => {
+  const days = schedule.days || [];
+  if (days.length > 0 && !days.includes(weekdayOf(date))) return [];
+
+  const start = schedule.startTime ? toMinutes(schedule.startTime) : 0;
+  let end = schedule.startTime ? toMinutes(schedule.endTime) : 24 * 60;
+  if (end <= start) end += 24 * 60;
+  return [[zonedTime(date, start, timeZone), zonedTime(date, end, timeZone)]];
+};
+
+// Every window touching [from, to), starting a day early to catch windows running past
+// midnight into `from`
+const windowsBetween = (schedule, from, to, timeZone) => {
+  const windows = [];
+  const lastDay = dateKey(localDateOf(to, timeZone));
+  for (
+    let day = addDays(localDateOf(from, timeZone), -1);
+    dateKey(day) <= lastDay;
+    day = addDays(day, 1)
+  ) {
+    windows.push(...windowsOn(schedule, day, timeZone));
+  }
+  return windows;
+};
+
+// Check whether a schedule allows any use between `from` and `to`
+const scheduleOverlaps = (schedule = {}, from, to, timeZone) =>
+  windowsBetween(schedule, from, to, timeZone).some(([start, end]) => start < to && end > from);
+
+// Check whether a schedule allows use at one moment
+const scheduleCovers = (schedule = {}, at = new Date(), timeZone) =>
+  scheduleOverlaps(schedule, at, new Date(at.getTime() + 1), timeZone);
+
+// Check whether the whole of [from, to) lies inside the schedule. Back-to-back windows
+// (e.g. all of Monday and all of Tuesday) count as one.
+const scheduleContains = (schedule = {}, from, to, timeZone) => {
+  let coveredUntil = from;
+  const windows = windowsBetween(schedule, from, to, timeZone).sort((a, b) => a[0] - b[0]);
+  for (const [start, end] of windows) {
+    if (start > coveredUntil) break;
+    if (end > coveredUntil) coveredUntil = end;
+    if (coveredUntil >= to) return true;
+  }
+  return false;
+};
+
+// When the window containing `at` closes, or null if `at` is outside every window
+const currentWindowEnd = (schedule = {}, at = new Date(), timeZone) => {
+  const window = windowsBetween(schedule, at, new Date(at.getTime() + 1), timeZone).find(
+    ([start, end]) => start <= at && end > at
+  );
+  return window ? window[1] : null;
+};
+
+module.exports = {
+  scheduleOverlaps,
+  scheduleCovers,
+  scheduleContains,
+  currentWindowEnd,
+};